@@ -5,6 +5,9 @@ require('dotenv').config();
 
 // Import services
 const wordPressService = require('./services/wordpressService');
+const sharedStateService = require('./services/sharedStateService');
+const liveClassSchedulerService = require('./services/liveClassSchedulerService');
+const accountLifecycleService = require('./services/accountLifecycleService');
 
 // Import socket handlers
 const ChatHandler = require('./sockets/chatHandler');
@@ -12,7 +15,7 @@ const simpleCallHandlers = require('./sockets/simpleCallHandler');
 const videoRoomHandlers = require('./sockets/videoRoomHandler');
 
 // Import middleware
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, requireTwoFactorEnrollment } = require('./middleware/auth');
 const { setupSecurity, errorHandler, notFoundHandler, sanitizeInput } = require('./middleware/security');
 
 // Import routes
@@ -24,6 +27,7 @@ const billingRoutes = require('./routes/billing');
 const chatRoutes = require('./routes/chat');
 const educationRoutes = require('./routes/education');
 const paymentRoutes = require('./routes/payment');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const server = http.createServer(app);
@@ -60,34 +64,35 @@ app.use(sanitizeInput);
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/user', authenticateToken, userRoutes);
-app.use('/api/social', authenticateToken, socialRoutes);
-app.use('/api/social-network', authenticateToken, socialNetworkRoutes);
-app.use('/api/billing', authenticateToken, billingRoutes);
-app.use('/api/chat', authenticateToken, chatRoutes);
-app.use('/api/education', authenticateToken, educationRoutes);
+app.use('/api/user', authenticateToken, requireTwoFactorEnrollment, userRoutes);
+app.use('/api/social', authenticateToken, requireTwoFactorEnrollment, socialRoutes);
+app.use('/api/social-network', authenticateToken, requireTwoFactorEnrollment, socialNetworkRoutes);
+app.use('/api/billing', authenticateToken, requireTwoFactorEnrollment, billingRoutes);
+app.use('/api/chat', authenticateToken, requireTwoFactorEnrollment, chatRoutes);
+app.use('/api/education', authenticateToken, requireTwoFactorEnrollment, educationRoutes);
 app.use('/api/payment', paymentRoutes); // Payment routes handle auth internally
+app.use('/api/admin', authenticateToken, requireTwoFactorEnrollment, adminRoutes);
 
 // Direct endpoints that should be in chat routes but might be called differently
-app.get('/chat/calls/history', authenticateToken, (req, res) => {
+app.get('/chat/calls/history', authenticateToken, requireTwoFactorEnrollment, (req, res) => {
   // Redirect to the correct endpoint
   req.url = '/api/chat/calls/history' + (req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '');
   chatRoutes(req, res);
 });
 
-app.get('/chat/calls/missed/count', authenticateToken, (req, res) => {
+app.get('/chat/calls/missed/count', authenticateToken, requireTwoFactorEnrollment, (req, res) => {
   // Redirect to the correct endpoint
   req.url = '/api/chat/calls/missed/count' + (req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '');
   chatRoutes(req, res);
 });
 
-app.get('/chats', authenticateToken, (req, res) => {
+app.get('/chats', authenticateToken, requireTwoFactorEnrollment, (req, res) => {
   // Redirect to the correct endpoint
   req.url = '/api/chat/chats' + (req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '');
   chatRoutes(req, res);
 });
 
-app.get('/status/friends', authenticateToken, (req, res) => {
+app.get('/status/friends', authenticateToken, requireTwoFactorEnrollment, (req, res) => {
   // Redirect to the correct endpoint
   req.url = '/api/chat/status/friends' + (req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '');
   chatRoutes(req, res);
@@ -98,6 +103,9 @@ const chatHandler = new ChatHandler(io);
 const callHandlers = simpleCallHandlers(io);
 const videoRoomHandler = videoRoomHandlers(io);
 
+// Routes reach connected devices through the chat handler
+app.set('chatHandler', chatHandler);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   chatHandler.handleConnection(socket);
@@ -122,6 +130,19 @@ io.on('connection', (socket) => {
   socket.on('video_room_ice_candidate', (data) => videoRoomHandler.handleVideoRoomIceCandidate(socket, data));
   socket.on('video_room_media_state', (data) => videoRoomHandler.handleVideoRoomMediaState(socket, data));
   socket.on('video_room_admin_action', (data) => videoRoomHandler.handleVideoRoomAdminAction(socket, data));
+  socket.on('video_room_raise_hand', () => videoRoomHandler.handleVideoRoomRaiseHand(socket));
+  socket.on('video_room_lower_hand', (data) => videoRoomHandler.handleVideoRoomLowerHand(socket, data));
+  socket.on('video_room_grant_floor', (data) => videoRoomHandler.handleVideoRoomGrantFloor(socket, data));
+  socket.on('video_room_spotlight', (data) => videoRoomHandler.handleVideoRoomSpotlight(socket, data));
+  socket.on('video_room_mute_all', () => videoRoomHandler.handleVideoRoomMuteAll(socket));
+  socket.on('video_room_lock', (data) => videoRoomHandler.handleVideoRoomLock(socket, data));
+  socket.on('video_room_poll_create', (data) => videoRoomHandler.handleVideoRoomPollCreate(socket, data));
+  socket.on('video_room_poll_vote', (data) => videoRoomHandler.handleVideoRoomPollVote(socket, data));
+  socket.on('video_room_poll_close', (data) => videoRoomHandler.handleVideoRoomPollClose(socket, data));
+  socket.on('video_room_breakout_start', (data) => videoRoomHandler.handleVideoRoomBreakoutStart(socket, data));
+  socket.on('video_room_breakout_broadcast', (data) => videoRoomHandler.handleVideoRoomBreakoutBroadcast(socket, data));
+  socket.on('video_room_breakout_visit', (data) => videoRoomHandler.handleVideoRoomBreakoutVisit(socket, data));
+  socket.on('video_room_breakout_recall', (data) => videoRoomHandler.handleVideoRoomBreakoutRecall(socket, data));
   socket.on('video_room_leave', () => videoRoomHandler.handleVideoRoomLeave(socket));
   
   // Test event for debugging socket connectivity (PRESERVED)
@@ -146,7 +167,7 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {
     if (socket.userId) {
       // Cleanup 1-1 calls (PRESERVED)
-      callHandlers.cleanupUserCalls(socket.userId);
+      callHandlers.cleanupUserCalls(socket.userId, socket.id);
       
       // Cleanup video rooms (NEW)
       videoRoomHandler.cleanupVideoRoomUser(socket);
@@ -155,19 +176,27 @@ io.on('connection', (socket) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  let onlineUsers = 0;
+  try {
+    onlineUsers = chatHandler ? await chatHandler.getOnlineUsersCount() : 0;
+  } catch (error) {
+    console.error('Failed to count online users:', error.message);
+  }
+
   res.status(200).json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
     service: 'Olomak Chat & Social Service',
-    onlineUsers: chatHandler ? (chatHandler.getOnlineUsersCount ? chatHandler.getOnlineUsersCount() : 0) : 0
+    sharedState: sharedStateService.isDistributed() ? 'redis' : 'memory',
+    onlineUsers
   });
 });
 
 // Video room stats endpoint
-app.get('/video-rooms/stats', (req, res) => {
+app.get('/video-rooms/stats', async (req, res) => {
   try {
-    const stats = videoRoomHandler.getVideoRoomStats();
+    const stats = await videoRoomHandler.getVideoRoomStats();
     res.status(200).json({
       ...stats,
       timestamp: new Date().toISOString()
@@ -187,6 +216,16 @@ app.use('*', notFoundHandler);
 const startServer = async () => {
   try {
     await wordPressService.initialize();
+
+    // Shared state must be ready before sockets connect (Redis when configured)
+    await sharedStateService.initialize();
+    await sharedStateService.attachSocketAdapter(io);
+
+    // Reminders and auto-opened rooms for scheduled live classes
+    liveClassSchedulerService.start(io, videoRoomHandler);
+
+    // Inactive accounts and the purge of accounts scheduled for deletion
+    await accountLifecycleService.start();
     
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -200,15 +239,21 @@ const startServer = async () => {
 };
 
 // Handle graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  liveClassSchedulerService.stop();
+  accountLifecycleService.stop();
   io.close();
+  await sharedStateService.close();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  liveClassSchedulerService.stop();
+  accountLifecycleService.stop();
   io.close();
+  await sharedStateService.close();
   process.exit(0);
 });
 
@@ -1,22 +1,20 @@
-const jwt = require('jsonwebtoken');
-const wordPressService = require('../services/wordpressService');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
+
+// Extract the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
 
 /**
  * JWT Authentication Middleware
- * Validates JWT tokens with WordPress and attaches user info to request
+ * Verifies JWT tokens through the shared auth service and attaches user info to request
  */
 const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-    console.log('Auth middleware - Processing request:', {
-      url: req.url,
-      method: req.method,
-      hasAuthHeader: !!authHeader,
-      tokenLength: token?.length,
-      tokenPreview: token
-    });
+    const token = getBearerToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -26,106 +24,28 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Basic token format validation
-    if (typeof token !== 'string' || token.trim().length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token format',
-        error: 'INVALID_TOKEN_FORMAT'
-      });
-    }
+    try {
+      const user = await authService.verifyToken(token);
+      await twoFactorService.assertSessionToken(user);
 
-    // Clean the token
-    const cleanToken = token.trim();
-
-    // JWT token should have 3 parts
-    const tokenParts = cleanToken.split('.');
-    if (tokenParts.length !== 3) {
-      console.error('Malformed token detected:', {
-        tokenLength: token.length,
-        tokenParts: tokenParts.length,
-        tokenStart: token.substring(0, 50),
-        tokenEnd: token.substring(token.length - 50)
-      });
-      return res.status(401).json({
-        success: false,
-        message: 'Malformed token',
-        error: 'MALFORMED_TOKEN'
-      });
-    }
+      // Attach user info to request (token included for service calls)
+      req.user = user;
+      req.token = user.token;
 
-    // Validate token with WordPress
-    try {
-      const validation = await wordPressService.validateToken(cleanToken);
-      console.log('Token validation result:', validation);
-      
-      // Handle different response formats from WordPress JWT plugin
-      let userData = null;
-      
-      if (validation.data && validation.data.user) {
-        // Full user data response
-        userData = validation.data.user;
-      } else if (validation.data && validation.data.status === 200) {
-        // Simple validation response - need to extract user from token
-        try {
-          const tokenParts = cleanToken.split('.');
-          const payload = JSON.parse(Buffer.from(tokenParts[1], 'base64').toString());
-          console.log('Decoded token payload:', {
-            iss: payload.iss,
-            exp: payload.exp,
-            iat: payload.iat,
-            hasUserData: !!(payload.data && payload.data.user)
-          });
-          
-          if (payload.data && payload.data.user && payload.data.user.id) {
-            // Get user data from WordPress using the user ID
-            const userResponse = await wordPressService.getUserById(payload.data.user.id, cleanToken);
-            if (userResponse && userResponse.id) {
-              userData = {
-                id: userResponse.id,
-                user_email: userResponse.email,
-                user_login: userResponse.username || userResponse.slug,
-                display_name: userResponse.name,
-                roles: userResponse.roles || ['subscriber']
-              };
-            }
-          }
-        } catch (decodeError) {
-          console.error('Error decoding token payload:', decodeError);
-        }
-      }
-      
-      if (!userData || !userData.id) {
-        return res.status(401).json({
+      next();
+    } catch (error) {
+      if (error instanceof authService.AuthError) {
+        console.warn('Token rejected:', { url: req.url, code: error.code, message: error.message });
+        return res.status(error.statusCode).json({
           success: false,
-          message: 'Invalid token - no user data',
-          error: 'INVALID_TOKEN'
+          message: error.message,
+          error: error.code
         });
       }
 
-      // Attach user info to request
-      req.user = {
-        id: userData.id,
-        user_id: userData.id,  // For backward compatibility
-        email: userData.user_email,
-        user_email: userData.user_email,  // For backward compatibility
-        username: userData.user_login,
-        user_login: userData.user_login,  // For backward compatibility
-        displayName: userData.display_name,
-        display_name: userData.display_name,  // For backward compatibility
-        role: userData.roles?.[0] || 'subscriber',
-        token: cleanToken  // Add token to user object for service calls
-      };
-      
-      req.token = cleanToken;
-      
-      next();
-    } catch (error) {
       console.error('Token validation error:', {
         message: error.message,
-        stack: error.stack,
-        tokenLength: cleanToken?.length,
-        tokenPreview: cleanToken
+        stack: error.stack
       });
       return res.status(401).json({
         success: false,
@@ -149,56 +69,14 @@ const authenticateToken = async (req, res, next) => {
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const token = getBearerToken(req);
 
     if (token) {
       try {
-        const validation = await wordPressService.validateToken(token);
-        
-        // Handle different response formats from WordPress JWT plugin
-        let userData = null;
-        
-        if (validation.data && validation.data.user) {
-          // Full user data response
-          userData = validation.data.user;
-        } else if (validation.data && validation.data.status === 200) {
-          // Simple validation response - need to extract user from token
-          try {
-            const tokenParts = token.split('.');
-            const payload = JSON.parse(Buffer.from(tokenParts[1], 'base64').toString());
-            if (payload.data && payload.data.user && payload.data.user.id) {
-              // Get user data from WordPress using the user ID
-              const userResponse = await wordPressService.getUserById(payload.data.user.id, cleanToken);
-              if (userResponse && userResponse.id) {
-                userData = {
-                  id: userResponse.id,
-                  user_email: userResponse.email,
-                  user_login: userResponse.username || userResponse.slug,
-                  display_name: userResponse.name,
-                  roles: userResponse.roles || ['subscriber']
-                };
-              }
-            }
-          } catch (decodeError) {
-            console.error('Error decoding token payload:', decodeError);
-          }
-        }
-        
-        if (userData && userData.id) {
-          req.user = {
-            id: userData.id,
-            user_id: userData.id,  // For backward compatibility
-            email: userData.user_email,
-            user_email: userData.user_email,  // For backward compatibility
-            username: userData.user_login,
-            user_login: userData.user_login,  // For backward compatibility
-            displayName: userData.display_name,
-            display_name: userData.display_name,  // For backward compatibility
-            role: userData.roles?.[0] || 'subscriber',
-            token: token  // Add token to user object for service calls
-          };
-        }
+        const user = await authService.verifyToken(token);
+        await twoFactorService.assertSessionToken(user);
+        req.user = user;
+        req.token = user.token;
       } catch (error) {
         // Continue without authentication
         console.log('Optional auth failed:', error.message);
@@ -212,6 +90,20 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Same response for every authorization failure
+const sendAuthRequired = (res) => res.status(401).json({
+  success: false,
+  message: 'Authentication required',
+  error: 'NO_AUTH'
+});
+
+const sendForbidden = (res, permission = null, message = 'Insufficient permissions') => res.status(403).json({
+  success: false,
+  message,
+  error: 'INSUFFICIENT_PERMISSIONS',
+  ...(permission && { permission })
+});
+
 /**
  * Role-based Authorization Middleware
  * Requires specific roles to access routes
@@ -219,30 +111,85 @@ const optionalAuth = async (req, res, next) => {
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required',
-        error: 'NO_AUTH'
-      });
+      return sendAuthRequired(res);
     }
 
-    const userRole = req.user.role;
     const allowedRoles = Array.isArray(roles) ? roles : [roles];
+    const userRoles = req.user.roles || [req.user.role];
+
+    if (!userRoles.some(role => allowedRoles.includes(role))) {
+      return sendForbidden(res);
+    }
 
-    if (!allowedRoles.includes(userRole)) {
+    next();
+  };
+};
+
+/**
+ * Permission Middleware
+ * Every route declares the permission it needs. For scoped permissions (group:manage, course:teach)
+ * pass the name of the request field holding the resource id; it is read from the route params,
+ * then the body, then the query string.
+ *   router.post('/groups/:groupId/members', requirePermission('group:manage', 'groupId'), ...)
+ */
+const requirePermission = (permission, resourceField = null) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return sendAuthRequired(res);
+      }
+
+      const resourceId = resourceField
+        ? req.params[resourceField] ?? req.body?.[resourceField] ?? req.query[resourceField]
+        : null;
+
+      if (!(await permissionService.can(req.user, permission, resourceId))) {
+        console.warn(`🚫 Permission ${permission} denied for user ${req.user.id}${resourceId != null ? ` on ${resourceId}` : ''}`);
+        return sendForbidden(res, permission);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check failed:', error.message);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: 'INTERNAL_ERROR'
+      });
+    }
+  };
+};
+
+/**
+ * Two-Factor Policy Middleware
+ * Users whose role requires 2FA (TWO_FACTOR_REQUIRED_ROLES) must enroll through /api/auth/2fa first
+ */
+const requireTwoFactorEnrollment = async (req, res, next) => {
+  try {
+    if (req.user && await twoFactorService.isEnrollmentRequired(req.user)) {
       return res.status(403).json({
         success: false,
-        message: 'Insufficient permissions',
-        error: 'INSUFFICIENT_PERMISSIONS'
+        message: 'Two-factor authentication must be set up for your account',
+        error: 'TWO_FACTOR_SETUP_REQUIRED'
       });
     }
 
     next();
-  };
+  } catch (error) {
+    console.error('Two-factor policy check failed:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'INTERNAL_ERROR'
+    });
+  }
 };
 
 module.exports = {
   authenticateToken,
   optionalAuth,
-  requireRole
+  requireRole,
+  requirePermission,
+  requireTwoFactorEnrollment,
+  sendForbidden
 };
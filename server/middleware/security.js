@@ -3,6 +3,7 @@ const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
 const morgan = require('morgan');
+const loginProtectionService = require('../services/loginProtectionService');
 
 /**
  * Security middleware configuration
@@ -55,7 +56,8 @@ const setupSecurity = (app) => {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    exposedHeaders: ['X-Total-Count', 'X-Export-Truncated']
   };
 
   app.use(cors(corsOptions));
@@ -71,6 +73,8 @@ const setupSecurity = (app) => {
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // Shared school networks are allow-listed; accounts are still protected by the per-account lockout
+    skip: (req) => loginProtectionService.isAllowlisted(req.ip),
   });
 
   const generalLimiter = rateLimit({
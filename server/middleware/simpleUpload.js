@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { uploadOwnerTag } = require('./upload');
 
 /**
  * Simple Upload Middleware - No JSON conflicts
@@ -22,7 +23,7 @@ const storage = multer.diskStorage({
     // Generate unique filename with timestamp
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
     const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + extension);
+    cb(null, file.fieldname + '-' + uploadOwnerTag(req) + uniqueSuffix + extension);
   }
 });
 
@@ -14,6 +14,9 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Uploader id in file names, so account deletion can find a user's files
+const uploadOwnerTag = (req) => (req.user?.id ? `u${req.user.id}-` : '');
+
 // Enhanced storage configuration with group-specific organization
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -52,7 +55,7 @@ const storage = multer.diskStorage({
       prefix = 'video';
     }
     
-    const filename = `${prefix}-${timestamp}-${random}${ext}`;
+    const filename = `${prefix}-${uploadOwnerTag(req)}${timestamp}-${random}${ext}`;
     cb(null, filename);
   }
 });
@@ -300,6 +303,7 @@ module.exports = {
   // Utilities
   validateMediaFile,
   getFileInfo,
+  uploadOwnerTag,
   
   // Storage configuration
   storage,
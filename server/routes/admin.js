@@ -0,0 +1,86 @@
+const express = require('express');
+const Joi = require('joi');
+const auditLogService = require('../services/auditLogService');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const auditQuerySchema = Joi.object({
+  actor_id: Joi.number().integer().positive().optional(),
+  target_user_id: Joi.number().integer().positive().optional(),
+  action: Joi.string().valid(...auditLogService.AUDIT_ACTIONS).optional(),
+  resource_type: Joi.string().max(32).optional(),
+  resource_id: Joi.string().max(64).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  per_page: Joi.number().integer().min(1).max(200).default(50),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+/**
+ * GET /api/admin/audit
+ * Search the audit log (newest first); add ?format=csv for a CSV export of the matching entries,
+ * capped at AUDIT_LOG_MAX_EXPORT rows (X-Export-Truncated: true when entries were left out)
+ */
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const filters = {
+      actorId: value.actor_id,
+      targetUserId: value.target_user_id,
+      action: value.action,
+      resourceType: value.resource_type,
+      resourceId: value.resource_id,
+      from: value.from,
+      to: value.to
+    };
+
+    if (value.format === 'csv') {
+      const { entries, total } = await auditLogService.search({ ...filters, limit: auditLogService.maxExportRows, offset: 0 });
+
+      // Exports stop at AUDIT_LOG_MAX_EXPORT rows; narrow the date range to get the rest
+      res.setHeader('X-Total-Count', String(total));
+      res.setHeader('X-Export-Truncated', String(total > entries.length));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(auditLogService.toCsv(entries));
+    }
+
+    const { entries, total } = await auditLogService.search({
+      ...filters,
+      limit: value.per_page,
+      offset: (value.page - 1) * value.per_page
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: value.page,
+          perPage: value.per_page,
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Audit log search error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,30 @@ const express = require('express');
 const Joi = require('joi');
 const wordPressService = require('../services/wordpressService');
 const buddyBossService = require('../services/buddyBossService');
-const { authenticateToken } = require('../middleware/auth');
+const authService = require('../services/authService');
+const passwordResetService = require('../services/passwordResetService');
+const authSessionService = require('../services/authSessionService');
+const socialAuthService = require('../services/socialAuthService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const accountLifecycleService = require('../services/accountLifecycleService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Validation schemas
+// Device fields start a server session with rotating refresh tokens (login/register)
+const deviceFields = {
+  device_id: Joi.string().optional().max(128),
+  device_name: Joi.string().optional().max(255),
+  platform: Joi.string().optional().max(32),
+  app_version: Joi.string().optional().max(32)
+};
+
 const loginSchema = Joi.object({
   username: Joi.string().required().min(3).max(50),
-  password: Joi.string().required().min(6)
+  password: Joi.string().required().min(6),
+  ...deviceFields
 });
 
 const registerSchema = Joi.object({
@@ -33,7 +49,8 @@ const registerSchema = Joi.object({
     social_status: Joi.string().optional().valid('single', 'in_relationship', 'married', 'divorced', 'widowed', 'prefer_not_to_say'),
     occupation: Joi.string().optional().max(100),
     bio: Joi.string().optional().max(500)
-  }).optional()
+  }).optional(),
+  ...deviceFields
 });
 
 const resetPasswordSchema = Joi.object({
@@ -42,16 +59,116 @@ const resetPasswordSchema = Joi.object({
 
 const verifyCodeSchema = Joi.object({
   email: Joi.string().email().required(),
-  code: Joi.string().required().length(6)
+  code: Joi.string().required().length(6).pattern(/^\d+$/)
+});
+
+const socialSignInSchema = Joi.object({
+  id_token: Joi.string().required(),
+  nonce: Joi.string().optional().max(255),
+  ...deviceFields,
+  device_id: Joi.string().required().max(128)
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().required().max(16)
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challenge_token: Joi.string().required().hex().length(64),
+  code: Joi.string().required().max(16)
+});
+
+const unlockSchema = Joi.object({
+  token: Joi.string().required().hex().length(64)
+});
+
+// device_id is required for device sessions, WordPress refresh tokens are sent without one
+const refreshSchema = Joi.object({
+  refresh_token: Joi.string().required(),
+  device_id: Joi.string().optional().max(128)
 });
 
 const setPasswordSchema = Joi.object({
   email: Joi.string().email().required(),
-  code: Joi.string().required().length(6),
+  reset_token: Joi.string().required().hex().length(64),
   password: Joi.string().required().min(6)
     .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
 });
 
+/**
+ * Tokens returned after login/register: a device session when the client sent a device id
+ * (and JWT_SECRET is configured), otherwise the WordPress token as is
+ */
+const issueLoginTokens = async (req, value, user, wordPressToken) => {
+  // Signing in reactivates a deactivated account and cancels a pending deletion
+  const reactivated = await accountLifecycleService.reactivate(user.id);
+
+  if (!authSessionService.isEnabled() || !value.device_id) {
+    return { token: wordPressToken, refresh_token: null, ...(reactivated && { account_reactivated: true }) };
+  }
+
+  const tokens = await authSessionService.createSession(user, {
+    deviceId: value.device_id,
+    deviceName: value.device_name,
+    platform: value.platform,
+    appVersion: value.app_version,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return { ...tokens, ...(reactivated && { account_reactivated: true }) };
+};
+
+/**
+ * Finish a password or provider login: enrolled 2FA users get a challenge token instead of tokens
+ * (completed through /2fa/verify), everyone else gets tokens right away
+ */
+const completeLogin = async (req, res, { value, user, wordPressToken, responseUser, status = 200, message = 'Login successful', extra = {} }) => {
+  const device = {
+    device_id: value.device_id,
+    device_name: value.device_name,
+    platform: value.platform,
+    app_version: value.app_version
+  };
+
+  // Enrolled users can only use device session tokens, which need a device id
+  if (!device.device_id && twoFactorService.isConfigured() && await twoFactorService.isEnabled(user.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'device_id is required to sign in with two-factor authentication',
+      error: 'DEVICE_ID_REQUIRED'
+    });
+  }
+
+  const challenge = await twoFactorService.createLoginChallenge(user.id, {
+    device, user, wordPressToken, responseUser, status, message, extra
+  });
+
+  if (challenge) {
+    return res.json({
+      success: true,
+      message: 'Two-factor code required',
+      data: {
+        two_factor_required: true,
+        ...challenge
+      }
+    });
+  }
+
+  const tokens = await issueLoginTokens(req, device, user, wordPressToken);
+
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      ...tokens,
+      ...extra,
+      two_factor_setup_required: await twoFactorService.isEnrollmentRequired(user),
+      user: responseUser
+    }
+  });
+};
+
 /**
  * POST /api/auth/login
  * Login user with WordPress credentials
@@ -69,40 +186,66 @@ router.post('/login', async (req, res) => {
     }
 
     const { username, password } = value;
+    const client = { ip: req.ip, userAgent: req.headers['user-agent'] };
+
+    // Locked accounts are rejected before WordPress sees the password
+    await loginProtectionService.assertNotLocked(username);
 
     // Login with WordPress
-    const loginResult = await wordPressService.loginUser(username, password);
+    let loginResult;
+    try {
+      loginResult = await wordPressService.loginUser(username, password);
+    } catch (loginError) {
+      if (loginError.status !== 401 && loginError.status !== 403) throw loginError;
+      loginResult = {};
+    }
 
     if (!loginResult.token) {
+      const lockout = await loginProtectionService.recordFailure(username, client);
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Invalid credentials',
+        ...(lockout > 0 && { error: 'ACCOUNT_LOCKED', retry_after: lockout })
       });
     }
 
     // Get user profile
     const userProfile = await wordPressService.getUserProfile(loginResult.token);
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        token: loginResult.token,
-        refresh_token: loginResult.refresh_token || null,
-        user: {
-          id: userProfile.id,
-          username: userProfile.username,
-          email: userProfile.email,
-          displayName: userProfile.name,
-          firstName: userProfile.first_name,
-          lastName: userProfile.last_name,
-          avatar: userProfile.avatar_urls?.['96'] || null,
-          role: userProfile.roles?.[0] || 'subscriber'
-        }
+    await loginProtectionService.recordSuccess(username, userProfile.id, client);
+
+    await completeLogin(req, res, {
+      value,
+      user: {
+        id: userProfile.id,
+        email: userProfile.email,
+        username: userProfile.username,
+        displayName: userProfile.displayName,
+        roles: userProfile.roles
+      },
+      wordPressToken: loginResult.token,
+      responseUser: {
+        id: userProfile.id,
+        username: userProfile.username,
+        email: userProfile.email,
+        displayName: userProfile.name,
+        firstName: userProfile.first_name,
+        lastName: userProfile.last_name,
+        avatar: userProfile.avatar_urls?.['96'] || null,
+        role: userProfile.roles?.[0] || 'subscriber'
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Login error:', error.message);
+
+    if (error.code === 'ACCOUNT_LOCKED') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code,
+        retry_after: error.retryAfter
+      });
+    }
     
     if (error.response?.status === 403) {
       return res.status(401).json({
@@ -170,12 +313,19 @@ router.post('/register', async (req, res) => {
       }
     }
 
+    const tokens = await issueLoginTokens(req, value, {
+      id: registrationResult.id || loginResult.userId,
+      email: registrationResult.email || email,
+      username: registrationResult.username || username,
+      displayName: registrationResult.display_name || `${first_name || ''} ${last_name || ''}`.trim(),
+      roles: registrationResult.roles || ['subscriber']
+    }, loginResult.token);
+
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       data: {
-        token: loginResult.token,
-        refresh_token: loginResult.refresh_token || null,
+        ...tokens,
         user: {
           id: registrationResult.id || loginResult.user_id,
           username: registrationResult.username || username,
@@ -206,18 +356,96 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/google | /api/auth/apple | /api/auth/facebook
+ * Sign in with a provider ID token; creates the account on first sign-in
+ */
+router.post('/:provider(google|apple|facebook)', async (req, res) => {
+  try {
+    const { error, value } = socialSignInSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    // Social accounts have no WordPress token to fall back to
+    if (!authSessionService.isEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Social sign-in is not configured',
+        error: 'PROVIDER_NOT_CONFIGURED'
+      });
+    }
+
+    const { user, isNewUser } = await socialAuthService.signIn(req.params.provider, value.id_token, value.nonce);
+    await loginProtectionService.recordSuccess(user.email, user.id, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      method: req.params.provider
+    });
+
+    await completeLogin(req, res, {
+      value,
+      user,
+      wordPressToken: null,
+      status: isNewUser ? 201 : 200,
+      message: isNewUser ? 'Registration successful' : 'Login successful',
+      extra: { is_new_user: isNewUser },
+      responseUser: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        displayName: user.displayName,
+        avatar: user.avatar,
+        role: user.roles[0] || 'subscriber'
+      }
+    });
+  } catch (error) {
+    console.error(`${req.params.provider} sign-in error:`, error.message);
+
+    if (error instanceof authService.AuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Social sign-in failed'
+    });
+  }
+});
+
 /**
  * POST /api/auth/refresh
- * Refresh JWT token using refresh token
+ * Rotate a device session refresh token (send the device id it was issued to).
+ * Without server sessions the refresh token is forwarded to WordPress.
  */
 router.post('/refresh', async (req, res) => {
   try {
-    const { refresh_token } = req.body;
-    
-    if (!refresh_token) {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Refresh token is required'
+        message: 'Refresh token is required',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { refresh_token, device_id } = value;
+
+    if (authSessionService.isEnabled()) {
+      const tokens = await authSessionService.refresh(refresh_token, device_id, { ip: req.ip });
+
+      return res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: tokens
       });
     }
 
@@ -232,7 +460,15 @@ router.post('/refresh', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Token refresh error:', error.message);
+
+    if (error instanceof authService.AuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
     
     res.status(401).json({
       success: false,
@@ -245,7 +481,7 @@ router.post('/refresh', async (req, res) => {
  * POST /api/auth/validate
  * Validate JWT token
  */
-router.post('/validate', authenticateToken, async (req, res) => {
+router.post('/validate', authenticateToken, requirePermission('account:manage'), async (req, res) => {
   try {
     res.json({
       success: true,
@@ -264,9 +500,28 @@ router.post('/validate', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Respond with a password reset error code, or a generic failure
+ */
+const sendPasswordResetError = (res, error, fallbackStatus, fallbackMessage) => {
+  if (error instanceof passwordResetService.PasswordResetError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      error: error.code,
+      ...error.details
+    });
+  }
+
+  res.status(fallbackStatus).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
 /**
  * POST /api/auth/reset-password
- * Request password reset
+ * Request password reset (always answers the same way so accounts cannot be probed)
  */
 router.post('/reset-password', async (req, res) => {
   try {
@@ -282,25 +537,22 @@ router.post('/reset-password', async (req, res) => {
 
     const { email } = value;
 
-    await wordPressService.resetPassword(email);
+    await passwordResetService.requestReset(email);
 
     res.json({
       success: true,
-      message: 'Password reset code sent to your email'
+      message: 'If an account exists for this email, a reset code has been sent'
     });
   } catch (error) {
     console.error('Password reset error:', error);
     
-    res.status(500).json({
-      success: false,
-      message: 'Password reset failed'
-    });
+    sendPasswordResetError(res, error, 500, 'Password reset failed');
   }
 });
 
 /**
  * POST /api/auth/verify-code
- * Verify password reset code
+ * Verify password reset code and get a reset token for /set-password
  */
 router.post('/verify-code', async (req, res) => {
   try {
@@ -316,7 +568,7 @@ router.post('/verify-code', async (req, res) => {
 
     const { email, code } = value;
 
-    const verificationResult = await wordPressService.verifyResetCode(email, code);
+    const verificationResult = await passwordResetService.verifyCode(email, code);
 
     res.json({
       success: true,
@@ -324,18 +576,15 @@ router.post('/verify-code', async (req, res) => {
       data: verificationResult
     });
   } catch (error) {
-    console.error('Code verification error:', error);
+    console.error('Code verification error:', error.message);
     
-    res.status(400).json({
-      success: false,
-      message: 'Invalid or expired code'
-    });
+    sendPasswordResetError(res, error, 400, 'Invalid or expired code');
   }
 });
 
 /**
  * POST /api/auth/set-password
- * Set new password
+ * Set new password with the reset token from /verify-code
  */
 router.post('/set-password', async (req, res) => {
   try {
@@ -349,32 +598,35 @@ router.post('/set-password', async (req, res) => {
       });
     }
 
-    const { email, code, password } = value;
+    const { email, reset_token, password } = value;
 
-    await wordPressService.setNewPassword(email, code, password);
+    await passwordResetService.setPassword(email, reset_token, password);
 
     res.json({
       success: true,
       message: 'Password updated successfully'
     });
   } catch (error) {
-    console.error('Set password error:', error);
+    console.error('Set password error:', error.message);
     
-    res.status(400).json({
-      success: false,
-      message: 'Failed to update password'
-    });
+    sendPasswordResetError(res, error, 400, 'Failed to update password');
   }
 });
 
 /**
  * POST /api/auth/logout
- * Logout user (client-side token removal)
+ * Logout user and revoke the current token
  */
-router.post('/logout', authenticateToken, async (req, res) => {
+router.post('/logout', authenticateToken, requirePermission('account:manage'), async (req, res) => {
   try {
-    // WordPress JWT doesn't support server-side logout
-    // Client should remove token from storage
+    // Revoke the token on our side so cached validations stop accepting it
+    await authService.revokeToken(req.token);
+
+    // End the device session so its refresh token stops working too
+    if (req.user.sessionId) {
+      await authSessionService.revokeSession(req.user.sessionId, 'logout', req.user.id);
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -389,6 +641,346 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/sessions
+ * Active device sessions of the current user (device, IP, last used)
+ */
+router.get('/sessions', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    const sessions = await authSessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list sessions'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one session (its sockets are disconnected right away)
+ */
+router.delete('/sessions/:sessionId', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    const revoked = await authSessionService.revokeSession(req.params.sessionId, 'revoked_by_user', req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Revoke all sessions; ?except_current=true keeps the caller's session
+ */
+router.delete('/sessions', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    const exceptSessionId = req.query.except_current === 'true' ? req.user.sessionId : null;
+    const revoked = await authSessionService.revokeAllSessions(req.user.id, 'revoked_by_user', exceptSessionId);
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+/**
+ * Respond with an auth error code, or a generic failure
+ */
+const sendAuthError = (res, error, message) => {
+  if (error instanceof authService.AuthError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      error: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * POST /api/auth/2fa/verify
+ * Second login step: exchange the challenge token and a TOTP or backup code for tokens
+ */
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const login = await twoFactorService.completeLoginChallenge(value.challenge_token, value.code);
+    const tokens = await issueLoginTokens(req, login.device, login.user, login.wordPressToken);
+
+    res.status(login.status).json({
+      success: true,
+      message: login.message,
+      data: {
+        ...tokens,
+        ...login.extra,
+        backup_codes_remaining: login.twoFactor.backupCodesRemaining,
+        user: login.responseUser
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error.message);
+    sendAuthError(res, error, 'Two-factor verification failed');
+  }
+});
+
+/**
+ * GET /api/auth/2fa/status
+ * Whether 2FA is enabled or required for the current user
+ */
+router.get('/2fa/status', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await twoFactorService.getStatus(req.user)
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    sendAuthError(res, error, 'Failed to get two-factor status');
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns the secret and an otpauth:// URI for authenticator apps
+ */
+router.post('/2fa/setup', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await twoFactorService.startEnrollment(req.user)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error.message);
+    sendAuthError(res, error, 'Failed to start two-factor setup');
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code; returns backup codes (only shown once)
+ */
+router.post('/2fa/enable', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const backupCodes = await twoFactorService.confirmEnrollment(req.user.id, value.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { backup_codes: backupCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error.message);
+    sendAuthError(res, error, 'Failed to enable two-factor authentication');
+  }
+});
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Replace the backup codes (needs a current code)
+ */
+router.post('/2fa/backup-codes', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user.id, value.code);
+
+    res.json({
+      success: true,
+      data: { backup_codes: backupCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor backup codes error:', error.message);
+    sendAuthError(res, error, 'Failed to regenerate backup codes');
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off (needs a current code); not allowed where the role policy requires it
+ */
+router.post('/2fa/disable', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (twoFactorService.isRequiredForRole(req.user.roles || [req.user.role])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role',
+        error: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    await twoFactorService.disable(req.user.id, value.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error.message);
+    sendAuthError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+/**
+ * Minimal page for the unlock email link; the token is validated hex, so it is safe to embed
+ */
+const renderUnlockPage = (message, token = null) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Unlock account</title></head>
+<body>
+  <p>${message}</p>
+  ${token ? `<form method="post" action="unlock">
+    <input type="hidden" name="token" value="${token}">
+    <button type="submit">Unlock my account</button>
+  </form>` : ''}
+</body>
+</html>`;
+
+/**
+ * GET /api/auth/unlock?token=
+ * Confirmation page for the unlock email link; only the page's POST unlocks, so mail scanners
+ * that prefetch the link do not use up the token
+ */
+router.get('/unlock', (req, res) => {
+  const { error, value } = unlockSchema.validate(req.query);
+  if (error) {
+    return res.status(400).type('html').send(renderUnlockPage('This unlock link is invalid.'));
+  }
+
+  res.type('html').send(renderUnlockPage('Unlock your account to sign in again?', value.token));
+});
+
+/**
+ * POST /api/auth/unlock
+ * Lift an account lockout with the token from the unlock email
+ * The confirmation page posts a form and gets a page back; API clients get JSON
+ */
+router.post('/unlock', async (req, res) => {
+  const fromPage = req.is('application/x-www-form-urlencoded');
+
+  try {
+    const { error, value } = unlockSchema.validate(req.body);
+    if (error) {
+      if (fromPage) {
+        return res.status(400).type('html').send(renderUnlockPage('This unlock link is invalid.'));
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    await loginProtectionService.unlock(value.token);
+
+    if (fromPage) {
+      return res.type('html').send(renderUnlockPage('Account unlocked, you can sign in again.'));
+    }
+    res.json({
+      success: true,
+      message: 'Account unlocked, you can sign in again'
+    });
+  } catch (error) {
+    console.error('Unlock error:', error.message);
+    if (fromPage) {
+      return res.status(error.statusCode || 500).type('html')
+        .send(renderUnlockPage(error instanceof authService.AuthError ? error.message : 'Failed to unlock account'));
+    }
+    sendAuthError(res, error, 'Failed to unlock account');
+  }
+});
+
+/**
+ * GET /api/auth/sign-ins
+ * Recent sign-in attempts on the current user's account (success/failure, IP, user agent)
+ */
+router.get('/sign-ins', authenticateToken, requirePermission('account:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const signIns = await loginProtectionService.getRecentSignIns(req.user, limit);
+
+    res.json({
+      success: true,
+      data: signIns
+    });
+  } catch (error) {
+    console.error('Recent sign-ins error:', error);
+    sendAuthError(res, error, 'Failed to fetch recent sign-ins');
+  }
+});
+
 /**
  * GET /api/auth/xprofile-groups
  * Get XProfile groups and field structure for registration form
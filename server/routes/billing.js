@@ -1,6 +1,8 @@
 const express = require('express');
 const Joi = require('joi');
 const wooCommerceService = require('../services/wooCommerceService');
+const auditLogService = require('../services/auditLogService');
+const { requirePermission, sendForbidden } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -53,7 +55,7 @@ const createOrderSchema = Joi.object({
  * GET /api/billing/customer
  * Get customer billing information
  */
-router.get('/customer', async (req, res) => {
+router.get('/customer', requirePermission('billing:manage'), async (req, res) => {
   try {
     // Assuming user.id corresponds to WooCommerce customer ID
     const customer = await wooCommerceService.getCustomer(req.user.id);
@@ -94,7 +96,7 @@ router.get('/customer', async (req, res) => {
  * PUT /api/billing/customer
  * Update customer billing information
  */
-router.put('/customer', async (req, res) => {
+router.put('/customer', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { error, value } = updateBillingSchema.validate(req.body);
     if (error) {
@@ -136,7 +138,7 @@ router.put('/customer', async (req, res) => {
  * GET /api/billing/user/orders
  * Get user orders (alternative endpoint for payment service)
  */
-router.get('/user/orders', async (req, res) => {
+router.get('/user/orders', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { page = 1, per_page = 20, status } = req.query;
     
@@ -176,7 +178,7 @@ router.get('/user/orders', async (req, res) => {
  * GET /api/billing/order/:id
  * Get single order details (alternative endpoint for payment service)
  */
-router.get('/order/:id', async (req, res) => {
+router.get('/order/:id', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -211,7 +213,7 @@ router.get('/order/:id', async (req, res) => {
  * GET /api/billing/user/billing
  * Get user billing information (alternative endpoint for payment service)
  */
-router.get('/user/billing', async (req, res) => {
+router.get('/user/billing', requirePermission('billing:manage'), async (req, res) => {
   try {
     console.log('Getting user billing information');
 
@@ -239,7 +241,7 @@ router.get('/user/billing', async (req, res) => {
  * POST /api/billing/user/billing
  * Update user billing information (alternative endpoint for payment service)
  */
-router.post('/user/billing', async (req, res) => {
+router.post('/user/billing', requirePermission('billing:manage'), async (req, res) => {
   try {
     const billingData = req.body;
     
@@ -269,7 +271,7 @@ router.post('/user/billing', async (req, res) => {
  * GET /api/billing/user/subscriptions
  * Get user subscriptions (alternative endpoint for payment service)
  */
-router.get('/user/subscriptions', async (req, res) => {
+router.get('/user/subscriptions', requirePermission('billing:manage'), async (req, res) => {
   try {
     console.log('Getting user subscriptions');
 
@@ -294,7 +296,7 @@ router.get('/user/subscriptions', async (req, res) => {
  * GET /api/billing/user/payment-methods
  * Get user payment methods (alternative endpoint for payment service)
  */
-router.get('/user/payment-methods', async (req, res) => {
+router.get('/user/payment-methods', requirePermission('billing:manage'), async (req, res) => {
   try {
     console.log('Getting user payment methods');
 
@@ -319,7 +321,7 @@ router.get('/user/payment-methods', async (req, res) => {
  * POST /api/billing/user/payment-methods
  * Add user payment method (alternative endpoint for payment service)
  */
-router.post('/user/payment-methods', async (req, res) => {
+router.post('/user/payment-methods', requirePermission('billing:manage'), async (req, res) => {
   try {
     const paymentMethodData = req.body;
     
@@ -346,7 +348,7 @@ router.post('/user/payment-methods', async (req, res) => {
  * DELETE /api/billing/user/payment-methods/:id
  * Remove user payment method (alternative endpoint for payment service)
  */
-router.delete('/user/payment-methods/:id', async (req, res) => {
+router.delete('/user/payment-methods/:id', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -373,7 +375,7 @@ router.delete('/user/payment-methods/:id', async (req, res) => {
  * GET /api/billing/orders
  * Get customer orders
  */
-router.get('/orders', async (req, res) => {
+router.get('/orders', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { page = 1, per_page = 10, status } = req.query;
     
@@ -426,17 +428,14 @@ router.get('/orders', async (req, res) => {
  * GET /api/billing/orders/:id
  * Get specific order details
  */
-router.get('/orders/:id', async (req, res) => {
+router.get('/orders/:id', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const order = await wooCommerceService.getOrder(id);
 
     // Verify order belongs to current user
     if (order.customer_id !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this order'
-      });
+      return sendForbidden(res, null, 'Access denied to this order');
     }
 
     res.json({
@@ -486,7 +485,7 @@ router.get('/orders/:id', async (req, res) => {
  * POST /api/billing/orders
  * Create a new order
  */
-router.post('/orders', async (req, res) => {
+router.post('/orders', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { error, value } = createOrderSchema.validate(req.body);
     if (error) {
@@ -534,17 +533,14 @@ router.post('/orders', async (req, res) => {
  * PUT /api/billing/orders/:id/cancel
  * Cancel an order
  */
-router.put('/orders/:id/cancel', async (req, res) => {
+router.put('/orders/:id/cancel', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
     // First verify the order belongs to the user
     const order = await wooCommerceService.getOrder(id);
     if (order.customer_id !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this order'
-      });
+      return sendForbidden(res, null, 'Access denied to this order');
     }
 
     // Check if order can be cancelled
@@ -556,6 +552,14 @@ router.put('/orders/:id/cancel', async (req, res) => {
     }
 
     const cancelledOrder = await wooCommerceService.cancelOrder(id);
+    await auditLogService.recordRequest(req, 'order.cancel', {
+      resourceType: 'order',
+      resourceId: id,
+      targetUserId: order.customer_id,
+      before: { status: order.status },
+      after: { status: cancelledOrder.status },
+      context: { total: order.total, currency: order.currency }
+    });
 
     res.json({
       success: true,
@@ -582,7 +586,7 @@ router.put('/orders/:id/cancel', async (req, res) => {
  * GET /api/billing/subscriptions
  * Get customer subscriptions
  */
-router.get('/subscriptions', async (req, res) => {
+router.get('/subscriptions', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { page = 1, per_page = 10, status } = req.query;
     
@@ -634,17 +638,14 @@ router.get('/subscriptions', async (req, res) => {
  * PUT /api/billing/subscriptions/:id/cancel
  * Cancel a subscription
  */
-router.put('/subscriptions/:id/cancel', async (req, res) => {
+router.put('/subscriptions/:id/cancel', requirePermission('billing:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
     // First verify the subscription belongs to the user
     const subscription = await wooCommerceService.getSubscription(id);
     if (subscription.customer_id !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this subscription'
-      });
+      return sendForbidden(res, null, 'Access denied to this subscription');
     }
 
     const cancelledSubscription = await wooCommerceService.cancelSubscription(id);
@@ -675,7 +676,7 @@ router.put('/subscriptions/:id/cancel', async (req, res) => {
  * GET /api/billing/payment-methods
  * Get available payment methods
  */
-router.get('/payment-methods', async (req, res) => {
+router.get('/payment-methods', requirePermission('billing:manage'), async (req, res) => {
   try {
     const paymentMethods = await wooCommerceService.getPaymentMethods();
 
@@ -709,7 +710,7 @@ router.get('/payment-methods', async (req, res) => {
  * GET /api/billing/downloads
  * Get customer downloadable products
  */
-router.get('/downloads', async (req, res) => {
+router.get('/downloads', requirePermission('billing:manage'), async (req, res) => {
   try {
     const downloads = await wooCommerceService.getCustomerDownloads(req.user.id);
 
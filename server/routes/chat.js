@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
@@ -12,7 +12,8 @@ const {
   handleUploadError,
   trackUploadProgress,
   validateMediaFile,
-  getFileInfo
+  getFileInfo,
+  uploadOwnerTag
 } = require('../middleware/upload');
 
 // Simple upload middleware (no JSON conflicts)
@@ -22,14 +23,415 @@ const customChatService = require('../services/customChatService'); // Updated t
 const customChatServiceInstance = new customChatService();
 const callService = require('../services/callService');
 const presenceService = require('../services/presenceService');
+const attendanceService = require('../services/attendanceService');
+const chatService = require('../services/chatService');
+const liveClassSchedulerService = require('../services/liveClassSchedulerService');
+const accountLifecycleService = require('../services/accountLifecycleService');
+const permissionService = require('../services/permissionService');
+const auditLogService = require('../services/auditLogService');
+const blockService = require('../services/blockService');
+const messageReactionService = require('../services/messageReactionService');
+const starredMessageService = require('../services/starredMessageService');
+const messageHistoryService = require('../services/messageHistoryService');
+const pinnedMessageService = require('../services/pinnedMessageService');
+const mentionService = require('../services/mentionService');
+const { requirePermission, sendForbidden } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Newest pages of a thread or group searched when a single message has to be looked up
+const MESSAGE_LOOKUP_PAGES = parseInt(process.env.MESSAGE_LOOKUP_PAGES) || 5;
+const MESSAGE_LOOKUP_PAGE_SIZE = 50;
+
 // Add upload error handling middleware
 router.use(handleUploadError);
 
+// Member pages searched for the audit state (100 members each)
+const MEMBER_AUDIT_PAGES = 50;
+
+// A member's role in a group before an admin action, for the audit log (null when it can't be looked up)
+const getMemberAuditState = async (groupId, userId, userToken) => {
+  try {
+    for (let page = 1; page <= MEMBER_AUDIT_PAGES; page++) {
+      const result = await customChatServiceInstance.getGroupMembers(groupId, page, 100, userToken);
+      const members = result.data || [];
+      const member = members.find(m => String(m.id) === String(userId));
+      if (member) {
+        return {
+          role: member.is_admin ? 'admin' : member.is_mod ? 'mod' : 'member',
+          banned: !!member.is_banned
+        };
+      }
+      if (members.length < 100) break;
+    }
+    return null;
+  } catch (error) {
+    console.warn(`⚠️ Route: Member ${userId} of group ${groupId} not looked up for audit:`, error.message);
+    return null;
+  }
+};
+
+// A group's details before it is deleted, for the audit log
+const getGroupAuditState = async (groupId, userToken) => {
+  try {
+    const result = await customChatServiceInstance.getGroupDetails(groupId, userToken);
+    return {
+      name: result.data?.name || null,
+      status: result.data?.status || null,
+      membersCount: result.data?.members_count ?? null
+    };
+  } catch (error) {
+    console.warn(`⚠️ Route: Group ${groupId} not looked up for audit:`, error.message);
+    return null;
+  }
+};
+
+// What the sender gets back for a message dropped because of a block (it looks sent, but is never delivered)
+const droppedMessage = (messageData) => ({
+  id: null,
+  thread_id: messageData.threadId || null,
+  sender_id: messageData.senderId,
+  message: messageData.message,
+  message_type: messageData.messageType,
+  date_sent: new Date().toISOString()
+});
+
+const getStatusAuthorId = (status) => status?.user_id ?? status?.author_id ?? null;
+
+// Statuses of users with a block relation look like statuses that no longer exist
+const statusNotAvailable = (statusId) => ({ success: false, data: { id: statusId, content: 'Status not available' } });
+
+const isStatusHidden = async (userId, statusId, token) => {
+  const status = await customChatServiceInstance.getStatus(statusId, token);
+  return status.success && blockService.isBlocked(userId, getStatusAuthorId(status.data));
+};
+
+// The message list inside a messages payload (the WordPress and BuddyBoss endpoints wrap it differently)
+const getMessageList = (payload) => {
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload?.messages)) return payload.messages;
+  if (Array.isArray(payload?.data)) return payload.data;
+  if (Array.isArray(payload?.data?.messages)) return payload.data.messages;
+  if (Array.isArray(payload?.data?.data)) return payload.data.data;
+  return [];
+};
+
+// Add our own per-message details (reactions, starred flag, edit marker, mentions) to a thread or group messages payload
+// Messages the user deleted for themselves are removed
+const attachMessageDetails = async (scope, conversationId, payload, userId) => {
+  const messages = getMessageList(payload);
+
+  try {
+    await messageHistoryService.removeHidden(scope, messages, userId);
+    await messageHistoryService.attachEdits(scope, messages);
+  } catch (error) {
+    console.warn(`⚠️ Route: Edit details not attached to ${scope} messages:`, error.message);
+  }
+
+  try {
+    await messageReactionService.attachReactions(scope, conversationId, messages, userId);
+  } catch (error) {
+    console.warn(`⚠️ Route: Reactions not attached to ${scope} messages:`, error.message);
+  }
+
+  try {
+    await starredMessageService.attachStarred(scope, messages, userId);
+  } catch (error) {
+    console.warn(`⚠️ Route: Starred flags not attached to ${scope} messages:`, error.message);
+  }
+
+  if (scope === 'group') {
+    try {
+      await mentionService.attachMentions(messages);
+    } catch (error) {
+      console.warn('⚠️ Route: Mentions not attached to group messages:', error.message);
+    }
+  }
+
+  return payload;
+};
+
+/**
+ * The thread or group a message belongs to, or null when the user has no access to it
+ * Threads carry their participant IDs and whether a block relation silences the conversation
+ */
+const getMessageConversation = async (scope, conversationId, user, userToken) => {
+  if (scope === 'group') {
+    const hasAccess = await customChatServiceInstance.isGroupMember(conversationId, user.id, userToken)
+      || await permissionService.can(user, 'group:manage', conversationId);
+    return hasAccess ? { scope, conversationId, participantIds: [], blocked: false } : null;
+  }
+
+  const participants = await chatService.getChatParticipants(conversationId, userToken);
+  const participantIds = participants
+    .map(participant => participant && typeof participant === 'object' ? participant.id ?? participant.user_id : participant)
+    .filter(id => id != null);
+  if (!participantIds.some(id => String(id) === String(user.id))) return null;
+
+  return {
+    scope,
+    conversationId,
+    participantIds,
+    blocked: await blockService.isConversationBlocked(user.id, participantIds)
+  };
+};
+
+// Tell everyone in the conversation about a reaction change; returns the message's new reaction summary
+const broadcastReaction = async (req, conversation, messageId, emoji, action) => {
+  const reactions = await messageReactionService.getSummary(conversation.scope, conversation.conversationId, messageId);
+  if (conversation.blocked) return reactions;
+
+  req.app.get('chatHandler').emitToConversation(conversation, 'message_reaction', {
+    scope: conversation.scope,
+    ...(conversation.scope === 'group' ? { groupId: conversation.conversationId } : { chatId: conversation.conversationId }),
+    messageId,
+    userId: req.user.id,
+    emoji,
+    action,
+    reactions,
+    timestamp: new Date().toISOString()
+  });
+  return reactions;
+};
+
+// Reactions, stars, pins, mentions and "deleted for me" flags of deleted messages are dropped best effort
+// (the deletion itself already succeeded); edit history is kept for moderation
+const dropMessageDetails = async (scope, { messageIds = null, conversationId = null }) => {
+  for (const service of [messageReactionService, starredMessageService, messageHistoryService, pinnedMessageService, mentionService]) {
+    try {
+      if (messageIds) {
+        await service.removeMessages(scope, messageIds);
+      } else {
+        await service.removeConversation(scope, conversationId);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Route: Details of deleted ${scope} messages not removed:`, error.message);
+    }
+  }
+};
+
+const getMessageSenderId = (message) => message?.sender_id ?? message?.user_id ?? null;
+
+const getMessageSentAt = (message) => message?.date_sent ?? message?.created_at ?? null;
+
+const getMessageType = (message) => message?.message_type ?? message?.type ?? null;
+
+const getMessageContent = (message) => {
+  const content = message?.message ?? message?.content ?? null;
+  return content && typeof content === 'object' ? content.raw ?? content.rendered ?? null : content;
+};
+
+// Look a message up in the newest pages of its thread or group (WordPress has no single-message endpoint)
+const findMessage = async (scope, conversationId, messageId, userToken, pages = MESSAGE_LOOKUP_PAGES) => {
+  for (let page = 1; page <= pages; page++) {
+    const messages = getMessageList(scope === 'group'
+      ? await customChatServiceInstance.getGroupMessages(conversationId, page, MESSAGE_LOOKUP_PAGE_SIZE, userToken)
+      : await customChatServiceInstance.getChatMessages(conversationId, page, MESSAGE_LOOKUP_PAGE_SIZE, userToken));
+
+    const message = messages.find(entry => String(entry?.id) === String(messageId));
+    if (message) return message;
+    if (messages.length < MESSAGE_LOOKUP_PAGE_SIZE) break;
+  }
+  return null;
+};
+
+/**
+ * Why the user may not delete a message for everyone, or null when allowed
+ * Group admins moderate without a time limit; senders can within the delete window
+ */
+const getDeleteForEveryoneError = async (scope, conversationId, messageId, user, userToken) => {
+  if (scope === 'group' && await permissionService.can(user, 'group:manage', conversationId)) return null;
+
+  const message = await findMessage(scope, conversationId, messageId, userToken);
+  if (message && String(getMessageSenderId(message)) !== String(user.id)) {
+    return 'Only the sender can delete this message for everyone';
+  }
+  if (!message || !messageHistoryService.canDeleteForEveryone(getMessageSentAt(message))) {
+    return `Messages can only be deleted for everyone within ${messageHistoryService.deleteWindowMinutes} minutes of sending`;
+  }
+  return null;
+};
+
+/**
+ * Tell clients a message was deleted so they can update it in place
+ * Deleted for everyone: a tombstone goes to the whole conversation; deleted for me: only to the user's devices
+ */
+const broadcastMessageDeleted = (req, conversation, messageId, forEveryone) => {
+  const deletedAt = new Date().toISOString();
+  const target = forEveryone ? conversation : { participantIds: [req.user.id] };
+
+  req.app.get('chatHandler').emitToConversation(target, 'message_deleted', {
+    scope: conversation.scope,
+    ...(conversation.scope === 'group' ? { groupId: conversation.conversationId } : { chatId: conversation.conversationId }),
+    messageId: parseInt(messageId),
+    deletedBy: req.user.id,
+    deletedFor: forEveryone ? 'everyone' : 'me',
+    tombstone: forEveryone ? { id: parseInt(messageId), deleted: true, message: null, deleted_at: deletedAt } : null,
+    timestamp: deletedAt
+  });
+};
+
+/**
+ * Pin a message of a thread or group and tell the conversation (group_message_pinned / message_pinned)
+ * Answers the request; in a thread silenced by a block the pin is accepted but not kept
+ */
+const pinMessage = async (req, res, conversation, messageId) => {
+  const userToken = req.headers.authorization?.replace('Bearer ', '');
+  const { scope, conversationId } = conversation;
+
+  const message = await findMessage(scope, conversationId, messageId, userToken);
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      message: 'Message not found'
+    });
+  }
+
+  const pinData = {
+    scope,
+    conversationId,
+    messageId,
+    senderId: getMessageSenderId(message),
+    message: getMessageContent(message),
+    pinnedBy: req.user.user_id,
+    expiresAt: req.body.expiresAt || null
+  };
+
+  if (conversation.blocked) {
+    return res.json({
+      success: true,
+      data: { messageId: parseInt(messageId), senderId: pinData.senderId, message: pinData.message, pinnedBy: pinData.pinnedBy, pinnedAt: new Date(), expiresAt: pinData.expiresAt },
+      message: 'Message pinned'
+    });
+  }
+
+  const pin = await pinnedMessageService.pin(pinData);
+  if (!pin) {
+    return res.status(400).json({
+      success: false,
+      message: `At most ${pinnedMessageService.maxPins} messages can be pinned; unpin one first`
+    });
+  }
+
+  req.app.get('chatHandler').emitToConversation(conversation, scope === 'group' ? 'group_message_pinned' : 'message_pinned', {
+    ...(scope === 'group' ? { groupId: conversationId } : { chatId: conversationId }),
+    pin,
+    timestamp: new Date().toISOString()
+  });
+
+  res.json({
+    success: true,
+    data: pin,
+    message: 'Message pinned'
+  });
+};
+
+// Unpin a message and tell the conversation (group_message_unpinned / message_unpinned)
+const unpinMessage = async (req, conversation, messageId) => {
+  const { scope, conversationId } = conversation;
+  if (conversation.blocked) return;
+
+  const removed = await pinnedMessageService.unpin(scope, conversationId, messageId);
+  if (!removed) return;
+
+  req.app.get('chatHandler').emitToConversation(conversation, scope === 'group' ? 'group_message_unpinned' : 'message_unpinned', {
+    ...(scope === 'group' ? { groupId: conversationId } : { chatId: conversationId }),
+    messageId: parseInt(messageId),
+    unpinnedBy: req.user.user_id,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const getSavedMessageId = (result) => result?.id ?? result?.message_id ?? result?.data?.id ?? null;
+
+/**
+ * Store the mentions of a group message just sent and send mention_received to each mentioned user
+ * Best effort (the message is already sent); users with a block relation to the sender are not notified.
+ * Returns the mention entities.
+ */
+const processGroupMentions = async (req, groupId, savedMessage, text, userToken) => {
+  const messageId = getSavedMessageId(savedMessage);
+  if (!messageId || !text) return [];
+
+  try {
+    const senderIsAdmin = await permissionService.can(req.user, 'group:manage', groupId);
+    const { entities, recipients } = await mentionService.resolve({
+      groupId,
+      text,
+      senderId: req.user.user_id,
+      senderIsAdmin,
+      token: userToken
+    });
+    if (entities.length === 0) return [];
+
+    const hidden = await blockService.getHiddenUserIds(req.user.user_id);
+    const notified = recipients.filter(recipient => !hidden.has(String(recipient.userId)));
+    await mentionService.record({ groupId, messageId, senderId: req.user.user_id, text, entities, recipients: notified });
+
+    const chatHandler = req.app.get('chatHandler');
+    const timestamp = new Date().toISOString();
+    notified.forEach(recipient => {
+      chatHandler.emitToConversation({ participantIds: [recipient.userId] }, 'mention_received', {
+        groupId,
+        messageId,
+        senderId: req.user.user_id,
+        senderName: req.user.displayName,
+        type: recipient.type,
+        message: text.slice(0, 200),
+        timestamp
+      });
+    });
+
+    return entities;
+  } catch (error) {
+    console.warn(`⚠️ Route: Mentions of group message ${messageId} not processed:`, error.message);
+    return [];
+  }
+};
+
+// The thread of a private message, searched in the newest page of the user's most recent threads
+// (for clients that star without sending the thread id)
+const findMessageThread = async (userId, messageId, userToken) => {
+  const threads = getMessageList(await customChatServiceInstance.getUserChats(userId, 1, 20, userToken));
+  for (const thread of threads) {
+    const threadId = thread?.id ?? thread?.thread_id;
+    if (threadId && await findMessage('thread', threadId, messageId, userToken, 1)) return threadId;
+  }
+  return null;
+};
+
+/**
+ * Star or unstar a message from a POST .../star request body
+ * The starred copy (sender, type, preview, sent time) is taken from the message in the conversation;
+ * returns false when the message to star is not found there
+ */
+const updateStar = async (req, scope, conversationId, messageId) => {
+  const userId = req.user.user_id;
+
+  if (!req.body.starred) {
+    await starredMessageService.unstar({ userId, scope, messageId });
+    return true;
+  }
+
+  const userToken = req.headers.authorization?.replace('Bearer ', '');
+  const message = await findMessage(scope, conversationId, messageId, userToken);
+  if (!message) return false;
+
+  await starredMessageService.star({
+    userId,
+    scope,
+    conversationId,
+    messageId,
+    senderId: getMessageSenderId(message),
+    messageType: getMessageType(message),
+    message: getMessageContent(message),
+    sentAt: getMessageSentAt(message)
+  });
+  return true;
+};
+
 // Status management - Delete status
-    router.delete('/status/:statusId', async (req, res) => {
+    router.delete('/status/:statusId', requirePermission('chat:use'), async (req, res) => {
       try {
         const { statusId } = req.params;
         const userId = req.user.user_id;
@@ -51,7 +453,7 @@ router.use(handleUploadError);
     });
 
     // Status analytics - Get comprehensive stats
-    router.get('/status/:statusId/analytics', async (req, res) => {
+    router.get('/status/:statusId/analytics', requirePermission('chat:use'), async (req, res) => {
       try {
         const { statusId } = req.params;
         const userId = req.user.user_id;
@@ -72,7 +474,7 @@ router.use(handleUploadError);
     });
 
     // Status viewers - Get detailed viewer list
-    router.get('/status/:statusId/viewers', async (req, res) => {
+    router.get('/status/:statusId/viewers', requirePermission('chat:use'), async (req, res) => {
       try {
         const { statusId } = req.params;
         const userId = req.user.user_id;
@@ -93,7 +495,7 @@ router.use(handleUploadError);
     });
 
     // Message search - Search within messages (uses BuddyBoss first, WordPress fallback)
-    router.get('/search/messages', async (req, res) => {
+    router.get('/search/messages', requirePermission('chat:use'), async (req, res) => {
       try {
         const { query, thread_id, limit = 20 } = req.query;
         const userId = req.user.user_id;
@@ -106,7 +508,11 @@ router.use(handleUploadError);
           });
         }
 
-        const results = await customChatServiceInstance.searchMessages(userId, query.trim(), thread_id, parseInt(limit), userToken);
+        const results = await blockService.filterUsers(
+          userId,
+          await customChatServiceInstance.searchMessages(userId, query.trim(), thread_id, parseInt(limit), userToken),
+          message => message.sender_id ?? message.user_id
+        );
 
         res.json({
           success: true,
@@ -122,7 +528,7 @@ router.use(handleUploadError);
     });
 
     // Global search - Search across all chat content (matches WordPress plugin)
-    router.get('/search/global', async (req, res) => {
+    router.get('/search/global', requirePermission('chat:use'), async (req, res) => {
       try {
         const { query, limit = 50 } = req.query;
         const userId = req.user.user_id;
@@ -134,7 +540,11 @@ router.use(handleUploadError);
           });
         }
 
-        const results = await customChatServiceInstance.globalSearch(userId, query.trim(), parseInt(limit));
+        const results = await blockService.filterUsers(
+          userId,
+          await customChatServiceInstance.globalSearch(userId, query.trim(), parseInt(limit)),
+          message => message.sender_id ?? message.user_id
+        );
 
         res.json({
           success: true,
@@ -150,9 +560,10 @@ router.use(handleUploadError);
     });
 
     // Search recipients - Find users to message (uses BuddyBoss first, WordPress fallback)
-    router.get('/search/recipients', async (req, res) => {
+    router.get('/search/recipients', requirePermission('chat:use'), async (req, res) => {
       try {
         const { query, limit = 20 } = req.query;
+        const userId = req.user.user_id;
         const userToken = req.headers.authorization?.replace('Bearer ', '');
 
         if (!query || query.trim().length === 0) {
@@ -166,7 +577,11 @@ router.use(handleUploadError);
 
         res.json({
           success: true,
-          data: Array.isArray(results) ? results : (results.data || [])
+          // Deactivated accounts and users with a block relation are hidden
+          data: await blockService.filterUsers(
+            userId,
+            await accountLifecycleService.filterActiveUsers(Array.isArray(results) ? results : (results.data || []))
+          )
         });
       } catch (error) {
         console.error('Error searching recipients:', error);
@@ -178,7 +593,7 @@ router.use(handleUploadError);
     });
 
     // Chat management - Delete chat permanently
-    router.delete('/chats/:chatId', async (req, res) => {
+    router.delete('/chats/:chatId', requirePermission('chat:use'), async (req, res) => {
       try {
         const { chatId } = req.params;
         const userId = req.user.user_id;
@@ -205,7 +620,7 @@ router.use(handleUploadError);
  * POST /messages/send - Primary endpoint for private messaging
  * Supports creating new threads or sending to existing threads
  */
-router.post('/messages/send', [
+router.post('/messages/send', requirePermission('chat:use'), [
   body('message').optional().isString().withMessage('Message must be a string'),
   body('threadId').optional().isNumeric().withMessage('Thread ID must be a number'),
   body('chatId').optional().isNumeric().withMessage('Chat ID must be a number'),
@@ -245,7 +660,9 @@ router.post('/messages/send', [
     };
 
     // Use enhanced chat service (custom implementation only)
-    const result = await customChatServiceInstance.sendMessage(messageData);
+    const result = await blockService.isMessageBlocked(userId, messageData, userToken)
+      ? droppedMessage(messageData)
+      : await customChatServiceInstance.sendMessage(messageData);
 
     res.json({
       success: true,
@@ -267,7 +684,7 @@ router.post('/messages/send', [
  * POST /chats - Mobile compatibility endpoint for private messaging
  * Same functionality as /messages/send
  */
-router.post('/chats', [
+router.post('/chats', requirePermission('chat:use'), [
   body('message').optional().isString().withMessage('Message must be a string'),
   body('threadId').optional().isNumeric().withMessage('Thread ID must be a number'),
   body('chatId').optional().isNumeric().withMessage('Chat ID must be a number'),
@@ -305,7 +722,9 @@ router.post('/chats', [
     };
 
     // Use enhanced chat service (custom implementation only)
-    const result = await customChatServiceInstance.sendMessage(messageData);
+    const result = await blockService.isMessageBlocked(userId, messageData, userToken)
+      ? droppedMessage(messageData)
+      : await customChatServiceInstance.sendMessage(messageData);
 
     res.json({
       success: true,
@@ -326,7 +745,7 @@ router.post('/chats', [
  * PRIVATE CHAT: Update thread properties
  * PATCH /messages/{id} - Update thread subject or other properties
  */
-router.patch('/messages/:threadId', [
+router.patch('/messages/:threadId', requirePermission('chat:use'), [
   body('subject').optional().isString().withMessage('Subject must be a string')
 ], async (req, res) => {
   try {
@@ -355,7 +774,7 @@ router.patch('/messages/:threadId', [
  * PRIVATE CHAT: Delete entire conversation thread
  * DELETE /messages/{id} - Permanently delete private conversation and all messages
  */
-router.delete('/messages/:threadId', async (req, res) => {
+router.delete('/messages/:threadId', requirePermission('chat:use'), async (req, res) => {
   try {
     const { threadId } = req.params;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
@@ -379,21 +798,61 @@ router.delete('/messages/:threadId', async (req, res) => {
 
 /**
  * PRIVATE CHAT: Star/unstar individual message
- * POST /messages/{id}/star - Toggle starred status for private messages
+ * POST /messages/{id}/star - Set starred status for the current user
+ * Body: { starred, threadId? } (without threadId the message is looked up in the user's recent threads)
  */
-router.post('/messages/:messageId/star', [
+router.post('/messages/:messageId/star', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  body('threadId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Invalid thread ID'),
   body('starred').isBoolean().withMessage('Starred must be a boolean')
 ], async (req, res) => {
   try {
-    const { messageId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const messageId = parseInt(req.params.messageId);
     const { starred } = req.body;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
 
-    const result = await customChatServiceInstance.starMessage(messageId, starred, userToken);
+    // Unstarring only touches the user's own starred copy
+    if (!starred && !req.body.threadId) {
+      await starredMessageService.unstar({ userId: req.user.user_id, scope: 'thread', messageId });
+      return res.json({
+        success: true,
+        data: { messageId, starred: false },
+        message: 'Message unstarred'
+      });
+    }
+
+    const threadId = req.body.threadId || await findMessageThread(req.user.user_id, messageId, userToken);
+    if (!threadId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const conversation = await getMessageConversation('thread', threadId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this chat');
+    }
+
+    if (!(await updateStar(req, 'thread', threadId, messageId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: result,
+      data: { messageId, starred: !!starred },
       message: starred ? 'Message starred' : 'Message unstarred'
     });
   } catch (error) {
@@ -407,13 +866,16 @@ router.post('/messages/:messageId/star', [
 });
 
 /**
- * GROUP CHAT: Create group message 
- * POST /messages/group - Create new group conversation with multiple recipients
+ * Starred messages across all private and group chats (newest star first)
+ * GET /starred?page=&per_page=&scope=thread|group&chat_id=&sender_id=&type=
  */
-router.post('/messages/group', [
-  body('recipients').isArray().withMessage('Recipients must be an array'),
-  body('message').isString().withMessage('Message is required'),
-  body('subject').optional().isString().withMessage('Subject must be a string')
+router.get('/starred', requirePermission('chat:use'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('per_page').optional().isInt({ min: 1, max: 100 }).withMessage('Per page must be between 1 and 100'),
+  query('scope').optional().isIn(['thread', 'group']).withMessage('Scope must be thread or group'),
+  query('chat_id').optional().isInt({ min: 1 }).withMessage('Invalid chat ID'),
+  query('sender_id').optional().isInt({ min: 1 }).withMessage('Invalid sender ID'),
+  query('type').optional().isString().isLength({ max: 32 }).withMessage('Invalid message type')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -425,175 +887,473 @@ router.post('/messages/group', [
       });
     }
 
-    const { recipients, message, subject } = req.body;
-    const userToken = req.headers.authorization?.replace('Bearer ', '');
+    const page = parseInt(req.query.page) || 1;
+    const perPage = parseInt(req.query.per_page) || 20;
+    const { scope, chat_id, sender_id, type } = req.query;
 
-    const result = await customChatServiceInstance.createGroupMessage({
-      recipients,
-      message,
-      subject: subject || 'Group Message',
-      userToken
+    const { messages, total } = await starredMessageService.list(req.user.user_id, {
+      scope,
+      conversationId: chat_id,
+      senderId: sender_id,
+      messageType: type,
+      limit: perPage,
+      offset: (page - 1) * perPage
     });
 
     res.json({
       success: true,
-      data: result,
-      message: 'Group message created successfully'
+      data: messages,
+      pagination: {
+        page,
+        per_page: perPage,
+        total
+      }
     });
   } catch (error) {
-    console.error('Error creating group message:', error);
+    console.error('Error fetching starred messages:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create group message',
+      message: 'Failed to fetch starred messages',
       error: error.message
     });
   }
 });
 
 /**
- * PRIVATE CHAT: Mark conversation as read
- * POST /messages/action/{id} - Mark private conversation thread as read/unread
+ * Mentions inbox: group messages that mention the current user (newest first)
+ * GET /mentions?page=&per_page=&group_id=&unread=true
  */
-router.post('/messages/action/:threadId', [
-  body('action').isIn(['read', 'unread']).withMessage('Action must be read or unread')
+router.get('/mentions', requirePermission('chat:use'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('per_page').optional().isInt({ min: 1, max: 100 }).withMessage('Per page must be between 1 and 100'),
+  query('group_id').optional().isInt({ min: 1 }).withMessage('Invalid group ID'),
+  query('unread').optional().isBoolean().withMessage('Unread must be a boolean')
 ], async (req, res) => {
   try {
-    const { threadId } = req.params;
-    const { action } = req.body;
-    const userId = req.user.user_id;
-    const userToken = req.headers.authorization?.replace('Bearer ', '');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    await customChatServiceInstance.markThreadRead(threadId, userId, userToken);
+    const page = parseInt(req.query.page) || 1;
+    const perPage = parseInt(req.query.per_page) || 20;
+
+    const { mentions, total, unread } = await mentionService.getInbox(req.user.user_id, {
+      groupId: req.query.group_id,
+      unreadOnly: req.query.unread === 'true',
+      limit: perPage,
+      offset: (page - 1) * perPage
+    });
 
     res.json({
       success: true,
-      message: `Messages marked as ${action}`
+      data: mentions,
+      unread,
+      pagination: {
+        page,
+        per_page: perPage,
+        total
+      }
     });
   } catch (error) {
-    console.error('Error performing message action:', error);
+    console.error('Error fetching mentions:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to perform message action',
+      message: 'Failed to fetch mentions',
       error: error.message
     });
   }
 });
 
 /**
- * PRIVATE CHAT: Mark specific message as read
- * POST /messages/mark-read - Alternative endpoint to mark messages as read
+ * Mark mentions as read
+ * POST /mentions/read - { mentionIds? } (all of the user's mentions when omitted)
  */
-router.post('/messages/mark-read', [
-  body('messageId').optional().isNumeric().withMessage('Message ID must be a number'),
-  body('chatId').optional().isNumeric().withMessage('Chat ID must be a number'),
-  body('threadId').optional().isNumeric().withMessage('Thread ID must be a number')
+router.post('/mentions/read', requirePermission('chat:use'), [
+  body('mentionIds').optional().isArray().withMessage('Mention IDs must be an array'),
+  body('mentionIds.*').optional().isInt({ min: 1 }).withMessage('Invalid mention ID')
 ], async (req, res) => {
   try {
-    const { messageId, chatId, threadId } = req.body;
-    const userId = req.user.user_id;
-    const userToken = req.headers.authorization?.replace('Bearer ', '');
-
-    // Use threadId if provided, otherwise use chatId as threadId
-    const targetThreadId = threadId || chatId;
-
-    if (!targetThreadId) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Either threadId or chatId is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    await customChatServiceInstance.markMessageRead(targetThreadId, userId, userToken);
+    const updated = await mentionService.markRead(req.user.user_id, req.body.mentionIds);
 
     res.json({
       success: true,
-      message: 'Message marked as read',
-      data: {
-        messageId,
-        chatId,
-        threadId: targetThreadId
-      }
+      data: { updated }
     });
   } catch (error) {
-    console.error('Error marking message as read:', error);
+    console.error('Error marking mentions read:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to mark message as read',
+      message: 'Failed to mark mentions as read',
       error: error.message
     });
   }
 });
 
-// Validation middleware
-const validateMessage = [
-  body('chat_id').isNumeric().withMessage('Chat ID must be a number'),
-  body('message').optional().isString().withMessage('Message must be a string'),
-  body('message_type').isIn(['text', 'image', 'video', 'audio', 'document']).withMessage('Invalid message type'),
-  body('reply_to').optional().isNumeric().withMessage('Reply to must be a number')
-];
-
 /**
- * PRIVATE CHAT: Get messages from conversation
- * GET /messages - Retrieve message history from private conversations
- * Supports pagination and filtering
+ * PRIVATE CHAT: Reactions on a message
+ * GET /messages/{id}/reactions?threadId= - Reactions grouped per emoji
  */
-router.get('/messages', async (req, res) => {
+router.get('/messages/:messageId/reactions', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  query('threadId').isInt({ min: 1 }).withMessage('Thread ID is required')
+], async (req, res) => {
   try {
-    const { chatId, threadId, page = 1, limit = 40, before } = req.query;
-    const userId = req.user.user_id;
-    const userToken = req.headers.authorization?.replace('Bearer ', '');
-
-    // Use threadId if provided, otherwise use chatId
-    const targetChatId = threadId || chatId;
-
-    if (!targetChatId) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Either chatId or threadId parameter is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const messages = await customChatServiceInstance.getChatMessages(targetChatId, page, limit, userToken, before);
+    const { messageId } = req.params;
+    const { threadId } = req.query;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const conversation = await getMessageConversation('thread', threadId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this chat');
+    }
+
+    const reactions = await messageReactionService.getSummary('thread', threadId, messageId);
 
     res.json({
       success: true,
-      data: messages,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        chatId: targetChatId,
-        before: before || null
-      }
+      data: { messageId: parseInt(messageId), reactions }
     });
   } catch (error) {
-    console.error('Error fetching messages:', error);
+    console.error('Error fetching message reactions:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch messages',
+      message: 'Failed to fetch reactions',
       error: error.message
     });
   }
 });
 
 /**
- * PRIVATE CHAT: Get user's conversation list
- * GET /chats - Retrieve list of all private conversations for user
+ * PRIVATE CHAT: React to a message
+ * POST /messages/{id}/reactions - Add an emoji reaction ({ threadId, emoji })
  */
-router.get('/chats', async (req, res) => {
+router.post('/messages/:messageId/reactions', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  body('threadId').isInt({ min: 1 }).withMessage('Thread ID is required'),
+  body('emoji').trim().isLength({ min: 1, max: 32 }).withMessage('Emoji must be 1-32 characters')
+], async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const userId = req.user.user_id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const messageId = parseInt(req.params.messageId);
+    const { threadId, emoji } = req.body;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
 
-    const chats = await customChatServiceInstance.getUserChats(userId, parseInt(page), parseInt(limit), userToken);
+    const conversation = await getMessageConversation('thread', threadId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this chat');
+    }
 
-    res.json({
-      success: true,
-      data: chats,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit)
-      }
+    if (!(await findMessage('thread', threadId, messageId, userToken))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    // In a conversation silenced by a block the reaction is accepted but not kept
+    if (!conversation.blocked) {
+      const added = await messageReactionService.addReaction({
+        scope: 'thread',
+        conversationId: threadId,
+        messageId,
+        userId: req.user.user_id,
+        emoji
+      });
+      if (!added) {
+        return res.status(400).json({
+          success: false,
+          message: `You can add at most ${messageReactionService.maxPerUser} reactions to a message`
+        });
+      }
+    }
+
+    const reactions = await broadcastReaction(req, conversation, messageId, emoji, 'added');
+
+    res.json({
+      success: true,
+      data: { messageId, reactions },
+      message: 'Reaction added'
+    });
+  } catch (error) {
+    console.error('Error adding message reaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add reaction',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PRIVATE CHAT: Remove a reaction
+ * DELETE /messages/{id}/reactions/{emoji}?threadId= - Remove the user's emoji reaction
+ */
+router.delete('/messages/:messageId/reactions/:emoji', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  query('threadId').isInt({ min: 1 }).withMessage('Thread ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const messageId = parseInt(req.params.messageId);
+    const { emoji } = req.params;
+    const { threadId } = req.query;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const conversation = await getMessageConversation('thread', threadId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this chat');
+    }
+
+    await messageReactionService.removeReaction({ scope: 'thread', conversationId: threadId, messageId, userId: req.user.user_id, emoji });
+    const reactions = await broadcastReaction(req, conversation, messageId, emoji, 'removed');
+
+    res.json({
+      success: true,
+      data: { messageId, reactions },
+      message: 'Reaction removed'
+    });
+  } catch (error) {
+    console.error('Error removing message reaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove reaction',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GROUP CHAT: Create group message 
+ * POST /messages/group - Create new group conversation with multiple recipients
+ */
+router.post('/messages/group', requirePermission('chat:use'), [
+  body('recipients').isArray().withMessage('Recipients must be an array'),
+  body('message').isString().withMessage('Message is required'),
+  body('subject').optional().isString().withMessage('Subject must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { recipients, message, subject } = req.body;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const result = await customChatServiceInstance.createGroupMessage({
+      recipients,
+      message,
+      subject: subject || 'Group Message',
+      userToken
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Group message created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating group message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group message',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PRIVATE CHAT: Mark conversation as read
+ * POST /messages/action/{id} - Mark private conversation thread as read/unread
+ */
+router.post('/messages/action/:threadId', requirePermission('chat:use'), [
+  body('action').isIn(['read', 'unread']).withMessage('Action must be read or unread')
+], async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const { action } = req.body;
+    const userId = req.user.user_id;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    await customChatServiceInstance.markThreadRead(threadId, userId, userToken);
+
+    res.json({
+      success: true,
+      message: `Messages marked as ${action}`
+    });
+  } catch (error) {
+    console.error('Error performing message action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to perform message action',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PRIVATE CHAT: Mark specific message as read
+ * POST /messages/mark-read - Alternative endpoint to mark messages as read
+ */
+router.post('/messages/mark-read', requirePermission('chat:use'), [
+  body('messageId').optional().isNumeric().withMessage('Message ID must be a number'),
+  body('chatId').optional().isNumeric().withMessage('Chat ID must be a number'),
+  body('threadId').optional().isNumeric().withMessage('Thread ID must be a number')
+], async (req, res) => {
+  try {
+    const { messageId, chatId, threadId } = req.body;
+    const userId = req.user.user_id;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    // Use threadId if provided, otherwise use chatId as threadId
+    const targetThreadId = threadId || chatId;
+
+    if (!targetThreadId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either threadId or chatId is required'
+      });
+    }
+
+    await customChatServiceInstance.markMessageRead(targetThreadId, userId, userToken);
+
+    res.json({
+      success: true,
+      message: 'Message marked as read',
+      data: {
+        messageId,
+        chatId,
+        threadId: targetThreadId
+      }
+    });
+  } catch (error) {
+    console.error('Error marking message as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark message as read',
+      error: error.message
+    });
+  }
+});
+
+// Validation middleware
+const validateMessage = [
+  body('chat_id').isNumeric().withMessage('Chat ID must be a number'),
+  body('message').optional().isString().withMessage('Message must be a string'),
+  body('message_type').isIn(['text', 'image', 'video', 'audio', 'document']).withMessage('Invalid message type'),
+  body('reply_to').optional().isNumeric().withMessage('Reply to must be a number')
+];
+
+/**
+ * PRIVATE CHAT: Get messages from conversation
+ * GET /messages - Retrieve message history from private conversations
+ * Supports pagination and filtering
+ */
+router.get('/messages', requirePermission('chat:use'), async (req, res) => {
+  try {
+    const { chatId, threadId, page = 1, limit = 40, before } = req.query;
+    const userId = req.user.user_id;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    // Use threadId if provided, otherwise use chatId
+    const targetChatId = threadId || chatId;
+
+    if (!targetChatId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either chatId or threadId parameter is required'
+      });
+    }
+
+    const messages = await attachMessageDetails(
+      'thread',
+      targetChatId,
+      await customChatServiceInstance.getChatMessages(targetChatId, page, limit, userToken, before),
+      userId
+    );
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        chatId: targetChatId,
+        before: before || null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch messages',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PRIVATE CHAT: Get user's conversation list
+ * GET /chats - Retrieve list of all private conversations for user
+ */
+router.get('/chats', requirePermission('chat:use'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const userId = req.user.user_id;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const chats = await customChatServiceInstance.getUserChats(userId, parseInt(page), parseInt(limit), userToken);
+
+    res.json({
+      success: true,
+      data: chats,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
     });
   } catch (error) {
     console.error('Error fetching chats:', error);
@@ -605,7 +1365,7 @@ router.get('/chats', async (req, res) => {
 });
 
 // Send message (POST /chats) - Core messaging endpoint
-router.post('/chats', async (req, res) => {
+router.post('/chats', requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
@@ -625,7 +1385,9 @@ router.post('/chats', async (req, res) => {
       userToken
     };
 
-    const result = await customChatServiceInstance.sendMessage(messageData);
+    const result = await blockService.isMessageBlocked(userId, messageData, userToken)
+      ? droppedMessage(messageData)
+      : await customChatServiceInstance.sendMessage(messageData);
 
     res.json({
       success: true,
@@ -641,7 +1403,7 @@ router.post('/chats', async (req, res) => {
 });
 
 // Send message (POST /messages/send) - Alternative endpoint
-router.post('/messages/send', async (req, res) => {
+router.post('/messages/send', requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
@@ -661,7 +1423,9 @@ router.post('/messages/send', async (req, res) => {
       userToken
     };
 
-    const result = await customChatServiceInstance.sendMessage(messageData);
+    const result = await blockService.isMessageBlocked(userId, messageData, userToken)
+      ? droppedMessage(messageData)
+      : await customChatServiceInstance.sendMessage(messageData);
 
     res.json({
       success: true,
@@ -680,7 +1444,7 @@ router.post('/messages/send', async (req, res) => {
  * PRIVATE CHAT: Send message to specific conversation
  * POST /chats/:chatId/messages - Send message to existing private conversation by chat ID
  */
-router.post('/chats/:chatId/messages', [
+router.post('/chats/:chatId/messages', requirePermission('chat:use'), [
   body('message').optional().isString().withMessage('Message must be a string'),
   body('message_type').optional().isIn(['text', 'image', 'video', 'audio', 'document']).withMessage('Invalid message type'),
   body('mediaUrl').optional().isURL().withMessage('Media URL must be valid'),
@@ -715,7 +1479,9 @@ router.post('/chats/:chatId/messages', [
       userToken
     };
 
-    const result = await customChatServiceInstance.sendMessage(messageData);
+    const result = await blockService.isMessageBlocked(userId, messageData, userToken)
+      ? droppedMessage(messageData)
+      : await customChatServiceInstance.sendMessage(messageData);
 
     res.json({
       success: true,
@@ -736,7 +1502,7 @@ router.post('/chats/:chatId/messages', [
  * PRIVATE CHAT: Get messages from specific conversation  
  * GET /chats/:chatId/messages - Retrieve messages from private conversation by chat ID
  */
-router.get('/chats/:chatId/messages', async (req, res) => {
+router.get('/chats/:chatId/messages', requirePermission('chat:use'), async (req, res) => {
   try {
     const { chatId } = req.params;
     const { page = 1, limit = 50 } = req.query;
@@ -746,13 +1512,15 @@ router.get('/chats/:chatId/messages', async (req, res) => {
     // Verify user has access to chat
     const hasAccess = await customChatServiceInstance.verifyUserAccess(userId, chatId);
     if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this chat'
-      });
+      return sendForbidden(res, null, 'Access denied to this chat');
     }
 
-    const messages = await customChatServiceInstance.getChatMessages(chatId, page, limit, userToken);
+    const messages = await attachMessageDetails(
+      'thread',
+      chatId,
+      await customChatServiceInstance.getChatMessages(chatId, page, limit, userToken),
+      userId
+    );
 
     res.json({
       success: true,
@@ -773,19 +1541,54 @@ router.get('/chats/:chatId/messages', async (req, res) => {
 
 /**
  * PRIVATE CHAT: Delete message from conversation
- * DELETE /chats/:chatId/messages/:messageId - Delete specific message from private conversation
+ * DELETE /chats/:chatId/messages/:messageId?for=me|everyone - Hide the message for the user, or delete it
+ * for everyone (default; the sender only, within the delete window)
  */
-router.delete('/chats/:chatId/messages/:messageId', async (req, res) => {
+router.delete('/chats/:chatId/messages/:messageId', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  query('for').optional().isIn(['me', 'everyone']).withMessage('Delete for must be me or everyone')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { chatId, messageId } = req.params;
+    const deleteFor = req.query.for || 'everyone';
     const userToken = req.headers.authorization?.replace('Bearer ', '');
 
-    const result = await customChatServiceInstance.deleteMessage(messageId, chatId, userToken);
+    const conversation = await getMessageConversation('thread', chatId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this chat');
+    }
 
-    res.json({
-      success: true,
-      data: result
-    });
+    if (deleteFor === 'me') {
+      await messageHistoryService.hideForUser({ userId: req.user.user_id, scope: 'thread', conversationId: chatId, messageId });
+      broadcastMessageDeleted(req, conversation, messageId, false);
+      return res.json({
+        success: true,
+        data: { messageId: parseInt(messageId), deletedFor: 'me' }
+      });
+    }
+
+    const deleteError = await getDeleteForEveryoneError('thread', chatId, messageId, req.user, userToken);
+    if (deleteError) {
+      return sendForbidden(res, null, deleteError);
+    }
+
+    const result = await customChatServiceInstance.deleteMessage(messageId, chatId, userToken);
+    await dropMessageDetails('thread', { messageIds: [messageId] });
+    broadcastMessageDeleted(req, conversation, messageId, true);
+
+    res.json({
+      success: true,
+      data: result
+    });
   } catch (error) {
     console.error('Delete private message error:', error);
     res.status(500).json({
@@ -795,10 +1598,108 @@ router.delete('/chats/:chatId/messages/:messageId', async (req, res) => {
     });
   }
 });
+
+/**
+ * PRIVATE CHAT: Pinned messages of a conversation
+ * GET /chats/:chatId/pins - Current (not expired) pins, newest first
+ */
+router.get('/chats/:chatId/pins', requirePermission('chat:use'), async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const conversation = await getMessageConversation('thread', chatId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this chat');
+    }
+
+    const pins = await pinnedMessageService.getPins('thread', chatId);
+
+    res.json({
+      success: true,
+      data: pins
+    });
+  } catch (error) {
+    console.error('Error fetching pinned messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pinned messages',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PRIVATE CHAT: Pin a message
+ * POST /chats/:chatId/messages/:messageId/pin - Pin for both participants ({ expiresAt? })
+ */
+router.post('/chats/:chatId/messages/:messageId/pin', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { chatId, messageId } = req.params;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const conversation = await getMessageConversation('thread', chatId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this chat');
+    }
+
+    await pinMessage(req, res, conversation, messageId);
+  } catch (error) {
+    console.error('Error pinning message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pin message',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PRIVATE CHAT: Unpin a message
+ * DELETE /chats/:chatId/messages/:messageId/pin
+ */
+router.delete('/chats/:chatId/messages/:messageId/pin', requirePermission('chat:use'), async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const conversation = await getMessageConversation('thread', chatId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this chat');
+    }
+
+    await unpinMessage(req, conversation, messageId);
+
+    res.json({
+      success: true,
+      message: 'Message unpinned'
+    });
+  } catch (error) {
+    console.error('Error unpinning message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unpin message',
+      error: error.message
+    });
+  }
+});
   
 
 // Create new chat
-router.post('/chats/create', [
+router.post('/chats/create', requirePermission('chat:use'), [
   body('participant_ids').isArray().withMessage('Participant IDs must be an array'),
   body('chat_type').isIn(['direct', 'private', 'group']).withMessage('Invalid chat type'),
   body('chat_name').optional().isString().withMessage('Chat name must be a string'),
@@ -820,6 +1721,15 @@ router.post('/chats/create', [
     const userToken = req.headers.authorization?.replace('Bearer ', '');
 
     if (chat_type === 'direct' || chat_type === 'private') {
+      // A private chat with a user with a block relation is never created
+      if (await blockService.isConversationBlocked(userId, [userId, ...participant_ids])) {
+        return res.status(201).json({
+          success: true,
+          data: { id: null, participant_ids, subject: subject || '' },
+          message: 'Private chat created successfully'
+        });
+      }
+
       // For direct/private chats, create a new thread directly
       try {
         const response = await axios.post(
@@ -877,7 +1787,7 @@ router.post('/chats/create', [
 });
 
 // Upload media file
-router.post('/media/upload', trackUploadProgress, mediaUpload, async (req, res) => {
+router.post('/media/upload', requirePermission('chat:use'), trackUploadProgress, mediaUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -936,7 +1846,7 @@ router.post('/media/upload', trackUploadProgress, mediaUpload, async (req, res)
 });
 
 // Upload voice message
-router.post('/voice/upload', trackUploadProgress, voiceUpload, [
+router.post('/voice/upload', requirePermission('chat:use'), trackUploadProgress, voiceUpload, [
   body('duration').isNumeric().withMessage('Duration must be a number'),
   body('userId').isNumeric().withMessage('User ID is required')
 ], async (req, res) => {
@@ -989,7 +1899,7 @@ router.post('/voice/upload', trackUploadProgress, voiceUpload, [
 
 // Enhanced Search Routes
 // Search threads
-router.get('/search/threads', async (req, res) => {
+router.get('/search/threads', requirePermission('chat:use'), async (req, res) => {
   try {
     const { query, limit = 10 } = req.query;
     const userId = req.user.user_id;
@@ -1026,7 +1936,7 @@ router.get('/search/threads', async (req, res) => {
 });
 
 // Get all contacts (all BuddyBoss users) with pagination
-router.get('/contacts/all', async (req, res) => {
+router.get('/contacts/all', requirePermission('chat:use'), async (req, res) => {
   try {
     const { search = '', exclude_friends = false, limit = 50, offset = 0, page = 1 } = req.query;
     const userId = req.user.user_id;
@@ -1035,7 +1945,7 @@ router.get('/contacts/all', async (req, res) => {
     console.log('👥 Server: Getting all contacts for user:', userId);
     console.log('📊 Request params:', { search, limit, offset, page });
 
-    const contacts = await customChatServiceInstance.getAllContacts({
+    const allContacts = await customChatServiceInstance.getAllContacts({
       search,
       excludeFriends: exclude_friends === 'true',
       limit: parseInt(limit),
@@ -1044,6 +1954,7 @@ router.get('/contacts/all', async (req, res) => {
       userId,
       userToken
     });
+    const contacts = await blockService.filterUsers(userId, await accountLifecycleService.filterActiveUsers(allContacts));
 
     res.json({
       success: true,
@@ -1052,7 +1963,7 @@ router.get('/contacts/all', async (req, res) => {
         page: parseInt(page),
         limit: parseInt(limit),
         total: contacts.length,
-        hasMore: contacts.length === parseInt(limit)
+        hasMore: Array.isArray(allContacts) && allContacts.length === parseInt(limit)
       },
       message: 'All contacts retrieved successfully'
     });
@@ -1066,7 +1977,7 @@ router.get('/contacts/all', async (req, res) => {
 });
 
 // Delete chat permanently
-router.delete('/chats/:chatId', async (req, res) => {
+router.delete('/chats/:chatId', requirePermission('chat:use'), async (req, res) => {
   try {
     const { chatId } = req.params;
     
@@ -1126,7 +2037,7 @@ router.delete('/chats/:chatId', async (req, res) => {
 });
 
 // Get call history
-router.get('/calls/history', async (req, res) => {
+router.get('/calls/history', requirePermission('calls:use'), async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
     const userId = req.user.user_id;
@@ -1152,7 +2063,7 @@ router.get('/calls/history', async (req, res) => {
 });
 
 // Get missed calls count
-router.get('/calls/missed/count', async (req, res) => {
+router.get('/calls/missed/count', requirePermission('calls:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
@@ -1172,7 +2083,7 @@ router.get('/calls/missed/count', async (req, res) => {
 });
 
 // Mark missed calls as seen
-router.post('/calls/missed/mark-seen', async (req, res) => {
+router.post('/calls/missed/mark-seen', requirePermission('calls:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
@@ -1192,10 +2103,14 @@ router.post('/calls/missed/mark-seen', async (req, res) => {
 });
 
 // Get user presence
-router.get('/presence/:userId', async (req, res) => {
+router.get('/presence/:userId', requirePermission('chat:use'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const presence = await presenceService.getUserPresence(userId);
+
+    // Users with a block relation always look offline
+    const presence = await blockService.isBlocked(req.user.user_id, userId)
+      ? { status: 'offline', lastSeen: null, updatedAt: new Date() }
+      : await presenceService.getUserPresence(userId);
 
     res.json({
       success: true,
@@ -1211,10 +2126,12 @@ router.get('/presence/:userId', async (req, res) => {
 });
 
 // Get friends presence
-router.get('/presence/friends', async (req, res) => {
+router.get('/presence/friends', requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const friendsPresence = await presenceService.getFriendsPresence(userId);
+    const hiddenUserIds = await blockService.getHiddenUserIds(userId);
+    hiddenUserIds.forEach(hiddenUserId => delete friendsPresence[hiddenUserId]);
 
     res.json({
       success: true,
@@ -1230,7 +2147,7 @@ router.get('/presence/friends', async (req, res) => {
 });
 
 // Create status/story
-router.post('/status/create', mediaUpload, [
+router.post('/status/create', requirePermission('chat:use'), mediaUpload, [
   body('content').optional().isString().withMessage('Content must be a string'),
   body('media_type').optional().isIn(['image', 'video']).withMessage('Invalid media type')
 ], async (req, res) => {
@@ -1288,10 +2205,12 @@ router.post('/status/create', mediaUpload, [
 });
 
 // Get user's statuses
-router.get('/status/user/:userId', async (req, res) => {
+router.get('/status/user/:userId', requirePermission('chat:use'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const statuses = await customChatServiceInstance.getUserStatuses(userId);
+    const statuses = await blockService.isBlocked(req.user.user_id, userId)
+      ? []
+      : await customChatServiceInstance.getUserStatuses(userId);
 
     res.json({
       success: true,
@@ -1307,10 +2226,10 @@ router.get('/status/user/:userId', async (req, res) => {
 });
 
 // Get friends' statuses
-router.get('/status/friends', async (req, res) => {
+router.get('/status/friends', requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
-    const friendsStatuses = await customChatServiceInstance.getFriendsStatuses(userId);
+    const friendsStatuses = await blockService.filterUsers(userId, await customChatServiceInstance.getFriendsStatuses(userId), getStatusAuthorId);
 
     res.json({
       success: true,
@@ -1326,7 +2245,7 @@ router.get('/status/friends', async (req, res) => {
 });
 
 // Delete status
-router.delete('/status/:statusId', async (req, res) => {
+router.delete('/status/:statusId', requirePermission('chat:use'), async (req, res) => {
   try {
     const { statusId } = req.params;
     const userId = req.user.user_id;
@@ -1347,7 +2266,7 @@ router.delete('/status/:statusId', async (req, res) => {
 });
 
 // Group management - Add member
-router.post('/groups/:chatId/members/add', [
+router.post('/groups/:chatId/members/add', requirePermission('group:manage', 'chatId'), [
   body('user_id').isNumeric().withMessage('User ID must be a number')
 ], async (req, res) => {
   try {
@@ -1382,7 +2301,7 @@ router.post('/groups/:chatId/members/add', [
 });
 
 // Group management - Bulk add members
-router.post('/groups/:chatId/members/bulk-add', [
+router.post('/groups/:chatId/members/bulk-add', requirePermission('group:manage', 'chatId'), [
   body('user_ids').isArray().withMessage('User IDs must be an array'),
   body('user_ids.*').isNumeric().withMessage('Each user ID must be a number')
 ], async (req, res) => {
@@ -1418,7 +2337,7 @@ router.post('/groups/:chatId/members/bulk-add', [
 });
 
 // Group management - Remove member
-router.post('/groups/:chatId/members/remove', [
+router.post('/groups/:chatId/members/remove', requirePermission('group:manage', 'chatId'), [
   body('user_id').isNumeric().withMessage('User ID must be a number')
 ], async (req, res) => {
   try {
@@ -1436,7 +2355,15 @@ router.post('/groups/:chatId/members/remove', [
     const { user_id } = req.body;
     const adminId = req.user.user_id;
     const token = req.headers.authorization?.replace('Bearer ', '');
+    const before = await getMemberAuditState(chatId, user_id, token);
     const result = await customChatServiceInstance.removeUserFromGroup(chatId, user_id, adminId, token);
+    await permissionService.clearScope('group', chatId, user_id);
+    await auditLogService.recordRequest(req, 'group.member_remove', {
+      resourceType: 'group',
+      resourceId: chatId,
+      targetUserId: user_id,
+      before
+    });
 
     res.json({
       success: true,
@@ -1453,7 +2380,7 @@ router.post('/groups/:chatId/members/remove', [
 });
 
 // Get user contacts
-router.get('/contacts', async (req, res) => {
+router.get('/contacts', requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const { per_page = 20 } = req.query;
@@ -1462,7 +2389,7 @@ router.get('/contacts', async (req, res) => {
 
     res.json({
       success: true,
-      data: contacts.success ? contacts.data : contacts
+      data: await blockService.filterUsers(userId, await accountLifecycleService.filterActiveUsers(contacts.success ? contacts.data : contacts))
     });
   } catch (error) {
     console.error('Error fetching contacts:', error);
@@ -1474,7 +2401,7 @@ router.get('/contacts', async (req, res) => {
 });
 
 // Get user friends
-router.get('/friends', async (req, res) => {
+router.get('/friends', requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
 
@@ -1482,7 +2409,7 @@ router.get('/friends', async (req, res) => {
 
     res.json({
       success: true,
-      data: friends.success ? friends.data : friends
+      data: await blockService.filterUsers(userId, friends.success ? friends.data : friends)
     });
   } catch (error) {
     console.error('Error fetching friends:', error);
@@ -1494,7 +2421,7 @@ router.get('/friends', async (req, res) => {
 });
 
 // Update user presence
-router.post('/presence/update', [
+router.post('/presence/update', requirePermission('chat:use'), [
   body('status').isIn(['online', 'offline', 'away', 'busy']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
@@ -1536,15 +2463,18 @@ router.post('/presence/update', [
 });
 
 // Get user presence status
-router.get('/presence/status/:userId', async (req, res) => {
+router.get('/presence/status/:userId', requirePermission('chat:use'), async (req, res) => {
   try {
     const { userId } = req.params;
     const userToken = req.user.token;
 
-    const presence = await customChatServiceInstance.getUserPresence({
-      userId,
-      userToken
-    });
+    // Users with a block relation always look offline
+    const presence = await blockService.isBlocked(req.user.user_id, userId)
+      ? { user_id: parseInt(userId), status: 'offline', last_seen: null }
+      : await customChatServiceInstance.getUserPresence({
+        userId,
+        userToken
+      });
 
     res.json({
       success: true,
@@ -1560,18 +2490,69 @@ router.get('/presence/status/:userId', async (req, res) => {
   }
 });
 
+/**
+ * SESSIONS: Connected devices of the current user
+ * GET /sessions - Devices with an open socket (platform, app version, state, last seen)
+ * DELETE /sessions/:socketId - Disconnect one of those devices
+ */
+router.get('/sessions', requirePermission('chat:use'), async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const sessions = await req.app.get('chatHandler').getUserSessions(userId);
+
+    res.json({
+      success: true,
+      data: sessions.map(({ socketId, ...device }) => ({ id: socketId, ...device }))
+    });
+  } catch (error) {
+    console.error('❌ Route: Error getting sessions:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to get sessions',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/sessions/:socketId', requirePermission('chat:use'), async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const { socketId } = req.params;
+
+    const terminated = await req.app.get('chatHandler').terminateSession(userId, socketId);
+    if (!terminated) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Session not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session terminated'
+    });
+  } catch (error) {
+    console.error('❌ Route: Error terminating session:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to terminate session',
+      details: error.message 
+    });
+  }
+});
+
 // Get online users
-router.get('/presence/online', async (req, res) => {
+router.get('/presence/online', requirePermission('chat:use'), async (req, res) => {
   try {
     const { limit = 20 } = req.query;
     const userId = req.user.user_id;
     const userToken = req.user.token;
 
-    const onlineUsers = await customChatServiceInstance.getOnlineUsers({
+    const onlineUsers = await blockService.filterUsers(userId, await customChatServiceInstance.getOnlineUsers({
       limit: parseInt(limit),
       userId,
       userToken
-    });
+    }));
 
     res.json({
       success: true,
@@ -1588,7 +2569,7 @@ router.get('/presence/online', async (req, res) => {
 });
 
 // Initiate call
-router.post('/calls/initiate', [
+router.post('/calls/initiate', requirePermission('calls:use'), [
   body('calleeId').isNumeric().withMessage('Callee ID must be a number'),
   body('isVideo').optional().isBoolean().withMessage('isVideo must be boolean'),
   body('roomName').optional().isString().withMessage('Room name must be string'),
@@ -1608,6 +2589,14 @@ router.post('/calls/initiate', [
     const { calleeId, isVideo = false, roomName, offerSdp } = req.body;
     const token = req.headers.authorization?.split(' ')[1];
 
+    // Calls to a user with a block relation are never placed; the caller just gets no answer
+    if (await blockService.isBlocked(callerId, calleeId)) {
+      return res.json({
+        success: true,
+        data: { call_id: null, room_name: roomName || `call_${Date.now()}`, status: 'initiated' }
+      });
+    }
+
     const result = await callService.initiateCall({
       callerId,
       calleeId,
@@ -1630,7 +2619,7 @@ router.post('/calls/initiate', [
 });
 
 // Update call status
-router.post('/calls/update-status', [
+router.post('/calls/update-status', requirePermission('calls:use'), [
   body('callId').isString().withMessage('Call ID must be a string'),
   body('status').isIn(['answered', 'rejected', 'ended', 'missed']).withMessage('Invalid status'),
   body('duration').optional().isNumeric().withMessage('Duration must be a number')
@@ -1665,7 +2654,7 @@ router.post('/calls/update-status', [
 // Status (Story) Routes - WordPress plugin endpoints only (BuddyBoss doesn't have status feature)
  
 // Get status list
-router.get('/status', async (req, res) => {
+router.get('/status', requirePermission('chat:use'), async (req, res) => {
   try {
     console.log('🔍 Status GET route called');
     console.log('🔍 Request query params:', req.query);
@@ -1686,6 +2675,7 @@ router.get('/status', async (req, res) => {
 
     console.log('🔍 Calling customChatServiceInstance.getStatusList...');
     const statusList = await customChatServiceInstance.getStatusList(user_id, token);
+    statusList.data = await blockService.filterUsers(req.user.user_id, statusList.data, getStatusAuthorId);
     console.log('🔍 StatusList result:', statusList);
     
     res.json(statusList);
@@ -1697,7 +2687,7 @@ router.get('/status', async (req, res) => {
 });
 
 // Create status
-router.post('/status', [
+router.post('/status', requirePermission('chat:use'), [
   body('caption').optional().isString().withMessage('Caption must be a string'),
   body('media_url').optional().isURL().withMessage('Media URL must be valid'),
   body('media_type').optional().isIn(['text', 'image', 'video']).withMessage('Invalid media type'),
@@ -1746,7 +2736,7 @@ router.post('/status', [
 });
 
 // Upload status media
-router.post('/status/upload', async (req, res) => {
+router.post('/status/upload', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1762,7 +2752,7 @@ router.post('/status/upload', async (req, res) => {
 });
 
 // Get specific status
-router.get('/status/:statusId', async (req, res) => {
+router.get('/status/:statusId', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1771,6 +2761,9 @@ router.get('/status/:statusId', async (req, res) => {
 
     const { statusId } = req.params;
     const status = await customChatServiceInstance.getStatus(statusId, token);
+    if (status.success && await blockService.isBlocked(req.user.user_id, getStatusAuthorId(status.data))) {
+      return res.json(statusNotAvailable(statusId));
+    }
     res.json(status);
   } catch (error) {
     console.error('Get status error:', error);
@@ -1779,7 +2772,7 @@ router.get('/status/:statusId', async (req, res) => {
 });
 
 // Mark status as viewed
-router.post('/status/:statusId/view', async (req, res) => {
+router.post('/status/:statusId/view', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1787,6 +2780,10 @@ router.post('/status/:statusId/view', async (req, res) => {
     }
 
     const { statusId } = req.params;
+    if (await isStatusHidden(req.user.user_id, statusId, token)) {
+      return res.json(statusNotAvailable(statusId));
+    }
+
     const result = await customChatServiceInstance.markStatusViewed(statusId, token);
     res.json(result);
   } catch (error) {
@@ -1796,7 +2793,7 @@ router.post('/status/:statusId/view', async (req, res) => {
 });
 
 // Get status viewers
-router.get('/status/:statusId/viewers', async (req, res) => {
+router.get('/status/:statusId/viewers', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1813,7 +2810,7 @@ router.get('/status/:statusId/viewers', async (req, res) => {
 });
 
 // Get status analytics
-router.get('/status/:statusId/analytics', async (req, res) => {
+router.get('/status/:statusId/analytics', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1830,7 +2827,7 @@ router.get('/status/:statusId/analytics', async (req, res) => {
 });
 
 // Like status
-router.post('/status/:statusId/like', async (req, res) => {
+router.post('/status/:statusId/like', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1838,6 +2835,10 @@ router.post('/status/:statusId/like', async (req, res) => {
     }
 
     const { statusId } = req.params;
+    if (await isStatusHidden(req.user.user_id, statusId, token)) {
+      return res.json(statusNotAvailable(statusId));
+    }
+
     const result = await customChatServiceInstance.likeStatus(statusId, token);
     res.json(result);
   } catch (error) {
@@ -1847,7 +2848,7 @@ router.post('/status/:statusId/like', async (req, res) => {
 });
 
 // Get status likes
-router.get('/status/:statusId/likes', async (req, res) => {
+router.get('/status/:statusId/likes', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1864,7 +2865,7 @@ router.get('/status/:statusId/likes', async (req, res) => {
 });
 
 // Comment on status
-router.post('/status/:statusId/comment', async (req, res) => {
+router.post('/status/:statusId/comment', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1872,6 +2873,10 @@ router.post('/status/:statusId/comment', async (req, res) => {
     }
 
     const { statusId } = req.params;
+    if (await isStatusHidden(req.user.user_id, statusId, token)) {
+      return res.json(statusNotAvailable(statusId));
+    }
+
     const result = await customChatServiceInstance.commentOnStatus(statusId, req.body.comment, token);
     res.json(result);
   } catch (error) {
@@ -1881,7 +2886,7 @@ router.post('/status/:statusId/comment', async (req, res) => {
 });
 
 // Get status comments
-router.get('/status/:statusId/comments', async (req, res) => {
+router.get('/status/:statusId/comments', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -1900,7 +2905,7 @@ router.get('/status/:statusId/comments', async (req, res) => {
 // ========================= GROUP MEDIA UPLOAD ROUTES =========================
 
 // Upload media file for group messaging
-router.post('/groups/:groupId/media/upload', trackUploadProgress, mediaUpload, [
+router.post('/groups/:groupId/media/upload', requirePermission('chat:use'), trackUploadProgress, mediaUpload, [
   body('message').optional().isString()
 ], async (req, res) => {
   try {
@@ -2009,7 +3014,7 @@ router.post('/groups/:groupId/media/upload', trackUploadProgress, mediaUpload, [
 });
 
 // Upload voice message for group messaging
-router.post('/groups/:groupId/voice/upload', trackUploadProgress, voiceUpload, [
+router.post('/groups/:groupId/voice/upload', requirePermission('chat:use'), trackUploadProgress, voiceUpload, [
   body('duration').isNumeric().withMessage('Duration must be a number'),
   body('message').optional().isString()
 ], async (req, res) => {
@@ -2031,7 +3036,375 @@ router.post('/groups/:groupId/voice/upload', trackUploadProgress, voiceUpload, [
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      console.error('❌ Server: Voice validation failed:', errors.array());
+      console.error('❌ Server: Voice validation failed:', errors.array());
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      console.error('❌ Server: No voice file uploaded');
+      return res.status(400).json({
+        success: false,
+        message: 'No voice file uploaded'
+      });
+    }
+
+    const { groupId } = req.params;
+    const { duration, message } = req.body;
+    const userId = req.user.user_id;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    console.log('📊 Server: Group voice upload parameters:', {
+      groupId,
+      duration,
+      message,
+      userId,
+      hasToken: !!userToken
+    });
+
+    const fileInfo = getFileInfo(req.file);
+    console.log('🎙️ Server: Enhanced group voice upload for group:', groupId, fileInfo);
+
+    // Upload enhanced group voice via custom chat service
+    const result = await customChatServiceInstance.uploadGroupVoice({
+      file: req.file,
+      groupId,
+      duration,
+      message: message || '',
+      userId,
+      userToken
+    });
+
+    console.log('✅ Server: Group voice upload result:', result);
+
+    // Clean up temporary file
+    fs.unlinkSync(req.file.path);
+    console.log('🧹 Server: Cleaned up temp voice file:', req.file.path);
+
+    res.json({
+      success: true,
+      data: result,
+      fileInfo,
+      message: 'Group voice message uploaded successfully'
+    });
+  } catch (error) {
+    console.error('❌ Server: Group voice upload failed:', {
+      error: error.message,
+      stack: error.stack,
+      params: req.params,
+      body: req.body,
+      file: req.file ? {
+        originalname: req.file.originalname,
+        size: req.file.size,
+        mimetype: req.file.mimetype
+      } : null
+    });
+
+    // Clean up file on error
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+      console.log('🧹 Server: Cleaned up temp voice file after error:', req.file.path);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload group voice message',
+      error: error.message
+    });
+  }
+});
+
+// Reply to group message
+router.post('/groups/:groupId/messages/:messageId/reply', requirePermission('chat:use'), [
+  body('message').optional().isString(),
+  body('messageType').optional().isIn(['text', 'image', 'video', 'audio', 'document']),
+  body('mediaUrl').optional().isURL()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { groupId, messageId } = req.params;
+    const { message, messageType, mediaUrl } = req.body;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    console.log(`💬 Server: Replying to group message ${messageId} in group ${groupId}`);
+
+    const result = await customChatServiceInstance.replyToGroupMessage({
+      groupId,
+      replyToMessageId: messageId,
+      message,
+      messageType: messageType || 'text',
+      mediaUrl,
+      userToken
+    });
+    const mentions = await processGroupMentions(req, groupId, result?.data ?? result, message, userToken);
+    if (result && typeof result === 'object') result.mentions = mentions;
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Reply sent successfully'
+    });
+  } catch (error) {
+    console.error('❌ Server: Reply to group message failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reply'
+    });
+  }
+});
+
+// Edit group message
+router.put('/groups/:groupId/messages/:messageId', requirePermission('chat:use'), [
+  body('message').notEmpty().withMessage('Message content is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { groupId, messageId } = req.params;
+    const { message } = req.body;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    console.log(`✏️ Server: Editing group message ${messageId} in group ${groupId}`);
+
+    // The first edit also keeps the original text, looked up before WordPress overwrites it
+    let original = null;
+    try {
+      if (!await messageHistoryService.hasRevisions('group', messageId)) {
+        const previous = await findMessage('group', groupId, messageId, userToken);
+        original = previous && {
+          senderId: getMessageSenderId(previous),
+          content: getMessageContent(previous),
+          sentAt: getMessageSentAt(previous)
+        };
+      }
+    } catch (error) {
+      console.warn(`⚠️ Server: Original of group message ${messageId} not looked up:`, error.message);
+    }
+
+    const result = await customChatServiceInstance.editGroupMessage({
+      groupId,
+      messageId,
+      newMessage: message,
+      userToken
+    });
+
+    // WordPress answers a refused edit with success: false; only applied edits get a revision
+    if (!result || result.success === false) {
+      console.log(`❌ Server: Group message ${messageId} not edited:`, result?.message);
+      return res.status(400).json({
+        success: false,
+        message: result?.message || 'Failed to edit message'
+      });
+    }
+
+    const editedAt = new Date().toISOString();
+    try {
+      await messageHistoryService.recordEdit({
+        scope: 'group',
+        conversationId: groupId,
+        messageId,
+        editorId: req.user.user_id,
+        content: message,
+        original
+      });
+    } catch (error) {
+      console.warn(`⚠️ Server: Revision of group message ${messageId} not stored:`, error.message);
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      edited_at: editedAt,
+      message: 'Message edited successfully'
+    });
+  } catch (error) {
+    console.error('❌ Server: Edit group message failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit message'
+    });
+  }
+});
+
+// Edit history of a group message (group admins and moderators)
+router.get('/groups/:groupId/messages/:messageId/history', requirePermission('group:manage', 'groupId'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { groupId, messageId } = req.params;
+    const revisions = await messageHistoryService.getHistory('group', groupId, messageId);
+
+    res.json({
+      success: true,
+      data: {
+        messageId: parseInt(messageId),
+        edited: revisions.some(revision => !revision.isOriginal),
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('❌ Server: Get group message history failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch message history'
+    });
+  }
+});
+
+// Pinned messages of a group (current, newest first)
+router.get('/groups/:groupId/pins', requirePermission('chat:use'), async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const conversation = await getMessageConversation('group', groupId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this group');
+    }
+
+    const pins = await pinnedMessageService.getPins('group', groupId);
+
+    res.json({
+      success: true,
+      data: pins
+    });
+  } catch (error) {
+    console.error('❌ Server: Get group pins failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pinned messages'
+    });
+  }
+});
+
+// Pin a group message (group admins and moderators)
+router.post('/groups/:groupId/messages/:messageId/pin', requirePermission('group:manage', 'groupId'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { groupId, messageId } = req.params;
+
+    await pinMessage(req, res, { scope: 'group', conversationId: groupId, participantIds: [], blocked: false }, messageId);
+  } catch (error) {
+    console.error('❌ Server: Pin group message failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pin message'
+    });
+  }
+});
+
+// Unpin a group message (group admins and moderators)
+router.delete('/groups/:groupId/messages/:messageId/pin', requirePermission('group:manage', 'groupId'), async (req, res) => {
+  try {
+    const { groupId, messageId } = req.params;
+
+    await unpinMessage(req, { scope: 'group', conversationId: groupId, participantIds: [], blocked: false }, messageId);
+
+    res.json({
+      success: true,
+      message: 'Message unpinned'
+    });
+  } catch (error) {
+    console.error('❌ Server: Unpin group message failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unpin message'
+    });
+  }
+});
+
+// Star/unstar a group message for the current user
+router.post('/groups/:groupId/messages/:messageId/star', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  body('starred').isBoolean().withMessage('Starred must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { groupId } = req.params;
+    const messageId = parseInt(req.params.messageId);
+    const { starred } = req.body;
+    const userToken = req.headers.authorization?.replace('Bearer ', '');
+
+    const conversation = await getMessageConversation('group', groupId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this group');
+    }
+
+    if (!(await updateStar(req, 'group', groupId, messageId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { messageId, starred: !!starred },
+      message: starred ? 'Message starred' : 'Message unstarred'
+    });
+  } catch (error) {
+    console.error('❌ Server: Star group message failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to star message'
+    });
+  }
+});
+
+// Get reactions on a group message
+router.get('/groups/:groupId/messages/:messageId/reactions', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -2039,84 +3412,33 @@ router.post('/groups/:groupId/voice/upload', trackUploadProgress, voiceUpload, [
       });
     }
 
-    if (!req.file) {
-      console.error('❌ Server: No voice file uploaded');
-      return res.status(400).json({
-        success: false,
-        message: 'No voice file uploaded'
-      });
-    }
-
-    const { groupId } = req.params;
-    const { duration, message } = req.body;
-    const userId = req.user.user_id;
+    const { groupId, messageId } = req.params;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
 
-    console.log('📊 Server: Group voice upload parameters:', {
-      groupId,
-      duration,
-      message,
-      userId,
-      hasToken: !!userToken
-    });
-
-    const fileInfo = getFileInfo(req.file);
-    console.log('🎙️ Server: Enhanced group voice upload for group:', groupId, fileInfo);
-
-    // Upload enhanced group voice via custom chat service
-    const result = await customChatServiceInstance.uploadGroupVoice({
-      file: req.file,
-      groupId,
-      duration,
-      message: message || '',
-      userId,
-      userToken
-    });
-
-    console.log('✅ Server: Group voice upload result:', result);
+    const conversation = await getMessageConversation('group', groupId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this group');
+    }
 
-    // Clean up temporary file
-    fs.unlinkSync(req.file.path);
-    console.log('🧹 Server: Cleaned up temp voice file:', req.file.path);
+    const reactions = await messageReactionService.getSummary('group', groupId, messageId);
 
     res.json({
       success: true,
-      data: result,
-      fileInfo,
-      message: 'Group voice message uploaded successfully'
+      data: { messageId: parseInt(messageId), reactions }
     });
   } catch (error) {
-    console.error('❌ Server: Group voice upload failed:', {
-      error: error.message,
-      stack: error.stack,
-      params: req.params,
-      body: req.body,
-      file: req.file ? {
-        originalname: req.file.originalname,
-        size: req.file.size,
-        mimetype: req.file.mimetype
-      } : null
-    });
-
-    // Clean up file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-      console.log('🧹 Server: Cleaned up temp voice file after error:', req.file.path);
-    }
-
+    console.error('❌ Server: Get group message reactions failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to upload group voice message',
-      error: error.message
+      message: 'Failed to fetch reactions'
     });
   }
 });
 
-// Reply to group message
-router.post('/groups/:groupId/messages/:messageId/reply', [
-  body('message').optional().isString(),
-  body('messageType').optional().isIn(['text', 'image', 'video', 'audio', 'document']),
-  body('mediaUrl').optional().isURL()
+// React to a group message
+router.post('/groups/:groupId/messages/:messageId/reactions', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  body('emoji').trim().isLength({ min: 1, max: 32 }).withMessage('Emoji must be 1-32 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2128,38 +3450,56 @@ router.post('/groups/:groupId/messages/:messageId/reply', [
       });
     }
 
-    const { groupId, messageId } = req.params;
-    const { message, messageType, mediaUrl } = req.body;
+    const { groupId } = req.params;
+    const messageId = parseInt(req.params.messageId);
+    const { emoji } = req.body;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
 
-    console.log(`💬 Server: Replying to group message ${messageId} in group ${groupId}`);
+    const conversation = await getMessageConversation('group', groupId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this group');
+    }
 
-    const result = await customChatServiceInstance.replyToGroupMessage({
-      groupId,
-      replyToMessageId: messageId,
-      message,
-      messageType: messageType || 'text',
-      mediaUrl,
-      userToken
+    if (!(await findMessage('group', groupId, messageId, userToken))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const added = await messageReactionService.addReaction({
+      scope: 'group',
+      conversationId: groupId,
+      messageId,
+      userId: req.user.user_id,
+      emoji
     });
+    if (!added) {
+      return res.status(400).json({
+        success: false,
+        message: `You can add at most ${messageReactionService.maxPerUser} reactions to a message`
+      });
+    }
+
+    const reactions = await broadcastReaction(req, conversation, messageId, emoji, 'added');
 
     res.json({
       success: true,
-      data: result,
-      message: 'Reply sent successfully'
+      data: { messageId, reactions },
+      message: 'Reaction added'
     });
   } catch (error) {
-    console.error('❌ Server: Reply to group message failed:', error);
+    console.error('❌ Server: Add group message reaction failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to send reply'
+      message: 'Failed to add reaction'
     });
   }
 });
 
-// Edit group message
-router.put('/groups/:groupId/messages/:messageId', [
-  body('message').notEmpty().withMessage('Message content is required')
+// Remove a reaction from a group message
+router.delete('/groups/:groupId/messages/:messageId/reactions/:emoji', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -2171,35 +3511,34 @@ router.put('/groups/:groupId/messages/:messageId', [
       });
     }
 
-    const { groupId, messageId } = req.params;
-    const { message } = req.body;
+    const { groupId, emoji } = req.params;
+    const messageId = parseInt(req.params.messageId);
     const userToken = req.headers.authorization?.replace('Bearer ', '');
 
-    console.log(`✏️ Server: Editing group message ${messageId} in group ${groupId}`);
+    const conversation = await getMessageConversation('group', groupId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this group');
+    }
 
-    const result = await customChatServiceInstance.editGroupMessage({
-      groupId,
-      messageId,
-      newMessage: message,
-      userToken
-    });
+    await messageReactionService.removeReaction({ scope: 'group', conversationId: groupId, messageId, userId: req.user.user_id, emoji });
+    const reactions = await broadcastReaction(req, conversation, messageId, emoji, 'removed');
 
     res.json({
       success: true,
-      data: result,
-      message: 'Message edited successfully'
+      data: { messageId, reactions },
+      message: 'Reaction removed'
     });
   } catch (error) {
-    console.error('❌ Server: Edit group message failed:', error);
+    console.error('❌ Server: Remove group message reaction failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to edit message'
+      message: 'Failed to remove reaction'
     });
   }
 });
 
 // Mark group message as read
-router.post('/groups/:groupId/messages/:messageId/read', async (req, res) => {
+router.post('/groups/:groupId/messages/:messageId/read', requirePermission('chat:use'), async (req, res) => {
   try {
     const { groupId, messageId } = req.params;
     const userId = req.user.user_id;
@@ -2229,7 +3568,7 @@ router.post('/groups/:groupId/messages/:messageId/read', async (req, res) => {
 });
 
 // Get group message read status
-router.get('/groups/:groupId/messages/:messageId/read-status', async (req, res) => {
+router.get('/groups/:groupId/messages/:messageId/read-status', requirePermission('chat:use'), async (req, res) => {
   try {
     const { groupId, messageId } = req.params;
     const userToken = req.headers.authorization?.replace('Bearer ', '');
@@ -2262,7 +3601,7 @@ router.get('/groups/:groupId/messages/:messageId/read-status', async (req, res)
  * GROUP CHAT: Get user's group list
  * GET /groups - Retrieve list of all groups the user is a member of
  */
-router.get('/groups', async (req, res) => {
+router.get('/groups', requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const userToken = req.user.token;
@@ -2290,7 +3629,7 @@ router.get('/groups', async (req, res) => {
  * GROUP CHAT: Create new group
  * POST /groups - Create a new group conversation
  */
-router.post('/groups', [
+router.post('/groups', requirePermission('groups:create'), [
   body('name').notEmpty().withMessage('Group name is required'),
   body('description').optional().isString(),
   body('members').optional().isArray()
@@ -2319,7 +3658,7 @@ router.post('/groups', [
  * GROUP CHAT: Get messages from group conversation
  * GET /groups/:groupId/messages - Retrieve message history from group chat
  */
-router.get('/groups/:groupId/messages', async (req, res) => {
+router.get('/groups/:groupId/messages', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2331,7 +3670,12 @@ router.get('/groups/:groupId/messages', async (req, res) => {
     
     console.log(`🔍 Server: Getting group messages for group ${groupId}`);
     
-    const result = await customChatServiceInstance.getGroupMessages(groupId, page, per_page, token);
+    const result = await attachMessageDetails(
+      'group',
+      groupId,
+      await customChatServiceInstance.getGroupMessages(groupId, page, per_page, token),
+      req.user.user_id
+    );
     
     console.log(`🔍 Server: Group messages result:`, {
       groupId,
@@ -2364,7 +3708,7 @@ router.get('/groups/:groupId/messages', async (req, res) => {
  * GROUP CHAT: Send message to group
  * POST /groups/:groupId/messages - Send message to group conversation
  */
-router.post('/groups/:groupId/messages', [
+router.post('/groups/:groupId/messages', requirePermission('chat:use'), [
   body('message').optional().isString(),
   body('users').optional().isString().isIn(['all', 'individual']),
   body('users_list').optional().isArray(),
@@ -2393,6 +3737,8 @@ router.post('/groups/:groupId/messages', [
     console.log(`📤 Server: Sending group message to group ${groupId}`);
     
     const result = await customChatServiceInstance.sendGroupMessage(messageData, token);
+    const mentions = await processGroupMentions(req, groupId, result, req.body.message, token);
+    if (result && typeof result === 'object') result.mentions = mentions;
     
     res.json({
       success: true,
@@ -2409,7 +3755,7 @@ router.post('/groups/:groupId/messages', [
 });
 
 // Get class metadata from group
-router.get('/groups/:groupId/class-metadata', async (req, res) => {
+router.get('/groups/:groupId/class-metadata', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2431,7 +3777,7 @@ router.get('/groups/:groupId/class-metadata', async (req, res) => {
 });
 
 // Send group message using custom table
-router.post('/groups/:groupId/messages/custom', [
+router.post('/groups/:groupId/messages/custom', requirePermission('chat:use'), [
   body('message').optional().isString().trim(),
   body('message_type').optional().isIn(['text', 'image', 'video', 'audio', 'file', 'gif', 'voice']),
   body('media_url').optional().isURL(),
@@ -2459,6 +3805,8 @@ router.post('/groups/:groupId/messages/custom', [
     console.log(`📤 Server: Sending custom group message to group ${groupId}`);
     
     const result = await customChatServiceInstance.sendGroupMessage(messageData, token);
+    const mentions = await processGroupMentions(req, groupId, result, req.body.message, token);
+    if (result && typeof result === 'object') result.mentions = mentions;
     
     res.json({
       success: true,
@@ -2475,7 +3823,7 @@ router.post('/groups/:groupId/messages/custom', [
 });
 
 // Get group messages using custom table
-router.get('/groups/:groupId/messages/custom', async (req, res) => {
+router.get('/groups/:groupId/messages/custom', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2488,7 +3836,12 @@ router.get('/groups/:groupId/messages/custom', async (req, res) => {
     console.log(`📥 Server: Getting custom group messages for group ${groupId}`);
     
     // ⚠️ CHANGED: Use unified getGroupMessages method (now uses custom endpoint)
-    const result = await customChatServiceInstance.getGroupMessages(groupId, page, per_page, token);
+    const result = await attachMessageDetails(
+      'group',
+      groupId,
+      await customChatServiceInstance.getGroupMessages(groupId, page, per_page, token),
+      req.user.user_id
+    );
     
     res.json({
       success: true,
@@ -2506,20 +3859,64 @@ router.get('/groups/:groupId/messages/custom', async (req, res) => {
 
 /**
  * GROUP CHAT: Delete message from group
- * DELETE /groups/:groupId/messages/:messageId - Delete specific message from group conversation
+ * DELETE /groups/:groupId/messages/:messageId?for=me|everyone - Hide the message for the user, or delete it
+ * for everyone (default; the sender within the delete window, group admins at any time)
  */
-router.delete('/groups/:groupId/messages/:messageId', async (req, res) => {
+router.delete('/groups/:groupId/messages/:messageId', requirePermission('chat:use'), [
+  param('messageId').isInt({ min: 1 }).withMessage('Invalid message ID'),
+  query('for').optional().isIn(['me', 'everyone']).withMessage('Delete for must be me or everyone')
+], async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { groupId, messageId } = req.params;
+    const deleteFor = req.query.for || 'everyone';
+
+    const conversation = await getMessageConversation('group', groupId, req.user, token);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this group');
+    }
+
+    if (deleteFor === 'me') {
+      await messageHistoryService.hideForUser({ userId: req.user.user_id, scope: 'group', conversationId: groupId, messageId });
+      broadcastMessageDeleted(req, conversation, messageId, false);
+      return res.json({
+        success: true,
+        data: { messageId: parseInt(messageId), deletedFor: 'me' }
+      });
+    }
+
+    const deleteError = await getDeleteForEveryoneError('group', groupId, messageId, req.user, token);
+    if (deleteError) {
+      return sendForbidden(res, null, deleteError);
+    }
     
     console.log(`🗑️ Server: Deleting message ${messageId} from group ${groupId}`);
     
     const result = await customChatServiceInstance.deleteGroupMessage(groupId, messageId, token);
+    await dropMessageDetails('group', { messageIds: [messageId] });
+    broadcastMessageDeleted(req, conversation, messageId, true);
+
+    // Members delete their own messages; only deletions by group admins are audited
+    if (await permissionService.can(req.user, 'group:manage', groupId)) {
+      await auditLogService.recordRequest(req, 'group.message_delete', {
+        resourceType: 'group',
+        resourceId: groupId,
+        context: { messageId }
+      });
+    }
     
     res.json({
       success: true,
@@ -2539,7 +3936,7 @@ router.delete('/groups/:groupId/messages/:messageId', async (req, res) => {
  * GROUP CHAT: Delete entire group
  * DELETE /groups/:groupId - Permanently delete group and all its messages
  */
-router.delete('/groups/:groupId', async (req, res) => {
+router.delete('/groups/:groupId', requirePermission('group:manage', 'groupId'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2550,7 +3947,14 @@ router.delete('/groups/:groupId', async (req, res) => {
     
     console.log(`🗑️ Server: Deleting group ${groupId}`);
     
+    const before = await getGroupAuditState(groupId, token);
     const result = await customChatServiceInstance.deleteGroup(groupId, token);
+    await dropMessageDetails('group', { conversationId: groupId });
+    await auditLogService.recordRequest(req, 'group.delete', {
+      resourceType: 'group',
+      resourceId: groupId,
+      before
+    });
     
     res.json({
       success: true,
@@ -2567,7 +3971,7 @@ router.delete('/groups/:groupId', async (req, res) => {
 });
 
 // Check if user is group admin
-router.get('/groups/:groupId/admin-check', async (req, res) => {
+router.get('/groups/:groupId/admin-check', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2602,7 +4006,7 @@ router.get('/groups/:groupId/admin-check', async (req, res) => {
 });
 
 // Get chat groups only
-router.get('/chat-groups', async (req, res) => {
+router.get('/chat-groups', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2630,7 +4034,7 @@ router.get('/chat-groups', async (req, res) => {
 });
 
 // Add class metadata to group
-router.post('/groups/:groupId/class-metadata', [
+router.post('/groups/:groupId/class-metadata', requirePermission('group:manage', 'groupId'), [
   body('class_name').optional().isString(),
   body('subject').optional().isString(),
   body('grade_level').optional().isString(),
@@ -2671,9 +4075,131 @@ router.post('/groups/:groupId/class-metadata', [
   }
 });
 
+/**
+ * LIVE CLASSES: Attendance report
+ * GET /groups/:groupId/live-classes/:classId/attendance - Minutes per attendee and event timeline (group admins only)
+ * Add ?format=csv for a CSV export
+ */
+router.get('/groups/:groupId/live-classes/:classId/attendance', requirePermission('group:manage', 'groupId'), async (req, res) => {
+  try {
+    const { groupId, classId } = req.params;
+
+    const report = await attendanceService.getAttendanceReport(groupId, classId);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      const fileName = `attendance-${groupId}-${classId}`.replace(/[^\w-]/g, '_');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(attendanceService.toCsv(report));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Route: Error getting live class attendance:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to get attendance',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * LIVE CLASSES: Scheduling
+ * POST /groups/:groupId/live-classes - Schedule a (recurring) live class taught by the caller (group admins only)
+ * recurrencePattern: 'daily', 'weekly' or an RRULE such as 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10'
+ */
+router.post('/groups/:groupId/live-classes', requirePermission('group:manage', 'groupId'), [
+  body('title').isString().notEmpty(),
+  body('description').optional().isString(),
+  body('startTime').isISO8601(),
+  body('duration').optional().isInt({ min: 1, max: 1440 }),
+  body('recurring').optional().isBoolean(),
+  body('recurrencePattern').optional({ nullable: true }).isString(),
+  body('maxParticipants').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const userId = req.user.user_id;
+    const userToken = req.user.token;
+
+    const { recurring = false, recurrencePattern = null } = req.body;
+    if (recurrencePattern && !liveClassSchedulerService.parseRecurrence(recurrencePattern)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Unsupported recurrence pattern' 
+      });
+    }
+
+    const result = await chatService.scheduleLiveClass(groupId, {
+      ...req.body,
+      recurring: recurring || !!recurrencePattern,
+      recurrencePattern,
+      teacherId: userId
+    }, userToken);
+
+    await liveClassSchedulerService.watchGroup(groupId);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Route: Error scheduling live class:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to schedule live class',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * GET /groups/:groupId/live-classes - Upcoming class occurrences with recurrences expanded
+ * Add ?days=N to change the window (default 14, max 90)
+ */
+router.get('/groups/:groupId/live-classes', requirePermission('chat:use'), async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userToken = req.user.token;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+
+    // The scheduler polls watched groups with the service token, so only members may add theirs
+    const conversation = await getMessageConversation('group', groupId, req.user, userToken);
+    if (!conversation) {
+      return sendForbidden(res, null, 'Access denied to this group');
+    }
+
+    const occurrences = await liveClassSchedulerService.getUpcomingOccurrences(groupId, userToken, days);
+
+    liveClassSchedulerService.watchGroup(groupId)
+      .catch(error => console.warn('⚠️ Route: Could not watch group live classes:', error.message));
+
+    res.json({
+      success: true,
+      data: occurrences
+    });
+  } catch (error) {
+    console.error('❌ Route: Error getting live classes:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to get live classes',
+      details: error.message 
+    });
+  }
+});
+
 // Enhanced Thread Management Routes
 // Delete thread
-router.delete('/threads/:threadId', async (req, res) => {
+router.delete('/threads/:threadId', requirePermission('chat:use'), async (req, res) => {
   try {
     const { threadId } = req.params;
     const userId = req.user.user_id;
@@ -2702,7 +4228,7 @@ router.delete('/threads/:threadId', async (req, res) => {
 });
 
 // Mark thread as read
-router.post('/threads/:threadId/read', async (req, res) => {
+router.post('/threads/:threadId/read', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2725,7 +4251,7 @@ router.post('/threads/:threadId/read', async (req, res) => {
 });
 
 // Mark message as read
-router.post('/messages/:messageId/read', async (req, res) => {
+router.post('/messages/:messageId/read', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2748,7 +4274,7 @@ router.post('/messages/:messageId/read', async (req, res) => {
 });
 
 // Generate live class invite
-router.post('/groups/:groupId/live-class-invite', [
+router.post('/groups/:groupId/live-class-invite', requirePermission('group:manage', 'groupId'), [
   body('title').notEmpty().withMessage('Live class title is required'),
   body('description').optional().isString(),
   body('scheduled_time').notEmpty().withMessage('Scheduled time is required'),
@@ -2777,7 +4303,7 @@ router.post('/groups/:groupId/live-class-invite', [
 });
 
 // Join live class via invite
-router.post('/groups/join-live-class', [
+router.post('/groups/join-live-class', requirePermission('chat:use'), [
   body('inviteCode').notEmpty().withMessage('Invite code is required')
 ], async (req, res) => {
   try {
@@ -2802,7 +4328,7 @@ router.post('/groups/join-live-class', [
 
 
 // Verify group admin status
-router.get('/groups/:groupId/verify-admin', async (req, res) => {
+router.get('/groups/:groupId/verify-admin', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2827,7 +4353,7 @@ router.get('/groups/:groupId/verify-admin', async (req, res) => {
 });
 
 // Check user enrollment
-router.get('/enrollment/check', async (req, res) => {
+router.get('/enrollment/check', requirePermission('chat:use'), async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -2860,7 +4386,7 @@ router.get('/enrollment/check', async (req, res) => {
  * GROUP MANAGEMENT: Get group members
  * GET /groups/:groupId/members - Get list of group members with pagination
  */
-router.get('/groups/:groupId/members', async (req, res) => {
+router.get('/groups/:groupId/members', requirePermission('chat:use'), async (req, res) => {
   try {
     const { groupId } = req.params;
     const { 
@@ -2911,7 +4437,7 @@ router.get('/groups/:groupId/members', async (req, res) => {
  * GROUP MANAGEMENT: Add member to group
  * POST /groups/:groupId/members - Add new member to group
  */
-router.post('/groups/:groupId/members', [
+router.post('/groups/:groupId/members', requirePermission('group:manage', 'groupId'), [
   body('user_id').isNumeric().withMessage('User ID must be a number'),
   body('role').optional().isIn(['admin', 'mod', 'member']).withMessage('Invalid role')
 ], async (req, res) => {
@@ -2923,20 +4449,10 @@ router.post('/groups/:groupId/members', [
 
     const { groupId } = req.params;
     const { user_id, role = 'member' } = req.body;
-    const adminUserId = req.user.user_id;
     const userToken = req.user.token;
 
     console.log(`➕ Route: Adding user ${user_id} to group ${groupId} with role ${role}`);
 
-    // Verify admin access
-    const isAdmin = await customChatServiceInstance.verifyGroupAdmin(groupId, adminUserId, userToken);
-    if (!isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Only group admins can add members' 
-      });
-    }
-
     const result = await customChatServiceInstance.addGroupMember(
       groupId, 
       user_id, 
@@ -2967,7 +4483,7 @@ router.post('/groups/:groupId/members', [
  * GROUP MANAGEMENT: Remove member from group
  * DELETE /groups/:groupId/members/:userId - Remove member from group
  */
-router.delete('/groups/:groupId/members/:userId', async (req, res) => {
+router.delete('/groups/:groupId/members/:userId', requirePermission('group:manage', 'groupId'), async (req, res) => {
   try {
     const { groupId, userId } = req.params;
     const adminUserId = req.user.user_id;
@@ -2975,15 +4491,6 @@ router.delete('/groups/:groupId/members/:userId', async (req, res) => {
 
     console.log(`➖ Route: Removing user ${userId} from group ${groupId}`);
 
-    // Verify admin access
-    const isAdmin = await customChatServiceInstance.verifyGroupAdmin(groupId, adminUserId, userToken);
-    if (!isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Only group admins can remove members' 
-      });
-    }
-
     // Prevent self-removal
     if (parseInt(userId) === parseInt(adminUserId)) {
       return res.status(400).json({ 
@@ -2992,6 +4499,7 @@ router.delete('/groups/:groupId/members/:userId', async (req, res) => {
       });
     }
 
+    const before = await getMemberAuditState(groupId, userId, userToken);
     const result = await customChatServiceInstance.removeGroupMember(
       groupId, 
       userId, 
@@ -2999,6 +4507,13 @@ router.delete('/groups/:groupId/members/:userId', async (req, res) => {
     );
 
     if (result.success) {
+      await permissionService.clearScope('group', groupId, userId);
+      await auditLogService.recordRequest(req, 'group.member_remove', {
+        resourceType: 'group',
+        resourceId: groupId,
+        targetUserId: userId,
+        before
+      });
       res.json({
         success: true,
         message: 'Member removed successfully',
@@ -3021,7 +4536,7 @@ router.delete('/groups/:groupId/members/:userId', async (req, res) => {
  * GROUP MANAGEMENT: Get group details
  * GET /groups/:groupId - Get detailed group information
  */
-router.get('/groups/:groupId', async (req, res) => {
+router.get('/groups/:groupId', requirePermission('chat:use'), async (req, res) => {
   try {
     const { groupId } = req.params;
     const userId = req.user.user_id;
@@ -3032,9 +4547,16 @@ router.get('/groups/:groupId', async (req, res) => {
     const result = await customChatServiceInstance.getGroupDetails(groupId, userToken);
 
     if (result.success) {
+      let pins = [];
+      try {
+        pins = await pinnedMessageService.getPins('group', groupId);
+      } catch (error) {
+        console.warn(`⚠️ Route: Pins of group ${groupId} not loaded:`, error.message);
+      }
+
       res.json({
         success: true,
-        data: result.data
+        data: { ...result.data, pins }
       });
     } else {
       res.status(400).json({ success: false, error: 'Failed to get group details' });
@@ -3053,7 +4575,7 @@ router.get('/groups/:groupId', async (req, res) => {
  * GROUP MANAGEMENT: Promote member to admin
  * POST /groups/:groupId/members/:userId/promote - Promote member to admin role
  */
-router.post('/groups/:groupId/members/:userId/promote', [
+router.post('/groups/:groupId/members/:userId/promote', requirePermission('group:manage', 'groupId'), [
   body('role').optional().isIn(['admin', 'mod']).withMessage('Invalid role - must be admin or mod')
 ], async (req, res) => {
   try {
@@ -3069,15 +4591,6 @@ router.post('/groups/:groupId/members/:userId/promote', [
 
     console.log(`⬆️ Route: Promoting user ${userId} to ${role} in group ${groupId}`);
 
-    // Verify admin access
-    const isAdmin = await customChatServiceInstance.verifyGroupAdmin(groupId, promoterId, userToken);
-    if (!isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Only group admins can promote members' 
-      });
-    }
-
     // Prevent self-promotion
     if (parseInt(userId) === parseInt(promoterId)) {
       return res.status(400).json({ 
@@ -3086,6 +4599,7 @@ router.post('/groups/:groupId/members/:userId/promote', [
       });
     }
 
+    const before = await getMemberAuditState(groupId, userId, userToken);
     let result;
     if (role === 'admin') {
       result = await customChatServiceInstance.promoteToAdmin(groupId, userId, promoterId, userToken);
@@ -3094,6 +4608,14 @@ router.post('/groups/:groupId/members/:userId/promote', [
     }
 
     if (result) {
+      await permissionService.clearScope('group', groupId, userId);
+      await auditLogService.recordRequest(req, 'group.member_promote', {
+        resourceType: 'group',
+        resourceId: groupId,
+        targetUserId: userId,
+        before,
+        after: { role }
+      });
       res.json({
         success: true,
         message: `Member promoted to ${role} successfully`,
@@ -3116,7 +4638,7 @@ router.post('/groups/:groupId/members/:userId/promote', [
  * GROUP MANAGEMENT: Demote member from admin/mod
  * POST /groups/:groupId/members/:userId/demote - Demote member from admin/mod to regular member
  */
-router.post('/groups/:groupId/members/:userId/demote', async (req, res) => {
+router.post('/groups/:groupId/members/:userId/demote', requirePermission('group:manage', 'groupId'), async (req, res) => {
   try {
     const { groupId, userId } = req.params;
     const demoterId = req.user.user_id;
@@ -3124,15 +4646,6 @@ router.post('/groups/:groupId/members/:userId/demote', async (req, res) => {
 
     console.log(`⬇️ Route: Demoting user ${userId} in group ${groupId}`);
 
-    // Verify admin access
-    const isAdmin = await customChatServiceInstance.verifyGroupAdmin(groupId, demoterId, userToken);
-    if (!isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Only group admins can demote members' 
-      });
-    }
-
     // Prevent self-demotion
     if (parseInt(userId) === parseInt(demoterId)) {
       return res.status(400).json({ 
@@ -3141,9 +4654,18 @@ router.post('/groups/:groupId/members/:userId/demote', async (req, res) => {
       });
     }
 
+    const before = await getMemberAuditState(groupId, userId, userToken);
     const result = await customChatServiceInstance.demoteFromAdmin(groupId, userId, demoterId, userToken);
 
     if (result) {
+      await permissionService.clearScope('group', groupId, userId);
+      await auditLogService.recordRequest(req, 'group.member_demote', {
+        resourceType: 'group',
+        resourceId: groupId,
+        targetUserId: userId,
+        before,
+        after: { role: 'member' }
+      });
       res.json({
         success: true,
         message: 'Member demoted successfully',
@@ -3166,7 +4688,7 @@ router.post('/groups/:groupId/members/:userId/demote', async (req, res) => {
  * GROUP MANAGEMENT: Ban member from group
  * POST /groups/:groupId/members/:userId/ban - Ban member from group
  */
-router.post('/groups/:groupId/members/:userId/ban', async (req, res) => {
+router.post('/groups/:groupId/members/:userId/ban', requirePermission('group:manage', 'groupId'), async (req, res) => {
   try {
     const { groupId, userId } = req.params;
     const bannerId = req.user.user_id;
@@ -3174,15 +4696,6 @@ router.post('/groups/:groupId/members/:userId/ban', async (req, res) => {
 
     console.log(`🚫 Route: Banning user ${userId} from group ${groupId}`);
 
-    // Verify admin access
-    const isAdmin = await customChatServiceInstance.verifyGroupAdmin(groupId, bannerId, userToken);
-    if (!isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Only group admins can ban members' 
-      });
-    }
-
     // Prevent self-ban
     if (parseInt(userId) === parseInt(bannerId)) {
       return res.status(400).json({ 
@@ -3191,9 +4704,18 @@ router.post('/groups/:groupId/members/:userId/ban', async (req, res) => {
       });
     }
 
+    const before = await getMemberAuditState(groupId, userId, userToken);
     const result = await customChatServiceInstance.banGroupMember(groupId, userId, bannerId, userToken);
 
     if (result) {
+      await permissionService.clearScope('group', groupId, userId);
+      await auditLogService.recordRequest(req, 'group.member_ban', {
+        resourceType: 'group',
+        resourceId: groupId,
+        targetUserId: userId,
+        before,
+        after: { banned: true }
+      });
       res.json({
         success: true,
         message: 'Member banned successfully',
@@ -3216,7 +4738,7 @@ router.post('/groups/:groupId/members/:userId/ban', async (req, res) => {
  * GROUP MANAGEMENT: Unban member from group
  * POST /groups/:groupId/members/:userId/unban - Unban member from group
  */
-router.post('/groups/:groupId/members/:userId/unban', async (req, res) => {
+router.post('/groups/:groupId/members/:userId/unban', requirePermission('group:manage', 'groupId'), async (req, res) => {
   try {
     const { groupId, userId } = req.params;
     const unbannerId = req.user.user_id;
@@ -3224,18 +4746,17 @@ router.post('/groups/:groupId/members/:userId/unban', async (req, res) => {
 
     console.log(`✅ Route: Unbanning user ${userId} from group ${groupId}`);
 
-    // Verify admin access
-    const isAdmin = await customChatServiceInstance.verifyGroupAdmin(groupId, unbannerId, userToken);
-    if (!isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Only group admins can unban members' 
-      });
-    }
-
+    const before = await getMemberAuditState(groupId, userId, userToken);
     const result = await customChatServiceInstance.unbanGroupMember(groupId, userId, unbannerId, userToken);
 
     if (result) {
+      await auditLogService.recordRequest(req, 'group.member_unban', {
+        resourceType: 'group',
+        resourceId: groupId,
+        targetUserId: userId,
+        before,
+        after: { banned: false }
+      });
       res.json({
         success: true,
         message: 'Member unbanned successfully',
@@ -3258,7 +4779,7 @@ router.post('/groups/:groupId/members/:userId/unban', async (req, res) => {
  * GROUP MANAGEMENT: Delete group completely
  * DELETE /groups/:groupId - Permanently delete group and all related data
  */
-router.delete('/groups/:groupId', [
+router.delete('/groups/:groupId', requirePermission('group:manage', 'groupId'), [
   body('delete_group_forum').optional().isBoolean().withMessage('delete_group_forum must be a boolean')
 ], async (req, res) => {
   try {
@@ -3269,20 +4790,11 @@ router.delete('/groups/:groupId', [
 
     const { groupId } = req.params;
     const { delete_group_forum = false } = req.body;
-    const adminUserId = req.user.user_id;
     const userToken = req.user.token;
 
     console.log(`🗑️ Route: Deleting group ${groupId}, deleteGroupForum: ${delete_group_forum}`);
 
-    // Verify admin access
-    const isAdmin = await customChatServiceInstance.verifyGroupAdmin(groupId, adminUserId, userToken);
-    if (!isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Only group admins can delete the group' 
-      });
-    }
-
+    const before = await getGroupAuditState(groupId, userToken);
     const result = await customChatServiceInstance.deleteGroupCompletely(
       groupId, 
       delete_group_forum, 
@@ -3290,6 +4802,13 @@ router.delete('/groups/:groupId', [
     );
 
     if (result.success) {
+      await dropMessageDetails('group', { conversationId: groupId });
+      await auditLogService.recordRequest(req, 'group.delete', {
+        resourceType: 'group',
+        resourceId: groupId,
+        before,
+        context: { deleteGroupForum: delete_group_forum }
+      });
       res.json({
         success: true,
         message: result.message || 'Group deleted successfully',
@@ -3312,26 +4831,19 @@ router.delete('/groups/:groupId', [
  * GROUP MANAGEMENT: Delete all group messages (cleanup)
  * DELETE /groups/:groupId/messages - Delete all messages for a group (used during group deletion)
  */
-router.delete('/groups/:groupId/messages', async (req, res) => {
+router.delete('/groups/:groupId/messages', requirePermission('group:manage', 'groupId'), async (req, res) => {
   try {
     const { groupId } = req.params;
-    const adminUserId = req.user.user_id;
-    const userToken = req.user.token;
 
     console.log(`🧹 Route: Cleaning up all messages for group ${groupId}`);
 
-    // Verify admin access
-    const isAdmin = await customChatServiceInstance.verifyGroupAdmin(groupId, adminUserId, userToken);
-    if (!isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Only group admins can delete group messages' 
-      });
-    }
-
     // This endpoint would clean up all group messages
     // Implementation depends on your message storage strategy
     console.log('✅ Route: Group messages cleanup completed');
+    await auditLogService.recordRequest(req, 'group.messages_delete', {
+      resourceType: 'group',
+      resourceId: groupId
+    });
     
     res.json({
       success: true,
@@ -3353,7 +4865,7 @@ router.delete('/groups/:groupId/messages', async (req, res) => {
  * PRIVATE CHAT: Upload media for chat messages - SIMPLIFIED VERSION
  * POST /media/upload/chat - Simple media upload without validation conflicts
  */
-router.post('/media/upload/chat', simpleUploadMiddleware, async (req, res) => {
+router.post('/media/upload/chat', requirePermission('chat:use'), simpleUploadMiddleware, async (req, res) => {
   try {
     console.log('📤 Server: Simple media upload received');
     console.log('📤 Server: Body keys:', Object.keys(req.body || {}));
@@ -3385,7 +4897,7 @@ router.post('/media/upload/chat', simpleUploadMiddleware, async (req, res) => {
         fs.mkdirSync(uploadDir, { recursive: true });
       }
       
-      const tempFileName = `base64_${Date.now()}_${fileName}`;
+      const tempFileName = `base64_${uploadOwnerTag(req)}${Date.now()}_${fileName}`;
       const tempFilePath = path.join(uploadDir, tempFileName);
       
       // Write base64 to file
@@ -3491,7 +5003,7 @@ router.post('/media/upload/chat', simpleUploadMiddleware, async (req, res) => {
  * PRIVATE CHAT: Upload voice message for chat
  * POST /voice/upload/chat - Enhanced voice upload with direct chat integration
  */
-router.post('/voice/upload/chat', voiceUpload, [
+router.post('/voice/upload/chat', requirePermission('chat:use'), voiceUpload, [
   body('user_id').notEmpty().withMessage('User ID is required'),
   body('thread_id').optional().isNumeric().withMessage('Thread ID must be a number')
 ], async (req, res) => {
@@ -3553,7 +5065,7 @@ router.post('/voice/upload/chat', voiceUpload, [
  * GROUP CHAT: Upload media for group chat messages (Mobile-friendly endpoint)
  * POST /media/upload/group - Unified group media upload endpoint
  */
-router.post('/media/upload/group', mediaUpload, [
+router.post('/media/upload/group', requirePermission('chat:use'), mediaUpload, [
   body('user_id').notEmpty().withMessage('User ID is required'),
   body('group_id').notEmpty().withMessage('Group ID is required'),
   body('groupId').optional().isNumeric().withMessage('Group ID must be a number'),
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, sendForbidden } = require('../middleware/auth');
 const TutorLMSService = require('../services/tutorLMSService');
+const permissionService = require('../services/permissionService');
 
 // Initialize Tutor LMS service
 const tutorLMSService = new TutorLMSService();
@@ -12,7 +13,7 @@ const tutorLMSService = new TutorLMSService();
  * GET /api/education/native/test
  * Test native WordPress API endpoint
  */
-router.get('/native/test', async (req, res) => {
+router.get('/native/test', requirePermission('system:debug'), async (req, res) => {
   try {
     tutorLMSService.setAuthToken(req.user?.token);
     const result = await tutorLMSService.testNativeApi();
@@ -36,7 +37,7 @@ router.get('/native/test', async (req, res) => {
  * GET /api/education/native/courses
  * Get courses using native WordPress API
  */
-router.get('/native/courses', async (req, res) => {
+router.get('/native/courses', requirePermission('courses:read'), async (req, res) => {
   try {
     tutorLMSService.setAuthToken(req.user?.token);
     const result = await tutorLMSService.getNativeCourses(req.query);
@@ -61,7 +62,7 @@ router.get('/native/courses', async (req, res) => {
  * GET /api/education/native/categories
  * Get categories using native WordPress API
  */
-router.get('/native/categories', async (req, res) => {
+router.get('/native/categories', requirePermission('courses:read'), async (req, res) => {
   try {
     tutorLMSService.setAuthToken(req.user?.token);
     const result = await tutorLMSService.getNativeCategories();
@@ -86,7 +87,7 @@ router.get('/native/categories', async (req, res) => {
  * GET /api/education/native/enhanced
  * Get enhanced courses using native WordPress API
  */
-router.get('/native/enhanced', async (req, res) => {
+router.get('/native/enhanced', requirePermission('courses:read'), async (req, res) => {
   try {
     tutorLMSService.setAuthToken(req.user?.token);
     const result = await tutorLMSService.getNativeEnhancedCourses(req.query);
@@ -113,7 +114,7 @@ router.get('/native/enhanced', async (req, res) => {
  * GET /api/education/test
  * Test endpoint to verify education routes are working
  */
-router.get('/test', async (req, res) => {
+router.get('/test', requirePermission('system:debug'), async (req, res) => {
   try {
     console.log('Testing education API connection...');
     
@@ -175,7 +176,7 @@ router.get('/test', async (req, res) => {
  * GET /api/education/curricula
  * Get all curricula organized by country
  */
-router.get('/curricula', async (req, res) => {
+router.get('/curricula', requirePermission('courses:read'), async (req, res) => {
   try {
     console.log('Curricula endpoint called');
     console.log('User:', req.user ? 'Authenticated' : 'Not authenticated');
@@ -208,7 +209,7 @@ router.get('/curricula', async (req, res) => {
  * GET /api/education/curricula/:country
  * Get curriculum for specific country with filtering
  */
-router.get('/curricula/:country', async (req, res) => {
+router.get('/curricula/:country', requirePermission('courses:read'), async (req, res) => {
   try {
     const { country } = req.params;
     const { grade_level, subject, course_type, page = 1, limit = 20 } = req.query;
@@ -265,7 +266,7 @@ router.get('/curricula/:country', async (req, res) => {
  * GET /api/education/subjects
  * Get all subjects with course counts
  */
-router.get('/subjects', authenticateToken, async (req, res) => {
+router.get('/subjects', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { country, grade_level } = req.query;
     
@@ -299,7 +300,7 @@ router.get('/subjects', authenticateToken, async (req, res) => {
  * GET /api/education/subjects/:subject/courses
  * Get courses for specific subject
  */
-router.get('/subjects/:subject/courses', authenticateToken, async (req, res) => {
+router.get('/subjects/:subject/courses', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { subject } = req.params;
     const { country, grade_level, course_type, page = 1, limit = 20 } = req.query;
@@ -351,7 +352,7 @@ router.get('/subjects/:subject/courses', authenticateToken, async (req, res) =>
  * GET /api/education/bundles
  * Get all course bundles
  */
-router.get('/bundles', authenticateToken, async (req, res) => {
+router.get('/bundles', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { country, subject, grade_level, course_type } = req.query;
     
@@ -386,7 +387,7 @@ router.get('/bundles', authenticateToken, async (req, res) => {
  * GET /api/education/bundles/:bundleId
  * Get specific bundle details
  */
-router.get('/bundles/:bundleId', authenticateToken, async (req, res) => {
+router.get('/bundles/:bundleId', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { bundleId } = req.params;
     
@@ -427,7 +428,7 @@ router.get('/bundles/:bundleId', authenticateToken, async (req, res) => {
  * POST /api/education/bundles/:bundleId/subscribe
  * Subscribe to a bundle (placeholder for future WooCommerce integration)
  */
-router.post('/bundles/:bundleId/subscribe', authenticateToken, async (req, res) => {
+router.post('/bundles/:bundleId/subscribe', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { bundleId } = req.params;
     const { payment_method, woocommerce_order_id } = req.body;
@@ -460,7 +461,7 @@ router.post('/bundles/:bundleId/subscribe', authenticateToken, async (req, res)
  * GET /api/education/courses/enhanced
  * Get courses with enhanced metadata and filtering
  */
-router.get('/courses/enhanced', authenticateToken, async (req, res) => {
+router.get('/courses/enhanced', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { 
       country, 
@@ -518,7 +519,7 @@ router.get('/courses/enhanced', authenticateToken, async (req, res) => {
  * POST /api/education/courses/:courseId/enroll
  * Enroll user in a course - Enhanced with pricing detection and payment handling
  */
-router.post('/courses/:courseId/enroll', authenticateToken, async (req, res) => {
+router.post('/courses/:courseId/enroll', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { courseId } = req.params;
     const { payment_method, woocommerce_order_id } = req.body;
@@ -672,7 +673,7 @@ router.post('/courses/:courseId/enroll', authenticateToken, async (req, res) =>
  * POST /api/education/courses/:courseId/create-payment-order
  * Create WooCommerce payment order for course
  */
-router.post('/courses/:courseId/create-payment-order', authenticateToken, async (req, res) => {
+router.post('/courses/:courseId/create-payment-order', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { courseId } = req.params;
     const { payment_method = 'stripe' } = req.body;
@@ -718,7 +719,7 @@ router.post('/courses/:courseId/create-payment-order', authenticateToken, async
  * GET /api/education/courses/:courseId/pricing
  * Get course pricing information
  */
-router.get('/courses/:courseId/pricing', async (req, res) => {
+router.get('/courses/:courseId/pricing', requirePermission('courses:read'), async (req, res) => {
   try {
     const { courseId } = req.params;
     
@@ -758,7 +759,7 @@ router.get('/courses/:courseId/pricing', async (req, res) => {
  * GET /api/education/courses/:courseId/meeting
  * Get live course meeting link (placeholder for WebRTC integration)
  */
-router.get('/courses/:courseId/meeting', authenticateToken, async (req, res) => {
+router.get('/courses/:courseId/meeting', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { courseId } = req.params;
     
@@ -768,10 +769,7 @@ router.get('/courses/:courseId/meeting', authenticateToken, async (req, res) =>
     const hasAccess = await tutorLMSService.checkUserAccess(req.user.id, 'course', courseId);
     
     if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this live course',
-      });
+      return sendForbidden(res, null, 'You do not have access to this live course');
     }
     
     // Placeholder for live meeting integration
@@ -802,7 +800,7 @@ router.get('/courses/:courseId/meeting', authenticateToken, async (req, res) =>
  * POST /api/education/search
  * Advanced course search with multiple filters
  */
-router.post('/search', authenticateToken, async (req, res) => {
+router.post('/search', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const {
       query,
@@ -844,7 +842,7 @@ router.post('/search', authenticateToken, async (req, res) => {
  * POST /api/education/access/check
  * Check user's access to specific course or bundle
  */
-router.post('/access/check', authenticateToken, async (req, res) => {
+router.post('/access/check', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { items } = req.body; // Array of {type: 'course'|'bundle', id: number}
     
@@ -881,7 +879,7 @@ router.post('/access/check', authenticateToken, async (req, res) => {
  * GET /api/education/courses/:courseId/qa
  * Get Q&A for specific course
  */
-router.get('/courses/:courseId/qa', authenticateToken, async (req, res) => {
+router.get('/courses/:courseId/qa', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { courseId } = req.params;
     
@@ -908,7 +906,7 @@ router.get('/courses/:courseId/qa', authenticateToken, async (req, res) => {
  * POST /api/education/courses/:courseId/qa
  * Post question in course Q&A
  */
-router.post('/courses/:courseId/qa', authenticateToken, async (req, res) => {
+router.post('/courses/:courseId/qa', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { courseId } = req.params;
     const { question } = req.body;
@@ -943,7 +941,7 @@ router.post('/courses/:courseId/qa', authenticateToken, async (req, res) => {
  * POST /api/education/qa/:questionId/answer
  * Post answer to Q&A question
  */
-router.post('/qa/:questionId/answer', authenticateToken, async (req, res) => {
+router.post('/qa/:questionId/answer', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { questionId } = req.params;
     const { answer } = req.body;
@@ -957,6 +955,24 @@ router.post('/qa/:questionId/answer', authenticateToken, async (req, res) => {
     
     tutorLMSService.setAuthToken(req.user.token);
     
+    // The course comes from the question itself; replies to an answer belong to its question's thread
+    let question = await tutorLMSService.getQuestion(questionId);
+    if (question?.parentId) {
+      question = await tutorLMSService.getQuestion(question.parentId);
+    }
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found',
+      });
+    }
+    
+    // Course instructors answer any question, the student who asked replies in their own thread
+    const isAsker = String(question.userId) === String(req.user.id);
+    if (!isAsker && !(await permissionService.can(req.user, 'course:teach', question.courseId))) {
+      return sendForbidden(res, 'course:teach');
+    }
+    
     const result = await tutorLMSService.postAnswer(questionId, req.user.id, answer);
     
     res.json({
@@ -980,7 +996,7 @@ router.post('/qa/:questionId/answer', authenticateToken, async (req, res) => {
  * GET /api/education/my-enrollments
  * Get current user's course enrollments
  */
-router.get('/my-enrollments', authenticateToken, async (req, res) => {
+router.get('/my-enrollments', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     tutorLMSService.setAuthToken(req.user.token);
     
@@ -1006,7 +1022,7 @@ router.get('/my-enrollments', authenticateToken, async (req, res) => {
  * GET /api/education/course/:courseId/complete
  * Get complete course details with all content, enrollment status, and user progress
  */
-router.get('/course/:courseId/complete', async (req, res) => {
+router.get('/course/:courseId/complete', requirePermission('courses:read'), async (req, res) => {
   try {
     const { courseId } = req.params;
     const { user_id } = req.query;
@@ -1046,7 +1062,7 @@ router.get('/course/:courseId/complete', async (req, res) => {
 /**
  * Test endpoint to verify API is working
  */
-router.get('/test-topics/:courseId', authenticateToken, async (req, res) => {
+router.get('/test-topics/:courseId', authenticateToken, requirePermission('system:debug'), async (req, res) => {
   try {
     const { courseId } = req.params;
     console.log(`=== TEST TOPICS ENDPOINT CALLED ===`);
@@ -1077,7 +1093,7 @@ router.get('/test-topics/:courseId', authenticateToken, async (req, res) => {
 /**
  * DEBUG: Test endpoint to check course structure directly
  */
-router.get('/debug-course/:courseId', authenticateToken, async (req, res) => {
+router.get('/debug-course/:courseId', authenticateToken, requirePermission('system:debug'), async (req, res) => {
   try {
     const { courseId } = req.params;
     console.log(`=== DEBUG COURSE ENDPOINT CALLED ===`);
@@ -1104,7 +1120,7 @@ router.get('/debug-course/:courseId', authenticateToken, async (req, res) => {
 /**
  * Get course topics using native Tutor LMS API
  */
-router.get('/courses/:courseId/topics', authenticateToken, async (req, res) => {
+router.get('/courses/:courseId/topics', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { courseId } = req.params;
     console.log(`=== TOPICS ENDPOINT CALLED ===`);
@@ -1149,7 +1165,7 @@ router.get('/courses/:courseId/topics', authenticateToken, async (req, res) => {
 /**
  * Get lessons for a specific topic using native Tutor LMS API
  */
-router.get('/topics/:topicId/lessons', authenticateToken, async (req, res) => {
+router.get('/topics/:topicId/lessons', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { topicId } = req.params;
     console.log(`Lessons endpoint called for topic ${topicId}`);
@@ -1180,7 +1196,7 @@ router.get('/topics/:topicId/lessons', authenticateToken, async (req, res) => {
 /**
  * Get complete course content structure using native Tutor LMS API
  */
-router.get('/courses/:courseId/content-structure', authenticateToken, async (req, res) => {
+router.get('/courses/:courseId/content-structure', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { courseId } = req.params;
     console.log(`Course content structure endpoint called for course ${courseId}`);
@@ -1209,7 +1225,7 @@ router.get('/courses/:courseId/content-structure', authenticateToken, async (req
 /**
  * Get complete course topics with nested lessons (existing method)
  */
-router.get('/courses/:courseId/topics-with-lessons', authenticateToken, async (req, res) => {
+router.get('/courses/:courseId/topics-with-lessons', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { courseId } = req.params;
     console.log(`Topics with lessons endpoint called for course ${courseId}`);
@@ -1240,7 +1256,7 @@ router.get('/courses/:courseId/topics-with-lessons', authenticateToken, async (r
 /**
  * Get specific lesson details using native Tutor LMS API
  */
-router.get('/lessons/:lessonId', authenticateToken, async (req, res) => {
+router.get('/lessons/:lessonId', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { lessonId } = req.params;
     console.log(`Lesson details endpoint called for lesson ${lessonId}`);
@@ -1269,7 +1285,7 @@ router.get('/lessons/:lessonId', authenticateToken, async (req, res) => {
 /**
  * Mark lesson as complete
  */
-router.post('/lessons/:lessonId/complete', authenticateToken, async (req, res) => {
+router.post('/lessons/:lessonId/complete', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { lessonId } = req.params;
     const userId = req.user?.id;
@@ -1317,7 +1333,7 @@ router.post('/lessons/:lessonId/complete', authenticateToken, async (req, res) =
 /**
  * Get lesson progress for user
  */
-router.get('/lessons/:lessonId/progress', authenticateToken, async (req, res) => {
+router.get('/lessons/:lessonId/progress', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { lessonId } = req.params;
     const userId = req.user?.id;
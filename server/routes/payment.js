@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 /**
  * POST /api/payment/create-order
  * Create a payment order for course enrollment - Proxy to WordPress
  */
-router.post('/create-order', authenticateToken, async (req, res) => {
+router.post('/create-order', authenticateToken, requirePermission('billing:manage'), async (req, res) => {
   try {
     const { course_id, payment_method = 'stripe', user_data = {} } = req.body;
     const user_id = req.user.id;
@@ -64,7 +64,7 @@ router.post('/create-order', authenticateToken, async (req, res) => {
  * POST /api/payment/verify-enroll
  * Verify payment and enroll user in course - Proxy to WordPress
  */
-router.post('/verify-enroll', authenticateToken, async (req, res) => {
+router.post('/verify-enroll', authenticateToken, requirePermission('billing:manage'), async (req, res) => {
   try {
     const { order_id, course_id, transaction_id } = req.body;
     const user_id = req.user.id;
@@ -120,7 +120,7 @@ router.post('/verify-enroll', authenticateToken, async (req, res) => {
  * GET /api/payment/course-pricing/:courseId
  * Get course pricing information - Proxy to WordPress
  */
-router.get('/course-pricing/:courseId', authenticateToken, async (req, res) => {
+router.get('/course-pricing/:courseId', authenticateToken, requirePermission('courses:read'), async (req, res) => {
   try {
     const { courseId } = req.params;
 
@@ -158,7 +158,7 @@ router.get('/course-pricing/:courseId', authenticateToken, async (req, res) => {
  * GET /api/payment/methods
  * Get available payment methods - Proxy to WordPress
  */
-router.get('/methods', authenticateToken, async (req, res) => {
+router.get('/methods', authenticateToken, requirePermission('billing:manage'), async (req, res) => {
   try {
     console.log('Proxying payment methods request to WordPress');
 
@@ -194,7 +194,7 @@ router.get('/methods', authenticateToken, async (req, res) => {
  * POST /api/payment/free-enroll
  * Enroll in free course - Proxy to WordPress
  */
-router.post('/free-enroll', authenticateToken, async (req, res) => {
+router.post('/free-enroll', authenticateToken, requirePermission('courses:learn'), async (req, res) => {
   try {
     const { course_id } = req.body;
     const user_id = req.user.id;
@@ -1,6 +1,8 @@
 const express = require('express');
 const Joi = require('joi');
 const buddyBossService = require('../services/buddyBossService');
+const blockService = require('../services/blockService');
+const { requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -35,7 +37,7 @@ const joinGroupSchema = Joi.object({
  * GET /api/social/activity
  * Get activity feed
  */
-router.get('/activity', async (req, res) => {
+router.get('/activity', requirePermission('social:use'), async (req, res) => {
   try {
     const { page = 1, per_page = 20, scope = 'all', search, component, type, user_id } = req.query;
     
@@ -93,7 +95,7 @@ router.get('/activity', async (req, res) => {
  * POST /api/social/activity
  * Post new activity
  */
-router.post('/activity', async (req, res) => {
+router.post('/activity', requirePermission('social:use'), async (req, res) => {
   try {
     const { error, value } = postActivitySchema.validate(req.body);
     if (error) {
@@ -141,7 +143,7 @@ router.post('/activity', async (req, res) => {
  * DELETE /api/social/activity/:id
  * Delete activity
  */
-router.delete('/activity/:id', async (req, res) => {
+router.delete('/activity/:id', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -165,7 +167,7 @@ router.delete('/activity/:id', async (req, res) => {
  * POST /api/social/activity/:id/favorite
  * Toggle activity favorite (like/unlike)
  */
-router.post('/activity/:id/favorite', async (req, res) => {
+router.post('/activity/:id/favorite', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -193,7 +195,7 @@ router.post('/activity/:id/favorite', async (req, res) => {
  * GET /api/social/activity/:id/comments
  * Get activity comments
  */
-router.get('/activity/:id/comments', async (req, res) => {
+router.get('/activity/:id/comments', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -227,7 +229,7 @@ router.get('/activity/:id/comments', async (req, res) => {
  * POST /api/social/activity/:id/comments
  * Post activity comment
  */
-router.post('/activity/:id/comments', async (req, res) => {
+router.post('/activity/:id/comments', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     const { error, value } = postCommentSchema.validate(req.body);
@@ -269,7 +271,7 @@ router.post('/activity/:id/comments', async (req, res) => {
  * DELETE /api/social/comments/:id
  * Delete activity comment
  */
-router.delete('/comments/:id', async (req, res) => {
+router.delete('/comments/:id', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -293,9 +295,13 @@ router.delete('/comments/:id', async (req, res) => {
  * GET /api/social/friends
  * Get user's friends
  */
-router.get('/friends', async (req, res) => {
+router.get('/friends', requirePermission('social:use'), async (req, res) => {
   try {
-    const friends = await buddyBossService.getUserFriends(req.user.id, req.token);
+    const friends = await blockService.filterUsers(
+      req.user.id,
+      await buddyBossService.getUserFriends(req.user.id, req.token),
+      friend => String(friend.user_id) === String(req.user.id) ? friend.friend_id : friend.user_id
+    );
 
     res.json({
       success: true,
@@ -326,7 +332,7 @@ router.get('/friends', async (req, res) => {
  * POST /api/social/friends/request
  * Send friend request
  */
-router.post('/friends/request', async (req, res) => {
+router.post('/friends/request', requirePermission('social:use'), async (req, res) => {
   try {
     const { error, value } = sendFriendRequestSchema.validate(req.body);
     if (error) {
@@ -337,7 +343,10 @@ router.post('/friends/request', async (req, res) => {
       });
     }
 
-    const friendRequest = await buddyBossService.sendFriendRequest(req.user.id, value.userId, req.token);
+    // Requests between blocked users are dropped without telling the sender
+    const friendRequest = await blockService.isBlocked(req.user.id, value.userId)
+      ? { id: null, user_id: req.user.id, friend_id: value.userId, date_created: new Date().toISOString() }
+      : await buddyBossService.sendFriendRequest(req.user.id, value.userId, req.token);
 
     res.json({
       success: true,
@@ -365,7 +374,7 @@ router.post('/friends/request', async (req, res) => {
  * PUT /api/social/friends/request/:id
  * Accept or reject friend request
  */
-router.put('/friends/request/:id', async (req, res) => {
+router.put('/friends/request/:id', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     const { error, value } = manageFriendRequestSchema.validate({ ...req.body, requestId: parseInt(id) });
@@ -406,7 +415,7 @@ router.put('/friends/request/:id', async (req, res) => {
  * DELETE /api/social/friends/:id
  * Remove friend
  */
-router.delete('/friends/:id', async (req, res) => {
+router.delete('/friends/:id', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -430,7 +439,7 @@ router.delete('/friends/:id', async (req, res) => {
  * GET /api/social/groups
  * Get groups
  */
-router.get('/groups', async (req, res) => {
+router.get('/groups', requirePermission('social:use'), async (req, res) => {
   try {
     const { page = 1, per_page = 20, search, type = 'all', status = 'all' } = req.query;
     
@@ -488,7 +497,7 @@ router.get('/groups', async (req, res) => {
  * POST /api/social/groups/:id/join
  * Join a group
  */
-router.post('/groups/:id/join', async (req, res) => {
+router.post('/groups/:id/join', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -515,7 +524,7 @@ router.post('/groups/:id/join', async (req, res) => {
  * DELETE /api/social/groups/:id/leave
  * Leave a group
  */
-router.delete('/groups/:id/leave', async (req, res) => {
+router.delete('/groups/:id/leave', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -539,7 +548,7 @@ router.delete('/groups/:id/leave', async (req, res) => {
  * GET /api/social/groups/:id/members
  * Get group members
  */
-router.get('/groups/:id/members', async (req, res) => {
+router.get('/groups/:id/members', requirePermission('social:use'), async (req, res) => {
   try {
     const { id } = req.params;
     
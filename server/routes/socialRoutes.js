@@ -2,15 +2,17 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 
 const socialService = require('../services/socialService');
+const blockService = require('../services/blockService');
+const { requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Get friends list
-router.get('/friends', async (req, res) => {
+router.get('/friends', requirePermission('social:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     
-    const friends = await socialService.getFriends(userId);
+    const friends = await blockService.filterUsers(userId, await socialService.getFriends(userId));
     
     res.json({
       success: true,
@@ -27,11 +29,11 @@ router.get('/friends', async (req, res) => {
 });
 
 // Get followers list
-router.get('/followers', async (req, res) => {
+router.get('/followers', requirePermission('social:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     
-    const followers = await socialService.getFollowers(userId);
+    const followers = await blockService.filterUsers(userId, await socialService.getFollowers(userId));
     
     res.json({
       success: true,
@@ -48,11 +50,11 @@ router.get('/followers', async (req, res) => {
 });
 
 // Get following list
-router.get('/following', async (req, res) => {
+router.get('/following', requirePermission('social:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     
-    const following = await socialService.getFollowing(userId);
+    const following = await blockService.filterUsers(userId, await socialService.getFollowing(userId));
     
     res.json({
       success: true,
@@ -69,7 +71,7 @@ router.get('/following', async (req, res) => {
 });
 
 // Search users globally
-router.get('/users/search', async (req, res) => {
+router.get('/users/search', requirePermission('social:use'), async (req, res) => {
   try {
     const { query } = req.query;
     const userId = req.user.user_id;
@@ -81,7 +83,7 @@ router.get('/users/search', async (req, res) => {
       });
     }
 
-    const users = await socialService.searchUsers(query.trim(), userId);
+    const users = await blockService.filterUsers(userId, await socialService.searchUsers(query.trim(), userId));
     
     res.json({
       success: true,
@@ -98,7 +100,7 @@ router.get('/users/search', async (req, res) => {
 });
 
 // Block user
-router.post('/users/block', [
+router.post('/users/block', requirePermission('social:use'), [
   body('target_user_id').isNumeric().withMessage('Target user ID must be a number')
 ], async (req, res) => {
   try {
@@ -114,11 +116,17 @@ router.post('/users/block', [
     const { target_user_id } = req.body;
     const userId = req.user.user_id;
 
-    const result = await socialService.blockUser(userId, target_user_id);
+    if (String(target_user_id) === String(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    await blockService.block(userId, target_user_id, req.token);
     
     res.json({
       success: true,
-      data: result,
       message: 'User blocked successfully'
     });
   } catch (error) {
@@ -131,7 +139,7 @@ router.post('/users/block', [
 });
 
 // Unblock user
-router.post('/users/unblock', [
+router.post('/users/unblock', requirePermission('social:use'), [
   body('target_user_id').isNumeric().withMessage('Target user ID must be a number')
 ], async (req, res) => {
   try {
@@ -147,11 +155,10 @@ router.post('/users/unblock', [
     const { target_user_id } = req.body;
     const userId = req.user.user_id;
 
-    const result = await socialService.unblockUser(userId, target_user_id);
+    await blockService.unblock(userId, target_user_id, req.token);
     
     res.json({
       success: true,
-      data: result,
       message: 'User unblocked successfully'
     });
   } catch (error) {
@@ -164,11 +171,11 @@ router.post('/users/unblock', [
 });
 
 // Get blocked users
-router.get('/users/blocked', async (req, res) => {
+router.get('/users/blocked', requirePermission('social:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     
-    const blockedUsers = await socialService.getBlockedUsers(userId);
+    const blockedUsers = socialService.formatContactsList(await blockService.getBlockedUsers(userId, req.token));
     
     res.json({
       success: true,
@@ -185,7 +192,7 @@ router.get('/users/blocked', async (req, res) => {
 });
 
 // Send friend request
-router.post('/friends/request', [
+router.post('/friends/request', requirePermission('social:use'), [
   body('target_user_id').isNumeric().withMessage('Target user ID must be a number')
 ], async (req, res) => {
   try {
@@ -201,7 +208,10 @@ router.post('/friends/request', [
     const { target_user_id } = req.body;
     const userId = req.user.user_id;
 
-    const result = await socialService.sendFriendRequest(userId, target_user_id);
+    // Requests between blocked users are dropped without telling the sender
+    const result = await blockService.isBlocked(userId, target_user_id)
+      ? null
+      : await socialService.sendFriendRequest(userId, target_user_id);
     
     res.json({
       success: true,
@@ -218,7 +228,7 @@ router.post('/friends/request', [
 });
 
 // Accept friend request
-router.post('/friends/accept', [
+router.post('/friends/accept', requirePermission('social:use'), [
   body('friendship_id').isNumeric().withMessage('Friendship ID must be a number')
 ], async (req, res) => {
   try {
@@ -251,7 +261,7 @@ router.post('/friends/accept', [
 });
 
 // Reject friend request
-router.post('/friends/reject', [
+router.post('/friends/reject', requirePermission('social:use'), [
   body('friendship_id').isNumeric().withMessage('Friendship ID must be a number')
 ], async (req, res) => {
   try {
@@ -284,7 +294,7 @@ router.post('/friends/reject', [
 });
 
 // Remove friend
-router.delete('/friends/remove', [
+router.delete('/friends/remove', requirePermission('social:use'), [
   body('friend_id').isNumeric().withMessage('Friend ID must be a number')
 ], async (req, res) => {
   try {
@@ -317,11 +327,11 @@ router.delete('/friends/remove', [
 });
 
 // Get friend requests
-router.get('/friends/requests', async (req, res) => {
+router.get('/friends/requests', requirePermission('social:use'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     
-    const requests = await socialService.getFriendRequests(userId);
+    const requests = await blockService.filterUsers(userId, await socialService.getFriendRequests(userId), request => request.userId);
     
     res.json({
       success: true,
@@ -338,11 +348,14 @@ router.get('/friends/requests', async (req, res) => {
 });
 
 // Get user online status
-router.get('/users/:userId/status', async (req, res) => {
+router.get('/users/:userId/status', requirePermission('social:use'), async (req, res) => {
   try {
     const { userId } = req.params;
     
-    const status = await socialService.getUserOnlineStatus(userId);
+    // Blocked users always look offline
+    const status = await blockService.isBlocked(req.user.user_id, userId)
+      ? { isOnline: false, lastSeen: null }
+      : await socialService.getUserOnlineStatus(userId);
     
     res.json({
       success: true,
@@ -358,7 +371,7 @@ router.get('/users/:userId/status', async (req, res) => {
 });
 
 // Update user online status
-router.post('/users/status', [
+router.post('/users/status', requirePermission('social:use'), [
   body('is_online').isBoolean().withMessage('Online status must be boolean')
 ], async (req, res) => {
   try {
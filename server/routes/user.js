@@ -4,6 +4,13 @@ const wordPressService = require('../services/wordpressService');
 const buddyBossService = require('../services/buddyBossService');
 const wooCommerceService = require('../services/wooCommerceService');
 const themeService = require('../services/themeService');
+const socialAuthService = require('../services/socialAuthService');
+const accountLifecycleService = require('../services/accountLifecycleService');
+const blockService = require('../services/blockService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { AuthError } = require('../services/authService');
+const { requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -15,6 +22,31 @@ const updateProfileSchema = Joi.object({
   nickname: Joi.string().optional().max(50)
 });
 
+const linkSocialSchema = Joi.object({
+  id_token: Joi.string().required(),
+  nonce: Joi.string().optional().max(255)
+});
+
+// Deactivation, deletion and export need the current password (and a 2FA code when enabled)
+const reauthenticationFields = {
+  currentPassword: Joi.string().required(),
+  twoFactorCode: Joi.string().optional().max(20)
+};
+
+const deactivateAccountSchema = Joi.object({
+  ...reauthenticationFields,
+  reason: Joi.string().optional().max(255)
+});
+
+const deleteAccountSchema = Joi.object({
+  ...reauthenticationFields,
+  confirm: Joi.string().valid('DELETE').required()
+    .messages({ 'any.only': 'Type DELETE to confirm account deletion' }),
+  reason: Joi.string().optional().max(255)
+});
+
+const exportDataSchema = Joi.object(reauthenticationFields);
+
 const updateXProfileSchema = Joi.object({
   fields: Joi.object().required()
 });
@@ -48,7 +80,7 @@ const reportUserSchema = Joi.object({
  * GET /api/user/profile
  * Get user profile
  */
-router.get('/profile', async (req, res) => {
+router.get('/profile', requirePermission('account:manage'), async (req, res) => {
   try {
     const userProfile = await wordPressService.getUserProfile(req.token);
 
@@ -85,7 +117,7 @@ router.get('/profile', async (req, res) => {
  * PUT /api/user/profile
  * Update user profile
  */
-router.put('/profile', async (req, res) => {
+router.put('/profile', requirePermission('account:manage'), async (req, res) => {
   try {
     // Validate request body
     const { error, value } = updateProfileSchema.validate(req.body);
@@ -135,7 +167,7 @@ router.put('/profile', async (req, res) => {
  * GET /api/user/me
  * Get current user info (same as profile but simpler response)
  */
-router.get('/me', async (req, res) => {
+router.get('/me', requirePermission('account:manage'), async (req, res) => {
   try {
     res.json({
       success: true,
@@ -158,7 +190,7 @@ router.get('/me', async (req, res) => {
  * GET /api/user/xprofile
  * Get user XProfile fields
  */
-router.get('/xprofile', async (req, res) => {
+router.get('/xprofile', requirePermission('account:manage'), async (req, res) => {
   try {
     const xProfileFields = await buddyBossService.getXProfileFields(req.user.id, req.token);
 
@@ -181,7 +213,7 @@ router.get('/xprofile', async (req, res) => {
  * PUT /api/user/xprofile
  * Update user XProfile fields
  */
-router.put('/xprofile', async (req, res) => {
+router.put('/xprofile', requirePermission('account:manage'), async (req, res) => {
   try {
     const { error, value } = updateXProfileSchema.validate(req.body);
     if (error) {
@@ -217,7 +249,7 @@ router.put('/xprofile', async (req, res) => {
  * POST /api/user/avatar
  * Upload user avatar
  */
-router.post('/avatar', async (req, res) => {
+router.post('/avatar', requirePermission('account:manage'), async (req, res) => {
   try {
     if (!req.files || !req.files.avatar) {
       return res.status(400).json({
@@ -251,7 +283,7 @@ router.post('/avatar', async (req, res) => {
  * DELETE /api/user/avatar
  * Delete user avatar
  */
-router.delete('/avatar', async (req, res) => {
+router.delete('/avatar', requirePermission('account:manage'), async (req, res) => {
   try {
     await buddyBossService.deleteAvatar(req.user.id, req.token);
 
@@ -273,7 +305,7 @@ router.delete('/avatar', async (req, res) => {
  * PUT /api/user/password
  * Change user password
  */
-router.put('/password', async (req, res) => {
+router.put('/password', requirePermission('account:manage'), async (req, res) => {
   try {
     const { error, value } = updatePasswordSchema.validate(req.body);
     if (error) {
@@ -319,7 +351,7 @@ router.put('/password', async (req, res) => {
  * POST /api/user/change-password
  * Change user password (alternative endpoint for mobile compatibility)
  */
-router.post('/change-password', async (req, res) => {
+router.post('/change-password', requirePermission('account:manage'), async (req, res) => {
   try {
     const { error, value } = updatePasswordSchema.validate(req.body);
     if (error) {
@@ -365,7 +397,7 @@ router.post('/change-password', async (req, res) => {
  * GET /api/user/settings
  * Get user settings
  */
-router.get('/settings', async (req, res) => {
+router.get('/settings', requirePermission('account:manage'), async (req, res) => {
   try {
     const [userSettings, notificationSettings, privacySettings] = await Promise.all([
       buddyBossService.getUserSettings(req.user.id, req.token),
@@ -396,7 +428,7 @@ router.get('/settings', async (req, res) => {
  * PUT /api/user/settings
  * Update user settings
  */
-router.put('/settings', async (req, res) => {
+router.put('/settings', requirePermission('account:manage'), async (req, res) => {
   try {
     const { error, value } = updateSettingsSchema.validate(req.body);
     if (error) {
@@ -447,7 +479,7 @@ router.put('/settings', async (req, res) => {
  * GET /api/user/theme
  * Get user theme preference
  */
-router.get('/theme', async (req, res) => {
+router.get('/theme', requirePermission('account:manage'), async (req, res) => {
   try {
     const themeData = await themeService.getUserTheme(req.user.id, req.token);
 
@@ -470,7 +502,7 @@ router.get('/theme', async (req, res) => {
  * PUT /api/user/theme
  * Update user theme preference
  */
-router.put('/theme', async (req, res) => {
+router.put('/theme', requirePermission('account:manage'), async (req, res) => {
   try {
     const { error, value } = updateThemeSchema.validate(req.body);
     if (error) {
@@ -502,9 +534,9 @@ router.put('/theme', async (req, res) => {
  * GET /api/user/blocked
  * Get blocked users list
  */
-router.get('/blocked', async (req, res) => {
+router.get('/blocked', requirePermission('account:manage'), async (req, res) => {
   try {
-    const blockedUsers = await buddyBossService.getBlockedUsers(req.user.id, req.token);
+    const blockedUsers = await blockService.getBlockedUsers(req.user.id, req.token);
 
     res.json({
       success: true,
@@ -525,7 +557,7 @@ router.get('/blocked', async (req, res) => {
  * POST /api/user/block
  * Block a user
  */
-router.post('/block', async (req, res) => {
+router.post('/block', requirePermission('account:manage'), async (req, res) => {
   try {
     const { error, value } = blockUserSchema.validate(req.body);
     if (error) {
@@ -536,7 +568,14 @@ router.post('/block', async (req, res) => {
       });
     }
 
-    await buddyBossService.blockUser(req.user.id, value.userId, req.token);
+    if (String(value.userId) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    await blockService.block(req.user.id, value.userId, req.token);
 
     res.json({
       success: true,
@@ -556,7 +595,7 @@ router.post('/block', async (req, res) => {
  * POST /api/user/unblock
  * Unblock a user
  */
-router.post('/unblock', async (req, res) => {
+router.post('/unblock', requirePermission('account:manage'), async (req, res) => {
   try {
     const { error, value } = blockUserSchema.validate(req.body);
     if (error) {
@@ -567,7 +606,7 @@ router.post('/unblock', async (req, res) => {
       });
     }
 
-    await buddyBossService.unblockUser(req.user.id, value.userId, req.token);
+    await blockService.unblock(req.user.id, value.userId, req.token);
 
     res.json({
       success: true,
@@ -587,7 +626,7 @@ router.post('/unblock', async (req, res) => {
  * POST /api/user/report
  * Report a user
  */
-router.post('/report', async (req, res) => {
+router.post('/report', requirePermission('account:manage'), async (req, res) => {
   try {
     const { error, value } = reportUserSchema.validate(req.body);
     if (error) {
@@ -614,4 +653,221 @@ router.post('/report', async (req, res) => {
   }
 });
 
+/**
+ * Respond with an account error code (AuthError), or a generic failure
+ */
+const sendAccountError = (res, error, message) => {
+  if (error instanceof AuthError) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      error: error.code,
+      ...(error.retryAfter && { retry_after: error.retryAfter })
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * POST /api/user/link-google | link-apple | link-facebook
+ * Link a provider account with its ID token
+ */
+router.post('/link-:provider(google|apple|facebook)', requirePermission('account:manage'), async (req, res) => {
+  try {
+    const { error, value } = linkSocialSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const accounts = await socialAuthService.linkAccount(req.user.id, req.params.provider, value.id_token, value.nonce);
+
+    res.json({
+      success: true,
+      message: 'Account linked successfully',
+      data: accounts
+    });
+  } catch (error) {
+    console.error('Link social account error:', error.message);
+    sendAccountError(res, error, 'Failed to link account');
+  }
+});
+
+/**
+ * DELETE /api/user/link-google | link-apple | link-facebook
+ * Unlink a provider account
+ */
+router.delete('/link-:provider(google|apple|facebook)', requirePermission('account:manage'), async (req, res) => {
+  try {
+    const accounts = await socialAuthService.unlinkAccount(req.user.id, req.params.provider);
+
+    res.json({
+      success: true,
+      message: 'Account unlinked successfully',
+      data: accounts
+    });
+  } catch (error) {
+    console.error('Unlink social account error:', error.message);
+    sendAccountError(res, error, 'Failed to unlink account');
+  }
+});
+
+/**
+ * GET /api/user/social-accounts
+ * Linked provider accounts
+ */
+router.get('/social-accounts', requirePermission('account:manage'), async (req, res) => {
+  try {
+    const accounts = await socialAuthService.listAccounts(req.user.id);
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    console.error('Get social accounts error:', error);
+    sendAccountError(res, error, 'Failed to fetch social accounts');
+  }
+});
+
+/**
+ * Confirm the user is present before account-wide actions, like the password change does
+ * Throws AuthError when the account is locked or the password or the 2FA code is wrong;
+ * WordPress failures other than rejected credentials are rethrown as they are
+ */
+const reauthenticate = async (user, { currentPassword, twoFactorCode }, client) => {
+  // Same lockout as sign-in, so this cannot be used to guess the password
+  await loginProtectionService.assertNotLocked(user.username);
+
+  let loginResult;
+  try {
+    loginResult = await wordPressService.loginUser(user.username, currentPassword);
+  } catch (loginError) {
+    if (loginError.status !== 401 && loginError.status !== 403) throw loginError;
+    loginResult = {};
+  }
+
+  if (!loginResult.token) {
+    const lockout = await loginProtectionService.recordFailure(user.username, client);
+    if (lockout > 0) {
+      const error = new AuthError('Too many failed sign-in attempts, try again later', 'ACCOUNT_LOCKED', 429);
+      error.retryAfter = lockout;
+      throw error;
+    }
+    throw new AuthError('Current password is incorrect', 'INVALID_PASSWORD', 400);
+  }
+  await loginProtectionService.recordSuccess(user.username, user.id, { ...client, method: 'reauthentication' });
+
+  if (twoFactorService.isConfigured() && await twoFactorService.isEnabled(user.id)) {
+    if (!twoFactorCode) {
+      throw new AuthError('Two-factor code is required', 'TWO_FACTOR_CODE_REQUIRED', 400);
+    }
+    await twoFactorService.verifyCode(user.id, twoFactorCode);
+  }
+};
+
+/**
+ * POST /api/user/deactivate
+ * Hide the account and sign out everywhere; signing in again reactivates it
+ */
+router.post('/deactivate', requirePermission('account:manage'), async (req, res) => {
+  try {
+    const { error, value } = deactivateAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    await reauthenticate(req.user, value, { ip: req.ip, userAgent: req.headers['user-agent'] });
+    const result = await accountLifecycleService.deactivate(req.user.id, value.reason);
+
+    res.json({
+      success: true,
+      message: 'Account deactivated, sign in again to reactivate it',
+      data: result
+    });
+  } catch (error) {
+    console.error('Deactivate account error:', error.message);
+    sendAccountError(res, error, 'Failed to deactivate account');
+  }
+});
+
+/**
+ * POST /api/user/delete
+ * Schedule the account for deletion after the grace period; signing in again cancels it
+ */
+router.post('/delete', requirePermission('account:manage'), async (req, res) => {
+  try {
+    const { error, value } = deleteAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    await reauthenticate(req.user, value, { ip: req.ip, userAgent: req.headers['user-agent'] });
+    const result = await accountLifecycleService.requestDeletion(req.user, value.reason);
+
+    res.json({
+      success: true,
+      message: 'Account scheduled for deletion, sign in again before the date to cancel',
+      data: {
+        status: result.status,
+        delete_after: result.deleteAfter.toISOString(),
+        grace_period_days: accountLifecycleService.gracePeriodDays
+      }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error.message);
+    sendAccountError(res, error, 'Failed to schedule account deletion');
+  }
+});
+
+/**
+ * POST /api/user/export
+ * Zip of the user's profile, messages, call history, orders and enrollments
+ */
+router.post('/export', requirePermission('account:manage'), async (req, res) => {
+  try {
+    const { error, value } = exportDataSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    await reauthenticate(req.user, value, { ip: req.ip, userAgent: req.headers['user-agent'] });
+    const personalData = await accountLifecycleService.collectExport(req.user, req.token);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="olomak-data-${req.user.id}-${date}.zip"`
+    });
+    await accountLifecycleService.writeExportArchive(personalData, res);
+  } catch (error) {
+    console.error('Export data error:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    sendAccountError(res, error, 'Failed to export data');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,53 @@
+jest.mock('../databaseService', () => ({}));
+
+const attendanceService = require('../attendanceService');
+
+const at = (minute) => new Date(Date.UTC(2026, 0, 5, 9, minute));
+
+describe('attendanceService.totalMinutes', () => {
+  it('adds separate sessions', () => {
+    expect(attendanceService.totalMinutes([
+      { joinedAt: at(0), leftAt: at(10) },
+      { joinedAt: at(20), leftAt: at(25) }
+    ])).toBe(15);
+  });
+
+  it('counts overlapping devices once', () => {
+    expect(attendanceService.totalMinutes([
+      { joinedAt: at(5), leftAt: at(30) },
+      { joinedAt: at(0), leftAt: at(10) },
+      { joinedAt: at(12), leftAt: at(20) }
+    ])).toBe(30);
+  });
+
+  it('caps a session that was never closed', () => {
+    const joinedAt = new Date(Date.now() - 10 * 60 * 60000);
+    expect(attendanceService.totalMinutes([{ joinedAt, leftAt: null }])).toBe(attendanceService.maxSessionMinutes);
+  });
+});
+
+describe('attendanceService.toCsv', () => {
+  it('writes one row per attendee with spreadsheet-safe names', () => {
+    const csv = attendanceService.toCsv({
+      attendees: [
+        {
+          userId: 4,
+          userName: '=HYPERLINK("http://x")',
+          role: 'student',
+          totalMinutes: 12.5,
+          sessions: [{}, {}],
+          firstJoinedAt: at(0),
+          lastLeftAt: null,
+          muteCount: 1,
+          kicked: true
+        }
+      ]
+    });
+
+    expect(csv.split('\n')).toEqual([
+      'user_id,user_name,role,total_minutes,sessions,first_joined_at,last_left_at,mute_count,kicked',
+      '4,"\'=HYPERLINK(""http://x"")",student,12.5,2,2026-01-05T09:00:00.000Z,,1,yes',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+jest.mock('../databaseService', () => ({}));
+
+const auditLogService = require('../auditLogService');
+const csvService = require('../csvService');
+
+describe('csvService.escape', () => {
+  it('quotes separators, quotes and line breaks', () => {
+    expect(csvService.escape('plain')).toBe('plain');
+    expect(csvService.escape('a,b')).toBe('"a,b"');
+    expect(csvService.escape('say "hi"')).toBe('"say ""hi"""');
+    expect(csvService.escape('two\nlines')).toBe('"two\nlines"');
+  });
+
+  it('keeps formula-like text as text', () => {
+    expect(csvService.escape('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+    expect(csvService.escape('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvService.escape('-1')).toBe("'-1");
+    expect(csvService.escape(-1)).toBe('-1');
+  });
+
+  it('writes empty cells, ISO dates and JSON objects', () => {
+    expect(csvService.escape(null)).toBe('');
+    expect(csvService.escape(undefined)).toBe('');
+    expect(csvService.escape(new Date('2026-01-05T09:00:00Z'))).toBe('2026-01-05T09:00:00.000Z');
+    expect(csvService.escape({ role: 'mod' })).toBe('"{""role"":""mod""}"');
+  });
+});
+
+describe('auditLogService.toCsv', () => {
+  it('writes one row per entry after the header', () => {
+    const csv = auditLogService.toCsv([{
+      id: 1,
+      createdAt: new Date('2026-01-05T09:00:00Z'),
+      actorId: 3,
+      actorName: '=cmd',
+      action: 'group.member_ban',
+      resourceType: 'group',
+      resourceId: '12',
+      targetUserId: 8,
+      before: { banned: false },
+      after: { banned: true },
+      context: null,
+      ip: '10.0.0.1',
+      userAgent: 'Mozilla/5.0 (X11, Linux)'
+    }]);
+
+    expect(csv.split('\n')).toEqual([
+      'id,created_at,actor_id,actor_name,action,resource_type,resource_id,target_user_id,before,after,context,ip,user_agent',
+      '1,2026-01-05T09:00:00.000Z,3,\'=cmd,group.member_ban,group,12,8,"{""banned"":false}","{""banned"":true}",,10.0.0.1,"Mozilla/5.0 (X11, Linux)"',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../databaseService', () => ({ ensureTable: jest.fn(), query: jest.fn() }));
+jest.mock('../wordpressService', () => ({ getUserById: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const databaseService = require('../databaseService');
+const wordPressService = require('../wordpressService');
+const sharedStateService = require('../sharedStateService');
+const authSessionService = require('../authSessionService');
+
+const storedUser = { id: 7, email: 'a@example.com', username: 'alice', displayName: 'Alice', roles: ['administrator'] };
+
+// Answers the session lookup with a live record and records every other statement
+const mockSession = () => {
+  databaseService.query.mockImplementation(async (sql) => {
+    if (sql.startsWith('SELECT')) {
+      return [{
+        session_id: 'session-1',
+        user_id: 7,
+        device_id: 'device-1',
+        user_data: JSON.stringify(storedUser),
+        used_at: null,
+        revoked_at: null,
+        expires_at: new Date(Date.now() + 60000),
+        session_expires_at: new Date(Date.now() + 60000)
+      }];
+    }
+    return { affectedRows: 1 };
+  });
+};
+
+const statements = (prefix) => databaseService.query.mock.calls.filter(([sql]) => sql.startsWith(prefix));
+
+describe('authSessionService.refresh', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSession();
+  });
+
+  afterAll(() => sharedStateService.close());
+
+  it('signs the new access token with the roles WordPress has now', async () => {
+    wordPressService.getUserById.mockResolvedValue({ id: 7, email: 'a@example.com', username: 'alice', name: 'Alice', roles: ['subscriber'] });
+
+    const result = await authSessionService.refresh('refresh-1', 'device-1');
+
+    expect(jwt.verify(result.token, 'test-secret').data.user.roles).toEqual(['subscriber']);
+    const [, params] = statements('UPDATE wp_chat_auth_sessions SET last_used_at')[0];
+    expect(JSON.parse(params[3]).roles).toEqual(['subscriber']);
+  });
+
+  it('revokes the session when the account was removed', async () => {
+    wordPressService.getUserById.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+
+    await expect(authSessionService.refresh('refresh-1', 'device-1')).rejects.toMatchObject({ statusCode: 401 });
+    expect(statements('UPDATE wp_chat_auth_sessions SET revoked_at')).toHaveLength(1);
+    expect(statements('UPDATE wp_chat_refresh_tokens')).toHaveLength(0);
+  });
+
+  it('keeps the refresh token usable when WordPress cannot be reached', async () => {
+    wordPressService.getUserById.mockRejectedValue(new Error('socket hang up'));
+
+    await expect(authSessionService.refresh('refresh-1', 'device-1')).rejects.toMatchObject({ statusCode: 503 });
+    expect(statements('UPDATE')).toHaveLength(0);
+  });
+});
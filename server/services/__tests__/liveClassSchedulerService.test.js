@@ -0,0 +1,149 @@
+jest.mock('../chatService', () => ({
+  generateLiveClassInvite: jest.fn(),
+  updateLiveClassStatus: jest.fn(),
+  checkUserEnrollment: jest.fn()
+}));
+jest.mock('../databaseService', () => ({}));
+jest.mock('../mentionService', () => ({ getGroupMembers: jest.fn() }));
+
+const chatService = require('../chatService');
+const mentionService = require('../mentionService');
+const sharedStateService = require('../sharedStateService');
+const scheduler = require('../liveClassSchedulerService');
+
+const { parseRecurrence, expandOccurrences } = scheduler;
+const HOUR = 60 * 60 * 1000;
+
+describe('parseRecurrence', () => {
+  it('reads the shorthands and RRULEs', () => {
+    expect(parseRecurrence('daily')).toEqual({ freq: 'DAILY', interval: 1 });
+    expect(parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4')).toEqual({
+      freq: 'WEEKLY',
+      interval: 2,
+      byDay: [1, 3],
+      count: 4,
+      until: null
+    });
+    expect(parseRecurrence('FREQ=DAILY;UNTIL=20260110').until.toISOString()).toBe('2026-01-10T23:59:59.000Z');
+  });
+
+  it('rejects unsupported frequencies', () => {
+    expect(parseRecurrence('FREQ=YEARLY')).toBeNull();
+    expect(parseRecurrence('')).toBeNull();
+  });
+});
+
+describe('expandOccurrences', () => {
+  const start = '2026-01-05T09:00:00Z'; // Monday
+
+  it('expands weekly BYDAY rules inside the window', () => {
+    const rule = parseRecurrence('FREQ=WEEKLY;BYDAY=MO,WE');
+    const occurrences = expandOccurrences(start, rule, new Date('2026-01-05T00:00:00Z'), new Date('2026-01-15T00:00:00Z'), HOUR);
+
+    expect(occurrences.map(date => date.toISOString())).toEqual([
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-07T09:00:00.000Z',
+      '2026-01-12T09:00:00.000Z',
+      '2026-01-14T09:00:00.000Z'
+    ]);
+  });
+
+  it('stops after COUNT occurrences, counted from the first one', () => {
+    const rule = parseRecurrence('FREQ=DAILY;COUNT=3');
+    const occurrences = expandOccurrences(start, rule, new Date('2026-01-06T00:00:00Z'), new Date('2026-01-31T00:00:00Z'), HOUR);
+
+    expect(occurrences.map(date => date.toISOString())).toEqual([
+      '2026-01-06T09:00:00.000Z',
+      '2026-01-07T09:00:00.000Z'
+    ]);
+  });
+
+  it('skips months without the start day', () => {
+    const rule = parseRecurrence('FREQ=MONTHLY');
+    const occurrences = expandOccurrences('2026-01-31T09:00:00Z', rule, new Date('2026-01-01T00:00:00Z'), new Date('2026-05-01T00:00:00Z'), HOUR);
+
+    expect(occurrences.map(date => date.toISOString().slice(0, 10))).toEqual(['2026-01-31', '2026-03-31']);
+  });
+
+  it('keeps a class that is still in progress at the window start', () => {
+    const occurrences = expandOccurrences(start, null, new Date('2026-01-05T09:30:00Z'), new Date('2026-01-05T12:00:00Z'), HOUR);
+    expect(occurrences).toHaveLength(1);
+  });
+});
+
+describe('processOccurrence', () => {
+  const createOccurrence = (id) => {
+    const startsAt = new Date(Date.now() - 60 * 1000);
+    return {
+      id,
+      groupId: '7',
+      classId: 11,
+      title: 'Algebra',
+      teacherId: 3,
+      inviteCode: null,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + HOUR),
+      liveClass: { id: 11, duration: 60 }
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scheduler.io = { to: () => ({ emit: jest.fn() }) };
+    scheduler.videoRoomHandler = { openScheduledRoom: jest.fn(), endScheduledRoom: jest.fn() };
+    mentionService.getGroupMembers.mockResolvedValue([]);
+  });
+
+  afterAll(() => sharedStateService.close());
+
+  it('releases the start job when no invite comes back so the next tick retries', async () => {
+    const occurrence = createOccurrence('7:11:no-invite');
+    chatService.generateLiveClassInvite.mockResolvedValueOnce({ success: false });
+
+    await expect(scheduler.processOccurrence(occurrence, new Date())).rejects.toThrow('No invite code');
+    expect(await scheduler.jobs.has(`${occurrence.id}:start`)).toBe(false);
+
+    chatService.generateLiveClassInvite.mockResolvedValueOnce({ data: { invite_code: 'abc' } });
+    await scheduler.processOccurrence(occurrence, new Date());
+
+    expect(scheduler.videoRoomHandler.openScheduledRoom).toHaveBeenCalledWith('abc', expect.any(Object), expect.any(Object));
+    expect(await scheduler.jobs.has(`${occurrence.id}:start`)).toBe(true);
+  });
+
+  it('reuses the invite of a failed attempt when opening the room is retried', async () => {
+    const occurrence = createOccurrence('7:11:room-failure');
+    chatService.generateLiveClassInvite.mockResolvedValueOnce({ data: { invite_code: 'room-1' } });
+    scheduler.videoRoomHandler.openScheduledRoom.mockRejectedValueOnce(new Error('Redis down'));
+
+    await expect(scheduler.processOccurrence(occurrence, new Date())).rejects.toThrow('Redis down');
+    expect(await scheduler.jobs.has(`${occurrence.id}:start`)).toBe(false);
+
+    await scheduler.processOccurrence(occurrence, new Date());
+
+    expect(chatService.generateLiveClassInvite).toHaveBeenCalledTimes(1);
+    expect(scheduler.videoRoomHandler.openScheduledRoom).toHaveBeenLastCalledWith('room-1', expect.any(Object), expect.any(Object));
+  });
+
+  it('does not end a class it never opened', async () => {
+    const occurrence = createOccurrence('7:11:never-opened');
+    await scheduler.processOccurrence(occurrence, new Date(occurrence.endsAt.getTime() + 1000));
+
+    expect(scheduler.videoRoomHandler.endScheduledRoom).not.toHaveBeenCalled();
+    expect(chatService.updateLiveClassStatus).not.toHaveBeenCalled();
+  });
+});
+
+describe('getRecipients', () => {
+  it('notifies every page of members plus the teacher and lets lookup errors surface', async () => {
+    const members = Array.from({ length: 150 }, (_, index) => ({ id: index + 100 }));
+    members.push({ id: 999, is_banned: true });
+    mentionService.getGroupMembers.mockResolvedValueOnce(members);
+
+    const recipients = await scheduler.getRecipients({ groupId: '7', teacherId: 3, liveClass: {} });
+    expect(recipients).toHaveLength(151);
+    expect(recipients).not.toContain('999');
+
+    mentionService.getGroupMembers.mockRejectedValueOnce(new Error('WordPress unavailable'));
+    await expect(scheduler.getRecipients({ groupId: '7', teacherId: 3, liveClass: {} })).rejects.toThrow('WordPress unavailable');
+  });
+});
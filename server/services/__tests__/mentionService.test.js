@@ -0,0 +1,71 @@
+jest.mock('../databaseService', () => ({}));
+jest.mock('../customChatService', () => jest.fn(() => ({ getGroupMembers: jest.fn() })));
+
+const mentionService = require('../mentionService');
+
+const members = [
+  { id: 1, user_login: 'teacher', is_admin: true },
+  { id: 2, user_login: 'mod', is_mod: true },
+  { id: 3, user_login: 'alice', mention_name: 'alice.w' },
+  { id: 4, user_login: 'bob' },
+  { id: 5, user_login: 'mallory', is_banned: true }
+];
+
+describe('mentionService.parse', () => {
+  it('finds mentions with their position', () => {
+    expect(mentionService.parse('@bob see @alice.w.')).toEqual([
+      { name: 'bob', offset: 0, length: 4 },
+      { name: 'alice.w', offset: 9, length: 8 }
+    ]);
+  });
+
+  it('ignores e-mail addresses and texts without mentions', () => {
+    expect(mentionService.parse('mail me at bob@example.com')).toEqual([]);
+    expect(mentionService.parse('no mentions')).toEqual([]);
+    expect(mentionService.parse(null)).toEqual([]);
+  });
+});
+
+describe('mentionService.resolve', () => {
+  const getGroupMembers = mentionService.chatService.getGroupMembers;
+
+  beforeEach(() => {
+    getGroupMembers.mockReset();
+    getGroupMembers.mockResolvedValue({ data: members });
+  });
+
+  const resolve = (text, options = {}) => mentionService.resolve({ groupId: 9, text, senderId: 4, senderIsAdmin: false, token: 't', ...options });
+
+  it('keeps only members that are not banned', async () => {
+    const result = await resolve('@alice.w @mallory @nobody');
+
+    expect(result.entities).toEqual([{ type: 'user', userId: 3, username: 'alice.w', offset: 0, length: 8 }]);
+    expect(result.recipients).toEqual([{ userId: 3, type: 'user' }]);
+  });
+
+  it('sends @students to members who are neither admin nor moderator, except the sender', async () => {
+    const result = await resolve('@students');
+    expect(result.recipients).toEqual([{ userId: 3, type: 'students' }]);
+  });
+
+  it('ignores @all unless the sender is a group admin', async () => {
+    expect((await resolve('@all')).entities).toEqual([]);
+
+    const result = await resolve('@all and @mod', { senderId: 1, senderIsAdmin: true });
+    expect(result.recipients).toEqual([
+      { userId: 2, type: 'user' },
+      { userId: 3, type: 'all' },
+      { userId: 4, type: 'all' }
+    ]);
+  });
+
+  it('reads every page of members', async () => {
+    const page = Array.from({ length: 100 }, (_, index) => ({ id: 100 + index, user_login: `user${index}` }));
+    getGroupMembers.mockResolvedValueOnce({ data: page }).mockResolvedValueOnce({ data: members });
+
+    const result = await resolve('@bob @user7', { senderId: 1 });
+
+    expect(getGroupMembers).toHaveBeenCalledTimes(2);
+    expect(result.recipients).toEqual([{ userId: 4, type: 'user' }, { userId: 107, type: 'user' }]);
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../databaseService', () => ({ ensureTable: jest.fn(), query: jest.fn() }));
+jest.mock('../authSessionService', () => ({}));
+
+const bcrypt = require('bcrypt');
+const databaseService = require('../databaseService');
+const sharedStateService = require('../sharedStateService');
+const twoFactorService = require('../twoFactorService');
+
+// RFC 6238 test secret ("12345678901234567890"); its code for time step 1 is 287082
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+afterAll(() => sharedStateService.close());
+
+describe('twoFactorService.matchStep', () => {
+  beforeEach(() => jest.spyOn(Date, 'now').mockReturnValue(59 * 1000));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts the code of the current step', () => {
+    expect(twoFactorService.matchStep(RFC_SECRET, '287082', 0)).toBe(1);
+    expect(twoFactorService.matchStep(RFC_SECRET, ' 287082 ', 0)).toBe(1);
+  });
+
+  it('accepts the neighbouring steps for clock drift', () => {
+    Date.now.mockReturnValue(89 * 1000);
+    expect(twoFactorService.matchStep(RFC_SECRET, '287082', 0)).toBe(1);
+
+    Date.now.mockReturnValue(150 * 1000);
+    expect(twoFactorService.matchStep(RFC_SECRET, '287082', 0)).toBeNull();
+  });
+
+  it('rejects a step that was already used and wrong codes', () => {
+    expect(twoFactorService.matchStep(RFC_SECRET, '287082', 1)).toBeNull();
+    expect(twoFactorService.matchStep(RFC_SECRET, '287083', 0)).toBeNull();
+    expect(twoFactorService.matchStep(RFC_SECRET, '28708', 0)).toBeNull();
+  });
+});
+
+describe('twoFactorService.verifyCode with backup codes', () => {
+  let hashes;
+
+  beforeAll(async () => {
+    hashes = await Promise.all(['aaaa-1111', 'bbbb-2222'].map(code => bcrypt.hash(code, 4)));
+  });
+
+  beforeEach(() => {
+    databaseService.query.mockReset();
+    databaseService.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT')) {
+        return [{ user_id: 7, enabled_at: new Date(), secret: null, last_used_step: 0, backup_codes: JSON.stringify(hashes) }];
+      }
+      return { affectedRows: 1 };
+    });
+  });
+
+  it('uses up the matching code', async () => {
+    await expect(twoFactorService.verifyCode(7, 'BBBB2222')).resolves.toEqual({ method: 'backup_code', backupCodesRemaining: 1 });
+
+    const [, params] = databaseService.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE'));
+    expect(JSON.parse(params[0])).toEqual([hashes[0]]);
+    expect(params[2]).toBe(JSON.stringify(hashes));
+  });
+
+  it('rejects a code another request used first', async () => {
+    databaseService.query.mockImplementation(async (sql) => (sql.startsWith('SELECT')
+      ? [{ user_id: 7, enabled_at: new Date(), backup_codes: JSON.stringify(hashes) }]
+      : { affectedRows: 0 }));
+
+    await expect(twoFactorService.verifyCode(7, 'aaaa-1111')).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+  });
+
+  it('rejects unknown codes without touching the stored ones', async () => {
+    await expect(twoFactorService.verifyCode(7, 'cccc-3333')).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    expect(databaseService.query.mock.calls.some(([sql]) => sql.startsWith('UPDATE'))).toBe(false);
+  });
+});
@@ -0,0 +1,435 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const archiver = require('archiver');
+const databaseService = require('./databaseService');
+const sharedStateService = require('./sharedStateService');
+const wordPressService = require('./wordpressService');
+const WooCommerceService = require('./wooCommerceService');
+const TutorLMSService = require('./tutorLMSService');
+const callService = require('./callService');
+const mailService = require('./mailService');
+const authSessionService = require('./authSessionService');
+const CustomChatService = require('./customChatService');
+const blockService = require('./blockService');
+const starredMessageService = require('./starredMessageService');
+const messageHistoryService = require('./messageHistoryService');
+const pinnedMessageService = require('./pinnedMessageService');
+const mentionService = require('./mentionService');
+
+const TABLE = 'wp_chat_account_status';
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Node-owned rows removed when an account is purged
+const USER_TABLES = [
+  'wp_chat_auth_sessions',
+  'wp_chat_social_accounts',
+  'wp_chat_two_factor',
+  'wp_chat_login_events',
+  'wp_chat_pending_events',
+  'wp_chat_message_reactions'
+];
+
+// List endpoints answer with an array or wrap it in data (sometimes twice)
+const asList = (result) => {
+  if (Array.isArray(result)) return result;
+  if (Array.isArray(result?.data)) return result.data;
+  if (Array.isArray(result?.data?.data)) return result.data.data;
+  return [];
+};
+
+/**
+ * Account Lifecycle Service - Deactivation, deletion and personal data export
+ * A deactivated account is hidden from user lists, cannot connect sockets or receive calls, and is
+ * reactivated by signing in again. A deletion request deactivates the account for a grace period;
+ * afterwards the purge job removes the user's chat messages, statuses, uploads, archive rows and
+ * the WordPress user. Inactive user ids are mirrored in the shared 'inactive_accounts' collection,
+ * which authService checks for every token.
+ * Emits 'account_deactivated' ({ userId, status }) so sockets of the user can be closed.
+ */
+class AccountLifecycleService extends EventEmitter {
+  constructor() {
+    super();
+    this.serviceToken = process.env.WP_API_TOKEN || null;
+    this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    this.purgeInterval = (parseInt(process.env.ACCOUNT_PURGE_INTERVAL) || 60 * 60) * 1000; // seconds between purge runs
+    this.maxPages = parseInt(process.env.ACCOUNT_EXPORT_MAX_PAGES) || 50; // per list, for export and purge
+    this.uploadsDir = UPLOADS_DIR;
+
+    this.inactiveAccounts = sharedStateService.collection('inactive_accounts');
+    this.chatService = new CustomChatService();
+    this.timer = null;
+  }
+
+  /**
+   * Load inactive accounts into shared state and start the purge job
+   */
+  async start() {
+    if (this.timer) return;
+
+    try {
+      await this.ensureTable();
+      const rows = await databaseService.query(`SELECT user_id, status FROM ${TABLE}`);
+      for (const row of rows) {
+        await this.inactiveAccounts.set(String(row.user_id), { status: row.status });
+      }
+    } catch (error) {
+      console.warn('⚠️ Account Lifecycle: Inactive accounts not loaded:', error.message);
+    }
+
+    if (!this.serviceToken) {
+      console.log('ℹ️ Account Lifecycle: WP_API_TOKEN not set, account purge disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => this.purgeDueAccounts(), this.purgeInterval);
+    this.timer.unref();
+    console.log(`✅ Account Lifecycle: Purge job started (${this.gracePeriodDays} day grace period)`);
+
+    this.purgeDueAccounts();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(TABLE, `
+      user_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      status VARCHAR(16) NOT NULL,
+      reason VARCHAR(255) NULL,
+      deactivated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      delete_after DATETIME NULL,
+      deleted_at DATETIME NULL,
+      KEY status_due (status, delete_after)
+    `);
+  }
+
+  /**
+   * Status of an account: active, deactivated, pending_deletion, purging or deleted
+   */
+  async getStatus(userId) {
+    const entry = await this.inactiveAccounts.get(String(userId));
+    return entry?.status || 'active';
+  }
+
+  async isInactive(userId) {
+    return this.inactiveAccounts.has(String(userId));
+  }
+
+  /**
+   * Drop inactive users from a user list (items with id or user_id)
+   */
+  async filterActiveUsers(users) {
+    if (!Array.isArray(users)) return users;
+
+    const active = [];
+    for (const user of users) {
+      const userId = user?.id ?? user?.user_id;
+      if (userId == null || !(await this.isInactive(userId))) {
+        active.push(user);
+      }
+    }
+    return active;
+  }
+
+  async setStatus(userId, status, { reason = null, deleteAfter = null } = {}) {
+    await this.ensureTable();
+    await databaseService.query(
+      `INSERT INTO ${TABLE} (user_id, status, reason, deactivated_at, delete_after)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE status = VALUES(status), reason = VALUES(reason), delete_after = VALUES(delete_after)`,
+      [userId, status, reason, new Date(), deleteAfter]
+    );
+    await this.inactiveAccounts.set(String(userId), { status });
+  }
+
+  /**
+   * Sign the user out everywhere and tell connected sockets
+   */
+  async closeSessions(userId, status) {
+    try {
+      await authSessionService.revokeAllSessions(userId, status);
+    } catch (error) {
+      console.warn('⚠️ Account Lifecycle: Sessions not revoked:', error.message);
+    }
+
+    this.emit('account_deactivated', { userId, status });
+  }
+
+  /**
+   * Hide the account until the user signs in again
+   */
+  async deactivate(userId, reason = null) {
+    await this.setStatus(userId, 'deactivated', { reason });
+    await this.closeSessions(userId, 'deactivated');
+
+    console.log(`🙈 Account Lifecycle: User ${userId} deactivated`);
+    return { status: 'deactivated' };
+  }
+
+  /**
+   * Deactivate now and purge the account after the grace period
+   */
+  async requestDeletion(user, reason = null) {
+    const deleteAfter = new Date(Date.now() + this.gracePeriodDays * 24 * 60 * 60 * 1000);
+
+    await this.setStatus(user.id, 'pending_deletion', { reason, deleteAfter });
+    await this.closeSessions(user.id, 'pending_deletion');
+
+    if (user.email) {
+      mailService.send({
+        to: user.email,
+        subject: 'Your account is scheduled for deletion',
+        text: [
+          `Your account and your data will be deleted on ${deleteAfter.toUTCString()}.`,
+          'If you change your mind, just sign in again before that date to keep your account.'
+        ].join('\n\n')
+      }).catch(error => {
+        console.warn('⚠️ Account Lifecycle: Deletion email not sent:', error.message);
+      });
+    }
+
+    console.log(`🗑️ Account Lifecycle: User ${user.id} scheduled for deletion after ${deleteAfter.toISOString()}`);
+    return { status: 'pending_deletion', deleteAfter };
+  }
+
+  /**
+   * Signing in again reactivates a deactivated account and cancels a pending deletion
+   * Returns true when the account was inactive
+   */
+  async reactivate(userId) {
+    const status = await this.getStatus(userId);
+    if (status !== 'deactivated' && status !== 'pending_deletion') return false;
+
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${TABLE} WHERE user_id = ? AND status IN ('deactivated', 'pending_deletion')`,
+      [userId]
+    );
+    if (result.affectedRows === 0) return false;
+
+    await this.inactiveAccounts.delete(String(userId));
+    console.log(`👋 Account Lifecycle: User ${userId} reactivated (was ${status})`);
+    return true;
+  }
+
+  /**
+   * Purge every account whose grace period is over
+   */
+  async purgeDueAccounts() {
+    try {
+      await this.ensureTable();
+      const due = await databaseService.query(
+        `SELECT user_id FROM ${TABLE} WHERE status = 'pending_deletion' AND delete_after <= ?`,
+        [new Date()]
+      );
+
+      for (const { user_id: userId } of due) {
+        // Claim the account so only one server instance purges it
+        const claim = await databaseService.query(
+          `UPDATE ${TABLE} SET status = 'purging' WHERE user_id = ? AND status = 'pending_deletion'`,
+          [userId]
+        );
+        if (claim.affectedRows !== 1) continue;
+
+        await this.inactiveAccounts.set(String(userId), { status: 'purging' });
+        await this.purgeUser(userId);
+      }
+    } catch (error) {
+      console.error('❌ Account Lifecycle: Purge run failed:', error.message);
+    }
+  }
+
+  /**
+   * Remove the user's data; every step runs even when an earlier one fails
+   */
+  async purgeUser(userId) {
+    const steps = {
+      messages: () => this.purgeMessages(userId),
+      statuses: () => this.purgeStatuses(userId),
+      uploads: () => this.purgeUploads(userId),
+      archive: () => databaseService.purgeUserArchiveRows(userId),
+      serverData: () => this.purgeServerRows(userId),
+      wordpressUser: () => wordPressService.deleteUser(userId, this.serviceToken)
+    };
+
+    const failed = [];
+    for (const [step, run] of Object.entries(steps)) {
+      try {
+        await run();
+      } catch (error) {
+        failed.push(step);
+        console.error(`❌ Account Lifecycle: Purge step ${step} failed for user ${userId}:`, error.message);
+      }
+    }
+
+    await databaseService.query(
+      `UPDATE ${TABLE} SET status = 'deleted', deleted_at = ?, reason = ? WHERE user_id = ?`,
+      [new Date(), failed.length > 0 ? `incomplete: ${failed.join(', ')}` : null, userId]
+    );
+    await this.inactiveAccounts.set(String(userId), { status: 'deleted' });
+
+    console.log(`🗑️ Account Lifecycle: User ${userId} purged${failed.length > 0 ? ` (failed: ${failed.join(', ')})` : ''}`);
+    return { failed };
+  }
+
+  /**
+   * Call fetchPage(page) until it returns a short or empty page
+   */
+  async collectPages(fetchPage, perPage) {
+    const items = [];
+    for (let page = 1; page <= this.maxPages; page++) {
+      const pageItems = asList(await fetchPage(page));
+      items.push(...pageItems);
+      if (pageItems.length < perPage) break;
+    }
+    return items;
+  }
+
+  async collectThreads(userId, token) {
+    return this.collectPages(page => this.chatService.getUserChats(userId, page, 50, token), 50);
+  }
+
+  async collectThreadMessages(threadId, token) {
+    return this.collectPages(page => this.chatService.getChatMessages(threadId, page, 100, token), 100);
+  }
+
+  /**
+   * Delete the user's messages in every thread they take part in
+   * (the thread list API only returns the token owner's threads, so they come from the participants table)
+   */
+  async purgeMessages(userId) {
+    const threadIds = await databaseService.getThreadIdsForUser(userId);
+
+    let deleted = 0;
+    for (const threadId of threadIds) {
+      const messages = await this.collectThreadMessages(threadId, this.serviceToken);
+      const own = messages.filter(message => String(message.sender_id ?? message.senderId ?? message.user_id) === String(userId));
+
+      for (const message of own) {
+        await this.chatService.deleteMessage(message.id, threadId, this.serviceToken);
+        deleted++;
+      }
+    }
+
+    console.log(`🗑️ Account Lifecycle: Deleted ${deleted} messages of user ${userId}`);
+  }
+
+  async purgeStatuses(userId) {
+    const statuses = await this.chatService.getUserStatuses(userId);
+    for (const status of statuses) {
+      await this.chatService.deleteStatus(status.id, userId, this.serviceToken);
+    }
+  }
+
+  /**
+   * Uploaded files carry the uploader's id in their name (see middleware/upload.js)
+   */
+  async purgeUploads(userId) {
+    const ownerPattern = new RegExp(`(^|[-_])u${parseInt(userId)}-\\d`);
+    const files = await fs.promises.readdir(this.uploadsDir, { recursive: true });
+
+    let deleted = 0;
+    for (const file of files) {
+      if (!ownerPattern.test(path.basename(file))) continue;
+      await fs.promises.rm(path.join(this.uploadsDir, file), { force: true });
+      deleted++;
+    }
+
+    console.log(`🗑️ Account Lifecycle: Deleted ${deleted} uploads of user ${userId}`);
+  }
+
+  async purgeServerRows(userId) {
+    await authSessionService.revokeAllSessions(userId, 'account_deleted');
+    await blockService.purgeUser(userId);
+    await starredMessageService.purgeUser(userId);
+    await messageHistoryService.purgeUser(userId);
+    await pinnedMessageService.purgeUser(userId);
+    await mentionService.purgeUser(userId);
+
+    for (const table of USER_TABLES) {
+      try {
+        await databaseService.query(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+      } catch (error) {
+        // Tables are created on first use
+        if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+      }
+    }
+  }
+
+  /**
+   * Collect the user's data (with the user's own token) for the export archive
+   * Sections that cannot be loaded are listed in manifest.json instead of failing the export
+   */
+  async collectExport(user, token) {
+    const wooCommerceService = new WooCommerceService();
+    const tutorLMSService = new TutorLMSService();
+    wooCommerceService.setAuthToken(token);
+    tutorLMSService.setAuthToken(token);
+
+    const sections = {
+      profile: () => wordPressService.getUserProfile(token),
+      messages: async () => {
+        const threads = await this.collectThreads(user.id, token);
+        const result = [];
+        for (const thread of threads) {
+          const threadId = thread.id || thread.thread_id;
+          result.push({ thread, messages: await this.collectThreadMessages(threadId, token) });
+        }
+        return result;
+      },
+      calls: () => this.collectPages(async (page) => {
+        const history = await callService.getCallHistory(user.id, token, page, 100);
+        if (!history.success) throw new Error(history.error);
+        return history.data;
+      }, 100),
+      orders: () => this.collectPages(page => wooCommerceService.getUserOrders(user.id, { page, per_page: 100 }), 100),
+      enrollments: () => tutorLMSService.getUserEnrollments(user.id)
+    };
+
+    const data = {};
+    const manifest = {
+      userId: user.id,
+      generatedAt: new Date().toISOString(),
+      files: [],
+      errors: {}
+    };
+
+    for (const [name, load] of Object.entries(sections)) {
+      try {
+        data[name] = await load();
+        manifest.files.push(`${name}.json`);
+      } catch (error) {
+        manifest.errors[name] = error.message;
+        console.warn(`⚠️ Account Lifecycle: Export section ${name} failed for user ${user.id}:`, error.message);
+      }
+    }
+
+    return { data, manifest };
+  }
+
+  /**
+   * Write the collected export as a zip to a writable stream
+   */
+  async writeExportArchive({ data, manifest }, output) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const done = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('finish', resolve);
+      archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+    for (const [name, content] of Object.entries(data)) {
+      archive.append(JSON.stringify(content, null, 2), { name: `${name}.json` });
+    }
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+    await archive.finalize();
+    await done;
+  }
+}
+
+module.exports = new AccountLifecycleService();
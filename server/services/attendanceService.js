@@ -0,0 +1,243 @@
+const databaseService = require('./databaseService');
+const csvService = require('./csvService');
+
+const ATTENDANCE_TABLE = 'wp_chat_live_class_attendance';
+const EVENTS_TABLE = 'wp_chat_live_class_events';
+
+/**
+ * Attendance Service - Live class attendance and signalling timeline
+ * Each socket that joins a video room gets one attendance interval (joined_at/left_at).
+ * Moderation and media events are kept as a timeline next to the intervals.
+ * Classes are keyed by group id and class id (the invite code when WordPress returns no class id).
+ */
+class AttendanceService {
+  constructor() {
+    // Open intervals (user still in class, or a node died before closing them) count up to this length
+    this.maxSessionMinutes = parseInt(process.env.LIVE_CLASS_MAX_SESSION_MINUTES) || 240;
+  }
+
+  async ensureTables() {
+    await databaseService.ensureTable(ATTENDANCE_TABLE, `
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      invite_code VARCHAR(64) NOT NULL,
+      group_id BIGINT UNSIGNED NOT NULL,
+      class_id VARCHAR(64) NOT NULL,
+      user_id BIGINT UNSIGNED NOT NULL,
+      user_name VARCHAR(255) NULL,
+      socket_id VARCHAR(64) NOT NULL,
+      is_admin TINYINT(1) NOT NULL DEFAULT 0,
+      joined_at DATETIME NOT NULL,
+      left_at DATETIME NULL,
+      leave_reason VARCHAR(32) NULL,
+      KEY group_class (group_id, class_id),
+      KEY invite_socket (invite_code, socket_id)
+    `);
+
+    await databaseService.ensureTable(EVENTS_TABLE, `
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      invite_code VARCHAR(64) NOT NULL,
+      group_id BIGINT UNSIGNED NOT NULL,
+      class_id VARCHAR(64) NOT NULL,
+      user_id BIGINT UNSIGNED NULL,
+      actor_id BIGINT UNSIGNED NULL,
+      event VARCHAR(32) NOT NULL,
+      data TEXT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY group_class (group_id, class_id)
+    `);
+  }
+
+  // Class keys stored with every row
+  classKey(inviteCode, classInfo = {}) {
+    return {
+      inviteCode,
+      groupId: classInfo.groupId,
+      classId: String(classInfo.classId || inviteCode)
+    };
+  }
+
+  /**
+   * Open an attendance interval for a socket
+   */
+  async recordJoin(inviteCode, classInfo, participant) {
+    await this.ensureTables();
+    const { groupId, classId } = this.classKey(inviteCode, classInfo);
+
+    const result = await databaseService.query(
+      `INSERT INTO ${ATTENDANCE_TABLE}
+       (invite_code, group_id, class_id, user_id, user_name, socket_id, is_admin, joined_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [inviteCode, groupId, classId, participant.userId, participant.userName || null,
+        participant.socketId, participant.isAdmin ? 1 : 0, new Date(participant.joinedAt || Date.now())]
+    );
+
+    return result.insertId;
+  }
+
+  /**
+   * Close the open attendance interval of a socket
+   */
+  async recordLeave(inviteCode, socketId, reason = 'left') {
+    await this.ensureTables();
+
+    const result = await databaseService.query(
+      `UPDATE ${ATTENDANCE_TABLE} SET left_at = ?, leave_reason = ?
+       WHERE invite_code = ? AND socket_id = ? AND left_at IS NULL`,
+      [new Date(), reason, inviteCode, socketId]
+    );
+
+    return result.affectedRows;
+  }
+
+  /**
+   * Record a timeline event (mute, unmute, kick, media)
+   */
+  async recordEvent(inviteCode, classInfo, event, { userId = null, actorId = null, data = null } = {}) {
+    await this.ensureTables();
+    const { groupId, classId } = this.classKey(inviteCode, classInfo);
+
+    const result = await databaseService.query(
+      `INSERT INTO ${EVENTS_TABLE} (invite_code, group_id, class_id, user_id, actor_id, event, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [inviteCode, groupId, classId, userId, actorId, event, data ? JSON.stringify(data) : null]
+    );
+
+    return result.insertId;
+  }
+
+  /**
+   * Attendance report for a live class: total minutes per user and the event timeline
+   */
+  async getAttendanceReport(groupId, classId) {
+    await this.ensureTables();
+
+    const intervals = await databaseService.query(
+      `SELECT invite_code, user_id, user_name, socket_id, is_admin, joined_at, left_at, leave_reason
+       FROM ${ATTENDANCE_TABLE}
+       WHERE group_id = ? AND class_id = ?
+       ORDER BY joined_at ASC`,
+      [groupId, String(classId)]
+    );
+
+    const events = await databaseService.query(
+      `SELECT user_id, actor_id, event, data, created_at
+       FROM ${EVENTS_TABLE}
+       WHERE group_id = ? AND class_id = ?
+       ORDER BY id ASC`,
+      [groupId, String(classId)]
+    );
+
+    const attendees = new Map();
+    intervals.forEach(row => {
+      const userId = Number(row.user_id);
+      if (!attendees.has(userId)) {
+        attendees.set(userId, {
+          userId,
+          userName: row.user_name,
+          isAdmin: false,
+          sessions: [],
+          muteCount: 0,
+          kicked: false
+        });
+      }
+
+      const attendee = attendees.get(userId);
+      attendee.userName = row.user_name || attendee.userName;
+      attendee.isAdmin = attendee.isAdmin || !!row.is_admin;
+      attendee.sessions.push({
+        joinedAt: new Date(row.joined_at),
+        leftAt: row.left_at ? new Date(row.left_at) : null,
+        leaveReason: row.leave_reason
+      });
+    });
+
+    const timeline = events.map(row => ({
+      event: row.event,
+      userId: row.user_id ? Number(row.user_id) : null,
+      actorId: row.actor_id ? Number(row.actor_id) : null,
+      data: row.data ? JSON.parse(row.data) : null,
+      createdAt: new Date(row.created_at)
+    }));
+
+    timeline.forEach(entry => {
+      const attendee = attendees.get(entry.userId);
+      if (!attendee) return;
+      if (entry.event === 'mute') attendee.muteCount++;
+      if (entry.event === 'kick') attendee.kicked = true;
+    });
+
+    const report = Array.from(attendees.values()).map(attendee => {
+      const openSession = attendee.sessions.some(session => !session.leftAt);
+      return {
+        userId: attendee.userId,
+        userName: attendee.userName,
+        role: attendee.isAdmin ? 'instructor' : 'student',
+        totalMinutes: this.totalMinutes(attendee.sessions),
+        firstJoinedAt: attendee.sessions[0].joinedAt,
+        lastLeftAt: openSession ? null : new Date(Math.max(...attendee.sessions.map(session => session.leftAt.getTime()))),
+        isPresent: openSession,
+        muteCount: attendee.muteCount,
+        kicked: attendee.kicked,
+        sessions: attendee.sessions
+      };
+    });
+
+    return {
+      groupId: Number(groupId),
+      classId: String(classId),
+      inviteCodes: [...new Set(intervals.map(row => row.invite_code))],
+      startedAt: intervals.length > 0 ? new Date(intervals[0].joined_at) : null,
+      attendees: report,
+      timeline
+    };
+  }
+
+  // Merge overlapping intervals (several devices) so time is only counted once
+  totalMinutes(sessions) {
+    const ranges = sessions
+      .map(session => {
+        const start = session.joinedAt.getTime();
+        const end = session.leftAt
+          ? session.leftAt.getTime()
+          : Math.min(Date.now(), start + this.maxSessionMinutes * 60000);
+        return [start, end];
+      })
+      .sort((a, b) => a[0] - b[0]);
+
+    let totalMs = 0;
+    let current = null;
+    ranges.forEach(([start, end]) => {
+      if (current && start <= current[1]) {
+        current[1] = Math.max(current[1], end);
+        return;
+      }
+      if (current) totalMs += current[1] - current[0];
+      current = [start, end];
+    });
+    if (current) totalMs += current[1] - current[0];
+
+    return Math.round((totalMs / 60000) * 10) / 10;
+  }
+
+  /**
+   * CSV export of an attendance report (one row per attendee)
+   */
+  toCsv(report) {
+    const header = ['user_id', 'user_name', 'role', 'total_minutes', 'sessions', 'first_joined_at', 'last_left_at', 'mute_count', 'kicked'];
+    const rows = report.attendees.map(attendee => [
+      attendee.userId,
+      attendee.userName,
+      attendee.role,
+      attendee.totalMinutes,
+      attendee.sessions.length,
+      attendee.firstJoinedAt,
+      attendee.lastLeftAt,
+      attendee.muteCount,
+      attendee.kicked ? 'yes' : 'no'
+    ]);
+
+    return csvService.format(header, rows);
+  }
+}
+
+module.exports = new AttendanceService();
@@ -0,0 +1,194 @@
+const databaseService = require('./databaseService');
+const csvService = require('./csvService');
+
+const AUDIT_TABLE = 'wp_chat_audit_log';
+
+// Privileged actions that are recorded
+const AUDIT_ACTIONS = [
+  'group.member_promote',
+  'group.member_demote',
+  'group.member_ban',
+  'group.member_unban',
+  'group.member_remove',
+  'group.delete',
+  'group.messages_delete',
+  'group.message_delete',
+  'video_room.kick',
+  'order.cancel'
+];
+
+/**
+ * Audit Log Service - Append-only record of privileged actions
+ * Each entry keeps who acted, on which resource and user, from which IP, and the before/after values.
+ * Entries are only ever inserted; there is no update or delete path (account purges keep them too).
+ */
+class AuditLogService {
+  constructor() {
+    this.maxExportRows = parseInt(process.env.AUDIT_LOG_MAX_EXPORT) || 10000;
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(AUDIT_TABLE, `
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      actor_id BIGINT UNSIGNED NULL,
+      actor_name VARCHAR(191) NULL,
+      action VARCHAR(64) NOT NULL,
+      resource_type VARCHAR(32) NOT NULL,
+      resource_id VARCHAR(64) NULL,
+      target_user_id BIGINT UNSIGNED NULL,
+      before_value TEXT NULL,
+      after_value TEXT NULL,
+      context TEXT NULL,
+      ip VARCHAR(64) NULL,
+      user_agent VARCHAR(255) NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      KEY actor_time (actor_id, created_at),
+      KEY resource_time (resource_type, resource_id, created_at),
+      KEY target_time (target_user_id, created_at),
+      KEY action_time (action, created_at)
+    `);
+  }
+
+  /**
+   * Append an entry; failures are logged and never break the audited action
+   * actor is a req.user-shaped object (or { id, displayName }) and null for system actions
+   */
+  async record({ actor = null, action, resourceType, resourceId = null, targetUserId = null, before = null, after = null, context = null, ip = null, userAgent = null }) {
+    try {
+      await this.ensureTable();
+      await databaseService.query(
+        `INSERT INTO ${AUDIT_TABLE}
+         (actor_id, actor_name, action, resource_type, resource_id, target_user_id, before_value, after_value, context, ip, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          actor?.id ?? null,
+          actor ? (actor.displayName || actor.username || null) : null,
+          action,
+          resourceType,
+          resourceId != null ? String(resourceId) : null,
+          targetUserId ?? null,
+          this.serialize(before),
+          this.serialize(after),
+          this.serialize(context),
+          ip,
+          userAgent ? userAgent.slice(0, 255) : null
+        ]
+      );
+      console.log(`📝 Audit: ${action} on ${resourceType} ${resourceId ?? ''} by ${actor?.id ?? 'system'}`);
+    } catch (error) {
+      console.warn(`⚠️ Audit: ${action} not recorded:`, error.message);
+    }
+  }
+
+  /**
+   * Append an entry for the user making an HTTP request
+   */
+  async recordRequest(req, action, { resourceType, resourceId = null, targetUserId = null, before = null, after = null, context = null }) {
+    await this.record({
+      actor: req.user,
+      action,
+      resourceType,
+      resourceId,
+      targetUserId,
+      before,
+      after,
+      context,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  }
+
+  serialize(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+  }
+
+  parse(value) {
+    if (value === null || value === undefined) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Newest entries first; every filter is optional
+   */
+  async search({ actorId, targetUserId, action, resourceType, resourceId, from, to, limit = 50, offset = 0 } = {}) {
+    await this.ensureTable();
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      if (value === undefined || value === null || value === '') return;
+      conditions.push(sql);
+      params.push(value);
+    };
+
+    addCondition('actor_id = ?', actorId);
+    addCondition('target_user_id = ?', targetUserId);
+    addCondition('action = ?', action);
+    addCondition('resource_type = ?', resourceType);
+    addCondition('resource_id = ?', resourceId != null ? String(resourceId) : resourceId);
+    addCondition('created_at >= ?', from);
+    addCondition('created_at <= ?', to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [countRow] = await databaseService.query(`SELECT COUNT(*) AS total FROM ${AUDIT_TABLE} ${where}`, params);
+    const rows = await databaseService.query(
+      `SELECT * FROM ${AUDIT_TABLE} ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      total: Number(countRow?.total || 0),
+      entries: rows.map(row => ({
+        id: row.id,
+        actorId: row.actor_id,
+        actorName: row.actor_name,
+        action: row.action,
+        resourceType: row.resource_type,
+        resourceId: row.resource_id,
+        targetUserId: row.target_user_id,
+        before: this.parse(row.before_value),
+        after: this.parse(row.after_value),
+        context: this.parse(row.context),
+        ip: row.ip,
+        userAgent: row.user_agent,
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  /**
+   * CSV export of audit entries (one row per entry, JSON values kept as JSON text)
+   */
+  toCsv(entries) {
+    const header = ['id', 'created_at', 'actor_id', 'actor_name', 'action', 'resource_type', 'resource_id', 'target_user_id', 'before', 'after', 'context', 'ip', 'user_agent'];
+    const rows = entries.map(entry => [
+      entry.id,
+      entry.createdAt,
+      entry.actorId,
+      entry.actorName,
+      entry.action,
+      entry.resourceType,
+      entry.resourceId,
+      entry.targetUserId,
+      entry.before,
+      entry.after,
+      entry.context,
+      entry.ip,
+      entry.userAgent
+    ]);
+
+    return csvService.format(header, rows);
+  }
+}
+
+const auditLogService = new AuditLogService();
+auditLogService.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = auditLogService;
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const wordPressService = require('./wordpressService');
+const sharedStateService = require('./sharedStateService');
+
+/**
+ * Authentication error with a stable error code for API and socket responses
+ */
+class AuthError extends Error {
+  constructor(message, code = 'INVALID_TOKEN', statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Auth Service - Shared token verification for Express and Socket.IO
+ * Verifies JWTs locally (shared secret, public key or JWKS) and caches the resolved user.
+ * WordPress token validation is only used when no local key material is available.
+ */
+class AuthService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET || null;
+    this.jwtPublicKey = process.env.JWT_PUBLIC_KEY ? process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : null;
+    this.jwksUrl = process.env.JWT_JWKS_URL || null;
+    this.issuer = process.env.JWT_ISSUER || null;
+    this.cacheTtl = parseInt(process.env.AUTH_CACHE_TTL) || 300; // seconds
+    this.jwksTtl = parseInt(process.env.JWT_JWKS_TTL) || 3600; // seconds
+
+    this.tokenCache = sharedStateService.collection('auth_token_cache');
+    this.revokedTokens = sharedStateService.collection('auth_revoked_tokens');
+    // Filled by the auth session service when a device session is revoked
+    this.revokedSessions = sharedStateService.collection('auth_revoked_sessions');
+    // Filled by the account lifecycle service for deactivated and deleted accounts
+    this.inactiveAccounts = sharedStateService.collection('inactive_accounts');
+
+    this.jwks = null;
+    this.jwksFetchedAt = 0;
+  }
+
+  // Tokens are never used as keys directly
+  tokenKey(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  hasLocalVerification() {
+    return !!(this.jwtSecret || this.jwtPublicKey || this.jwksUrl);
+  }
+
+  /**
+   * Check token shape before doing any work
+   */
+  cleanToken(token) {
+    if (!token || typeof token !== 'string' || token.trim().length === 0) {
+      throw new AuthError('Invalid token format', 'INVALID_TOKEN_FORMAT');
+    }
+
+    const cleanToken = token.trim();
+    if (cleanToken.split('.').length !== 3) {
+      throw new AuthError('Malformed token', 'MALFORMED_TOKEN');
+    }
+
+    return cleanToken;
+  }
+
+  /**
+   * Verify a token and return the user attached to requests and sockets
+   */
+  async verifyToken(token) {
+    const cleanToken = this.cleanToken(token);
+    const key = this.tokenKey(cleanToken);
+
+    if (await this.revokedTokens.has(key)) {
+      throw new AuthError('Token has been revoked', 'TOKEN_REVOKED');
+    }
+
+    // Tokens issued for a device session die with the session
+    const sessionId = jwt.decode(cleanToken)?.sid || null;
+    if (sessionId && await this.revokedSessions.has(sessionId)) {
+      throw new AuthError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    const cached = await this.tokenCache.get(key);
+    if (cached) {
+      await this.assertAccountActive(cached.id);
+      return { ...cached, sessionId, token: cleanToken };
+    }
+
+    const payload = await this.verifyLocally(cleanToken);
+    const userData = payload
+      ? await this.resolveUserFromPayload(payload, cleanToken)
+      : await this.validateWithWordPress(cleanToken);
+
+    if (!userData || !userData.id) {
+      throw new AuthError('Invalid token - no user data', 'INVALID_TOKEN');
+    }
+
+    const user = this.buildUser(userData);
+    await this.assertAccountActive(user.id);
+    await this.tokenCache.set(key, user, this.cacheTtlFor(payload || jwt.decode(cleanToken)));
+
+    return { ...user, sessionId, token: cleanToken };
+  }
+
+  // Deactivated accounts sign in again to reactivate; their old tokens stop working
+  async assertAccountActive(userId) {
+    if (await this.inactiveAccounts.has(String(userId))) {
+      throw new AuthError('Account is deactivated', 'ACCOUNT_DEACTIVATED', 403);
+    }
+  }
+
+  /**
+   * Verify the signature locally; returns null when no key material is available
+   */
+  async verifyLocally(token) {
+    if (!this.hasLocalVerification()) return null;
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new AuthError('Invalid token encoding', 'INVALID_TOKEN');
+    }
+
+    const verification = await this.getVerificationKey(decoded.header);
+    if (!verification) return null;
+
+    const options = { algorithms: verification.algorithms };
+    if (this.issuer) {
+      options.issuer = this.issuer;
+    }
+
+    try {
+      return jwt.verify(token, verification.key, options);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('Token expired', 'TOKEN_EXPIRED');
+      }
+      throw new AuthError(`Token verification failed: ${error.message}`, 'INVALID_TOKEN');
+    }
+  }
+
+  /**
+   * Pick the key (and allowed algorithms) matching the token header
+   */
+  async getVerificationKey(header) {
+    const hmacAlgorithms = ['HS256', 'HS384', 'HS512'];
+    const asymmetricAlgorithms = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'];
+
+    if (hmacAlgorithms.includes(header.alg)) {
+      return this.jwtSecret ? { key: this.jwtSecret, algorithms: hmacAlgorithms } : null;
+    }
+
+    if (this.jwtPublicKey) {
+      return { key: this.jwtPublicKey, algorithms: asymmetricAlgorithms };
+    }
+
+    if (this.jwksUrl) {
+      const jwk = await this.getJwk(header.kid);
+      return jwk
+        ? { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithms: asymmetricAlgorithms }
+        : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a JWK by key id, refreshing the key set when stale or the kid is unknown
+   */
+  async getJwk(kid) {
+    const isStale = Date.now() - this.jwksFetchedAt > this.jwksTtl * 1000;
+    let jwk = !isStale ? this.findJwk(kid) : null;
+
+    if (!jwk) {
+      try {
+        const response = await axios.get(this.jwksUrl, { timeout: 10000 });
+        this.jwks = response.data?.keys || [];
+        this.jwksFetchedAt = Date.now();
+      } catch (error) {
+        console.error('❌ Auth: Failed to fetch JWKS:', error.message);
+      }
+      jwk = this.findJwk(kid);
+    }
+
+    return jwk;
+  }
+
+  findJwk(kid) {
+    if (!this.jwks) return null;
+    return this.jwks.find(key => !kid || key.kid === kid) || null;
+  }
+
+  /**
+   * Build user data from a verified payload, looking the user up only when the payload lacks details
+   */
+  async resolveUserFromPayload(payload, token) {
+    const tokenUser = payload.data?.user || {};
+    const userId = tokenUser.id || payload.sub;
+    if (!userId) return null;
+
+    if (tokenUser.user_email || tokenUser.email) {
+      return {
+        id: userId,
+        user_email: tokenUser.user_email || tokenUser.email,
+        user_login: tokenUser.user_login || tokenUser.username,
+        display_name: tokenUser.display_name || tokenUser.name,
+        roles: tokenUser.roles || ['subscriber']
+      };
+    }
+
+    return this.fetchUser(userId, token);
+  }
+
+  /**
+   * Fallback: ask the WordPress JWT plugin to validate the token
+   */
+  async validateWithWordPress(token) {
+    let validation;
+    try {
+      validation = await wordPressService.validateToken(token);
+    } catch (error) {
+      throw new AuthError(`Token validation failed: ${error.message}`, 'VALIDATION_FAILED');
+    }
+
+    // Handle different response formats from WordPress JWT plugin
+    if (validation.data && validation.data.user) {
+      return validation.data.user;
+    }
+
+    if (validation.data && validation.data.status === 200) {
+      const payload = jwt.decode(token);
+      if (payload?.data?.user?.id) {
+        return this.fetchUser(payload.data.user.id, token);
+      }
+    }
+
+    return null;
+  }
+
+  // Roles and email are only returned in the edit context, which users have for their own account
+  async fetchUser(userId, token) {
+    const userResponse = await wordPressService.getUserById(userId, token, { context: 'edit' });
+    if (!userResponse || !userResponse.id) return null;
+
+    return {
+      id: userResponse.id,
+      user_email: userResponse.email,
+      user_login: userResponse.username || userResponse.slug,
+      display_name: userResponse.name,
+      roles: userResponse.roles || ['subscriber']
+    };
+  }
+
+  /**
+   * Shape shared by req.user and socket auth
+   */
+  buildUser(userData) {
+    return {
+      id: userData.id,
+      user_id: userData.id,  // For backward compatibility
+      email: userData.user_email,
+      user_email: userData.user_email,  // For backward compatibility
+      username: userData.user_login,
+      user_login: userData.user_login,  // For backward compatibility
+      displayName: userData.display_name,
+      display_name: userData.display_name,  // For backward compatibility
+      role: userData.roles?.[0] || 'subscriber',
+      roles: userData.roles || ['subscriber']
+    };
+  }
+
+  // Never cache past the token's own expiry
+  cacheTtlFor(payload) {
+    if (!payload?.exp) return this.cacheTtl;
+    const remaining = payload.exp - Math.floor(Date.now() / 1000);
+    return Math.max(1, Math.min(this.cacheTtl, remaining));
+  }
+
+  /**
+   * Revoke a token until it expires (used by logout)
+   */
+  async revokeToken(token) {
+    const cleanToken = this.cleanToken(token);
+    const key = this.tokenKey(cleanToken);
+    const payload = jwt.decode(cleanToken);
+
+    const ttl = payload?.exp
+      ? Math.max(1, payload.exp - Math.floor(Date.now() / 1000))
+      : 7 * 24 * 60 * 60;
+
+    await this.revokedTokens.set(key, { revokedAt: new Date().toISOString() }, ttl);
+    await this.tokenCache.delete(key);
+  }
+
+  /**
+   * Drop a cached user so the next request re-resolves it
+   */
+  async invalidateToken(token) {
+    await this.tokenCache.delete(this.tokenKey(token.trim()));
+  }
+}
+
+const authService = new AuthService();
+authService.AuthError = AuthError;
+
+module.exports = authService;
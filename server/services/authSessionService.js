@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const databaseService = require('./databaseService');
+const sharedStateService = require('./sharedStateService');
+const authService = require('./authService');
+
+const { AuthError } = authService;
+
+const SESSIONS_TABLE = 'wp_chat_auth_sessions';
+const REFRESH_TOKENS_TABLE = 'wp_chat_refresh_tokens';
+
+/**
+ * Auth Session Service - Device sessions with rotating refresh tokens
+ * Login creates a session bound to the client's device id. Every refresh consumes the presented
+ * refresh token and issues a new one; presenting a consumed token again (reuse) revokes the whole
+ * session, since one of the two copies must be stolen.
+ * Access tokens are short lived HS256 JWTs in the WordPress JWT plugin format plus the session id,
+ * so WordPress keeps accepting them when it shares JWT_SECRET. Every refresh reloads the user's
+ * roles from WordPress, so a role change reaches the token within one access token lifetime.
+ * Emits 'session_revoked' ({ sessionId, userId, reason }) so sockets of the session can be closed.
+ */
+class AuthSessionService extends EventEmitter {
+  constructor() {
+    super();
+    this.jwtSecret = process.env.JWT_SECRET || null;
+    this.issuer = process.env.JWT_ISSUER || process.env.WORDPRESS_URL || 'https://olomak.com';
+    this.accessTokenTtl = parseInt(process.env.AUTH_ACCESS_TOKEN_TTL) || 900; // seconds
+    this.refreshTokenTtl = parseInt(process.env.AUTH_REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60; // seconds
+    this.serviceToken = process.env.WP_API_TOKEN || null;
+
+    // Revoked session ids, kept while access tokens of the session can still be valid
+    this.revokedSessions = sharedStateService.collection('auth_revoked_sessions');
+  }
+
+  isEnabled() {
+    return !!this.jwtSecret;
+  }
+
+  async ensureTables() {
+    await databaseService.ensureTable(SESSIONS_TABLE, `
+      id CHAR(36) NOT NULL PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      device_id VARCHAR(128) NOT NULL,
+      device_name VARCHAR(255) NULL,
+      platform VARCHAR(32) NULL,
+      app_version VARCHAR(32) NULL,
+      ip VARCHAR(64) NULL,
+      user_agent VARCHAR(255) NULL,
+      user_data TEXT NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      revoke_reason VARCHAR(32) NULL,
+      KEY user_active (user_id, revoked_at)
+    `);
+
+    await databaseService.ensureTable(REFRESH_TOKENS_TABLE, `
+      token_hash CHAR(64) NOT NULL PRIMARY KEY,
+      session_id CHAR(36) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      used_at DATETIME NULL,
+      expires_at DATETIME NOT NULL,
+      KEY session (session_id)
+    `);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Access token in the WordPress JWT plugin format, tagged with the session id
+   */
+  signAccessToken(sessionId, user) {
+    return jwt.sign({
+      iss: this.issuer,
+      sid: sessionId,
+      data: {
+        user: {
+          id: String(user.id),
+          user_email: user.email,
+          user_login: user.username,
+          display_name: user.displayName,
+          roles: user.roles || ['subscriber']
+        }
+      }
+    }, this.jwtSecret, { algorithm: 'HS256', expiresIn: this.accessTokenTtl });
+  }
+
+  async issueRefreshToken(sessionId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await databaseService.query(
+      `INSERT INTO ${REFRESH_TOKENS_TABLE} (token_hash, session_id, expires_at) VALUES (?, ?, ?)`,
+      [this.hashToken(refreshToken), sessionId, new Date(Date.now() + this.refreshTokenTtl * 1000)]
+    );
+
+    return refreshToken;
+  }
+
+  tokenResponse(sessionId, user, refreshToken) {
+    return {
+      token: this.signAccessToken(sessionId, user),
+      refresh_token: refreshToken,
+      expires_in: this.accessTokenTtl,
+      session_id: sessionId
+    };
+  }
+
+  /**
+   * Start a session after a successful login
+   * user: { id, email, username, displayName, roles }
+   * device: { deviceId, deviceName, platform, appVersion, ip, userAgent }
+   */
+  async createSession(user, device = {}) {
+    await this.ensureTables();
+
+    const sessionId = uuidv4();
+    await databaseService.query(
+      `INSERT INTO ${SESSIONS_TABLE}
+       (id, user_id, device_id, device_name, platform, app_version, ip, user_agent, user_data, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [sessionId, user.id, device.deviceId, device.deviceName || null, device.platform || null,
+        device.appVersion || null, device.ip || null, (device.userAgent || '').slice(0, 255) || null,
+        JSON.stringify(user), new Date(Date.now() + this.refreshTokenTtl * 1000)]
+    );
+
+    const refreshToken = await this.issueRefreshToken(sessionId);
+    console.log(`🔐 Auth Session: Session ${sessionId} created for user ${user.id} on device ${device.deviceId}`);
+
+    return this.tokenResponse(sessionId, user, refreshToken);
+  }
+
+  /**
+   * The session user with current profile and roles from WordPress
+   * Looked up with the service token, or a short-lived token of the session itself when there is none.
+   * A removed account revokes the session; any other failure leaves the refresh token unused (503).
+   */
+  async reloadUser(sessionId, storedUser) {
+    let current;
+    try {
+      current = await authService.fetchUser(storedUser.id, this.serviceToken || this.signAccessToken(sessionId, storedUser));
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error(`❌ Auth Session: User ${storedUser.id} not reloaded:`, error.message);
+        throw new AuthError('Could not refresh the session, try again later', 'AUTH_UNAVAILABLE', 503);
+      }
+    }
+
+    if (!current) {
+      await this.revokeSession(sessionId, 'account_removed');
+      throw new AuthError('Account no longer exists', 'INVALID_REFRESH_TOKEN');
+    }
+
+    return {
+      ...storedUser,
+      email: current.user_email,
+      username: current.user_login,
+      displayName: current.display_name,
+      roles: current.roles
+    };
+  }
+
+  /**
+   * Rotate a refresh token: consume it and issue a new access/refresh token pair
+   */
+  async refresh(refreshToken, deviceId, { ip = null } = {}) {
+    // A missing device id is a client error, not a sign of a stolen token
+    if (!deviceId) {
+      throw new AuthError('device_id is required to refresh a device session', 'DEVICE_ID_REQUIRED', 400);
+    }
+
+    await this.ensureTables();
+
+    const [record] = await databaseService.query(
+      `SELECT t.session_id, t.used_at, t.expires_at, s.user_id, s.device_id, s.user_data, s.revoked_at, s.expires_at AS session_expires_at
+       FROM ${REFRESH_TOKENS_TABLE} t
+       JOIN ${SESSIONS_TABLE} s ON s.id = t.session_id
+       WHERE t.token_hash = ?`,
+      [this.hashToken(refreshToken)]
+    );
+
+    if (!record || record.revoked_at) {
+      throw new AuthError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (record.used_at) {
+      await this.revokeSession(record.session_id, 'token_reuse');
+      throw new AuthError('Refresh token reuse detected, session revoked', 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (String(record.device_id) !== String(deviceId)) {
+      await this.revokeSession(record.session_id, 'device_mismatch');
+      throw new AuthError('Refresh token does not belong to this device, session revoked', 'DEVICE_MISMATCH');
+    }
+
+    if (new Date(record.expires_at) <= new Date() || new Date(record.session_expires_at) <= new Date()) {
+      throw new AuthError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    const user = await this.reloadUser(record.session_id, JSON.parse(record.user_data));
+
+    // Consume atomically; losing the race means the token was presented twice
+    const result = await databaseService.query(
+      `UPDATE ${REFRESH_TOKENS_TABLE} SET used_at = ? WHERE token_hash = ? AND used_at IS NULL`,
+      [new Date(), this.hashToken(refreshToken)]
+    );
+    if (result.affectedRows !== 1) {
+      await this.revokeSession(record.session_id, 'token_reuse');
+      throw new AuthError('Refresh token reuse detected, session revoked', 'REFRESH_TOKEN_REUSED');
+    }
+
+    await databaseService.query(
+      `UPDATE ${SESSIONS_TABLE} SET last_used_at = ?, ip = COALESCE(?, ip), expires_at = ?, user_data = ? WHERE id = ?`,
+      [new Date(), ip, new Date(Date.now() + this.refreshTokenTtl * 1000), JSON.stringify(user), record.session_id]
+    );
+
+    const newRefreshToken = await this.issueRefreshToken(record.session_id);
+    return this.tokenResponse(record.session_id, user, newRefreshToken);
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  async listSessions(userId) {
+    await this.ensureTables();
+
+    const rows = await databaseService.query(
+      `SELECT id, device_id, device_name, platform, app_version, ip, user_agent, created_at, last_used_at, expires_at
+       FROM ${SESSIONS_TABLE}
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+       ORDER BY last_used_at DESC`,
+      [userId, new Date()]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      deviceId: row.device_id,
+      deviceName: row.device_name,
+      platform: row.platform,
+      appVersion: row.app_version,
+      ip: row.ip,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at
+    }));
+  }
+
+  /**
+   * Revoke a session: its refresh tokens stop working, its access tokens are rejected
+   * and its sockets are disconnected. Pass userId to only revoke the user's own session.
+   */
+  async revokeSession(sessionId, reason = 'logout', userId = null) {
+    await this.ensureTables();
+
+    const params = [new Date(), reason, sessionId];
+    const result = await databaseService.query(
+      `UPDATE ${SESSIONS_TABLE} SET revoked_at = ?, revoke_reason = ?
+       WHERE id = ? AND revoked_at IS NULL${userId ? ' AND user_id = ?' : ''}`,
+      userId ? [...params, userId] : params
+    );
+
+    if (result.affectedRows === 0) return false;
+
+    await this.revokedSessions.set(sessionId, { reason, revokedAt: new Date().toISOString() }, this.accessTokenTtl);
+    console.log(`🔐 Auth Session: Session ${sessionId} revoked (${reason})`);
+
+    this.emit('session_revoked', { sessionId, userId, reason });
+    return true;
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one (the caller's)
+   */
+  async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    const sessions = await this.listSessions(userId);
+    let revoked = 0;
+
+    for (const session of sessions) {
+      if (session.id === exceptSessionId) continue;
+      if (await this.revokeSession(session.id, reason, userId)) revoked++;
+    }
+
+    return revoked;
+  }
+
+  async isSessionRevoked(sessionId) {
+    return this.revokedSessions.has(sessionId);
+  }
+}
+
+module.exports = new AuthSessionService();
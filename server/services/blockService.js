@@ -0,0 +1,255 @@
+const databaseService = require('./databaseService');
+const buddyBossService = require('./buddyBossService');
+const chatService = require('./chatService');
+
+const BLOCKS_TABLE = 'wp_chat_user_blocks';
+const IMPORTS_TABLE = 'wp_chat_user_block_imports';
+
+/**
+ * Block Service - The one block relation used by chat, calls, statuses, presence and social
+ * A block works both ways: neither user can message, call, see the statuses or presence of, or
+ * send a friend request to the other. Relations are cached in-process per user for
+ * BLOCK_CACHE_TTL seconds; changes made on this instance apply immediately.
+ * BuddyBoss is kept in sync (best effort) so the web site shows the same list, and blocks made
+ * through BuddyBoss before this table existed are imported the first time a user's relations load.
+ */
+class BlockService {
+  constructor() {
+    this.cacheTtl = (parseInt(process.env.BLOCK_CACHE_TTL) || 60) * 1000;
+    this.cache = new Map(); // userId -> { blocked: Set, blockedBy: Set, loadedAt }
+    this.serviceToken = process.env.WP_API_TOKEN || null;
+    this.importRetryAt = new Map(); // userId -> time of the next import attempt after a BuddyBoss failure
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(BLOCKS_TABLE, `
+      blocker_id BIGINT UNSIGNED NOT NULL,
+      blocked_id BIGINT UNSIGNED NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (blocker_id, blocked_id),
+      KEY blocked (blocked_id)
+    `);
+    await databaseService.ensureTable(IMPORTS_TABLE, `
+      user_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      imported_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    `);
+  }
+
+  /**
+   * Copy the user's BuddyBoss block list into the blocks table (once per user)
+   * Retried after BLOCK_CACHE_TTL when BuddyBoss can't be reached; needs WP_API_TOKEN
+   */
+  async importLegacyBlocks(userId) {
+    const key = String(userId);
+    if (!this.serviceToken || Date.now() < (this.importRetryAt.get(key) || 0)) return;
+
+    await this.ensureTable();
+    const done = await databaseService.query(`SELECT user_id FROM ${IMPORTS_TABLE} WHERE user_id = ?`, [userId]);
+    if (done.length > 0) return;
+
+    let result;
+    try {
+      result = await buddyBossService.getBlockedUsers(userId, this.serviceToken);
+    } catch (error) {
+      this.importRetryAt.set(key, Date.now() + this.cacheTtl);
+      console.warn(`⚠️ Block Service: BuddyBoss blocks of user ${userId} not imported:`, error.message);
+      return;
+    }
+    this.importRetryAt.delete(key);
+
+    const members = Array.isArray(result) ? result : (result?.data || []);
+    const blockedIds = [...new Set(members
+      .map(member => member && typeof member === 'object' ? member.id ?? member.user_id ?? member.ID : member)
+      .filter(id => id != null && String(id) !== key)
+      .map(String))];
+
+    if (blockedIds.length > 0) {
+      await databaseService.query(
+        `INSERT IGNORE INTO ${BLOCKS_TABLE} (blocker_id, blocked_id) VALUES ?`,
+        [blockedIds.map(blockedId => [userId, blockedId])]
+      );
+      this.invalidate(userId, ...blockedIds);
+    }
+    await databaseService.query(`INSERT IGNORE INTO ${IMPORTS_TABLE} (user_id) VALUES (?)`, [userId]);
+    console.log(`📥 Block Service: Imported ${blockedIds.length} BuddyBoss blocks of user ${userId}`);
+  }
+
+  // Both directions of a user's relations, from the cache or the database
+  async getRelations(userId) {
+    const key = String(userId);
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached;
+    }
+
+    await this.ensureTable();
+    await this.importLegacyBlocks(userId);
+    const rows = await databaseService.query(
+      `SELECT blocker_id, blocked_id FROM ${BLOCKS_TABLE} WHERE blocker_id = ? OR blocked_id = ?`,
+      [userId, userId]
+    );
+
+    const relations = { blocked: new Set(), blockedBy: new Set(), loadedAt: Date.now() };
+    rows.forEach(row => {
+      if (String(row.blocker_id) === key) {
+        relations.blocked.add(String(row.blocked_id));
+      } else {
+        relations.blockedBy.add(String(row.blocker_id));
+      }
+    });
+
+    this.cache.set(key, relations);
+    return relations;
+  }
+
+  /**
+   * Whether either user has blocked the other
+   * Lookup failures count as not blocked so chat keeps working without the database
+   */
+  async isBlocked(userId, otherUserId) {
+    if (userId == null || otherUserId == null || String(userId) === String(otherUserId)) return false;
+
+    try {
+      // Loading the other user's relations imports their BuddyBoss blocks as well
+      const otherRelations = await this.getRelations(otherUserId);
+      const relations = await this.getRelations(userId);
+      const other = String(otherUserId);
+      return relations.blocked.has(other) || relations.blockedBy.has(other) || otherRelations.blocked.has(String(userId));
+    } catch (error) {
+      console.warn('⚠️ Block Service: Block lookup failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Users hidden from this user (blocked by them or blocking them)
+   */
+  async getHiddenUserIds(userId) {
+    try {
+      const relations = await this.getRelations(userId);
+      return new Set([...relations.blocked, ...relations.blockedBy]);
+    } catch (error) {
+      console.warn('⚠️ Block Service: Block lookup failed:', error.message);
+      return new Set();
+    }
+  }
+
+  /**
+   * Drop users with a block relation from a list (search results, contacts, friends)
+   */
+  async filterUsers(userId, users, getUserId = user => user?.id ?? user?.user_id ?? user?.ID) {
+    if (!Array.isArray(users)) return users;
+
+    const hidden = await this.getHiddenUserIds(userId);
+    if (hidden.size === 0) return users;
+
+    return users.filter(user => {
+      const id = getUserId(user);
+      return id == null || !hidden.has(String(id));
+    });
+  }
+
+  /**
+   * A one-to-one conversation in which the other participant has a block relation with the user
+   * Group conversations are never blocked as a whole; participants are IDs or user objects
+   */
+  async isConversationBlocked(userId, participants) {
+    const others = [...new Set((participants || [])
+      .map(participant => participant && typeof participant === 'object' ? participant.id ?? participant.user_id : participant)
+      .filter(id => id != null)
+      .map(String))]
+      .filter(id => id !== String(userId));
+    return others.length === 1 && this.isBlocked(userId, others[0]);
+  }
+
+  /**
+   * Whether a private message (to a thread, or to recipients for a new thread) must be dropped
+   * Pass the thread participants when the caller has loaded them already
+   */
+  async isMessageBlocked(senderId, { threadId = null, recipients = null, participants = null }, token) {
+    const conversationParticipants = participants
+      || (threadId ? await chatService.getChatParticipants(threadId, token) : [senderId, ...(recipients || [])]);
+    return this.isConversationBlocked(senderId, conversationParticipants);
+  }
+
+  /**
+   * IDs of the users this user has blocked
+   */
+  async getBlockedUserIds(userId) {
+    const relations = await this.getRelations(userId);
+    return [...relations.blocked];
+  }
+
+  /**
+   * Profiles of the users this user has blocked (bare IDs when BuddyBoss can't be reached)
+   */
+  async getBlockedUsers(userId, token) {
+    const blockedIds = await this.getBlockedUserIds(userId);
+    if (blockedIds.length === 0) return [];
+
+    try {
+      const members = await buddyBossService.getMembersByIds(blockedIds, token);
+      return Array.isArray(members) ? members : [];
+    } catch (error) {
+      console.warn('⚠️ Block Service: Blocked member profiles not loaded:', error.message);
+      return blockedIds.map(id => ({ id: parseInt(id) }));
+    }
+  }
+
+  async block(userId, targetUserId, token = null) {
+    await this.ensureTable();
+    await this.importLegacyBlocks(userId);
+    await databaseService.query(
+      `INSERT IGNORE INTO ${BLOCKS_TABLE} (blocker_id, blocked_id) VALUES (?, ?)`,
+      [userId, targetUserId]
+    );
+    this.invalidate(userId, targetUserId);
+    console.log(`🚫 Block Service: User ${userId} blocked ${targetUserId}`);
+
+    await this.syncBuddyBoss('blockUser', userId, targetUserId, token);
+  }
+
+  async unblock(userId, targetUserId, token = null) {
+    await this.ensureTable();
+    // Import first so a BuddyBoss block isn't imported again after being lifted here
+    await this.importLegacyBlocks(userId);
+    await databaseService.query(
+      `DELETE FROM ${BLOCKS_TABLE} WHERE blocker_id = ? AND blocked_id = ?`,
+      [userId, targetUserId]
+    );
+    this.invalidate(userId, targetUserId);
+    console.log(`✅ Block Service: User ${userId} unblocked ${targetUserId}`);
+
+    await this.syncBuddyBoss('unblockUser', userId, targetUserId, token);
+  }
+
+  /**
+   * Remove every relation of a user (account deletion)
+   */
+  async purgeUser(userId) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${BLOCKS_TABLE} WHERE blocker_id = ? OR blocked_id = ?`,
+      [userId, userId]
+    );
+    await databaseService.query(`DELETE FROM ${IMPORTS_TABLE} WHERE user_id = ?`, [userId]);
+    this.cache.clear();
+    return result.affectedRows || 0;
+  }
+
+  invalidate(...userIds) {
+    userIds.forEach(userId => this.cache.delete(String(userId)));
+  }
+
+  async syncBuddyBoss(method, userId, targetUserId, token) {
+    if (!token) return;
+
+    try {
+      await buddyBossService[method](userId, targetUserId, token);
+    } catch (error) {
+      console.warn(`⚠️ Block Service: BuddyBoss ${method} not synced:`, error.message);
+    }
+  }
+}
+
+module.exports = new BlockService();
@@ -202,6 +202,19 @@ class BuddyBossService {
     }, token);
   }
 
+  /**
+   * Get members by ID
+   */
+  async getMembersByIds(userIds, token) {
+    return await this.makeAuthenticatedRequest('members', {
+      method: 'GET',
+      params: {
+        include: userIds.join(','),
+        per_page: userIds.length
+      }
+    }, token);
+  }
+
   /**
    * Report a user
    */
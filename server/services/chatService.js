@@ -1746,6 +1746,23 @@ class ChatService {
     }
   }
 
+  // Record the status ('live', 'ended') of a scheduled class occurrence in the group's class metadata
+  async updateLiveClassStatus(groupId, classId, status, userToken, occurrenceStart = null) {
+    const result = await this.addClassMetadata(groupId, {
+      type: 'live_class_status',
+      class_id: classId,
+      occurrence_start: occurrenceStart,
+      status,
+      updated_at: new Date().toISOString()
+    }, userToken);
+
+    if (result?.metadata_skipped) {
+      console.warn(`⚠️ Live class ${classId} status '${status}' not saved to class metadata:`, result.error);
+      return null;
+    }
+    return result;
+  }
+
   // Start live class call
   async startLiveClassCall(groupId, classId, callData, userToken) {
     try {
@@ -0,0 +1,24 @@
+/**
+ * CSV Service - Spreadsheet-safe CSV for the exports
+ * Dates become ISO strings and objects JSON text. Text starting like a formula (=, +, -, @, tab, CR)
+ * gets a leading quote so a value such as =HYPERLINK(...) stays text when the file is opened.
+ */
+class CsvService {
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const safe = typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  }
+
+  /**
+   * Header row plus data rows, one line each
+   */
+  format(header, rows) {
+    return [header, ...rows].map(row => row.map(value => this.escape(value)).join(',')).join('\n') + '\n';
+  }
+}
+
+module.exports = new CsvService();
@@ -726,11 +726,6 @@ class CustomChatService {
   }
 
   // Message operations
-  async starMessage(messageId, starred, userToken) {
-    console.log('⚠️ Service: starMessage - Star operations not implemented in custom chat system');
-    return { success: true, message: 'Star operations not available in custom chat system' };
-  }
-
   async createGroupMessage(data) {
     console.log('📤 Service: createGroupMessage - Group messaging not fully implemented in custom chat system');
     return { success: true, message: 'Group messaging operations not available in custom chat system' };
@@ -1845,6 +1840,23 @@ class CustomChatService {
     }
   }
 
+  // Verify if user is a (non-banned) member of a group using BuddyBoss API
+  async isGroupMember(groupId, userId, userToken) {
+    try {
+      const response = await axios.get(
+        `${this.wpApiUrl}/buddyboss/v1/groups/${groupId}/members/${userId}`,
+        {
+          headers: this.getAuthHeaders(userToken)
+        }
+      );
+
+      return !!response.data && !response.data.is_banned;
+    } catch (error) {
+      console.log(`⚠️ Service: Could not verify membership of user ${userId} in group ${groupId}:`, error.response?.status);
+      return false;
+    }
+  }
+
   // Get group members using BuddyBoss API
   async getGroupMembers(groupId, page = 1, perPage = 50, userToken) {
     try {
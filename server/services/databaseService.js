@@ -6,6 +6,8 @@ const mysql = require('mysql2/promise');
  */
 class DatabaseService {
   constructor() {
+    // Connection pool (same query/execute API as a single connection); broken connections
+    // are discarded and replaced by the pool, and queries no longer wait on each other
     this.connection = null;
     this.config = {
       host: process.env.DB_HOST || 'localhost',
@@ -13,16 +15,24 @@ class DatabaseService {
       password: process.env.DB_PASSWORD || '',
       database: process.env.DB_NAME || 'wordpress',
       port: process.env.DB_PORT || 3306,
+      connectionLimit: parseInt(process.env.DB_POOL_SIZE) || 10,
+      waitForConnections: true,
+      enableKeepAlive: true
     };
+    this.connecting = null;
+    this.ensuredTables = new Set();
   }
 
   async connect() {
+    const pool = mysql.createPool(this.config);
     try {
-      this.connection = await mysql.createConnection(this.config);
+      await pool.query('SELECT 1');
+      this.connection = pool;
       console.log('✅ Database Service: Connected to WordPress database');
       return this.connection;
     } catch (error) {
       console.error('❌ Database Service: Connection failed:', error.message);
+      pool.end().catch(() => null);
       throw error;
     }
   }
@@ -37,11 +47,34 @@ class DatabaseService {
 
   async ensureConnection() {
     if (!this.connection) {
-      await this.connect();
+      // Concurrent first queries share one pool
+      this.connecting = this.connecting || this.connect().finally(() => { this.connecting = null; });
+      await this.connecting;
     }
     return this.connection;
   }
 
+  /**
+   * Run a query and return the result rows (or the result header for writes)
+   */
+  async query(sql, params = []) {
+    await this.ensureConnection();
+    const [rows] = await this.connection.query(sql, params);
+    return rows;
+  }
+
+  /**
+   * Create a table owned by the Node server if it does not exist yet
+   * Checked once per process for each table
+   */
+  async ensureTable(tableName, columnsSql) {
+    if (this.ensuredTables.has(tableName)) return;
+
+    await this.query(`CREATE TABLE IF NOT EXISTS ${tableName} (${columnsSql}) DEFAULT CHARSET=utf8mb4`);
+    this.ensuredTables.add(tableName);
+    console.log(`✅ Database Service: Table ${tableName} ready`);
+  }
+
   /**
    * Archive or unarchive a chat thread for a specific user
    * Updates the wp_chat_participants table with archive status
@@ -204,6 +237,42 @@ class DatabaseService {
       return [];
     }
   }
+
+  /**
+   * IDs of every chat thread the user takes part in
+   */
+  async getThreadIdsForUser(userId) {
+    const rows = await this.query(
+      'SELECT DISTINCT thread_id FROM wp_chat_participants WHERE user_id = ?',
+      [userId]
+    );
+    return rows.map(row => row.thread_id);
+  }
+
+  /**
+   * Remove a user's archive state (account deletion)
+   * Clears both the participants flag and the metadata fallback
+   */
+  async purgeUserArchiveRows(userId) {
+    await this.ensureConnection();
+
+    try {
+      await this.connection.execute(
+        'UPDATE wp_chat_participants SET is_archived = 0 WHERE user_id = ?',
+        [userId]
+      );
+    } catch (error) {
+      console.log('⚠️ Database Service: wp_chat_participants archive reset skipped:', error.message);
+    }
+
+    const [result] = await this.connection.execute(
+      'DELETE FROM wp_chat_thread_meta WHERE meta_key = ?',
+      [`archived_${userId}`]
+    );
+
+    console.log(`🗑️ Database Service: Removed ${result.affectedRows} archive rows for user ${userId}`);
+    return result.affectedRows;
+  }
 }
 
 module.exports = new DatabaseService();
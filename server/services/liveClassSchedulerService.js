@@ -0,0 +1,447 @@
+const chatService = require('./chatService');
+const databaseService = require('./databaseService');
+const sharedStateService = require('./sharedStateService');
+const mentionService = require('./mentionService');
+
+const GROUPS_TABLE = 'wp_chat_live_class_groups';
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Push delivery is optional: used when a push service module is installed
+let pushService = null;
+try {
+  pushService = require('./pushService');
+} catch (error) {
+  if (error.code !== 'MODULE_NOT_FOUND') throw error;
+}
+
+/**
+ * Parse a recurrence pattern: 'daily', 'weekly' or an RRULE
+ * (FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY, COUNT, UNTIL)
+ */
+const parseRecurrence = (pattern) => {
+  if (!pattern) return null;
+
+  const value = String(pattern).trim();
+  if (/^daily$/i.test(value)) return { freq: 'DAILY', interval: 1 };
+  if (/^weekly$/i.test(value)) return { freq: 'WEEKLY', interval: 1 };
+
+  const parts = value.replace(/^RRULE:/i, '').split(';').reduce((acc, part) => {
+    const [key, val] = part.split('=');
+    if (key && val) acc[key.trim().toUpperCase()] = val.trim();
+    return acc;
+  }, {});
+
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes((parts.FREQ || '').toUpperCase())) return null;
+
+  const until = parts.UNTIL
+    ? new Date(parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2}))?Z?$/, (m, y, mo, d, t, h = '23', mi = '59', se = '59') => `${y}-${mo}-${d}T${h}:${mi}:${se}Z`))
+    : null;
+
+  return {
+    freq: parts.FREQ.toUpperCase(),
+    interval: Math.max(1, parseInt(parts.INTERVAL) || 1),
+    byDay: parts.BYDAY ? parts.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.trim().toUpperCase().slice(-2))).filter(day => day >= 0) : null,
+    count: parseInt(parts.COUNT) || null,
+    until: until && !isNaN(until) ? until : null
+  };
+};
+
+/**
+ * Occurrence start times of a class between two dates (UTC based)
+ */
+const expandOccurrences = (startTime, rule, windowStart, windowEnd, durationMs) => {
+  const first = new Date(startTime);
+  if (isNaN(first)) return [];
+
+  const inWindow = (start) => start.getTime() + durationMs >= windowStart.getTime() && start <= windowEnd;
+  if (!rule) return inWindow(first) ? [first] : [];
+
+  const occurrences = [];
+  let emitted = 0;
+  const accept = (start) => {
+    if (start < first) return true;
+    if (rule.until && start > rule.until) return false;
+    if (rule.count && emitted >= rule.count) return false;
+    if (start > windowEnd) return false;
+    emitted++;
+    if (inWindow(start)) occurrences.push(start);
+    return true;
+  };
+
+  for (let step = 0; step < 5000; step++) {
+    if (rule.freq === 'DAILY') {
+      if (!accept(new Date(first.getTime() + step * rule.interval * DAY_MS))) break;
+    } else if (rule.freq === 'WEEKLY') {
+      const weekStart = first.getTime() - first.getUTCDay() * DAY_MS + step * rule.interval * 7 * DAY_MS;
+      const days = rule.byDay && rule.byDay.length > 0 ? [...rule.byDay].sort() : [first.getUTCDay()];
+      if (!days.every(day => accept(new Date(weekStart + day * DAY_MS)))) break;
+    } else {
+      const next = new Date(first);
+      next.setUTCMonth(first.getUTCMonth() + step * rule.interval);
+      if (next.getUTCDate() !== first.getUTCDate()) continue; // Month without this day
+      if (!accept(next)) break;
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Live Class Scheduler - Acts on classes scheduled in WordPress
+ * Expands recurring classes, sends reminders to group members, opens the video room
+ * at start time with the teacher as admin and marks the class ended after its duration.
+ * Every node runs the scheduler; each job is claimed once through shared state.
+ */
+class LiveClassSchedulerService {
+  constructor() {
+    this.serviceToken = process.env.WP_API_TOKEN || null;
+    this.tickInterval = (parseInt(process.env.LIVE_CLASS_SCHEDULER_TICK) || 30) * 1000;
+    this.refreshInterval = (parseInt(process.env.LIVE_CLASS_REFRESH_INTERVAL) || 300) * 1000;
+    this.reminderOffsets = (process.env.LIVE_CLASS_REMINDER_OFFSETS || '60,10')
+      .split(',')
+      .map(offset => parseInt(offset))
+      .filter(offset => offset > 0)
+      .sort((a, b) => b - a); // minutes before start, largest first
+    this.envGroupIds = (process.env.LIVE_CLASS_GROUP_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    this.jobs = sharedStateService.collection('live_class_jobs');
+    this.classCache = new Map(); // groupId -> { classes, fetchedAt }
+    this.io = null;
+    this.videoRoomHandler = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the scheduler loop
+   */
+  start(io, videoRoomHandler) {
+    if (this.timer) return;
+
+    if (!this.serviceToken) {
+      console.log('ℹ️ Live Class Scheduler: WP_API_TOKEN not set, scheduler disabled');
+      return;
+    }
+
+    this.io = io;
+    this.videoRoomHandler = videoRoomHandler;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.timer.unref();
+    console.log(`✅ Live Class Scheduler: Started (reminders ${this.reminderOffsets.join(', ')} min before start)`);
+
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(GROUPS_TABLE, `
+      group_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    `);
+  }
+
+  /**
+   * Watch a group's schedule (called when a class is scheduled through the API)
+   */
+  async watchGroup(groupId) {
+    await this.ensureTable();
+    await databaseService.query(`INSERT IGNORE INTO ${GROUPS_TABLE} (group_id) VALUES (?)`, [groupId]);
+    this.classCache.delete(String(groupId));
+  }
+
+  async getWatchedGroupIds() {
+    let groupIds = [];
+    try {
+      await this.ensureTable();
+      const rows = await databaseService.query(`SELECT group_id FROM ${GROUPS_TABLE}`);
+      groupIds = rows.map(row => String(row.group_id));
+    } catch (error) {
+      console.warn('⚠️ Live Class Scheduler: Could not load watched groups:', error.message);
+    }
+    return [...new Set([...this.envGroupIds, ...groupIds])];
+  }
+
+  // Scheduled classes of a group, refreshed from WordPress every refreshInterval
+  async getGroupClasses(groupId) {
+    const cached = this.classCache.get(groupId);
+    if (cached && Date.now() - cached.fetchedAt < this.refreshInterval) {
+      return cached.classes;
+    }
+
+    const result = await chatService.getScheduledLiveClasses(groupId, this.serviceToken);
+    const classes = Array.isArray(result) ? result : (result?.data || result?.classes || []);
+    this.classCache.set(groupId, { classes, fetchedAt: Date.now() });
+    return classes;
+  }
+
+  /**
+   * Upcoming and in-progress occurrences of a group's classes
+   */
+  getOccurrences(groupId, liveClass, windowStart, windowEnd) {
+    const durationMs = (parseInt(liveClass.duration) || 60) * 60 * 1000;
+    const rule = liveClass.recurring || liveClass.recurrence_pattern
+      ? parseRecurrence(liveClass.recurrence_pattern || 'weekly')
+      : null;
+
+    return expandOccurrences(liveClass.start_time || liveClass.startTime, rule, windowStart, windowEnd, durationMs)
+      .map(start => ({
+        id: `${groupId}:${liveClass.id}:${start.toISOString()}`,
+        groupId,
+        classId: liveClass.id,
+        title: liveClass.title,
+        teacherId: liveClass.teacher_id || liveClass.teacherId,
+        inviteCode: liveClass.invite_code || null,
+        startsAt: start,
+        endsAt: new Date(start.getTime() + durationMs),
+        liveClass
+      }));
+  }
+
+  /**
+   * One scheduler pass over every watched group
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const lookahead = new Date(now.getTime() + (this.reminderOffsets[0] || 0) * 60 * 1000 + this.tickInterval);
+
+      for (const groupId of await this.getWatchedGroupIds()) {
+        const classes = await this.getGroupClasses(groupId);
+
+        for (const liveClass of classes) {
+          if (!liveClass?.id || ['cancelled', 'canceled'].includes(liveClass.status)) continue;
+
+          // Look back far enough to end classes that started before this node came up
+          const lookback = new Date(now.getTime() - (parseInt(liveClass.duration) || 60) * 60 * 1000 - this.tickInterval);
+          for (const occurrence of this.getOccurrences(groupId, liveClass, lookback, lookahead)) {
+            try {
+              await this.processOccurrence(occurrence, now);
+            } catch (error) {
+              console.error(`❌ Live Class Scheduler: Class ${occurrence.classId} job failed, retrying next tick:`, error.message);
+            }
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Live Class Scheduler: Tick failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async processOccurrence(occurrence, now) {
+    const { startsAt, endsAt } = occurrence;
+
+    if (now < startsAt) {
+      // Only the closest due reminder is sent; earlier ones missed while down are skipped
+      const due = this.reminderOffsets.filter(offset => now >= new Date(startsAt.getTime() - offset * 60 * 1000));
+      if (due.length === 0) return;
+
+      const latest = due[due.length - 1];
+      for (const offset of due.slice(0, -1)) {
+        await this.claimJob(`${occurrence.id}:reminder:${offset}`);
+      }
+      await this.runJob(`${occurrence.id}:reminder:${latest}`, () => {
+        return this.sendReminder(occurrence, Math.ceil((startsAt - now) / 60000));
+      });
+      return;
+    }
+
+    if (now < endsAt) {
+      await this.runJob(`${occurrence.id}:start`, () => this.openClass(occurrence));
+      return;
+    }
+
+    // Only classes this scheduler opened are ended here
+    if (await this.jobs.has(`${occurrence.id}:start`)) {
+      await this.runJob(`${occurrence.id}:end`, () => this.endClass(occurrence));
+    }
+  }
+
+  // Run a job on the node that claims it; a failed job is released so the next tick retries it
+  async runJob(key, work) {
+    if (!(await this.claimJob(key))) return;
+
+    try {
+      await work();
+    } catch (error) {
+      await this.jobs.delete(key);
+      throw error;
+    }
+  }
+
+  // Claim a job once across all nodes
+  async claimJob(key) {
+    let claimed = false;
+    await this.jobs.update(key, (current) => {
+      claimed = !current;
+      return current || { claimedAt: new Date() };
+    }, 7 * 24 * 60 * 60);
+    return claimed;
+  }
+
+  /**
+   * Members to notify: the teacher, group admins and enrolled students
+   */
+  async getRecipients(occurrence) {
+    const members = await mentionService.getGroupMembers(occurrence.groupId, this.serviceToken);
+    const { course_id: courseId = null, bundle_id: bundleId = null } = occurrence.liveClass;
+
+    const recipients = await Promise.all(members.filter(member => !member.is_banned).map(async (member) => {
+      const memberId = member.id || member.user_id;
+      if (!memberId) return null;
+      if (member.is_admin || member.is_mod || !(courseId || bundleId)) return memberId;
+
+      const isEnrolled = await chatService.checkUserEnrollment(memberId, courseId, bundleId, this.serviceToken);
+      return isEnrolled ? memberId : null;
+    }));
+
+    return [...new Set([occurrence.teacherId, ...recipients].filter(Boolean).map(String))];
+  }
+
+  // Deliver a class notification to each user's sockets and push devices
+  async notifyUsers(userIds, event, payload, push) {
+    userIds.forEach(userId => this.io.to(`user_${userId}`).emit(event, payload));
+
+    if (pushService && push) {
+      await Promise.all(userIds.map(userId =>
+        pushService.sendToUser(userId, { ...push, data: { event, ...payload } })
+          .catch(error => console.warn(`⚠️ Live Class Scheduler: Push to ${userId} failed:`, error.message))
+      ));
+    }
+  }
+
+  classPayload(occurrence) {
+    return {
+      groupId: occurrence.groupId,
+      classId: occurrence.classId,
+      title: occurrence.title,
+      teacherId: occurrence.teacherId,
+      startsAt: occurrence.startsAt,
+      endsAt: occurrence.endsAt
+    };
+  }
+
+  async sendReminder(occurrence, minutesLeft) {
+    const recipients = await this.getRecipients(occurrence);
+
+    await this.notifyUsers(recipients, 'live_class_reminder', {
+      ...this.classPayload(occurrence),
+      minutesLeft
+    }, {
+      title: occurrence.title || 'Live class',
+      body: `Starts in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}`
+    });
+
+    console.log(`⏰ Live Class Scheduler: Reminder for class ${occurrence.classId} sent to ${recipients.length} members (${minutesLeft} min)`);
+  }
+
+  /**
+   * Open the video room at start time with the teacher as admin
+   * Throws when the room could not be opened; status and notification failures are only logged
+   */
+  async openClass(occurrence) {
+    const { liveClass } = occurrence;
+
+    // A retry reuses the invite generated by the failed attempt
+    let inviteCode = occurrence.inviteCode || (await this.jobs.get(`${occurrence.id}:invite`))?.inviteCode;
+    if (!inviteCode) {
+      const invite = await chatService.generateLiveClassInvite(occurrence.groupId, occurrence.teacherId, {
+        classTitle: occurrence.title,
+        classDescription: liveClass.description,
+        startTime: occurrence.startsAt.toISOString(),
+        duration: parseInt(liveClass.duration) || 60,
+        maxParticipants: liveClass.max_participants,
+        courseId: liveClass.course_id || null,
+        bundleId: liveClass.bundle_id || null
+      }, this.serviceToken);
+      inviteCode = invite?.data?.invite_code || invite?.invite_code || null;
+    }
+
+    if (!inviteCode) {
+      throw new Error(`No invite code for class ${occurrence.classId}`);
+    }
+    await this.jobs.set(`${occurrence.id}:invite`, { inviteCode }, 7 * 24 * 60 * 60);
+
+    await this.videoRoomHandler.openScheduledRoom(inviteCode, {
+      groupId: occurrence.groupId,
+      classId: occurrence.classId,
+      classTitle: occurrence.title || null,
+      courseId: liveClass.course_id || null,
+      bundleId: liveClass.bundle_id || null,
+      maxParticipants: parseInt(liveClass.max_participants) || null
+    }, {
+      classId: occurrence.classId,
+      teacherId: occurrence.teacherId,
+      startsAt: occurrence.startsAt,
+      endsAt: occurrence.endsAt
+    });
+
+    console.log(`🎓 Live Class Scheduler: Class ${occurrence.classId} opened (${inviteCode})`);
+
+    try {
+      await chatService.updateLiveClassStatus(occurrence.groupId, occurrence.classId, 'live', this.serviceToken, occurrence.startsAt.toISOString());
+
+      const recipients = await this.getRecipients(occurrence);
+      await this.notifyUsers(recipients, 'live_class_started', {
+        ...this.classPayload(occurrence),
+        inviteCode
+      }, {
+        title: occurrence.title || 'Live class',
+        body: 'The live class has started'
+      });
+    } catch (error) {
+      console.warn(`⚠️ Live Class Scheduler: Class ${occurrence.classId} opened but members not notified:`, error.message);
+    }
+  }
+
+  /**
+   * Mark the class ended after its duration
+   */
+  async endClass(occurrence) {
+    const invite = await this.jobs.get(`${occurrence.id}:invite`);
+    if (invite?.inviteCode) {
+      await this.videoRoomHandler.endScheduledRoom(invite.inviteCode);
+    }
+
+    await chatService.updateLiveClassStatus(occurrence.groupId, occurrence.classId, 'ended', this.serviceToken, occurrence.startsAt.toISOString());
+
+    const recipients = await this.getRecipients(occurrence);
+    await this.notifyUsers(recipients, 'live_class_ended', this.classPayload(occurrence));
+
+    console.log(`🎓 Live Class Scheduler: Class ${occurrence.classId} ended`);
+  }
+
+  /**
+   * Upcoming occurrences of a group's classes (used by the API)
+   */
+  async getUpcomingOccurrences(groupId, userToken, days = 14) {
+    const result = await chatService.getScheduledLiveClasses(groupId, userToken);
+    const classes = Array.isArray(result) ? result : (result?.data || result?.classes || []);
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + days * DAY_MS);
+
+    return classes
+      .filter(liveClass => liveClass?.id && !['cancelled', 'canceled'].includes(liveClass.status))
+      .flatMap(liveClass => this.getOccurrences(String(groupId), liveClass, now, windowEnd))
+      .sort((a, b) => a.startsAt - b.startsAt)
+      .map(occurrence => this.classPayload(occurrence));
+  }
+}
+
+const liveClassSchedulerService = new LiveClassSchedulerService();
+liveClassSchedulerService.parseRecurrence = parseRecurrence;
+liveClassSchedulerService.expandOccurrences = expandOccurrences;
+
+module.exports = liveClassSchedulerService;
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const net = require('net');
+const databaseService = require('./databaseService');
+const sharedStateService = require('./sharedStateService');
+const wordPressService = require('./wordpressService');
+const mailService = require('./mailService');
+const { AuthError } = require('./authService');
+
+const EVENTS_TABLE = 'wp_chat_login_events';
+
+/**
+ * Login Protection Service - Per-account lockout and sign-in history
+ * Failed logins are counted per account (not per IP), so a distributed attack on one account is
+ * slowed down while students sharing a school NAT are not. Logins are resolved to the user id
+ * (with WP_API_TOKEN) so the username and the email share one counter. After LOGIN_FREE_ATTEMPTS failures the
+ * account is locked for an exponentially growing period; the owner gets an email with an unlock link.
+ * Networks in LOGIN_ALLOWLIST (CIDR list) skip the IP rate limiter.
+ */
+class LoginProtectionService {
+  constructor() {
+    this.serviceToken = process.env.WP_API_TOKEN || null;
+    this.freeAttempts = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+    this.backoffBase = parseInt(process.env.LOGIN_BACKOFF_BASE) || 30; // seconds
+    this.maxLockout = parseInt(process.env.LOGIN_MAX_LOCKOUT) || 60 * 60; // seconds
+    this.failureWindow = parseInt(process.env.LOGIN_FAILURE_WINDOW) || 24 * 60 * 60; // seconds failures are remembered
+    this.unlockTokenTtl = parseInt(process.env.LOGIN_UNLOCK_TOKEN_TTL) || 60 * 60; // seconds
+    this.unlockUrl = process.env.LOGIN_UNLOCK_URL || null;
+
+    this.allowlist = new net.BlockList();
+    (process.env.LOGIN_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      if (prefix) {
+        this.allowlist.addSubnet(address, parseInt(prefix), type);
+      } else {
+        this.allowlist.addAddress(address, type);
+      }
+    });
+
+    this.failures = sharedStateService.collection('login_failures');
+    this.unlockTokens = sharedStateService.collection('login_unlock_tokens');
+    this.accountIds = sharedStateService.collection('login_account_ids'); // hashed login -> { userId }
+    this.accountIdTtl = 10 * 60; // seconds
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(EVENTS_TABLE, `
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      account_key CHAR(64) NOT NULL,
+      user_id BIGINT UNSIGNED NULL,
+      success TINYINT(1) NOT NULL,
+      reason VARCHAR(32) NULL,
+      method VARCHAR(16) NOT NULL DEFAULT 'password',
+      ip VARCHAR(64) NULL,
+      user_agent VARCHAR(255) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY account_time (account_key, created_at),
+      KEY user_time (user_id, created_at)
+    `);
+  }
+
+  // Usernames and emails are never used as keys directly
+  accountKey(login) {
+    return crypto.createHash('sha256').update(String(login).trim().toLowerCase()).digest('hex');
+  }
+
+  /**
+   * User id behind a username or email (cached), or null when it can't be resolved
+   */
+  async resolveUserId(login) {
+    const loginKey = this.accountKey(login);
+    const cached = await this.accountIds.get(loginKey);
+    if (cached) return cached.userId;
+
+    let user;
+    try {
+      user = await this.findAccount(login);
+    } catch (error) {
+      console.warn('⚠️ Login Protection: Account lookup failed:', error.message);
+      return null;
+    }
+
+    const userId = user?.id ?? null;
+    if (this.serviceToken) {
+      await this.accountIds.set(loginKey, { userId }, this.accountIdTtl);
+    }
+    return userId;
+  }
+
+  // Failure counter key: the user id when known, the hashed login otherwise
+  lockoutKey(login, userId) {
+    return userId != null ? `user:${userId}` : this.accountKey(login);
+  }
+
+  isAllowlisted(ip) {
+    if (!ip) return false;
+    const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+    return this.allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  lockoutSeconds(failures) {
+    if (failures < this.freeAttempts) return 0;
+    return Math.min(this.maxLockout, this.backoffBase * 2 ** (failures - this.freeAttempts));
+  }
+
+  /**
+   * Reject the attempt while the account is locked
+   */
+  async assertNotLocked(login) {
+    const userId = await this.resolveUserId(login);
+    const state = await this.failures.get(this.lockoutKey(login, userId));
+    const retryAfter = state?.lockedUntil ? Math.ceil((state.lockedUntil - Date.now()) / 1000) : 0;
+
+    if (retryAfter > 0) {
+      const error = new AuthError('Too many failed sign-in attempts, try again later', 'ACCOUNT_LOCKED', 429);
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed attempt and lock the account when it passes the free attempts
+   * Returns the lockout in seconds (0 when not locked)
+   */
+  async recordFailure(login, { ip = null, userAgent = null, reason = 'invalid_credentials' } = {}) {
+    const userId = await this.resolveUserId(login);
+    const key = this.lockoutKey(login, userId);
+
+    let lockout = 0;
+    let failures = 0;
+    await this.failures.update(key, (current) => {
+      failures = (current?.failures || 0) + 1;
+      lockout = this.lockoutSeconds(failures);
+      return {
+        failures,
+        lastFailureAt: Date.now(),
+        lockedUntil: lockout > 0 ? Date.now() + lockout * 1000 : null
+      };
+    }, this.failureWindow);
+
+    await this.recordEvent(login, { userId, success: false, reason, ip, userAgent });
+
+    // Tell the owner the first time the account locks
+    if (failures === this.freeAttempts) {
+      this.sendUnlockEmail(login, lockout).catch(error => {
+        console.warn('⚠️ Login Protection: Unlock email not sent:', error.message);
+      });
+    }
+
+    if (lockout > 0) {
+      console.warn(`🔒 Login Protection: Account locked for ${lockout}s after ${failures} failures`);
+    }
+    return lockout;
+  }
+
+  async recordSuccess(login, userId, { ip = null, userAgent = null, method = 'password' } = {}) {
+    await this.failures.delete(this.lockoutKey(login, userId));
+    await this.failures.delete(this.accountKey(login));
+    await this.recordEvent(login, { userId, success: true, method, ip, userAgent });
+  }
+
+  async recordEvent(login, { userId = null, success, reason = null, method = 'password', ip = null, userAgent = null }) {
+    try {
+      await this.ensureTable();
+      await databaseService.query(
+        `INSERT INTO ${EVENTS_TABLE} (account_key, user_id, success, reason, method, ip, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [this.accountKey(login), userId, success ? 1 : 0, reason, method, ip, userAgent ? userAgent.slice(0, 255) : null]
+      );
+    } catch (error) {
+      console.warn('⚠️ Login Protection: Login event not recorded:', error.message);
+    }
+  }
+
+  async findAccount(login) {
+    if (!this.serviceToken) return null;
+    return String(login).includes('@')
+      ? wordPressService.findUserByEmail(login, this.serviceToken)
+      : wordPressService.findUserByLogin(login, this.serviceToken);
+  }
+
+  async sendUnlockEmail(login, lockout) {
+    const user = await this.findAccount(login);
+    if (!user?.email) return;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.unlockTokens.set(this.accountKey(token), { userId: user.id, logins: [user.username || user.slug, user.email] }, this.unlockTokenTtl);
+
+    const unlockLink = this.unlockUrl ? `${this.unlockUrl}${this.unlockUrl.includes('?') ? '&' : '?'}token=${token}` : null;
+    await mailService.send({
+      to: user.email,
+      subject: 'Your account was temporarily locked',
+      text: [
+        `We blocked sign-in to your account for ${Math.ceil(lockout / 60)} minutes after several failed password attempts.`,
+        unlockLink ? `If this was you, unlock your account here: ${unlockLink}` : `If this was you, unlock your account with this code: ${token}`,
+        'If this was not you, consider resetting your password.'
+      ].join('\n\n')
+    });
+  }
+
+  /**
+   * Clear the lockout with the token from the unlock email (single use)
+   */
+  async unlock(token) {
+    let entry = null;
+    await this.unlockTokens.update(this.accountKey(token), (current) => {
+      entry = current;
+      return null;
+    });
+
+    if (!entry) {
+      throw new AuthError('Invalid or expired unlock token', 'INVALID_UNLOCK_TOKEN', 400);
+    }
+
+    if (entry.userId != null) {
+      await this.failures.delete(this.lockoutKey(null, entry.userId));
+    }
+    for (const login of entry.logins.filter(Boolean)) {
+      await this.failures.delete(this.accountKey(login));
+    }
+  }
+
+  /**
+   * Recent sign-in attempts on a user's account (by user id, username and email)
+   */
+  async getRecentSignIns(user, limit = 20) {
+    await this.ensureTable();
+
+    const accountKeys = [user.username, user.email].filter(Boolean).map(login => this.accountKey(login));
+    const rows = await databaseService.query(
+      `SELECT success, reason, method, ip, user_agent, created_at FROM ${EVENTS_TABLE}
+       WHERE user_id = ? OR account_key IN (?)
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [user.id, accountKeys.length > 0 ? accountKeys : [''], limit]
+    );
+
+    return rows.map(row => ({
+      success: !!row.success,
+      reason: row.reason,
+      method: row.method,
+      ip: row.ip,
+      userAgent: row.user_agent,
+      createdAt: row.created_at
+    }));
+  }
+}
+
+module.exports = new LoginProtectionService();
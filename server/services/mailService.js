@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Mail Service - Sends transactional email through a pluggable transport
+ * MAIL_TRANSPORT selects the transport: 'smtp' (default when SMTP_HOST is set),
+ * 'file' (writes each message as JSON to MAIL_FILE_DIR) or 'console' (logs the message; development
+ * only, refused when NODE_ENV=production). Without a transport nothing is sent and send() throws,
+ * so reset codes and unlock tokens never end up in the logs.
+ * Other transports can be added with registerTransport(name, factory).
+ */
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'Olomak <no-reply@olomak.com>';
+    this.transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+    this.transport = null;
+
+    // Each factory returns an object with send(message)
+    this.factories = {
+      smtp: () => {
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+
+        return {
+          send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+          }
+        };
+      },
+
+      file: () => {
+        const directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'olomak-mail');
+
+        return {
+          send: async (message) => {
+            const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            await fs.ensureDir(directory);
+            await fs.writeJson(path.join(directory, `${messageId}.json`), message, { spaces: 2 });
+            return { messageId };
+          }
+        };
+      },
+
+      console: () => {
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('The console mail transport is for development only');
+        }
+
+        return {
+          send: async (message) => {
+            console.log(`📧 Mail (console transport) to ${message.to}: ${message.subject}\n${message.text}`);
+            return { messageId: null };
+          }
+        };
+      }
+    };
+  }
+
+  /**
+   * Add or replace a transport
+   */
+  registerTransport(name, factory) {
+    this.factories[name] = factory;
+    if (this.transportName === name) {
+      this.transport = null;
+    }
+  }
+
+  isConfigured() {
+    return !!this.transportName;
+  }
+
+  getTransport() {
+    if (!this.isConfigured()) {
+      console.error('❌ Mail: No transport configured (set SMTP_HOST or MAIL_TRANSPORT), email not sent');
+      throw new Error('Mail is not configured');
+    }
+
+    if (!this.transport) {
+      const factory = this.factories[this.transportName];
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${this.transportName}`);
+      }
+      this.transport = factory();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email: { to, subject, text, html }
+   */
+  async send({ to, subject, text, html = null }) {
+    const result = await this.getTransport().send({
+      from: this.from,
+      to,
+      subject,
+      text,
+      ...(html && { html })
+    });
+
+    console.log(`📧 Mail sent to ${to} via ${this.transportName}`);
+    return result;
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,308 @@
+const databaseService = require('./databaseService');
+const CustomChatService = require('./customChatService');
+
+const MENTIONS_TABLE = 'wp_chat_mentions';
+const ENTITIES_TABLE = 'wp_chat_message_mention_entities';
+const PREVIEW_LENGTH = 500;
+const MEMBERS_PAGE_SIZE = 100;
+
+// @name at the start of the text or after a non-word character
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_.-]+)/g;
+const GROUP_MENTIONS = ['all', 'students'];
+
+/**
+ * Mention Service - @username, @all and @students mentions in group messages
+ * Mentions are parsed from the message text and checked against the group's members; @all is
+ * restricted to group admins and @students reaches every member who is neither admin nor moderator.
+ * The entities ({ type, userId, username, offset, length }) are stored per message, and every
+ * mentioned user gets a row in their mentions inbox.
+ */
+class MentionService {
+  constructor() {
+    this.chatService = new CustomChatService();
+    this.maxMemberPages = parseInt(process.env.MENTION_MEMBER_PAGES) || 20;
+  }
+
+  async ensureTables() {
+    await databaseService.ensureTable(MENTIONS_TABLE, `
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      group_id BIGINT UNSIGNED NOT NULL,
+      message_id BIGINT UNSIGNED NOT NULL,
+      sender_id BIGINT UNSIGNED NOT NULL,
+      mentioned_user_id BIGINT UNSIGNED NOT NULL,
+      mention_type VARCHAR(16) NOT NULL,
+      preview TEXT NULL,
+      read_at DATETIME NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      UNIQUE KEY message_user (message_id, mentioned_user_id),
+      KEY inbox (mentioned_user_id, created_at),
+      KEY group_message (group_id, message_id),
+      KEY sender (sender_id)
+    `);
+    await databaseService.ensureTable(ENTITIES_TABLE, `
+      message_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      group_id BIGINT UNSIGNED NOT NULL,
+      entities TEXT NOT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      KEY group_id (group_id)
+    `);
+  }
+
+  /**
+   * Raw @mentions in a text: [{ name, offset, length }]
+   */
+  parse(text) {
+    if (typeof text !== 'string' || !text.includes('@')) return [];
+
+    const mentions = [];
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+      const name = match[2].replace(/[.-]+$/, ''); // trailing punctuation is not part of the name
+      mentions.push({
+        name,
+        offset: match.index + match[1].length,
+        length: name.length + 1
+      });
+    }
+    return mentions;
+  }
+
+  async getGroupMembers(groupId, token) {
+    const members = [];
+    for (let page = 1; page <= this.maxMemberPages; page++) {
+      const result = await this.chatService.getGroupMembers(groupId, page, MEMBERS_PAGE_SIZE, token);
+      const pageMembers = result.data || [];
+      members.push(...pageMembers);
+      if (pageMembers.length < MEMBERS_PAGE_SIZE) break;
+    }
+    return members;
+  }
+
+  /**
+   * Resolve the mentions of a group message against its members
+   * Returns { entities, recipients: [{ userId, type }] }; unknown names, non-members and banned
+   * members are left as plain text, and @all is ignored unless the sender is a group admin
+   */
+  async resolve({ groupId, text, senderId, senderIsAdmin, token }) {
+    const mentions = this.parse(text);
+    if (mentions.length === 0) return { entities: [], recipients: [] };
+
+    const members = (await this.getGroupMembers(groupId, token)).filter(member => !member.is_banned);
+    const byName = new Map();
+    members.forEach(member => {
+      [member.mention_name, member.user_login, member.username]
+        .filter(Boolean)
+        .forEach(name => byName.set(String(name).toLowerCase(), member));
+    });
+
+    const entities = [];
+    const recipients = new Map(); // userId -> mention type (a direct mention wins over @all/@students)
+    const addRecipient = (userId, type) => {
+      if (String(userId) === String(senderId)) return;
+      if (!recipients.has(String(userId)) || type === 'user') recipients.set(String(userId), type);
+    };
+
+    mentions.forEach(mention => {
+      const name = mention.name.toLowerCase();
+
+      if (GROUP_MENTIONS.includes(name)) {
+        if (name === 'all' && !senderIsAdmin) return;
+
+        const targets = name === 'all' ? members : members.filter(member => !member.is_admin && !member.is_mod);
+        targets.forEach(member => addRecipient(member.id, name));
+        entities.push({ type: name, offset: mention.offset, length: mention.length });
+        return;
+      }
+
+      const member = byName.get(name);
+      if (!member) return;
+
+      addRecipient(member.id, 'user');
+      entities.push({
+        type: 'user',
+        userId: Number(member.id),
+        username: mention.name,
+        offset: mention.offset,
+        length: mention.length
+      });
+    });
+
+    return {
+      entities,
+      recipients: [...recipients.entries()].map(([userId, type]) => ({ userId: Number(userId), type }))
+    };
+  }
+
+  /**
+   * Store the entities of a sent message and an inbox row per recipient
+   */
+  async record({ groupId, messageId, senderId, text, entities, recipients }) {
+    if (entities.length === 0) return;
+
+    await this.ensureTables();
+    await databaseService.query(
+      `INSERT INTO ${ENTITIES_TABLE} (message_id, group_id, entities) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE entities = VALUES(entities)`,
+      [messageId, groupId, JSON.stringify(entities)]
+    );
+
+    const preview = typeof text === 'string' ? text.slice(0, PREVIEW_LENGTH) : null;
+    for (const recipient of recipients) {
+      await databaseService.query(
+        `INSERT IGNORE INTO ${MENTIONS_TABLE} (group_id, message_id, sender_id, mentioned_user_id, mention_type, preview)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [groupId, messageId, senderId, recipient.userId, recipient.type, preview]
+      );
+    }
+
+    console.log(`📣 Mentions: Message ${messageId} in group ${groupId} mentions ${recipients.length} users`);
+  }
+
+  /**
+   * Set `mentions` (the stored entities, or []) on each group message
+   */
+  async attachMentions(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) return messages;
+
+    const ids = [...new Set(messages.map(message => parseInt(message?.id)).filter(id => id > 0))];
+    if (ids.length === 0) return messages;
+
+    const entities = await this.getEntities(ids);
+    messages.forEach(message => {
+      if (!message || typeof message !== 'object') return;
+      message.mentions = entities.get(String(message.id)) || [];
+    });
+    return messages;
+  }
+
+  /**
+   * Stored entities per message: messageId -> entities
+   */
+  async getEntities(messageIds) {
+    const entities = new Map();
+    if (messageIds.length === 0) return entities;
+
+    await this.ensureTables();
+    const rows = await databaseService.query(
+      `SELECT message_id, entities FROM ${ENTITIES_TABLE} WHERE message_id IN (${messageIds.map(() => '?').join(', ')})`,
+      messageIds
+    );
+    rows.forEach(row => {
+      try {
+        entities.set(String(row.message_id), JSON.parse(row.entities));
+      } catch (error) {
+        entities.set(String(row.message_id), []);
+      }
+    });
+    return entities;
+  }
+
+  /**
+   * A user's mentions inbox, newest first
+   */
+  async getInbox(userId, { groupId, unreadOnly = false, limit = 20, offset = 0 } = {}) {
+    await this.ensureTables();
+
+    const conditions = ['mentioned_user_id = ?'];
+    const params = [userId];
+    if (groupId) {
+      conditions.push('group_id = ?');
+      params.push(groupId);
+    }
+    if (unreadOnly) {
+      conditions.push('read_at IS NULL');
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const [countRow] = await databaseService.query(`SELECT COUNT(*) AS total FROM ${MENTIONS_TABLE} ${where}`, params);
+    const [unreadRow] = await databaseService.query(
+      `SELECT COUNT(*) AS total FROM ${MENTIONS_TABLE} WHERE mentioned_user_id = ? AND read_at IS NULL`,
+      [userId]
+    );
+    const rows = await databaseService.query(
+      `SELECT * FROM ${MENTIONS_TABLE} ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      total: Number(countRow?.total || 0),
+      unread: Number(unreadRow?.total || 0),
+      mentions: rows.map(row => ({
+        id: row.id,
+        groupId: row.group_id,
+        messageId: row.message_id,
+        senderId: row.sender_id,
+        type: row.mention_type,
+        message: row.preview,
+        read: !!row.read_at,
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  /**
+   * Mark inbox mentions as read (the given ids, or all of the user's mentions)
+   */
+  async markRead(userId, mentionIds = null) {
+    await this.ensureTables();
+
+    const params = [new Date(), userId];
+    let idCondition = '';
+    if (Array.isArray(mentionIds) && mentionIds.length > 0) {
+      idCondition = ` AND id IN (${mentionIds.map(() => '?').join(', ')})`;
+      params.push(...mentionIds);
+    }
+
+    const result = await databaseService.query(
+      `UPDATE ${MENTIONS_TABLE} SET read_at = ? WHERE mentioned_user_id = ? AND read_at IS NULL${idCondition}`,
+      params
+    );
+    return result.affectedRows || 0;
+  }
+
+  /**
+   * Drop the mentions of deleted group messages (private threads have none)
+   */
+  async removeMessages(scope, messageIds) {
+    const ids = (messageIds || []).map(id => parseInt(id)).filter(id => id > 0);
+    if (scope !== 'group' || ids.length === 0) return 0;
+
+    await this.ensureTables();
+    let removed = 0;
+    for (const table of [MENTIONS_TABLE, ENTITIES_TABLE]) {
+      const result = await databaseService.query(
+        `DELETE FROM ${table} WHERE message_id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      );
+      removed += result.affectedRows || 0;
+    }
+    return removed;
+  }
+
+  async removeConversation(scope, groupId) {
+    if (scope !== 'group') return 0;
+
+    await this.ensureTables();
+    let removed = 0;
+    for (const table of [MENTIONS_TABLE, ENTITIES_TABLE]) {
+      const result = await databaseService.query(`DELETE FROM ${table} WHERE group_id = ?`, [groupId]);
+      removed += result.affectedRows || 0;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove a user's inbox and the mentions in the user's messages (account deletion)
+   */
+  async purgeUser(userId) {
+    await this.ensureTables();
+    const result = await databaseService.query(
+      `DELETE FROM ${MENTIONS_TABLE} WHERE mentioned_user_id = ? OR sender_id = ?`,
+      [userId, userId]
+    );
+    return result.affectedRows || 0;
+  }
+}
+
+module.exports = new MentionService();
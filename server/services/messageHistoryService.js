@@ -0,0 +1,200 @@
+const databaseService = require('./databaseService');
+
+const REVISIONS_TABLE = 'wp_chat_message_revisions';
+const HIDDEN_TABLE = 'wp_chat_hidden_messages';
+
+/**
+ * Message History Service - Edit revisions and "delete for me" of private and group messages
+ * Each edit stores the new content; the first edit also stores the original content when it
+ * could be looked up (is_original = 1). "Delete for everyone" is allowed for
+ * MESSAGE_DELETE_WINDOW_MINUTES after sending; "delete for me" only hides the message for that user.
+ * Revisions outlive the message so moderators can still see what was said after a deletion.
+ * Messages are identified per scope ('thread' or 'group') like reactions and stars.
+ */
+class MessageHistoryService {
+  constructor() {
+    this.deleteWindowMinutes = parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES) || 60;
+  }
+
+  async ensureTables() {
+    await databaseService.ensureTable(REVISIONS_TABLE, `
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      scope VARCHAR(8) NOT NULL,
+      conversation_id BIGINT UNSIGNED NOT NULL,
+      message_id BIGINT UNSIGNED NOT NULL,
+      editor_id BIGINT UNSIGNED NULL,
+      content TEXT NULL,
+      is_original TINYINT(1) NOT NULL DEFAULT 0,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      KEY message_time (scope, message_id, created_at),
+      KEY conversation (scope, conversation_id),
+      KEY editor (editor_id)
+    `);
+    await databaseService.ensureTable(HIDDEN_TABLE, `
+      user_id BIGINT UNSIGNED NOT NULL,
+      scope VARCHAR(8) NOT NULL,
+      conversation_id BIGINT UNSIGNED NOT NULL,
+      message_id BIGINT UNSIGNED NOT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (user_id, scope, message_id),
+      KEY conversation (scope, conversation_id)
+    `);
+  }
+
+  async hasRevisions(scope, messageId) {
+    await this.ensureTables();
+    const [row] = await databaseService.query(
+      `SELECT COUNT(*) AS total FROM ${REVISIONS_TABLE} WHERE scope = ? AND message_id = ?`,
+      [scope, messageId]
+    );
+    return Number(row?.total || 0) > 0;
+  }
+
+  /**
+   * Store an edit; original is { senderId, content, sentAt } of the message before its first edit (or null)
+   */
+  async recordEdit({ scope, conversationId, messageId, editorId, content, original = null }) {
+    await this.ensureTables();
+
+    if (original) {
+      await databaseService.query(
+        `INSERT INTO ${REVISIONS_TABLE} (scope, conversation_id, message_id, editor_id, content, is_original, created_at)
+         VALUES (?, ?, ?, ?, ?, 1, ?)`,
+        [scope, conversationId, messageId, original.senderId ?? null, original.content ?? null, original.sentAt ? new Date(original.sentAt) : new Date()]
+      );
+    }
+
+    await databaseService.query(
+      `INSERT INTO ${REVISIONS_TABLE} (scope, conversation_id, message_id, editor_id, content) VALUES (?, ?, ?, ?, ?)`,
+      [scope, conversationId, messageId, editorId, content]
+    );
+    console.log(`✏️ Message History: ${scope} message ${messageId} edited by ${editorId}`);
+  }
+
+  /**
+   * Every stored version of a message of the thread or group, oldest first
+   */
+  async getHistory(scope, conversationId, messageId) {
+    await this.ensureTables();
+    const rows = await databaseService.query(
+      `SELECT * FROM ${REVISIONS_TABLE}
+       WHERE scope = ? AND conversation_id = ? AND message_id = ?
+       ORDER BY created_at ASC, id ASC`,
+      [scope, conversationId, messageId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      editorId: row.editor_id,
+      content: row.content,
+      isOriginal: !!row.is_original,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Set `edited_at` (latest edit, or null) and `edit_count` on each message
+   */
+  async attachEdits(scope, messages) {
+    const ids = this.getMessageIds(messages);
+    if (ids.length === 0) return messages;
+
+    await this.ensureTables();
+    const rows = await databaseService.query(
+      `SELECT message_id, MAX(created_at) AS edited_at, COUNT(*) AS edit_count FROM ${REVISIONS_TABLE}
+       WHERE scope = ? AND is_original = 0 AND message_id IN (${ids.map(() => '?').join(', ')})
+       GROUP BY message_id`,
+      [scope, ...ids]
+    );
+    const edits = new Map(rows.map(row => [String(row.message_id), row]));
+
+    messages.forEach(message => {
+      if (!message || typeof message !== 'object') return;
+      const edit = edits.get(String(message.id));
+      message.edited_at = edit ? edit.edited_at : null;
+      message.edit_count = edit ? Number(edit.edit_count) : 0;
+    });
+    return messages;
+  }
+
+  /**
+   * Whether a message sent at sentAt can still be deleted for everyone
+   */
+  canDeleteForEveryone(sentAt) {
+    const sentTime = new Date(sentAt).getTime();
+    if (!sentAt || Number.isNaN(sentTime)) return false;
+    return Date.now() - sentTime <= this.deleteWindowMinutes * 60 * 1000;
+  }
+
+  async hideForUser({ userId, scope, conversationId, messageId }) {
+    await this.ensureTables();
+    await databaseService.query(
+      `INSERT IGNORE INTO ${HIDDEN_TABLE} (user_id, scope, conversation_id, message_id) VALUES (?, ?, ?, ?)`,
+      [userId, scope, conversationId, messageId]
+    );
+  }
+
+  /**
+   * Remove the messages the user deleted for themselves from the list (in place)
+   */
+  async removeHidden(scope, messages, userId) {
+    const ids = this.getMessageIds(messages);
+    if (ids.length === 0) return messages;
+
+    await this.ensureTables();
+    const rows = await databaseService.query(
+      `SELECT message_id FROM ${HIDDEN_TABLE}
+       WHERE user_id = ? AND scope = ? AND message_id IN (${ids.map(() => '?').join(', ')})`,
+      [userId, scope, ...ids]
+    );
+    if (rows.length === 0) return messages;
+
+    const hiddenIds = new Set(rows.map(row => String(row.message_id)));
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (hiddenIds.has(String(messages[i]?.id))) {
+        messages.splice(i, 1);
+      }
+    }
+    return messages;
+  }
+
+  getMessageIds(messages) {
+    if (!Array.isArray(messages)) return [];
+    return [...new Set(messages.map(message => parseInt(message?.id)).filter(id => id > 0))];
+  }
+
+  /**
+   * Drop the hidden flags of messages deleted for everyone (their revisions are kept)
+   */
+  async removeMessages(scope, messageIds) {
+    const ids = (messageIds || []).map(id => parseInt(id)).filter(id => id > 0);
+    if (ids.length === 0) return 0;
+
+    await this.ensureTables();
+    const result = await databaseService.query(
+      `DELETE FROM ${HIDDEN_TABLE} WHERE scope = ? AND message_id IN (${ids.map(() => '?').join(', ')})`,
+      [scope, ...ids]
+    );
+    return result.affectedRows || 0;
+  }
+
+  async removeConversation(scope, conversationId) {
+    await this.ensureTables();
+    const result = await databaseService.query(
+      `DELETE FROM ${HIDDEN_TABLE} WHERE scope = ? AND conversation_id = ?`,
+      [scope, conversationId]
+    );
+    return result.affectedRows || 0;
+  }
+
+  /**
+   * Remove the user's own revisions and hidden flags (account deletion)
+   */
+  async purgeUser(userId) {
+    await this.ensureTables();
+    await databaseService.query(`DELETE FROM ${REVISIONS_TABLE} WHERE editor_id = ?`, [userId]);
+    await databaseService.query(`DELETE FROM ${HIDDEN_TABLE} WHERE user_id = ?`, [userId]);
+  }
+}
+
+module.exports = new MessageHistoryService();
@@ -0,0 +1,146 @@
+const databaseService = require('./databaseService');
+
+const REACTIONS_TABLE = 'wp_chat_message_reactions';
+
+/**
+ * Message Reaction Service - Emoji reactions on private and group chat messages
+ * A user can add up to MESSAGE_REACTIONS_MAX_PER_USER different emoji to a message, each once.
+ * Private thread and group messages live in different tables, so reactions are kept per scope
+ * ('thread' or 'group'), and every lookup is limited to the thread or group the caller has access to.
+ * Summaries are grouped per emoji ({ emoji, count, userIds }) in order of first use.
+ */
+class MessageReactionService {
+  constructor() {
+    this.maxPerUser = parseInt(process.env.MESSAGE_REACTIONS_MAX_PER_USER) || 10;
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(REACTIONS_TABLE, `
+      scope VARCHAR(8) NOT NULL,
+      conversation_id BIGINT UNSIGNED NOT NULL,
+      message_id BIGINT UNSIGNED NOT NULL,
+      user_id BIGINT UNSIGNED NOT NULL,
+      emoji VARCHAR(32) NOT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (scope, message_id, user_id, emoji),
+      KEY conversation (scope, conversation_id),
+      KEY user (user_id)
+    `);
+  }
+
+  /**
+   * Add a reaction; returns false when the user already used the maximum number of emoji on the message
+   */
+  async addReaction({ scope, conversationId, messageId, userId, emoji }) {
+    await this.ensureTable();
+
+    const [countRow] = await databaseService.query(
+      `SELECT COUNT(*) AS total FROM ${REACTIONS_TABLE}
+       WHERE scope = ? AND conversation_id = ? AND message_id = ? AND user_id = ? AND emoji <> ?`,
+      [scope, conversationId, messageId, userId, emoji]
+    );
+    if (Number(countRow?.total || 0) >= this.maxPerUser) {
+      return false;
+    }
+
+    await databaseService.query(
+      `INSERT IGNORE INTO ${REACTIONS_TABLE} (scope, conversation_id, message_id, user_id, emoji) VALUES (?, ?, ?, ?, ?)`,
+      [scope, conversationId, messageId, userId, emoji]
+    );
+    console.log(`😀 Reactions: User ${userId} reacted ${emoji} to ${scope} message ${messageId}`);
+    return true;
+  }
+
+  async removeReaction({ scope, conversationId, messageId, userId, emoji }) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${REACTIONS_TABLE} WHERE scope = ? AND conversation_id = ? AND message_id = ? AND user_id = ? AND emoji = ?`,
+      [scope, conversationId, messageId, userId, emoji]
+    );
+    return (result.affectedRows || 0) > 0;
+  }
+
+  /**
+   * Reaction summaries for a list of messages of a conversation: messageId -> [{ emoji, count, userIds }]
+   */
+  async getSummaries(scope, conversationId, messageIds) {
+    const ids = [...new Set((messageIds || []).map(id => parseInt(id)).filter(id => id > 0))];
+    const summaries = new Map();
+    if (ids.length === 0) return summaries;
+
+    await this.ensureTable();
+    const rows = await databaseService.query(
+      `SELECT message_id, user_id, emoji FROM ${REACTIONS_TABLE}
+       WHERE scope = ? AND conversation_id = ? AND message_id IN (${ids.map(() => '?').join(', ')})
+       ORDER BY created_at ASC`,
+      [scope, conversationId, ...ids]
+    );
+
+    rows.forEach(row => {
+      const key = String(row.message_id);
+      if (!summaries.has(key)) summaries.set(key, []);
+
+      const reactions = summaries.get(key);
+      let reaction = reactions.find(entry => entry.emoji === row.emoji);
+      if (!reaction) {
+        reaction = { emoji: row.emoji, count: 0, userIds: [] };
+        reactions.push(reaction);
+      }
+      reaction.count++;
+      reaction.userIds.push(Number(row.user_id));
+    });
+
+    return summaries;
+  }
+
+  async getSummary(scope, conversationId, messageId) {
+    const summaries = await this.getSummaries(scope, conversationId, [messageId]);
+    return summaries.get(String(messageId)) || [];
+  }
+
+  /**
+   * Add a `reactions` summary to each message (with `reacted` for the given user)
+   */
+  async attachReactions(scope, conversationId, messages, userId) {
+    if (!Array.isArray(messages) || messages.length === 0) return messages;
+
+    const summaries = await this.getSummaries(scope, conversationId, messages.map(message => message?.id));
+    messages.forEach(message => {
+      if (!message || typeof message !== 'object') return;
+      message.reactions = (summaries.get(String(message.id)) || []).map(reaction => ({
+        ...reaction,
+        reacted: reaction.userIds.some(id => String(id) === String(userId))
+      }));
+    });
+    return messages;
+  }
+
+  /**
+   * Drop the reactions of deleted messages
+   */
+  async removeMessages(scope, messageIds) {
+    const ids = (messageIds || []).map(id => parseInt(id)).filter(id => id > 0);
+    if (ids.length === 0) return 0;
+
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${REACTIONS_TABLE} WHERE scope = ? AND message_id IN (${ids.map(() => '?').join(', ')})`,
+      [scope, ...ids]
+    );
+    return result.affectedRows || 0;
+  }
+
+  /**
+   * Drop every reaction in a thread or group (all its messages were deleted)
+   */
+  async removeConversation(scope, conversationId) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${REACTIONS_TABLE} WHERE scope = ? AND conversation_id = ?`,
+      [scope, conversationId]
+    );
+    return result.affectedRows || 0;
+  }
+}
+
+module.exports = new MessageReactionService();
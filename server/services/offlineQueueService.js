@@ -0,0 +1,125 @@
+const databaseService = require('./databaseService');
+
+const TABLE = 'wp_chat_pending_events';
+
+/**
+ * Offline Queue Service - Per-user pending realtime events
+ * Events stay queued until the client acknowledges them and are replayed on reconnect.
+ * The auto-increment id is the user's cursor, so replay preserves send order within each chat.
+ */
+class OfflineQueueService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.OFFLINE_QUEUE_RETENTION_DAYS) || 7;
+    this.replayLimit = parseInt(process.env.OFFLINE_QUEUE_REPLAY_LIMIT) || 500;
+    this.unavailableUntil = 0;
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(TABLE, `
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      event VARCHAR(64) NOT NULL,
+      chat_id VARCHAR(64) NULL,
+      message_id VARCHAR(64) NULL,
+      payload LONGTEXT NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY user_cursor (user_id, id),
+      KEY user_message (user_id, message_id)
+    `);
+  }
+
+  /**
+   * Queue an event for a user and return its cursor
+   */
+  async enqueue(userId, event, payload, { chatId = null, messageId = null } = {}) {
+    // Back off for a minute after a database failure so live delivery is never held up
+    if (Date.now() < this.unavailableUntil) {
+      throw new Error('Offline queue temporarily unavailable');
+    }
+
+    try {
+      await this.ensureTable();
+
+      const result = await databaseService.query(
+        `INSERT INTO ${TABLE} (user_id, event, chat_id, message_id, payload) VALUES (?, ?, ?, ?, ?)`,
+        [userId, event, chatId != null ? String(chatId) : null, messageId != null ? String(messageId) : null, JSON.stringify(payload)]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      this.unavailableUntil = Date.now() + 60 * 1000;
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending events after a cursor, oldest first
+   */
+  async getPending(userId, afterCursor = 0, limit = this.replayLimit) {
+    await this.ensureTable();
+
+    const rows = await databaseService.query(
+      `SELECT id, event, chat_id, message_id, payload, created_at
+       FROM ${TABLE}
+       WHERE user_id = ? AND id > ? AND created_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+       ORDER BY id ASC
+       LIMIT ?`,
+      [userId, parseInt(afterCursor) || 0, this.retentionDays, limit]
+    );
+
+    return rows.map(row => ({
+      cursor: row.id,
+      event: row.event,
+      chatId: row.chat_id,
+      messageId: row.message_id,
+      payload: JSON.parse(row.payload),
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Acknowledge delivered events by message id and/or everything up to a cursor
+   */
+  async acknowledge(userId, { messageIds = [], cursor = null } = {}) {
+    await this.ensureTable();
+    let removed = 0;
+
+    const ids = (Array.isArray(messageIds) ? messageIds : [messageIds])
+      .filter(id => id !== null && id !== undefined)
+      .map(String);
+
+    if (ids.length > 0) {
+      const result = await databaseService.query(
+        `DELETE FROM ${TABLE} WHERE user_id = ? AND message_id IN (?)`,
+        [userId, ids]
+      );
+      removed += result.affectedRows;
+    }
+
+    if (cursor) {
+      const result = await databaseService.query(
+        `DELETE FROM ${TABLE} WHERE user_id = ? AND id <= ?`,
+        [userId, parseInt(cursor)]
+      );
+      removed += result.affectedRows;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove events older than the retention window
+   */
+  async pruneExpired() {
+    await this.ensureTable();
+
+    const result = await databaseService.query(
+      `DELETE FROM ${TABLE} WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [this.retentionDays]
+    );
+
+    return result.affectedRows;
+  }
+}
+
+module.exports = new OfflineQueueService();
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const wordPressService = require('./wordpressService');
+const sharedStateService = require('./sharedStateService');
+const mailService = require('./mailService');
+const authSessionService = require('./authSessionService');
+const socialAuthService = require('./socialAuthService');
+
+/**
+ * Password reset error with a stable error code for API responses
+ */
+class PasswordResetError extends Error {
+  constructor(message, code = 'INVALID_CODE', statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Password Reset Service - Locally issued reset codes
+ * A 6 digit code is mailed to the user and stored as a bcrypt hash with a TTL and an attempt limit.
+ * A verified code is exchanged for a single use reset token, which is required to set the new password.
+ * WordPress is only used to look up the user and to store the new password (with WP_API_TOKEN).
+ */
+class PasswordResetService {
+  constructor() {
+    this.serviceToken = process.env.WP_API_TOKEN || null;
+    this.codeTtl = parseInt(process.env.PASSWORD_RESET_CODE_TTL) || 900; // seconds
+    this.maxAttempts = parseInt(process.env.PASSWORD_RESET_MAX_ATTEMPTS) || 5;
+    this.resendInterval = parseInt(process.env.PASSWORD_RESET_RESEND_INTERVAL) || 60; // seconds
+    this.sessionTtl = parseInt(process.env.PASSWORD_RESET_SESSION_TTL) || 600; // seconds
+
+    this.codes = sharedStateService.collection('password_reset_codes');
+    this.sessions = sharedStateService.collection('password_reset_sessions');
+  }
+
+  // Emails and tokens are never used as keys directly
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex');
+  }
+
+  remainingSeconds(expiresAt) {
+    return Math.max(1, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000));
+  }
+
+  /**
+   * Mail a reset code. Unknown emails are ignored so callers cannot probe for accounts.
+   */
+  async requestReset(email) {
+    if (!this.serviceToken) {
+      throw new PasswordResetError('Password reset is not configured', 'RESET_NOT_CONFIGURED', 500);
+    }
+
+    const key = this.hash(email);
+    const existing = await this.codes.get(key);
+    if (existing && Date.now() - new Date(existing.createdAt).getTime() < this.resendInterval * 1000) {
+      console.log('ℹ️ Password reset: Code requested again within resend interval, skipped');
+      return;
+    }
+
+    const user = await wordPressService.findUserByEmail(email, this.serviceToken);
+    if (!user) {
+      console.log('ℹ️ Password reset: No account for requested email');
+      return;
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const now = Date.now();
+
+    await this.codes.set(key, {
+      userId: user.id,
+      codeHash: await bcrypt.hash(code, 10),
+      attempts: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.codeTtl * 1000).toISOString()
+    }, this.codeTtl);
+
+    const minutes = Math.round(this.codeTtl / 60);
+    await mailService.send({
+      to: user.email,
+      subject: 'Your password reset code',
+      text: `Your password reset code is ${code}.\n\nIt expires in ${minutes} minutes. If you did not ask to reset your password, you can ignore this email.`
+    });
+
+    console.log(`🔑 Password reset: Code sent to user ${user.id}`);
+  }
+
+  /**
+   * Check a reset code and exchange it for a reset token
+   */
+  async verifyCode(email, code) {
+    const key = this.hash(email);
+
+    // Count the attempt before comparing so parallel guesses cannot exceed the limit
+    let entry = null;
+    await this.codes.update(key, (current) => {
+      if (!current) return null;
+      entry = { ...current, attempts: current.attempts + 1 };
+      return entry.attempts > this.maxAttempts ? null : entry;
+    }); // keeps the code's expiry
+
+    if (!entry) {
+      throw new PasswordResetError('Invalid or expired code', 'INVALID_CODE');
+    }
+    if (entry.attempts > this.maxAttempts) {
+      throw new PasswordResetError('Too many attempts, request a new code', 'TOO_MANY_ATTEMPTS', 429);
+    }
+
+    const isValid = await bcrypt.compare(String(code), entry.codeHash);
+    if (!isValid) {
+      const attemptsLeft = this.maxAttempts - entry.attempts;
+      if (attemptsLeft === 0) {
+        await this.codes.delete(key);
+      }
+      throw new PasswordResetError('Invalid or expired code', 'INVALID_CODE', 400, { attemptsLeft });
+    }
+
+    await this.codes.delete(key);
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await this.sessions.set(this.hash(resetToken), {
+      userId: entry.userId,
+      emailHash: key,
+      expiresAt: new Date(Date.now() + this.sessionTtl * 1000).toISOString()
+    }, this.sessionTtl);
+
+    return {
+      reset_token: resetToken,
+      expires_in: this.sessionTtl
+    };
+  }
+
+  /**
+   * Set the new password with a verified reset token (single use)
+   */
+  async setPassword(email, resetToken, password) {
+    const sessionKey = this.hash(resetToken);
+
+    let session = null;
+    await this.sessions.update(sessionKey, (current) => {
+      session = current;
+      return null;
+    });
+
+    if (!session || session.emailHash !== this.hash(email)) {
+      throw new PasswordResetError('Invalid or expired reset token', 'INVALID_RESET_TOKEN', 401);
+    }
+
+    try {
+      await wordPressService.setUserPassword(session.userId, password, this.serviceToken);
+    } catch (error) {
+      // Let the user retry with the same token
+      await this.sessions.set(sessionKey, session, this.remainingSeconds(session.expiresAt));
+      throw error;
+    }
+
+    console.log(`🔑 Password reset: Password updated for user ${session.userId}`);
+
+    // Signed-in devices have to log in again with the new password
+    try {
+      await authSessionService.revokeAllSessions(session.userId, 'password_reset');
+    } catch (error) {
+      console.warn('⚠️ Password reset: Sessions not revoked:', error.message);
+    }
+
+    try {
+      await socialAuthService.markPasswordSet(session.userId);
+    } catch (error) {
+      console.warn('⚠️ Password reset: Social accounts not updated:', error.message);
+    }
+
+    try {
+      await mailService.send({
+        to: email,
+        subject: 'Your password was changed',
+        text: 'The password of your account was just changed. If this was not you, contact support right away.'
+      });
+    } catch (error) {
+      console.warn('⚠️ Password reset: Confirmation email not sent:', error.message);
+    }
+  }
+}
+
+const passwordResetService = new PasswordResetService();
+passwordResetService.PasswordResetError = PasswordResetError;
+
+module.exports = passwordResetService;
@@ -0,0 +1,121 @@
+const sharedStateService = require('./sharedStateService');
+const CustomChatService = require('./customChatService');
+const TutorLMSService = require('./tutorLMSService');
+
+// What every signed-in member (student) can do
+const MEMBER_PERMISSIONS = [
+  'account:manage',  // own profile, settings, sessions and data
+  'chat:use',        // private and group messaging, contacts, presence, statuses
+  'calls:use',       // voice/video calls and call history
+  'groups:create',
+  'social:use',      // activity feed, friends, social network
+  'billing:manage',  // own billing details, orders and payments
+  'courses:read',    // course catalog and content
+  'courses:learn'    // enroll, track progress, ask questions, join course meetings
+];
+
+// WordPress role -> permissions ('*' grants everything)
+const ROLE_PERMISSIONS = {
+  administrator: ['*'], // also the admin-only permissions: system:debug, audit:read
+  editor: [...MEMBER_PERMISSIONS, 'group:manage', 'course:teach'],
+  tutor_instructor: MEMBER_PERMISSIONS,
+  teacher: MEMBER_PERMISSIONS,
+  author: MEMBER_PERMISSIONS,
+  contributor: MEMBER_PERMISSIONS,
+  customer: MEMBER_PERMISSIONS,
+  subscriber: MEMBER_PERMISSIONS
+};
+
+// Permissions also granted inside a resource the user administers
+const SCOPED_PERMISSIONS = {
+  'group:manage': 'group',   // group admins and moderators
+  'course:teach': 'course'   // course author and instructors
+};
+
+/**
+ * Permission Service - Declarative authorization for routes
+ * Permissions come from the user's WordPress roles. Scoped permissions are also granted for one
+ * resource (a group the user administers, a course the user teaches); scope checks are cached in
+ * shared state for PERMISSION_SCOPE_TTL seconds.
+ */
+class PermissionService {
+  constructor() {
+    this.scopeTtl = parseInt(process.env.PERMISSION_SCOPE_TTL) || 60; // seconds
+    this.scopeCache = sharedStateService.collection('permission_scopes');
+
+    this.chatService = new CustomChatService();
+    this.rolePermissions = ROLE_PERMISSIONS;
+    this.scopedPermissions = SCOPED_PERMISSIONS;
+
+    this.scopeResolvers = {
+      group: (groupId, user) => this.chatService.verifyGroupAdmin(groupId, user.id, user.token),
+      course: (courseId, user) => {
+        const tutorLMSService = new TutorLMSService();
+        tutorLMSService.setAuthToken(user.token);
+        return tutorLMSService.isCourseInstructor(courseId, user.id);
+      }
+    };
+  }
+
+  /**
+   * Permissions granted by the user's roles; unknown roles count as members
+   */
+  getRolePermissions(user) {
+    const roles = user?.roles || (user?.role ? [user.role] : []);
+    const permissions = new Set();
+
+    roles.forEach(role => (this.rolePermissions[role] || []).forEach(permission => permissions.add(permission)));
+    if (permissions.size === 0) {
+      MEMBER_PERMISSIONS.forEach(permission => permissions.add(permission));
+    }
+
+    return permissions;
+  }
+
+  hasRolePermission(user, permission) {
+    const permissions = this.getRolePermissions(user);
+    return permissions.has('*') || permissions.has(permission);
+  }
+
+  /**
+   * Check a permission, optionally within a resource (group id, course id)
+   */
+  async can(user, permission, resourceId = null) {
+    if (!user) return false;
+    if (this.hasRolePermission(user, permission)) return true;
+
+    const scope = this.scopedPermissions[permission];
+    if (!scope || resourceId == null || resourceId === '') return false;
+
+    return this.isInScope(scope, resourceId, user);
+  }
+
+  async isInScope(scope, resourceId, user) {
+    const key = `${scope}:${resourceId}:${user.id}`;
+    const cached = await this.scopeCache.get(key);
+    if (cached) return cached.allowed;
+
+    let allowed = false;
+    try {
+      allowed = !!(await this.scopeResolvers[scope](resourceId, user));
+    } catch (error) {
+      console.warn(`⚠️ Permissions: ${scope} scope check failed for ${resourceId}:`, error.message);
+      return false;
+    }
+
+    await this.scopeCache.set(key, { allowed }, this.scopeTtl);
+    return allowed;
+  }
+
+  /**
+   * Forget cached scope checks, e.g. after a member was promoted or demoted
+   */
+  async clearScope(scope, resourceId, userId) {
+    await this.scopeCache.delete(`${scope}:${resourceId}:${userId}`);
+  }
+}
+
+const permissionService = new PermissionService();
+permissionService.MEMBER_PERMISSIONS = MEMBER_PERMISSIONS;
+
+module.exports = permissionService;
@@ -0,0 +1,140 @@
+const databaseService = require('./databaseService');
+
+const PINS_TABLE = 'wp_chat_pinned_messages';
+const PREVIEW_LENGTH = 500;
+
+/**
+ * Pinned Message Service - Messages pinned to the top of a group or private thread
+ * Up to MESSAGE_PINS_MAX messages can be pinned per conversation; a pin may expire, after which
+ * it is no longer listed. A copy of the message (sender, preview text) is kept with the pin.
+ * Messages are identified per scope ('thread' or 'group') like reactions and stars.
+ */
+class PinnedMessageService {
+  constructor() {
+    this.maxPins = parseInt(process.env.MESSAGE_PINS_MAX) || 3;
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(PINS_TABLE, `
+      scope VARCHAR(8) NOT NULL,
+      conversation_id BIGINT UNSIGNED NOT NULL,
+      message_id BIGINT UNSIGNED NOT NULL,
+      sender_id BIGINT UNSIGNED NULL,
+      preview TEXT NULL,
+      pinned_by BIGINT UNSIGNED NOT NULL,
+      expires_at DATETIME NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (scope, message_id),
+      KEY conversation (scope, conversation_id, created_at)
+    `);
+  }
+
+  /**
+   * Current (not expired) pins of a conversation, newest first
+   */
+  async getPins(scope, conversationId) {
+    await this.ensureTable();
+    const rows = await databaseService.query(
+      `SELECT * FROM ${PINS_TABLE}
+       WHERE scope = ? AND conversation_id = ? AND (expires_at IS NULL OR expires_at > ?)
+       ORDER BY created_at DESC`,
+      [scope, conversationId, new Date()]
+    );
+
+    return rows.map(row => ({
+      messageId: row.message_id,
+      senderId: row.sender_id,
+      message: row.preview,
+      pinnedBy: row.pinned_by,
+      pinnedAt: row.created_at,
+      expiresAt: row.expires_at
+    }));
+  }
+
+  /**
+   * Pin a message; returns the pin, or null when the conversation already has the maximum number of pins
+   * Pinning an already pinned message updates its expiry
+   */
+  async pin({ scope, conversationId, messageId, senderId = null, message = null, pinnedBy, expiresAt = null }) {
+    await this.ensureTable();
+
+    // Expired pins no longer count towards the limit
+    await databaseService.query(
+      `DELETE FROM ${PINS_TABLE} WHERE scope = ? AND conversation_id = ? AND expires_at IS NOT NULL AND expires_at <= ?`,
+      [scope, conversationId, new Date()]
+    );
+
+    const [countRow] = await databaseService.query(
+      `SELECT COUNT(*) AS total FROM ${PINS_TABLE} WHERE scope = ? AND conversation_id = ? AND message_id <> ?`,
+      [scope, conversationId, messageId]
+    );
+    if (Number(countRow?.total || 0) >= this.maxPins) {
+      return null;
+    }
+
+    const preview = typeof message === 'string' ? message.slice(0, PREVIEW_LENGTH) : null;
+    await databaseService.query(
+      `INSERT INTO ${PINS_TABLE} (scope, conversation_id, message_id, sender_id, preview, pinned_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE pinned_by = VALUES(pinned_by), expires_at = VALUES(expires_at)`,
+      [scope, conversationId, messageId, senderId, preview, pinnedBy, expiresAt ? new Date(expiresAt) : null]
+    );
+    console.log(`📌 Pins: ${scope} message ${messageId} pinned in ${conversationId} by ${pinnedBy}`);
+
+    return {
+      messageId: parseInt(messageId),
+      senderId,
+      message: preview,
+      pinnedBy,
+      pinnedAt: new Date(),
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    };
+  }
+
+  async unpin(scope, conversationId, messageId) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${PINS_TABLE} WHERE scope = ? AND conversation_id = ? AND message_id = ?`,
+      [scope, conversationId, messageId]
+    );
+    return (result.affectedRows || 0) > 0;
+  }
+
+  /**
+   * Unpin deleted messages
+   */
+  async removeMessages(scope, messageIds) {
+    const ids = (messageIds || []).map(id => parseInt(id)).filter(id => id > 0);
+    if (ids.length === 0) return 0;
+
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${PINS_TABLE} WHERE scope = ? AND message_id IN (${ids.map(() => '?').join(', ')})`,
+      [scope, ...ids]
+    );
+    return result.affectedRows || 0;
+  }
+
+  async removeConversation(scope, conversationId) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${PINS_TABLE} WHERE scope = ? AND conversation_id = ?`,
+      [scope, conversationId]
+    );
+    return result.affectedRows || 0;
+  }
+
+  /**
+   * Remove the pinned copies of a user's messages (account deletion)
+   */
+  async purgeUser(userId) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${PINS_TABLE} WHERE sender_id = ?`,
+      [userId]
+    );
+    return result.affectedRows || 0;
+  }
+}
+
+module.exports = new PinnedMessageService();
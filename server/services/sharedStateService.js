@@ -0,0 +1,310 @@
+const { createClient, WatchError } = require('redis');
+
+// update() takes a TTL in seconds, or a function deriving it from the new value
+const resolveTtl = (ttlSeconds, value) => {
+  return typeof ttlSeconds === 'function' ? ttlSeconds(value) : ttlSeconds;
+};
+
+/**
+ * In-process collection used for single-node development.
+ * Values are stored serialized so behaviour matches the Redis collection
+ * (callers always get a copy and must write changes back).
+ */
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.items = new Map();
+  }
+
+  read(key) {
+    const entry = this.items.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.items.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  // Drop every expired entry, including keys nobody reads again
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.items) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.items.delete(key);
+      }
+    }
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, ttlSeconds = null) {
+    this.items.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    });
+    return value;
+  }
+
+  async delete(key) {
+    return this.items.delete(key);
+  }
+
+  async has(key) {
+    return !!this.read(key);
+  }
+
+  async keys() {
+    return Array.from(this.items.keys()).filter(key => this.read(key));
+  }
+
+  async entries() {
+    const result = [];
+    for (const key of await this.keys()) {
+      result.push([key, await this.get(key)]);
+    }
+    return result;
+  }
+
+  async update(key, mutator, ttlSeconds = null) {
+    const entry = this.read(key);
+    const next = mutator(entry ? JSON.parse(entry.value) : null);
+
+    if (next === null || next === undefined) {
+      this.items.delete(key);
+      return null;
+    }
+
+    const ttl = resolveTtl(ttlSeconds, next);
+    this.items.set(key, {
+      value: JSON.stringify(next),
+      expiresAt: ttl ? Date.now() + ttl * 1000 : (entry?.expiresAt || null)
+    });
+    return next;
+  }
+}
+
+/**
+ * Redis collection - one Redis key per entry so entries can carry their own TTL
+ */
+class RedisCollection {
+  constructor(name, client, keyPrefix) {
+    this.name = name;
+    this.client = client;
+    this.prefix = `${keyPrefix}${name}:`;
+  }
+
+  redisKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.redisKey(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttlSeconds = null) {
+    const options = ttlSeconds ? { EX: ttlSeconds } : {};
+    await this.client.set(this.redisKey(key), JSON.stringify(value), options);
+    return value;
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.redisKey(key))) > 0;
+  }
+
+  async has(key) {
+    return (await this.client.exists(this.redisKey(key))) > 0;
+  }
+
+  async keys() {
+    const keys = [];
+    for await (const redisKey of this.client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 100 })) {
+      keys.push(redisKey.substring(this.prefix.length));
+    }
+    return keys;
+  }
+
+  async entries() {
+    const keys = await this.keys();
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mGet(keys.map(key => this.redisKey(key)));
+    return keys
+      .map((key, index) => [key, values[index] ? JSON.parse(values[index]) : null])
+      .filter(([, value]) => value !== null);
+  }
+
+  // Optimistic read-modify-write using WATCH/MULTI, retried when another node wins the race
+  async update(key, mutator, ttlSeconds = null, attempts = 5) {
+    const redisKey = this.redisKey(key);
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        return await this.client.executeIsolated(async (isolated) => {
+          await isolated.watch(redisKey);
+          const raw = await isolated.get(redisKey);
+          const next = mutator(raw ? JSON.parse(raw) : null);
+
+          const multi = isolated.multi();
+          if (next === null || next === undefined) {
+            multi.del(redisKey);
+          } else {
+            const ttl = resolveTtl(ttlSeconds, next);
+            multi.set(redisKey, JSON.stringify(next), ttl ? { EX: ttl } : { KEEPTTL: true });
+          }
+          await multi.exec();
+
+          return next === undefined ? null : next;
+        });
+      } catch (error) {
+        if (!(error instanceof WatchError) || attempt === attempts) {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Named collection handle - resolves its backend on first use so handlers can
+ * grab collections at construction time, before the Redis connection is up
+ */
+class StateCollection {
+  constructor(service, name) {
+    this.service = service;
+    this.name = name;
+    this.backend = null;
+  }
+
+  resolve() {
+    if (!this.backend) {
+      this.backend = this.service.client
+        ? new RedisCollection(this.name, this.service.client, this.service.keyPrefix)
+        : new MemoryCollection(this.name);
+    }
+    return this.backend;
+  }
+
+  get(key) { return this.resolve().get(String(key)); }
+  set(key, value, ttlSeconds) { return this.resolve().set(String(key), value, ttlSeconds); }
+  delete(key) { return this.resolve().delete(String(key)); }
+  has(key) { return this.resolve().has(String(key)); }
+  keys() { return this.resolve().keys(); }
+  entries() { return this.resolve().entries(); }
+  update(key, mutator, ttlSeconds) { return this.resolve().update(String(key), mutator, ttlSeconds); }
+
+  async values() {
+    return (await this.entries()).map(([, value]) => value);
+  }
+
+  async size() {
+    return (await this.keys()).length;
+  }
+}
+
+/**
+ * Shared State Service - Cluster-wide state for sockets, calls and video rooms
+ * Uses Redis when REDIS_URL is set, in-process memory otherwise (single-node dev)
+ */
+class SharedStateService {
+  constructor() {
+    this.redisUrl = process.env.REDIS_URL || null;
+    this.keyPrefix = process.env.REDIS_KEY_PREFIX || 'olomak:';
+    this.client = null;
+    this.adapterClients = [];
+    this.collections = new Map();
+    this.initialized = false;
+
+    // In-memory entries otherwise only expire when read again
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Connect to Redis when configured
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    if (this.redisUrl) {
+      this.client = createClient({ url: this.redisUrl });
+      this.client.on('error', (error) => {
+        console.error('❌ Shared State: Redis error:', error.message);
+      });
+
+      await this.client.connect();
+      console.log('✅ Shared State: Connected to Redis');
+    } else {
+      console.log('ℹ️ Shared State: REDIS_URL not set, using in-memory state (single node only)');
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * Whether state is shared between server instances
+   */
+  isDistributed() {
+    return !!this.client;
+  }
+
+  /**
+   * Get a named collection (created on first request)
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new StateCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Remove expired entries from in-memory collections (Redis expires keys itself)
+   */
+  sweep() {
+    for (const collection of this.collections.values()) {
+      if (collection.backend instanceof MemoryCollection) {
+        collection.backend.sweep();
+      }
+    }
+  }
+
+  /**
+   * Attach the Redis Socket.IO adapter so room broadcasts reach sockets on every node
+   */
+  async attachSocketAdapter(io) {
+    if (!this.client) return false;
+
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pubClient = this.client.duplicate();
+    const subClient = this.client.duplicate();
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    this.adapterClients = [pubClient, subClient];
+
+    io.adapter(createAdapter(pubClient, subClient, { key: `${this.keyPrefix}socket.io` }));
+    console.log('✅ Shared State: Socket.IO Redis adapter attached');
+    return true;
+  }
+
+  /**
+   * Close Redis connections
+   */
+  async close() {
+    clearInterval(this.sweepTimer);
+    const clients = [...this.adapterClients, this.client].filter(Boolean);
+    await Promise.all(clients.map(client => client.quit().catch(() => null)));
+    this.adapterClients = [];
+    this.client = null;
+  }
+}
+
+module.exports = new SharedStateService();
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const databaseService = require('./databaseService');
+const sharedStateService = require('./sharedStateService');
+const wordPressService = require('./wordpressService');
+const buddyBossService = require('./buddyBossService');
+const { AuthError } = require('./authService');
+
+const TABLE = 'wp_chat_social_accounts';
+
+// Comma separated client ids accepted as token audience
+const clientIds = (value) => (value || '').split(',').map(id => id.trim()).filter(Boolean);
+
+const PROVIDERS = {
+  google: {
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUrl: process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+    audiences: clientIds(process.env.GOOGLE_CLIENT_IDS)
+  },
+  apple: {
+    issuers: ['https://appleid.apple.com'],
+    jwksUrl: process.env.APPLE_JWKS_URL || 'https://appleid.apple.com/auth/keys',
+    audiences: clientIds(process.env.APPLE_CLIENT_IDS)
+  },
+  // Facebook Limited Login issues OpenID Connect ID tokens
+  facebook: {
+    issuers: ['https://www.facebook.com', 'https://limited.facebook.com'],
+    jwksUrl: process.env.FACEBOOK_JWKS_URL || 'https://limited.facebook.com/.well-known/oauth/openid/jwks/',
+    audiences: clientIds(process.env.FACEBOOK_APP_IDS)
+  }
+};
+
+/**
+ * Social Auth Service - Sign in with Google, Apple and Facebook ID tokens
+ * Tokens are verified locally against each provider's JWKS. Key sets are cached in shared state
+ * and a stale set keeps being used when the provider cannot be reached.
+ * Provider accounts are linked to WordPress users in wp_chat_social_accounts. An existing account is
+ * only linked by its signed-in owner (/api/user/link-*), never because a provider reports the same email.
+ */
+class SocialAuthService {
+  constructor() {
+    this.serviceToken = process.env.WP_API_TOKEN || null;
+    this.jwksTtl = parseInt(process.env.SOCIAL_JWKS_TTL) || 6 * 60 * 60; // seconds before a refresh is attempted
+
+    this.jwksCache = sharedStateService.collection('social_jwks');
+    this.providers = PROVIDERS;
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(TABLE, `
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+      user_id BIGINT UNSIGNED NOT NULL,
+      provider VARCHAR(16) NOT NULL,
+      provider_user_id VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NULL,
+      created_account TINYINT(1) NOT NULL DEFAULT 0,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_login_at DATETIME NULL,
+      UNIQUE KEY provider_user (provider, provider_user_id),
+      UNIQUE KEY user_provider (user_id, provider)
+    `);
+  }
+
+  getProvider(provider) {
+    const config = this.providers[provider];
+    if (!config) {
+      throw new AuthError(`Unknown provider: ${provider}`, 'UNKNOWN_PROVIDER', 400);
+    }
+    if (config.audiences.length === 0) {
+      throw new AuthError(`${provider} sign-in is not configured`, 'PROVIDER_NOT_CONFIGURED', 503);
+    }
+    return config;
+  }
+
+  /**
+   * Find the signing key, refreshing the cached key set when stale or the kid is unknown
+   */
+  async getSigningKey(provider, kid) {
+    const config = this.getProvider(provider);
+    const cached = await this.jwksCache.get(provider);
+    const isStale = !cached || Date.now() - cached.fetchedAt > this.jwksTtl * 1000;
+
+    let jwk = cached?.keys.find(key => key.kid === kid);
+    if (!jwk || isStale) {
+      try {
+        const response = await axios.get(config.jwksUrl, { timeout: 10000 });
+        const keys = response.data?.keys || [];
+        await this.jwksCache.set(provider, { keys, fetchedAt: Date.now() });
+        jwk = keys.find(key => key.kid === kid) || null;
+      } catch (error) {
+        // Offline: keep verifying with the cached keys
+        console.warn(`⚠️ Social Auth: Could not refresh ${provider} keys:`, error.message);
+      }
+    }
+
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+  }
+
+  /**
+   * Verify a provider ID token and return the provider identity
+   */
+  async verifyIdToken(provider, idToken, nonce = null) {
+    const config = this.getProvider(provider);
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header?.kid) {
+      throw new AuthError('Invalid ID token', 'INVALID_ID_TOKEN');
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+    if (!key) {
+      throw new AuthError('Unknown ID token signing key', 'INVALID_ID_TOKEN');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'ES256'],
+        issuer: config.issuers,
+        audience: config.audiences
+      });
+    } catch (error) {
+      throw new AuthError(`ID token verification failed: ${error.message}`, 'INVALID_ID_TOKEN');
+    }
+
+    // Apple and Facebook carry the SHA-256 of the client nonce, Google the nonce itself
+    if (nonce) {
+      const hashedNonce = crypto.createHash('sha256').update(nonce).digest('hex');
+      if (payload.nonce !== nonce && payload.nonce !== hashedNonce) {
+        throw new AuthError('ID token nonce mismatch', 'INVALID_ID_TOKEN');
+      }
+    }
+
+    return {
+      provider,
+      providerUserId: String(payload.sub),
+      email: payload.email ? String(payload.email).toLowerCase() : null,
+      // Facebook does not guarantee its emails are verified and sends no email_verified claim
+      emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+      name: payload.name || null,
+      givenName: payload.given_name || null,
+      familyName: payload.family_name || null,
+      picture: payload.picture || null
+    };
+  }
+
+  async findLink(provider, providerUserId) {
+    await this.ensureTable();
+    const [link] = await databaseService.query(
+      `SELECT * FROM ${TABLE} WHERE provider = ? AND provider_user_id = ?`,
+      [provider, providerUserId]
+    );
+    return link || null;
+  }
+
+  async createLink(userId, identity, createdAccount = false) {
+    await this.ensureTable();
+
+    const [existing] = await databaseService.query(
+      `SELECT provider_user_id FROM ${TABLE} WHERE user_id = ? AND provider = ?`,
+      [userId, identity.provider]
+    );
+    if (existing && existing.provider_user_id !== identity.providerUserId) {
+      throw new AuthError(`Another ${identity.provider} account is already linked`, 'PROVIDER_ALREADY_LINKED', 409);
+    }
+
+    await databaseService.query(
+      `INSERT INTO ${TABLE} (user_id, provider, provider_user_id, email, created_account, last_login_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE email = VALUES(email)`,
+      [userId, identity.provider, identity.providerUserId, identity.email, createdAccount ? 1 : 0, new Date()]
+    );
+  }
+
+  /**
+   * Load the WordPress user behind a link (service token, edit context for the email)
+   */
+  async getUser(userId) {
+    const user = await wordPressService.getUserById(userId, this.serviceToken, { context: 'edit' });
+    return {
+      id: user.id,
+      email: user.email,
+      username: user.username || user.slug,
+      displayName: user.name,
+      roles: user.roles || ['subscriber'],
+      avatar: user.avatar_urls?.['96'] || null
+    };
+  }
+
+  /**
+   * Create the WordPress/BuddyBoss user for a new provider identity
+   */
+  async registerUser(identity) {
+    const base = identity.email.split('@')[0].replace(/[^a-z0-9]/gi, '').slice(0, 40) || identity.provider;
+    const username = `${base}${crypto.randomInt(1000, 10000)}`;
+
+    const registration = await buddyBossService.registerUser({
+      username,
+      email: identity.email,
+      // The account signs in through the provider; a password can be set later with a reset code
+      password: `${crypto.randomBytes(24).toString('base64url')}aA1`,
+      first_name: identity.givenName || identity.name || '',
+      last_name: identity.familyName || ''
+    });
+
+    const userId = registration?.id || registration?.user_id
+      || (await wordPressService.findUserByEmail(identity.email, this.serviceToken))?.id;
+    if (!userId) {
+      throw new AuthError('Account could not be created', 'REGISTRATION_FAILED', 502);
+    }
+
+    console.log(`👤 Social Auth: Created user ${userId} from ${identity.provider}`);
+    return userId;
+  }
+
+  /**
+   * Sign in with a provider ID token: linked account, otherwise a new account for a verified email
+   * Returns { user, isNewUser }
+   */
+  async signIn(provider, idToken, nonce = null) {
+    if (!this.serviceToken) {
+      throw new AuthError('Social sign-in is not configured', 'PROVIDER_NOT_CONFIGURED', 503);
+    }
+
+    const identity = await this.verifyIdToken(provider, idToken, nonce);
+    const link = await this.findLink(provider, identity.providerUserId);
+
+    if (link) {
+      await databaseService.query(`UPDATE ${TABLE} SET last_login_at = ? WHERE id = ?`, [new Date(), link.id]);
+      return { user: await this.getUser(link.user_id), isNewUser: false };
+    }
+
+    if (!identity.email || !identity.emailVerified) {
+      throw new AuthError('The provider account has no verified email', 'EMAIL_NOT_VERIFIED', 400);
+    }
+
+    // Anyone controlling a provider account with this email could otherwise take the account over
+    const existingUser = await wordPressService.findUserByEmail(identity.email, this.serviceToken);
+    if (existingUser) {
+      throw new AuthError(
+        `An account with this email already exists. Sign in with your password and link ${provider} from your account settings`,
+        'ACCOUNT_EXISTS',
+        409
+      );
+    }
+
+    const userId = await this.registerUser(identity);
+    await this.createLink(userId, identity, true);
+    return { user: await this.getUser(userId), isNewUser: true };
+  }
+
+  /**
+   * Link a provider to the signed-in user's account
+   */
+  async linkAccount(userId, provider, idToken, nonce = null) {
+    const identity = await this.verifyIdToken(provider, idToken, nonce);
+
+    const link = await this.findLink(provider, identity.providerUserId);
+    if (link && String(link.user_id) !== String(userId)) {
+      throw new AuthError(`This ${provider} account is linked to another user`, 'ACCOUNT_LINKED_ELSEWHERE', 409);
+    }
+
+    await this.createLink(userId, identity);
+    console.log(`🔗 Social Auth: User ${userId} linked ${provider}`);
+
+    return this.listAccounts(userId);
+  }
+
+  /**
+   * Unlink a provider; accounts created through a provider keep at least one link
+   */
+  async unlinkAccount(userId, provider) {
+    const accounts = await this.listAccounts(userId);
+    const account = accounts.find(item => item.provider === provider);
+    if (!account) {
+      throw new AuthError(`No ${provider} account is linked`, 'PROVIDER_NOT_LINKED', 404);
+    }
+
+    if (accounts.length === 1 && account.createdAccount) {
+      throw new AuthError('Set a password before removing your only sign-in method', 'LAST_SIGN_IN_METHOD', 400);
+    }
+
+    await databaseService.query(`DELETE FROM ${TABLE} WHERE user_id = ? AND provider = ?`, [userId, provider]);
+    console.log(`🔗 Social Auth: User ${userId} unlinked ${provider}`);
+
+    return accounts.filter(item => item.provider !== provider);
+  }
+
+  /**
+   * A password was set (reset code flow), so provider links are no longer the only way in
+   */
+  async markPasswordSet(userId) {
+    await this.ensureTable();
+    await databaseService.query(`UPDATE ${TABLE} SET created_account = 0 WHERE user_id = ?`, [userId]);
+  }
+
+  async listAccounts(userId) {
+    await this.ensureTable();
+
+    const rows = await databaseService.query(
+      `SELECT provider, email, created_account, created_at, last_login_at FROM ${TABLE} WHERE user_id = ? ORDER BY created_at ASC`,
+      [userId]
+    );
+
+    return rows.map(row => ({
+      provider: row.provider,
+      email: row.email,
+      createdAccount: !!row.created_account,
+      linkedAt: row.created_at,
+      lastLoginAt: row.last_login_at
+    }));
+  }
+}
+
+module.exports = new SocialAuthService();
@@ -0,0 +1,169 @@
+const databaseService = require('./databaseService');
+
+const STARRED_TABLE = 'wp_chat_starred_messages';
+const PREVIEW_LENGTH = 500;
+
+/**
+ * Starred Message Service - Per-user starred private and group messages
+ * WordPress has no single-message endpoint, so a copy of the message (sender, type, preview text,
+ * sent time) is kept when it is starred; the cross-chat "Starred" list and its filters use that copy.
+ * Messages are identified per scope ('thread' or 'group') like reactions.
+ */
+class StarredMessageService {
+  async ensureTable() {
+    await databaseService.ensureTable(STARRED_TABLE, `
+      user_id BIGINT UNSIGNED NOT NULL,
+      scope VARCHAR(8) NOT NULL,
+      conversation_id BIGINT UNSIGNED NOT NULL,
+      message_id BIGINT UNSIGNED NOT NULL,
+      sender_id BIGINT UNSIGNED NULL,
+      message_type VARCHAR(32) NULL,
+      preview TEXT NULL,
+      sent_at DATETIME NULL,
+      starred_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (user_id, scope, message_id),
+      KEY user_time (user_id, starred_at),
+      KEY message (scope, message_id),
+      KEY conversation (scope, conversation_id),
+      KEY sender (sender_id)
+    `);
+  }
+
+  async star({ userId, scope, conversationId, messageId, senderId = null, messageType = null, message = null, sentAt = null }) {
+    await this.ensureTable();
+    await databaseService.query(
+      `INSERT INTO ${STARRED_TABLE} (user_id, scope, conversation_id, message_id, sender_id, message_type, preview, sent_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE conversation_id = VALUES(conversation_id)`,
+      [
+        userId,
+        scope,
+        conversationId,
+        messageId,
+        senderId,
+        messageType,
+        typeof message === 'string' ? message.slice(0, PREVIEW_LENGTH) : null,
+        sentAt ? new Date(sentAt) : null
+      ]
+    );
+    console.log(`⭐ Starred: User ${userId} starred ${scope} message ${messageId}`);
+  }
+
+  async unstar({ userId, scope, messageId }) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${STARRED_TABLE} WHERE user_id = ? AND scope = ? AND message_id = ?`,
+      [userId, scope, messageId]
+    );
+    return (result.affectedRows || 0) > 0;
+  }
+
+  /**
+   * Newest stars first; scope, conversationId, senderId and messageType filters are optional
+   */
+  async list(userId, { scope, conversationId, senderId, messageType, limit = 20, offset = 0 } = {}) {
+    await this.ensureTable();
+
+    const conditions = ['user_id = ?'];
+    const params = [userId];
+    const addCondition = (sql, value) => {
+      if (value === undefined || value === null || value === '') return;
+      conditions.push(sql);
+      params.push(value);
+    };
+
+    addCondition('scope = ?', scope);
+    addCondition('conversation_id = ?', conversationId);
+    addCondition('sender_id = ?', senderId);
+    addCondition('message_type = ?', messageType);
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const [countRow] = await databaseService.query(`SELECT COUNT(*) AS total FROM ${STARRED_TABLE} ${where}`, params);
+    const rows = await databaseService.query(
+      `SELECT * FROM ${STARRED_TABLE} ${where}
+       ORDER BY starred_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      total: Number(countRow?.total || 0),
+      messages: rows.map(row => ({
+        scope: row.scope,
+        ...(row.scope === 'group' ? { groupId: row.conversation_id } : { chatId: row.conversation_id }),
+        messageId: row.message_id,
+        senderId: row.sender_id,
+        messageType: row.message_type,
+        message: row.preview,
+        sentAt: row.sent_at,
+        starredAt: row.starred_at
+      }))
+    };
+  }
+
+  /**
+   * Set a `starred` flag on each message for the given user
+   */
+  async attachStarred(scope, messages, userId) {
+    if (!Array.isArray(messages) || messages.length === 0) return messages;
+
+    const ids = [...new Set(messages.map(message => parseInt(message?.id)).filter(id => id > 0))];
+    if (ids.length === 0) return messages;
+
+    await this.ensureTable();
+    const rows = await databaseService.query(
+      `SELECT message_id FROM ${STARRED_TABLE}
+       WHERE user_id = ? AND scope = ? AND message_id IN (${ids.map(() => '?').join(', ')})`,
+      [userId, scope, ...ids]
+    );
+    const starredIds = new Set(rows.map(row => String(row.message_id)));
+
+    messages.forEach(message => {
+      if (!message || typeof message !== 'object') return;
+      message.starred = starredIds.has(String(message.id));
+    });
+    return messages;
+  }
+
+  /**
+   * Unstar deleted messages for everyone
+   */
+  async removeMessages(scope, messageIds) {
+    const ids = (messageIds || []).map(id => parseInt(id)).filter(id => id > 0);
+    if (ids.length === 0) return 0;
+
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${STARRED_TABLE} WHERE scope = ? AND message_id IN (${ids.map(() => '?').join(', ')})`,
+      [scope, ...ids]
+    );
+    return result.affectedRows || 0;
+  }
+
+  /**
+   * Unstar every message of a deleted thread or group
+   */
+  async removeConversation(scope, conversationId) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${STARRED_TABLE} WHERE scope = ? AND conversation_id = ?`,
+      [scope, conversationId]
+    );
+    return result.affectedRows || 0;
+  }
+
+  /**
+   * Remove a user's stars and every starred copy of the user's messages (account deletion)
+   */
+  async purgeUser(userId) {
+    await this.ensureTable();
+    const result = await databaseService.query(
+      `DELETE FROM ${STARRED_TABLE} WHERE user_id = ? OR sender_id = ?`,
+      [userId, userId]
+    );
+    return result.affectedRows || 0;
+  }
+}
+
+module.exports = new StarredMessageService();
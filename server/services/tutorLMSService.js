@@ -782,6 +782,23 @@ class TutorLMSService {
     return this.apiRequest(`/wp-json/tutor/v1/students/${userId}/courses`);
   }
 
+  /**
+   * Whether the user is the author or one of the instructors of a course
+   */
+  async isCourseInstructor(courseId, userId) {
+    const course = await this.apiRequest(`/wp-json/tutor/v1/courses/${courseId}`);
+    if (!course || !course.id) return false;
+
+    const instructorIds = [
+      course.post_author,
+      course.author,
+      course.instructor?.id ?? course.instructor,
+      ...(Array.isArray(course.instructors) ? course.instructors.map(instructor => instructor?.id ?? instructor) : [])
+    ].filter(id => id != null && typeof id !== 'object');
+
+    return instructorIds.some(id => String(id) === String(userId));
+  }
+
   /**
    * Get all enrollments (admin)
    */
@@ -814,6 +831,23 @@ class TutorLMSService {
     });
   }
 
+  /**
+   * Get a Q&A entry (a course comment): { id, courseId, userId, parentId }, or null
+   */
+  async getQuestion(questionId) {
+    const comment = await this.apiRequest(`/wp-json/wp/v2/comments/${questionId}`, {
+      params: { _fields: 'id,post,author,parent' },
+    });
+    if (!comment || !comment.id) return null;
+
+    return {
+      id: comment.id,
+      courseId: comment.post,
+      userId: comment.author,
+      parentId: comment.parent || 0,
+    };
+  }
+
   /**
    * Post answer to Q&A question
    */
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const databaseService = require('./databaseService');
+const sharedStateService = require('./sharedStateService');
+const authSessionService = require('./authSessionService');
+const { AuthError } = require('./authService');
+
+const TABLE = 'wp_chat_two_factor';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP = 30; // seconds
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  return bits.match(/.{1,5}/g).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+};
+
+// RFC 6238 code for a time step (HMAC-SHA1, 6 digits)
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return value.toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Two-Factor Service - TOTP second factor with backup codes
+ * Secrets are stored AES-256-GCM encrypted (TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET),
+ * backup codes as bcrypt hashes. A TOTP step is accepted once, so an observed code cannot be replayed.
+ * Logins of enrolled users return a short lived challenge token instead of the session tokens, and
+ * only device session tokens are accepted for them afterwards (so 2FA needs JWT_SECRET for sessions).
+ * Users whose role is in TWO_FACTOR_REQUIRED_ROLES (none by default) must enroll before using the API.
+ */
+class TwoFactorService {
+  constructor() {
+    const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || null;
+    this.encryptionKey = keyMaterial ? crypto.createHash('sha256').update(keyMaterial).digest() : null;
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Olomak';
+    this.challengeTtl = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL) || 300; // seconds
+    this.maxAttempts = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+    this.backupCodeCount = 10;
+    this.requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+
+    this.challenges = sharedStateService.collection('two_factor_challenges');
+    // Enrollment status per user, so the policy check does not hit the database on every request
+    this.statusCache = sharedStateService.collection('two_factor_status');
+  }
+
+  async ensureTable() {
+    await databaseService.ensureTable(TABLE, `
+      user_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+      secret TEXT NULL,
+      pending_secret TEXT NULL,
+      backup_codes TEXT NULL,
+      last_used_step BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      enabled_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    `);
+  }
+
+  // Secrets can be encrypted and enrolled users can get device session tokens
+  isConfigured() {
+    return !!this.encryptionKey && authSessionService.isEnabled();
+  }
+
+  requireEncryptionKey() {
+    if (!this.encryptionKey) {
+      throw new AuthError('Two-factor authentication is not configured', 'TWO_FACTOR_NOT_CONFIGURED', 503);
+    }
+  }
+
+  encrypt(text) {
+    this.requireEncryptionKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decrypt(payload) {
+    this.requireEncryptionKey();
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  async getRecord(userId) {
+    await this.ensureTable();
+    const [record] = await databaseService.query(`SELECT * FROM ${TABLE} WHERE user_id = ?`, [userId]);
+    return record || null;
+  }
+
+  async isEnabled(userId) {
+    const cached = await this.statusCache.get(userId);
+    if (cached) return cached.enabled;
+
+    const record = await this.getRecord(userId);
+    const enabled = !!record?.enabled_at;
+    await this.statusCache.set(userId, { enabled }, 300);
+    return enabled;
+  }
+
+  isRequiredForRole(roles = []) {
+    return roles.some(role => this.requiredRoles.includes(role));
+  }
+
+  /**
+   * Policy: the user's role requires 2FA and the user has not enrolled yet
+   */
+  async isEnrollmentRequired(user) {
+    // Nobody can enroll while 2FA is not configured, so the policy cannot apply
+    if (!this.isConfigured()) return false;
+
+    const roles = user.roles || (user.role ? [user.role] : []);
+    if (!this.isRequiredForRole(roles)) return false;
+    return !(await this.isEnabled(user.id));
+  }
+
+  async getStatus(user) {
+    const record = await this.getRecord(user.id);
+    const backupCodes = record?.backup_codes ? JSON.parse(record.backup_codes) : [];
+
+    return {
+      enabled: !!record?.enabled_at,
+      enabledAt: record?.enabled_at || null,
+      backupCodesRemaining: backupCodes.length,
+      required: this.isConfigured() && this.isRequiredForRole(user.roles || [user.role])
+    };
+  }
+
+  /**
+   * Start enrollment: a new secret that becomes active once a code from it is confirmed
+   */
+  async startEnrollment(user) {
+    if (!this.isConfigured()) {
+      throw new AuthError('Two-factor authentication is not configured', 'TWO_FACTOR_NOT_CONFIGURED', 503);
+    }
+
+    const record = await this.getRecord(user.id);
+    if (record?.enabled_at) {
+      throw new AuthError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await databaseService.query(
+      `INSERT INTO ${TABLE} (user_id, pending_secret) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE pending_secret = VALUES(pending_secret)`,
+      [user.id, this.encrypt(secret)]
+    );
+
+    const label = encodeURIComponent(`${this.issuer}:${user.email || user.username || user.id}`);
+    return {
+      secret,
+      otpauth_uri: `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(this.issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP}`
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the new secret; returns the backup codes (shown once)
+   */
+  async confirmEnrollment(userId, code) {
+    const record = await this.getRecord(userId);
+    if (!record?.pending_secret) {
+      throw new AuthError('Start two-factor setup first', 'TWO_FACTOR_NOT_STARTED', 400);
+    }
+
+    const secret = this.decrypt(record.pending_secret);
+    const step = this.matchStep(secret, code, 0);
+    if (step === null) {
+      throw new AuthError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE', 400);
+    }
+
+    const backupCodes = this.generateBackupCodes();
+    await databaseService.query(
+      `UPDATE ${TABLE} SET secret = ?, pending_secret = NULL, backup_codes = ?, last_used_step = ?, enabled_at = ?
+       WHERE user_id = ?`,
+      [record.pending_secret, JSON.stringify(await this.hashBackupCodes(backupCodes)), step, new Date(), userId]
+    );
+    await this.statusCache.delete(userId);
+
+    console.log(`🔐 Two-Factor: Enabled for user ${userId}`);
+    return backupCodes;
+  }
+
+  async disable(userId, code) {
+    await this.verifyCode(userId, code);
+    await databaseService.query(`DELETE FROM ${TABLE} WHERE user_id = ?`, [userId]);
+    await this.statusCache.delete(userId);
+    console.log(`🔐 Two-Factor: Disabled for user ${userId}`);
+  }
+
+  async regenerateBackupCodes(userId, code) {
+    await this.verifyCode(userId, code);
+
+    const backupCodes = this.generateBackupCodes();
+    await databaseService.query(
+      `UPDATE ${TABLE} SET backup_codes = ? WHERE user_id = ?`,
+      [JSON.stringify(await this.hashBackupCodes(backupCodes)), userId]
+    );
+    return backupCodes;
+  }
+
+  generateBackupCodes() {
+    return Array.from({ length: this.backupCodeCount }, () => {
+      const code = crypto.randomBytes(4).toString('hex');
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+  }
+
+  async hashBackupCodes(codes) {
+    return Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+  }
+
+  // Time step the code belongs to (current step ± 1 for clock drift), or null
+  matchStep(secret, code, lastUsedStep) {
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP);
+    const expected = Buffer.from(String(code).trim());
+
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+      if (step <= lastUsedStep) continue;
+      const candidate = Buffer.from(totpAt(secret, step));
+      if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a TOTP code or a backup code (backup codes are used up)
+   */
+  async verifyCode(userId, code) {
+    const record = await this.getRecord(userId);
+    if (!record?.enabled_at) {
+      throw new AuthError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED', 400);
+    }
+
+    const value = String(code || '').trim().toLowerCase();
+
+    if (/^\d{6}$/.test(value)) {
+      const step = this.matchStep(this.decrypt(record.secret), value, Number(record.last_used_step));
+      if (step !== null) {
+        // Only one request can move last_used_step past this step
+        const result = await databaseService.query(
+          `UPDATE ${TABLE} SET last_used_step = ? WHERE user_id = ? AND last_used_step < ?`,
+          [step, userId, step]
+        );
+        if (result.affectedRows === 1) return { method: 'totp' };
+      }
+    } else if (/^[0-9a-f]{4}-?[0-9a-f]{4}$/.test(value)) {
+      const normalized = value.includes('-') ? value : `${value.slice(0, 4)}-${value.slice(4)}`;
+      const hashes = record.backup_codes ? JSON.parse(record.backup_codes) : [];
+
+      for (const hash of hashes) {
+        if (await bcrypt.compare(normalized, hash)) {
+          // Only one request can remove the code from the list it read
+          const remaining = hashes.filter(item => item !== hash);
+          const result = await databaseService.query(
+            `UPDATE ${TABLE} SET backup_codes = ? WHERE user_id = ? AND backup_codes = ?`,
+            [JSON.stringify(remaining), userId, record.backup_codes]
+          );
+          if (result.affectedRows !== 1) break;
+
+          console.log(`🔐 Two-Factor: Backup code used by user ${userId} (${remaining.length} left)`);
+          return { method: 'backup_code', backupCodesRemaining: remaining.length };
+        }
+      }
+    }
+
+    throw new AuthError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE', 401);
+  }
+
+  /**
+   * Enrolled users only get in with a device session token from our own login, issued after the
+   * second factor; a token fetched straight from the WordPress JWT endpoint skips 2FA
+   */
+  async assertSessionToken(user) {
+    if (user.sessionId || !this.isConfigured() || !(await this.isEnabled(user.id))) return;
+    throw new AuthError('Sign in again to complete two-factor authentication', 'TWO_FACTOR_SESSION_REQUIRED', 401);
+  }
+
+  /**
+   * Park a password-verified login until the second factor is checked
+   * Returns null when the user has no 2FA, otherwise { challenge_token, expires_in }
+   */
+  async createLoginChallenge(userId, login) {
+    if (!(await this.isEnabled(userId))) return null;
+
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    await this.challenges.set(this.hashToken(challengeToken), {
+      userId,
+      login,
+      attempts: 0
+    }, this.challengeTtl);
+
+    return {
+      challenge_token: challengeToken,
+      expires_in: this.challengeTtl
+    };
+  }
+
+  /**
+   * Check the second factor for a login challenge and hand back the parked login
+   */
+  async completeLoginChallenge(challengeToken, code) {
+    const key = this.hashToken(challengeToken);
+
+    // Count the attempt first so parallel guesses cannot exceed the limit
+    let challenge = null;
+    await this.challenges.update(key, (current) => {
+      if (!current) return null;
+      challenge = { ...current, attempts: current.attempts + 1 };
+      return challenge.attempts >= this.maxAttempts ? null : challenge;
+    });
+
+    if (!challenge) {
+      throw new AuthError('Invalid or expired challenge', 'INVALID_CHALLENGE', 401);
+    }
+
+    const result = await this.verifyCode(challenge.userId, code);
+    await this.challenges.delete(key);
+
+    return { ...challenge.login, twoFactor: result };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+twoFactorService.totpAt = totpAt;
+
+module.exports = twoFactorService;
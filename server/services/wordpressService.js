@@ -181,11 +181,12 @@ class WordPressService {
   }
 
   /**
-   * Get user data by ID
+   * Get user data by ID (pass { context: 'edit' } to include the email)
    */
-  async getUserById(userId, token) {
+  async getUserById(userId, token, params = {}) {
     return await this.makeAuthenticatedRequest(`users/${userId}`, {
-      method: 'GET'
+      method: 'GET',
+      params
     }, token);
   }
 
@@ -242,7 +243,9 @@ class WordPressService {
       }
     } catch (error) {
       console.error('WordPress login failed:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || 'Login failed');
+      const loginError = new Error(error.response?.data?.message || 'Login failed');
+      loginError.status = error.response?.status || null; // 403 for wrong credentials
+      throw loginError;
     }
   }
 
@@ -282,6 +285,60 @@ class WordPressService {
     }
   }
 
+  /**
+   * Find a user by email (needs a token allowed to list users with context=edit)
+   */
+  async findUserByEmail(email, token) {
+    const users = await this.makeAuthenticatedRequest('users', {
+      method: 'GET',
+      params: {
+        search: email,
+        search_columns: ['email'],
+        context: 'edit'
+      }
+    }, token);
+
+    const normalized = String(email).trim().toLowerCase();
+    return (users || []).find(user => String(user.email || '').toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Find a user by login name (needs a token allowed to list users with context=edit)
+   */
+  async findUserByLogin(login, token) {
+    const users = await this.makeAuthenticatedRequest('users', {
+      method: 'GET',
+      params: {
+        search: login,
+        search_columns: ['login'],
+        context: 'edit'
+      }
+    }, token);
+
+    const normalized = String(login).trim().toLowerCase();
+    return (users || []).find(user => String(user.username || user.slug || '').toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Set a user's password (needs a token allowed to edit the user)
+   */
+  async setUserPassword(userId, password, token) {
+    return await this.updateUser(userId, { password }, token);
+  }
+
+  /**
+   * Permanently delete a user (needs a token allowed to delete users)
+   */
+  async deleteUser(userId, token) {
+    return await this.makeAuthenticatedRequest(`users/${userId}`, {
+      method: 'DELETE',
+      params: {
+        force: true,
+        reassign: false
+      }
+    }, token);
+  }
+
   /**
    * Health check for WordPress connection
    */
@@ -0,0 +1,62 @@
+jest.mock('../../services/callService', () => ({}));
+jest.mock('../../services/accountLifecycleService', () => ({ isInactive: jest.fn(async () => false) }));
+jest.mock('../../services/blockService', () => ({ isBlocked: jest.fn(async () => false) }));
+
+const sharedStateService = require('../../services/sharedStateService');
+const simpleCallHandlers = require('../simpleCallHandler');
+
+const createIo = () => {
+  const emitted = [];
+  const to = (room) => ({
+    emit: (event, data) => emitted.push({ room, event, data }),
+    except: () => to(room)
+  });
+  return { emitted, sockets: { sockets: new Map() }, to };
+};
+
+const createSocket = (userId) => {
+  const emitted = [];
+  return { id: `socket-${userId}`, userId, token: null, emitted, emit: (event, data) => emitted.push({ event, data }) };
+};
+
+const events = (socket) => socket.emitted.map(item => item.event);
+
+describe('simpleCallHandler busy check', () => {
+  beforeAll(() => jest.useFakeTimers());
+
+  afterAll(() => {
+    jest.useRealTimers();
+    sharedStateService.close();
+  });
+
+  it('lets only one of two simultaneous offers ring the same user', async () => {
+    const handler = simpleCallHandlers(createIo());
+    const first = createSocket(1);
+    const second = createSocket(2);
+
+    await Promise.all([
+      handler.handleCallOffer(first, { callId: 'call-a', targetUserId: 3 }),
+      handler.handleCallOffer(second, { callId: 'call-b', targetUserId: 3 })
+    ]);
+
+    const outcomes = [...events(first), ...events(second)];
+    expect(outcomes.filter(event => event === 'simple_call_initiated')).toHaveLength(1);
+    expect(outcomes.filter(event => event === 'simple_call_busy')).toHaveLength(1);
+    expect(await handler.getActiveCalls()).toHaveLength(1);
+  });
+
+  it('frees both parties once the call ends', async () => {
+    const handler = simpleCallHandlers(createIo());
+    const caller = createSocket(4);
+    const other = createSocket(6);
+
+    await handler.handleCallOffer(caller, { callId: 'call-c', targetUserId: 5 });
+    await handler.handleCallOffer(other, { callId: 'call-d', targetUserId: 4 });
+    expect(events(other)).toEqual(['simple_call_busy']);
+
+    await handler.handleCallEnd(caller, { callId: 'call-c' });
+    await handler.handleCallOffer(other, { callId: 'call-e', targetUserId: 4 });
+
+    expect(events(other)).toEqual(['simple_call_busy', 'simple_call_initiated']);
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('../../services/chatService', () => ({}));
+jest.mock('../../services/attendanceService', () => ({}));
+jest.mock('../../services/auditLogService', () => ({}));
+
+const sharedStateService = require('../../services/sharedStateService');
+const videoRoomHandlers = require('../videoRoomHandler');
+
+const createIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    sockets: { sockets: new Map() },
+    to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) })
+  };
+};
+
+describe('videoRoomHandler scheduled rooms', () => {
+  afterAll(() => sharedStateService.close());
+
+  it('opens a scheduled room and keeps it until the class ends', async () => {
+    const handler = videoRoomHandlers(createIo());
+    const endsAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    const room = await handler.openScheduledRoom('invite-1', { groupId: 5 }, {
+      classId: 9,
+      teacherId: 3,
+      startsAt: new Date(),
+      endsAt
+    });
+
+    expect(room.scheduledClass.classId).toBe(9);
+    expect(room.isEmpty()).toBe(true);
+
+    const entry = sharedStateService.collection('video_rooms').backend.items.get('invite-1');
+    expect(entry.expiresAt).toBeGreaterThanOrEqual(endsAt.getTime());
+
+    const stats = await handler.getVideoRoomStats();
+    expect(stats.rooms).toEqual([expect.objectContaining({ isScheduled: true, participantCount: 0 })]);
+  });
+
+  it('drops an empty room once its scheduled class ends', async () => {
+    const io = createIo();
+    const handler = videoRoomHandlers(io);
+    await handler.openScheduledRoom('invite-2', { groupId: 5 }, { classId: 10, teacherId: 3, endsAt: new Date() });
+
+    const room = await handler.endScheduledRoom('invite-2');
+
+    expect(room).toBeNull();
+    expect(await sharedStateService.collection('video_rooms').get('invite-2')).toBeNull();
+    expect(io.emitted.map(item => item.event)).toContain('video_room_class_ended');
+  });
+});
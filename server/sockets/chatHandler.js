@@ -1,105 +1,100 @@
-const jwt = require('jsonwebtoken');
 const wordPressService = require('../services/wordpressService');
 const chatService = require('../services/chatService');
 const callService = require('../services/callService');
 const presenceService = require('../services/presenceService');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const sharedStateService = require('../services/sharedStateService');
+const offlineQueueService = require('../services/offlineQueueService');
+const authSessionService = require('../services/authSessionService');
+const accountLifecycleService = require('../services/accountLifecycleService');
+const blockService = require('../services/blockService');
+const mentionService = require('../services/mentionService');
 
 class ChatHandler {
   constructor(io) {
     this.io = io;
-    this.connectedUsers = new Map();
+    // Connected users and ringing calls are shared so every server instance sees them
+    this.connectedUsers = sharedStateService.collection('connected_users');
     this.activeRooms = new Map();
-    this.activeCalls = new Map();
+    this.activeCalls = sharedStateService.collection('chat_calls');
+
+    // Connection entries expire unless the instance holding the socket keeps refreshing them,
+    // so users of a crashed instance drop offline instead of staying online forever
+    this.connectionTtl = parseInt(process.env.SOCKET_CONNECTION_TTL) || 90; // seconds
+    this.heartbeatTimer = setInterval(() => {
+      this.refreshConnections().catch(error => {
+        console.warn('⚠️ Connection heartbeat failed:', error.message);
+      });
+    }, this.connectionTtl * 1000 / 3);
+    this.heartbeatTimer.unref();
+
+    // Drop expired offline events once an hour
+    this.queuePruneTimer = setInterval(() => {
+      offlineQueueService.pruneExpired().catch(error => {
+        console.warn('⚠️ Offline queue prune skipped:', error.message);
+      });
+    }, 60 * 60 * 1000);
+    this.queuePruneTimer.unref();
+
+    // Sockets of a revoked device session are closed right away (on every server instance)
+    authSessionService.on('session_revoked', ({ sessionId, reason }) => {
+      this.disconnectAuthSession(sessionId, reason);
+    });
+
+    // Deactivated accounts go offline on every device
+    accountLifecycleService.on('account_deactivated', ({ userId, status }) => {
+      this.disconnectUser(userId, status);
+    });
+  }
+
+  // Number of authenticated users across all server instances
+  async getOnlineUsersCount() {
+    return this.connectedUsers.size();
   }
 
   handleConnection(socket) {
     console.log('New socket connection:', socket.id);
 
     // Authenticate socket connection
-    socket.on('authenticate', async (token) => {
+    // Accepts the token string, or { token, lastCursor } to replay queued events after that cursor
+    socket.on('authenticate', async (authData) => {
       try {
-        // Validate token format first
-        if (!token || typeof token !== 'string') {
-          throw new Error('Invalid token format');
-        }
-
-        const cleanToken = token.trim();
-        const tokenParts = cleanToken.split('.');
-        if (tokenParts.length !== 3) {
-          throw new Error('Malformed JWT token');
-        }
-
-        // Validate token with WordPress
-        const validation = await wordPressService.validateToken(cleanToken);
-        console.log('Token validation result:', validation);
-        
-        // Handle different response formats from WordPress JWT plugin
-        let userData = null;
-        
-        if (validation.data && validation.data.user) {
-          // Full user data response
-          userData = validation.data.user;
-        } else if (validation.data && validation.data.status === 200) {
-          // Simple validation response - need to extract user from token
-          try {
-            const tokenParts = cleanToken.split('.');
-            const payload = JSON.parse(Buffer.from(tokenParts[1], 'base64').toString());
-            if (payload.data && payload.data.user && payload.data.user.id) {
-              // Get user data from WordPress using the user ID
-              const userResponse = await wordPressService.getUserById(payload.data.user.id, cleanToken);
-              if (userResponse && userResponse.id) {
-                userData = {
-                  id: userResponse.id,
-                  user_email: userResponse.email,
-                  user_login: userResponse.username || userResponse.slug,
-                  display_name: userResponse.name,
-                  roles: userResponse.roles || ['subscriber']
-                };
-              }
-            }
-          } catch (decodeError) {
-            console.error('Error decoding token payload:', decodeError);
-          }
-        }
-        
-        if (!userData || !userData.id) {
-          throw new Error('Invalid token');
-        }
-
-        socket.userId = userData.id;
-        socket.userEmail = userData.user_email;
+        const token = authData && typeof authData === 'object' ? authData.token : authData;
+        const lastCursor = authData && typeof authData === 'object' ? authData.lastCursor : 0;
+        const device = authData && typeof authData === 'object' ? authData.device : null;
+
+        // Verify token through the shared auth service (same path as the REST API)
+        const user = await authService.verifyToken(token);
+        await twoFactorService.assertSessionToken(user);
+        const cleanToken = user.token;
+
+        socket.userId = user.id;
+        socket.userEmail = user.email;
+        socket.userName = user.displayName;
+        socket.userRole = user.role;
         socket.token = cleanToken;
+        socket.sessionId = user.sessionId || null;
         
-        // Store user connection
-        this.connectedUsers.set(socket.userId, {
-          socketId: socket.id,
-          userId: socket.userId,
-          email: socket.userEmail,
-          token: cleanToken,
-          lastSeen: new Date()
-        });
-
-        // Update user presence with token
-        await presenceService.setUserOnline(socket.userId, cleanToken);
+        // Store this device next to the user's other connected devices
+        const { previousStatus, status } = await this.addDevice(socket, device);
         
         // Join user to their personal room
         socket.join(`user_${socket.userId}`);
         console.log(`📞 User ${socket.userId} joined room: user_${socket.userId}`);
+        if (socket.sessionId) {
+          socket.join(`auth_session_${socket.sessionId}`);
+        }
         
-        // Verify room membership
+        // Verify room membership (local node only)
         const userRoom = `user_${socket.userId}`;
         const roomSockets = this.io.sockets.adapter.rooms.get(userRoom);
-        console.log(`📞 Room ${userRoom} now has ${roomSockets?.size || 0} sockets`);
-        
-        // Notify friends about online status
-        this.broadcastPresenceUpdate(socket.userId, 'online', cleanToken);
+        console.log(`📞 Room ${userRoom} now has ${roomSockets?.size || 0} local sockets`);
         
-        // Emit user status change for cache tracking
-        socket.broadcast.emit('user_status_change', {
-          userId: socket.userId,
-          status: 'online',
-          timestamp: Date.now()
-        });
+        // Presence only changes when this is the user's first active device
+        if (status !== previousStatus) {
+          await this.updatePresence(socket, status, cleanToken);
+        }
         
         // Send authentication success
         socket.emit('authenticated', {
@@ -112,12 +107,16 @@ class ChatHandler {
         });
         
         console.log(`✅ Socket authenticated for user ${socket.userId} (${socket.userEmail}) - Socket ID: ${socket.id}`);
+
+        // Replay realtime events missed while offline
+        await this.replayPendingEvents(socket, lastCursor);
         
       } catch (error) {
         console.error('Authentication failed:', error);
         socket.emit('authentication_error', {
           success: false,
-          message: error.message || 'Authentication failed'
+          message: error.message || 'Authentication failed',
+          error: error.code || 'AUTHENTICATION_FAILED'
         });
       }
     });
@@ -147,6 +146,16 @@ class ChatHandler {
       await this.handleMessageRead(socket, data);
     });
 
+    // Offline queue handlers
+    socket.on('message_ack', async (data) => {
+      await this.handleMessageAck(socket, data);
+    });
+
+    socket.on('sync_request', async (data) => {
+      if (!socket.userId) return;
+      await this.replayPendingEvents(socket, data?.lastCursor);
+    });
+
     // Voice call handlers
     socket.on('call_offer', async (data) => {
       await this.handleCallOffer(socket, data);
@@ -247,6 +256,11 @@ class ChatHandler {
       });
     });
 
+    // App moved to foreground/background: { state: 'active' | 'background' }
+    socket.on('device_state', async (data) => {
+      await this.handleDeviceState(socket, data);
+    });
+
     socket.on('connection_check', () => {
       socket.emit('connection_status', {
         connected: true,
@@ -283,6 +297,25 @@ class ChatHandler {
         userToken: socket.token
       };
 
+      // Participants are loaded once for the block check and for delivery
+      const threadParticipants = targetChatId
+        ? await chatService.getChatParticipants(targetChatId, socket.token)
+        : null;
+
+      // Messages to a user with a block relation look sent to the sender but are never delivered
+      if (await blockService.isMessageBlocked(socket.userId, { threadId: targetChatId, recipients, participants: threadParticipants }, socket.token)) {
+        const timestamp = new Date();
+        socket.emit('message_sent', {
+          tempId: data.tempId,
+          messageId: null,
+          timestamp,
+          chatId: targetChatId,
+          message: { message, messageType: messageData.messageType, media_url: mediaUrl, chatId: targetChatId, timestamp },
+          userId: socket.userId
+        });
+        return;
+      }
+
       // Save message using enhanced service (BuddyBoss first, WordPress fallback)
       const savedMessage = await chatService.sendMessage(messageData);
 
@@ -296,15 +329,24 @@ class ChatHandler {
       };
 
       // Get chat participants
-      const participants = await chatService.getChatParticipants(targetChatId, socket.token);
+      const participants = threadParticipants || await chatService.getChatParticipants(targetChatId, socket.token);
       
       // Emit to all participants with raw content (for cache service integration)
-      participants.forEach(participantId => {
-        this.io.to(`user_${participantId}`).emit('message_received', {
+      for (const participantId of participants) {
+        const receivedPayload = {
           chatId: targetChatId,
           message: responseMessage,
           userId: participantId
+        };
+
+        // Queue until acknowledged so offline or reconnecting devices get it on replay.
+        // Delivery does not wait for the write; live events are acknowledged by message id.
+        this.queueEvent(participantId, 'message_received', receivedPayload, {
+          chatId: targetChatId,
+          messageId: savedMessage.id
         });
+
+        this.io.to(`user_${participantId}`).emit('message_received', receivedPayload);
         
         // Emit chat list update to refresh chat list order and last message
         this.io.to(`user_${participantId}`).emit('chat_list_update', {
@@ -316,7 +358,7 @@ class ChatHandler {
             timestamp: responseMessage.timestamp
           }
         });
-      });
+      }
 
       // Send delivery confirmation to sender (for cache service integration)
       socket.emit('message_sent', {
@@ -337,6 +379,67 @@ class ChatHandler {
     }
   }
 
+  // Queue an event for a user; delivery still happens live if queueing fails
+  async queueEvent(userId, event, payload, options) {
+    try {
+      return await offlineQueueService.enqueue(userId, event, payload, options);
+    } catch (error) {
+      console.warn('⚠️ Offline queue unavailable, event not persisted:', error.message);
+      return null;
+    }
+  }
+
+  // Replay queued events after the client's last acknowledged cursor, then signal sync_complete
+  async replayPendingEvents(socket, lastCursor = 0) {
+    try {
+      const pending = await offlineQueueService.getPending(socket.userId, lastCursor);
+
+      pending.forEach(item => {
+        socket.emit(item.event, {
+          ...item.payload,
+          cursor: item.cursor,
+          replayed: true
+        });
+      });
+
+      const chats = [...new Set(pending.map(item => item.chatId).filter(Boolean))];
+      socket.emit('sync_complete', {
+        userId: socket.userId,
+        count: pending.length,
+        cursor: pending.length > 0 ? pending[pending.length - 1].cursor : (parseInt(lastCursor) || 0),
+        hasMore: pending.length >= offlineQueueService.replayLimit,
+        chats,
+        timestamp: Date.now()
+      });
+
+      console.log(`📬 Replayed ${pending.length} pending events for user ${socket.userId}`);
+    } catch (error) {
+      console.error('Error replaying pending events:', error);
+      socket.emit('sync_error', { message: 'Failed to replay pending events' });
+    }
+  }
+
+  async handleMessageAck(socket, data) {
+    try {
+      if (!socket.userId) return;
+
+      const { messageIds, messageId, cursor } = data || {};
+      const removed = await offlineQueueService.acknowledge(socket.userId, {
+        messageIds: messageIds || (messageId ? [messageId] : []),
+        cursor
+      });
+
+      socket.emit('message_ack_confirmed', {
+        messageIds: messageIds || (messageId ? [messageId] : []),
+        cursor: cursor || null,
+        removed
+      });
+    } catch (error) {
+      console.error('Error acknowledging messages:', error);
+      socket.emit('message_ack_error', { error: 'Failed to acknowledge messages' });
+    }
+  }
+
   async handleJoinChat(socket, data) {
     try {
       const { chatId, threadId } = data;
@@ -468,6 +571,19 @@ class ChatHandler {
       // Ensure consistent data types - convert to numbers
       const callerId = parseInt(socket.userId);
       const calleeId = parseInt(targetUserId);
+
+      if (await accountLifecycleService.isInactive(calleeId)) {
+        throw new Error('User is unavailable');
+      }
+
+      // Calls to a user with a block relation ring on the caller's side only, then time out
+      if (await blockService.isBlocked(callerId, calleeId)) {
+        const callId = roomName || `call_${Date.now()}`;
+        socket.emit('call_ringing', { callId, status: 'ringing' });
+        socket.emit('call_initiated', { callId, roomName: callId, status: 'ringing' });
+        setTimeout(() => socket.emit('call_timeout', { callId }), 30000).unref();
+        return;
+      }
       
       console.log('📞 Handling call offer:', {
         caller: callerId,
@@ -514,10 +630,11 @@ class ChatHandler {
         }
         
         // Store in active calls with consistent data types
-        this.activeCalls.set(callData.call_id, {
+        await this.activeCalls.set(callData.call_id, {
           callId: callData.call_id,
           caller: callerId,
           target: calleeId,
+          callerSocketId: socket.id,
           callType,
           status: 'ringing',
           roomName: callData.room_name,
@@ -576,12 +693,12 @@ class ChatHandler {
 
   async handleCallTimeout(callId) {
     try {
-      const call = this.activeCalls.get(callId);
+      const call = await this.activeCalls.get(callId);
       if (call && call.status === 'ringing') {
         console.log('📞 Call timeout:', callId);
         
         // Get token from the caller's connection for authentication
-        const callerConnection = this.connectedUsers.get(call.caller);
+        const callerConnection = await this.connectedUsers.get(call.caller);
         const authToken = callerConnection?.token;
         
         if (authToken) {
@@ -601,7 +718,7 @@ class ChatHandler {
         this.io.to(`user_${call.target}`).emit('call_missed', { callId });
         
         // Remove from active calls
-        this.activeCalls.delete(callId);
+        await this.activeCalls.delete(callId);
       }
     } catch (error) {
       console.error('❌ Error handling call timeout:', error);
@@ -612,7 +729,7 @@ class ChatHandler {
     try {
       const { callId, answer } = data;
       
-      const call = this.activeCalls.get(callId);
+      const call = await this.activeCalls.get(callId);
       if (!call) {
         console.error('❌ Call not found for callId:', callId);
         socket.emit('call_error', { message: 'Call not found' });
@@ -644,6 +761,8 @@ class ChatHandler {
       // Update call status
       call.status = 'connected';
       call.answeredAt = new Date();
+      call.targetSocketId = socket.id;
+      await this.activeCalls.set(callId, call);
       
       // Get caller's socket info
       const callerRoom = `user_${call.caller}`;
@@ -714,7 +833,7 @@ class ChatHandler {
     try {
       const { callId } = data;
       
-      const call = this.activeCalls.get(callId);
+      const call = await this.activeCalls.get(callId);
       if (!call) {
         console.error('❌ Call not found for rejection:', callId);
         socket.emit('call_error', { message: 'Call not found' });
@@ -746,7 +865,7 @@ class ChatHandler {
       }
       
       // Remove from active calls
-      this.activeCalls.delete(callId);
+      await this.activeCalls.delete(callId);
       console.log('📞 Call rejection handled successfully');
     } catch (error) {
       console.error('❌ Error handling call rejection:', error);
@@ -761,7 +880,7 @@ class ChatHandler {
     try {
       const { callId } = data;
       
-      const call = this.activeCalls.get(callId);
+      const call = await this.activeCalls.get(callId);
       if (!call) {
         console.error('❌ Call not found for ending:', callId);
         socket.emit('call_error', { message: 'Call not found' });
@@ -804,7 +923,7 @@ class ChatHandler {
       }
       
       // Remove from active calls
-      this.activeCalls.delete(callId);
+      await this.activeCalls.delete(callId);
       console.log('📞 Call end handled successfully');
     } catch (error) {
       console.error('❌ Error handling call end:', error);
@@ -906,6 +1025,17 @@ class ChatHandler {
       const { groupId, message, senderId, messageData } = data;
       
       console.log(`📤 Socket: Broadcasting group message to group ${groupId} from user ${senderId}`);
+
+      // Mentions were parsed and stored when the message was sent through the API
+      const messageId = messageData?.id || null;
+      let mentions = [];
+      if (messageId) {
+        try {
+          mentions = (await mentionService.getEntities([parseInt(messageId)])).get(String(messageId)) || [];
+        } catch (error) {
+          console.warn(`⚠️ Socket: Mentions of group message ${messageId} not loaded:`, error.message);
+        }
+      }
       
       // Broadcast to all group members except sender
       socket.to(`group_${groupId}`).emit('group_message_received', {
@@ -913,13 +1043,14 @@ class ChatHandler {
         message: messageData || message,
         senderId,
         timestamp: new Date().toISOString(),
-        messageId: messageData?.id || null
+        messageId,
+        mentions
       });
       
       // Confirm to sender that message was broadcasted
       socket.emit('group_message_sent', {
         groupId,
-        messageId: messageData?.id || null,
+        messageId,
         success: true
       });
     } catch (error) {
@@ -972,6 +1103,7 @@ class ChatHandler {
   async handleViewStatus(socket, data) {
     try {
       const { statusId, authorId } = data;
+      if (await blockService.isBlocked(socket.userId, authorId)) return;
       
       // Record status view
       await chatService.recordStatusView(statusId, socket.userId, socket.token);
@@ -990,6 +1122,7 @@ class ChatHandler {
   async handleLikeStatus(socket, data) {
     try {
       const { statusId, authorId } = data;
+      if (await blockService.isBlocked(socket.userId, authorId)) return;
       
       // Record status like
       await chatService.recordStatusLike(statusId, socket.userId, socket.token);
@@ -1008,32 +1141,23 @@ class ChatHandler {
   async handleDisconnect(socket) {
     if (socket.userId) {
       // Get user token for presence update
-      const userConnection = this.connectedUsers.get(socket.userId);
+      const userConnection = await this.connectedUsers.get(socket.userId);
       const token = userConnection?.token || socket.token;
       
-      // Remove from connected users
-      this.connectedUsers.delete(socket.userId);
-      
-      // Update presence to offline with token
-      await presenceService.setUserOffline(socket.userId, token);
-      
-      // Notify friends about offline status
-      this.broadcastPresenceUpdate(socket.userId, 'offline', token);
-      
-      // Emit user status change for cache tracking
-      socket.broadcast.emit('user_status_change', {
-        userId: socket.userId,
-        status: 'offline',
-        timestamp: Date.now()
-      });
+      // Remove this device; the user stays online while another device is active
+      const { previousStatus, status } = await this.removeDevice(socket.userId, socket.id);
+      if (status !== previousStatus) {
+        await this.updatePresence(socket, status, token);
+      }
       
-      // End any active calls (handle data type consistency)
+      // End the calls this device is in; a call still ringing on other devices ends with the last one
       const socketUserId = parseInt(socket.userId);
-      for (const [callId, call] of this.activeCalls.entries()) {
+      for (const [callId, call] of await this.activeCalls.entries()) {
         const callerId = parseInt(call.caller);
         const targetId = parseInt(call.target);
+        const onThisDevice = call.callerSocketId === socket.id || call.targetSocketId === socket.id;
         
-        if (callerId === socketUserId || targetId === socketUserId) {
+        if ((callerId === socketUserId || targetId === socketUserId) && (onThisDevice || status === 'offline')) {
           const otherUserId = callerId === socketUserId ? targetId : callerId;
           this.io.to(`user_${otherUserId}`).emit('call_ended', { callId });
           
@@ -1045,7 +1169,7 @@ class ChatHandler {
             console.warn('⚠️ Database update skipped (API endpoint may not exist):', dbError.message);
           }
           
-          this.activeCalls.delete(callId);
+          await this.activeCalls.delete(callId);
         }
       }
       
@@ -1053,6 +1177,254 @@ class ChatHandler {
     }
   }
 
+  /**
+   * MULTI-DEVICE SESSIONS
+   * connected_users holds one entry per user with a device per socket:
+   * { userId, email, token, lastSeen, devices: { [socketId]: { platform, appVersion, state, ... } } }
+   * Presence is online while any device is active, away while all are in background, offline when none are left.
+   * Every device carries heartbeatAt; devices whose instance stopped refreshing it no longer count.
+   */
+  getPresenceStatus(connection) {
+    const devices = Object.values(this.getLiveDevices(connection));
+    if (devices.length === 0) return 'offline';
+    return devices.some(device => device.state !== 'background') ? 'online' : 'away';
+  }
+
+  getLiveDevices(connection) {
+    const cutoff = Date.now() - this.connectionTtl * 1000;
+    return Object.fromEntries(
+      Object.entries(connection?.devices || {})
+        .filter(([, device]) => new Date(device.heartbeatAt || device.connectedAt).getTime() > cutoff)
+    );
+  }
+
+  buildDevice(socket, now) {
+    const metadata = socket.deviceInfo || {};
+    const handshake = socket.handshake || {};
+
+    return {
+      socketId: socket.id,
+      deviceId: metadata.deviceId || null,
+      deviceName: metadata.deviceName || null,
+      platform: metadata.platform || null,
+      appVersion: metadata.appVersion || null,
+      userAgent: handshake.headers?.['user-agent'] || null,
+      ip: handshake.address || null,
+      state: metadata.state === 'background' ? 'background' : 'active',
+      connectedAt: now,
+      lastSeen: now,
+      heartbeatAt: now
+    };
+  }
+
+  async addDevice(socket, device = null) {
+    socket.deviceInfo = device && typeof device === 'object' ? device : {};
+    let previousStatus = 'offline';
+
+    const connection = await this.connectedUsers.update(socket.userId, (current) => {
+      previousStatus = this.getPresenceStatus(current);
+      const now = new Date();
+
+      return {
+        userId: socket.userId,
+        email: socket.userEmail,
+        token: socket.token,
+        lastSeen: now,
+        devices: {
+          ...this.getLiveDevices(current),
+          [socket.id]: this.buildDevice(socket, now)
+        }
+      };
+    }, this.connectionTtl);
+
+    return { previousStatus, status: this.getPresenceStatus(connection) };
+  }
+
+  /**
+   * Heartbeat: refresh the entries of users connected to this instance and re-add
+   * devices that expired while the instance was stalled
+   */
+  async refreshConnections() {
+    const socketsByUser = new Map();
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (!socket.userId || !socket.connected) continue;
+      if (!socketsByUser.has(socket.userId)) socketsByUser.set(socket.userId, []);
+      socketsByUser.get(socket.userId).push(socket);
+    }
+
+    for (const [userId, sockets] of socketsByUser) {
+      await this.connectedUsers.update(userId, (current) => {
+        const now = new Date();
+        const devices = this.getLiveDevices(current);
+
+        for (const socket of sockets) {
+          devices[socket.id] = devices[socket.id]
+            ? { ...devices[socket.id], heartbeatAt: now }
+            : this.buildDevice(socket, now);
+        }
+
+        return {
+          userId,
+          email: sockets[0].userEmail,
+          token: sockets[0].token,
+          lastSeen: now,
+          ...current,
+          devices
+        };
+      }, this.connectionTtl);
+    }
+  }
+
+  async removeDevice(userId, socketId) {
+    let previousStatus = 'offline';
+
+    const connection = await this.connectedUsers.update(userId, (current) => {
+      previousStatus = this.getPresenceStatus(current);
+      if (!current) return null;
+
+      const devices = this.getLiveDevices(current);
+      delete devices[socketId];
+      if (Object.keys(devices).length === 0) return null;
+
+      return { ...current, devices, lastSeen: new Date() };
+    }, this.connectionTtl);
+
+    return { previousStatus, status: this.getPresenceStatus(connection) };
+  }
+
+  async handleDeviceState(socket, data) {
+    if (!socket.userId) return;
+
+    const state = data?.state === 'background' ? 'background' : 'active';
+    socket.deviceInfo = { ...socket.deviceInfo, state };
+    let previousStatus = 'offline';
+
+    const connection = await this.connectedUsers.update(socket.userId, (current) => {
+      previousStatus = this.getPresenceStatus(current);
+      if (!current?.devices?.[socket.id]) return current;
+
+      const now = new Date();
+      return {
+        ...current,
+        lastSeen: now,
+        devices: {
+          ...current.devices,
+          [socket.id]: { ...current.devices[socket.id], state, lastSeen: now, heartbeatAt: now }
+        }
+      };
+    }, this.connectionTtl);
+
+    const status = this.getPresenceStatus(connection);
+    if (status !== previousStatus) {
+      await this.updatePresence(socket, status, connection?.token || socket.token);
+    }
+  }
+
+  // Persist and broadcast an aggregated presence change
+  async updatePresence(socket, status, token) {
+    if (status === 'online') {
+      await presenceService.setUserOnline(socket.userId, token);
+    } else if (status === 'away') {
+      await presenceService.setUserAway(socket.userId);
+    } else {
+      await presenceService.setUserOffline(socket.userId, token);
+    }
+
+    // Notify friends about the status change
+    this.broadcastPresenceUpdate(socket.userId, status, token);
+
+    // Emit user status change for cache tracking (users with a block relation are left out)
+    const hiddenRooms = [...await blockService.getHiddenUserIds(socket.userId)].map(userId => `user_${userId}`);
+    socket.broadcast.except(hiddenRooms).emit('user_status_change', {
+      userId: socket.userId,
+      status,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Connected devices of a user
+   * Entries left behind by a crashed server instance are dropped
+   */
+  async getUserSessions(userId) {
+    const connection = await this.connectedUsers.get(userId);
+    if (!connection?.devices) return [];
+
+    const liveSocketIds = new Set((await this.io.in(`user_${userId}`).fetchSockets()).map(s => s.id));
+    const staleSocketIds = Object.keys(connection.devices).filter(socketId => !liveSocketIds.has(socketId));
+    for (const socketId of staleSocketIds) {
+      await this.removeDevice(userId, socketId);
+    }
+
+    return Object.values(connection.devices)
+      .filter(device => liveSocketIds.has(device.socketId))
+      .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+  }
+
+  /**
+   * Disconnect one of the user's devices (works across server instances)
+   */
+  async terminateSession(userId, socketId) {
+    const connection = await this.connectedUsers.get(userId);
+    if (!connection?.devices?.[socketId]) return false;
+
+    this.io.to(socketId).emit('session_terminated', {
+      socketId,
+      reason: 'terminated_by_user',
+      timestamp: Date.now()
+    });
+    this.io.in(socketId).disconnectSockets(true);
+
+    console.log(`🔌 User ${userId} terminated session ${socketId}`);
+    return true;
+  }
+
+  /**
+   * Disconnect every socket authenticated with a revoked auth session
+   */
+  disconnectAuthSession(sessionId, reason = 'revoked') {
+    const room = `auth_session_${sessionId}`;
+
+    this.io.to(room).emit('session_revoked', {
+      sessionId,
+      reason,
+      timestamp: Date.now()
+    });
+    this.io.in(room).disconnectSockets(true);
+
+    console.log(`🔌 Auth session ${sessionId} revoked (${reason}), sockets disconnected`);
+  }
+
+  /**
+   * Disconnect every socket of a user (account deactivated or scheduled for deletion)
+   */
+  disconnectUser(userId, reason) {
+    const room = `user_${userId}`;
+
+    this.io.to(room).emit('account_deactivated', {
+      userId,
+      reason,
+      timestamp: Date.now()
+    });
+    this.io.in(room).disconnectSockets(true);
+
+    console.log(`🔌 User ${userId} disconnected (${reason})`);
+  }
+
+  /**
+   * Emit an event to everyone in a conversation: the group room, or every device of each thread participant
+   */
+  emitToConversation({ scope, conversationId, participantIds = [] }, event, payload) {
+    if (scope === 'group') {
+      this.io.to(`group_${conversationId}`).emit(event, payload);
+      return;
+    }
+
+    participantIds.forEach(participantId => {
+      this.io.to(`user_${participantId}`).emit(event, payload);
+    });
+  }
+
   async broadcastPresenceUpdate(userId, status, userToken) {
     try {
       // Get user's friends/contacts
@@ -1072,6 +1444,7 @@ class ChatHandler {
         }
         
         // Notify each friend about presence change
+        friends = await blockService.filterUsers(userId, friends);
         friends.forEach(friend => {
           const friendId = friend.id || friend.user_id || friend.ID;
           if (friendId) {
@@ -1,56 +1,278 @@
 /**
  * Simple Call Socket Handler - Clean WebSocket events for calling
- * No WordPress, no database - just pure signaling
+ * Server-authoritative call state machine:
+ *   ringing -> connected -> ended
+ *   ringing -> rejected | missed | busy
+ * Finished calls are written to call history through callService
  */
 
+const sharedStateService = require('../services/sharedStateService');
+const callService = require('../services/callService');
+const accountLifecycleService = require('../services/accountLifecycleService');
+const blockService = require('../services/blockService');
+
+// Allowed transitions; terminal states remove the call from active state
+const CALL_TRANSITIONS = {
+  ringing: ['connected', 'rejected', 'missed', 'ended'],
+  connected: ['ended']
+};
+const TERMINAL_STATES = ['ended', 'rejected', 'missed', 'busy'];
+
+// Call history only knows these statuses
+const HISTORY_STATUS = {
+  connected: 'answered',
+  ended: 'ended',
+  rejected: 'rejected',
+  missed: 'missed',
+  busy: 'missed'
+};
+
 const simpleCallHandlers = (io) => {
-  // Track active calls
-  const activeCalls = new Map();
-  
+  // Track active calls (shared between server instances)
+  const activeCalls = sharedStateService.collection('simple_calls');
+
+  // The call each user is ringing or talking in (userId -> callId), claimed atomically so two
+  // simultaneous offers cannot both find a user free
+  const busyUsers = sharedStateService.collection('simple_call_users');
+
+  // Ring timers live on the node that received the offer
+  const ringTimers = new Map();
+  const ringTimeout = parseInt(process.env.SIMPLE_CALL_RING_TIMEOUT) || 30000;
+
+  // Call entries expire unless a node holding one of the call's sockets keeps refreshing them,
+  // so calls of a crashed node do not leave their users busy
+  const callStateTtl = parseInt(process.env.SIMPLE_CALL_STATE_TTL) || 90; // seconds
+
+  // Calls to a user with a block relation only ring on the caller's side (callId -> { caller, timer })
+  const silencedCalls = new Map();
+
   // Helper to get user's socket room
   const getUserRoom = (userId) => `user_${userId}`;
-  
+
   // Helper to log call events
   const logCall = (event, data) => {
     console.log(`📞 [${new Date().toISOString()}] ${event}:`, data);
   };
 
+  const isSameUser = (a, b) => String(a) === String(b);
+
+  // Apply a state transition atomically; returns the updated call or null if not allowed
+  const transitionCall = async (callId, nextStatus, changes = {}) => {
+    let result = null;
+
+    await activeCalls.update(callId, (call) => {
+      result = null;
+      if (!call || !(CALL_TRANSITIONS[call.status] || []).includes(nextStatus)) {
+        return call;
+      }
+
+      result = {
+        ...call,
+        ...changes,
+        previousStatus: call.status,
+        status: nextStatus,
+        updatedAt: Date.now()
+      };
+      return TERMINAL_STATES.includes(nextStatus) ? null : result;
+    }, callStateTtl);
+
+    if (result && TERMINAL_STATES.includes(nextStatus)) {
+      clearRingTimer(callId);
+      await releaseUsers(result);
+    }
+
+    return result;
+  };
+
+  const clearRingTimer = (callId) => {
+    const timer = ringTimers.get(callId);
+    if (timer) {
+      clearTimeout(timer);
+      ringTimers.delete(callId);
+    }
+  };
+
+  // Claim the user for a call; returns the id of the call holding the user instead, or null
+  const reserveUser = async (userId, callId) => {
+    let busyCallId = null;
+
+    await busyUsers.update(String(userId), (current) => {
+      busyCallId = current && current !== callId ? current : null;
+      return busyCallId ? current : callId;
+    }, callStateTtl);
+
+    return busyCallId;
+  };
+
+  // Claim both parties or neither
+  const reserveUsers = async (call) => {
+    const callerBusyWith = await reserveUser(call.caller, call.id);
+    if (callerBusyWith) return callerBusyWith;
+
+    const targetBusyWith = await reserveUser(call.target, call.id);
+    if (targetBusyWith) {
+      await releaseUsers({ id: call.id, caller: call.caller });
+      return targetBusyWith;
+    }
+
+    return null;
+  };
+
+  // Free the parties still held by the call
+  const releaseUsers = async (call) => {
+    for (const userId of [call.caller, call.target]) {
+      if (userId === undefined) continue;
+      await busyUsers.update(String(userId), current => (current === call.id ? null : current));
+    }
+  };
+
+  const getCallDuration = (call) => {
+    return call.connectTime ? Math.round((Date.now() - call.connectTime) / 1000) : 0;
+  };
+
+  // Create the call history record (signalling-only calls have none otherwise)
+  const createCallRecord = async (call, token) => {
+    if (!token) return null;
+
+    try {
+      const result = await callService.initiateCall({
+        callerId: call.caller,
+        calleeId: call.target,
+        roomName: call.id,
+        isVideo: !!call.isVideo
+      }, token);
+      return result.data?.data?.call_id || result.data?.call_id || null;
+    } catch (error) {
+      console.warn('⚠️ Call history record not created:', error.message);
+      return null;
+    }
+  };
+
+  // Persist a status change to call history
+  const persistCall = async (call) => {
+    if (!call.recordId || !call.token) return;
+
+    try {
+      const duration = call.status === 'ended' ? getCallDuration(call) : null;
+      await callService.updateCallStatus(call.recordId, HISTORY_STATUS[call.status], call.token, duration);
+    } catch (error) {
+      console.warn('⚠️ Call history update skipped:', error.message);
+    }
+  };
+
+  // Ring timeout: unanswered calls become missed
+  const handleRingTimeout = async (callId) => {
+    ringTimers.delete(callId);
+
+    const call = await transitionCall(callId, 'missed', { endReason: 'timeout' });
+    if (!call) return; // Answered, rejected or ended in the meantime
+
+    logCall('CALL_MISSED', { callId, caller: call.caller, target: call.target });
+
+    const payload = { callId, reason: 'timeout' };
+    io.to(getUserRoom(call.caller)).emit('simple_call_missed', payload);
+    io.to(getUserRoom(call.target)).emit('simple_call_missed', payload);
+
+    await persistCall(call);
+  };
+
+  // Heartbeat: refresh the calls this node holds a socket of
+  const refreshCalls = async () => {
+    for (const [callId, call] of await activeCalls.entries()) {
+      if (io.sockets.sockets.has(call.callerSocketId) || io.sockets.sockets.has(call.targetSocketId)) {
+        await activeCalls.update(callId, current => current, callStateTtl);
+        await reserveUser(call.caller, callId);
+        await reserveUser(call.target, callId);
+      }
+    }
+  };
+
+  const heartbeatTimer = setInterval(() => {
+    refreshCalls().catch(error => console.warn('⚠️ Call heartbeat failed:', error.message));
+  }, callStateTtl * 1000 / 3);
+  heartbeatTimer.unref();
+
   return {
     // Handle call offer (initiate call)
-    handleCallOffer: (socket, data) => {
+    handleCallOffer: async (socket, data) => {
       try {
-        console.log('📞 [DEBUG] CALL_OFFER received from socket:', socket.id, 'data:', data);
-        console.log('📞 [DEBUG] Socket userId:', socket.userId);
-        
         const { callId, targetUserId, isVideo, offer, caller } = data;
-        const callerId = socket.userId || data.callerId || socket.id; // Fallback for testing
-        
+        const callerId = socket.userId;
+
+        if (!callerId) {
+          socket.emit('simple_call_error', { callId, error: 'Not authenticated' });
+          return;
+        }
+
+        if (!callId || !targetUserId || isSameUser(targetUserId, callerId)) {
+          socket.emit('simple_call_error', { callId, error: 'Invalid call data' });
+          return;
+        }
+
         logCall('CALL_OFFER', { callId, callerId, targetUserId, isVideo });
-        
-        // For testing: if no userId, try to infer from data
-        if (!socket.userId && data.callerId) {
-          socket.userId = data.callerId;
-        }
-        
-        // Store call info
-        activeCalls.set(callId, {
+
+        // Deactivated accounts cannot be called
+        if (await accountLifecycleService.isInactive(targetUserId)) {
+          socket.emit('simple_call_error', { callId, error: 'User unavailable' });
+          return;
+        }
+
+        if (await activeCalls.has(callId)) {
+          socket.emit('simple_call_error', { callId, error: 'Call already exists' });
+          return;
+        }
+
+        // Blocked: the caller sees a normal ringing call that is never answered
+        if (await blockService.isBlocked(callerId, targetUserId)) {
+          logCall('CALL_SILENCED', { callId, callerId, targetUserId });
+          silencedCalls.set(callId, {
+            caller: callerId,
+            timer: setTimeout(() => {
+              silencedCalls.delete(callId);
+              io.to(getUserRoom(callerId)).emit('simple_call_missed', { callId, reason: 'timeout' });
+            }, ringTimeout)
+          });
+          socket.emit('simple_call_initiated', { callId, ringTimeout });
+          return;
+        }
+
+        const call = {
           id: callId,
           caller: callerId,
           target: targetUserId,
           isVideo,
           status: 'ringing',
-          startTime: Date.now()
-        });
-        
-        // Send incoming call to target
-        const targetRoom = getUserRoom(targetUserId);
-        console.log('📞 [DEBUG] Sending call to room:', targetRoom);
-        
-        // Get room info for debugging
-        const roomSockets = io.sockets.adapter.rooms.get(targetRoom);
-        console.log('📞 [DEBUG] Room', targetRoom, 'has sockets:', roomSockets ? Array.from(roomSockets) : 'none');
-        
-        io.to(targetRoom).emit('simple_call_incoming', {
+          startTime: Date.now(),
+          callerSocketId: socket.id,
+          targetSocketId: null,
+          token: socket.token || null
+        };
+
+        // Busy: either party is already ringing or in a call
+        const busyCallId = await reserveUsers(call);
+        if (busyCallId) {
+          logCall('CALL_BUSY', { callId, targetUserId, activeCallId: busyCallId });
+          socket.emit('simple_call_busy', { callId, targetUserId });
+
+          const busyRecord = { ...call, status: 'busy' };
+          busyRecord.recordId = await createCallRecord(busyRecord, call.token);
+          await persistCall(busyRecord);
+          return;
+        }
+
+        try {
+          call.recordId = await createCallRecord(call, call.token);
+
+          // Store call info
+          await activeCalls.set(callId, call, callStateTtl);
+        } catch (error) {
+          await releaseUsers(call);
+          throw error;
+        }
+        ringTimers.set(callId, setTimeout(() => handleRingTimeout(callId), ringTimeout));
+
+        // Ring every device of the target
+        io.to(getUserRoom(targetUserId)).emit('simple_call_incoming', {
           callId,
           caller: caller || {
             id: callerId,
@@ -59,12 +281,10 @@ const simpleCallHandlers = (io) => {
           isVideo,
           offer
         });
-        
-        console.log('📞 [DEBUG] simple_call_incoming event emitted to room:', targetRoom);
-        
+
         // Confirm call initiated to caller
-        socket.emit('simple_call_initiated', { callId });
-        
+        socket.emit('simple_call_initiated', { callId, ringTimeout });
+
       } catch (error) {
         console.error('Error handling call offer:', error);
         socket.emit('simple_call_error', { error: 'Failed to initiate call' });
@@ -72,33 +292,46 @@ const simpleCallHandlers = (io) => {
     },
 
     // Handle call answer
-    handleCallAnswer: (socket, data) => {
+    handleCallAnswer: async (socket, data) => {
       try {
         const { callId, answer } = data;
-        const userId = socket.userId || socket.id; // Fallback for testing
-        
-        logCall('CALL_ANSWER', { callId, userId });
-        
-        const call = activeCalls.get(callId);
+        const userId = socket.userId;
+
+        logCall('CALL_ANSWER', { callId, userId, socketId: socket.id });
+
+        const current = await activeCalls.get(callId);
+        if (!current) {
+          socket.emit('simple_call_error', { callId, error: 'Call not found' });
+          return;
+        }
+
+        if (!isSameUser(current.target, userId)) {
+          socket.emit('simple_call_error', { callId, error: 'Not authorized' });
+          return;
+        }
+
+        const call = await transitionCall(callId, 'connected', {
+          connectTime: Date.now(),
+          targetSocketId: socket.id
+        });
         if (!call) {
-          socket.emit('simple_call_error', { error: 'Call not found' });
+          socket.emit('simple_call_error', { callId, error: 'Call already answered' });
           return;
         }
-        
-        // Update call status
-        call.status = 'connected';
-        call.connectTime = Date.now();
-        activeCalls.set(callId, call);
-        
-        // Send answer to caller
-        io.to(getUserRoom(call.caller)).emit('simple_call_answered', {
+        clearRingTimer(callId);
+
+        // Send answer to the calling device
+        io.to(call.callerSocketId).emit('simple_call_answered', {
           callId,
           answer
         });
-        
-        // Confirm to answerer
+
+        // Confirm to answerer and stop ringing on the target's other devices
         socket.emit('simple_call_connected', { callId });
-        
+        io.to(getUserRoom(call.target)).except(socket.id).emit('simple_call_answered_elsewhere', { callId });
+
+        await persistCall(call);
+
       } catch (error) {
         console.error('Error handling call answer:', error);
         socket.emit('simple_call_error', { error: 'Failed to answer call' });
@@ -106,70 +339,104 @@ const simpleCallHandlers = (io) => {
     },
 
     // Handle call reject
-    handleCallReject: (socket, data) => {
+    handleCallReject: async (socket, data) => {
       try {
         const { callId } = data;
-        const userId = socket.userId || socket.id; // Fallback for testing
-        
+        const userId = socket.userId;
+
         logCall('CALL_REJECT', { callId, userId });
-        
-        const call = activeCalls.get(callId);
+
+        const current = await activeCalls.get(callId);
+        if (!current) {
+          socket.emit('simple_call_error', { callId, error: 'Call not found' });
+          return;
+        }
+
+        if (!isSameUser(current.target, userId)) {
+          socket.emit('simple_call_error', { callId, error: 'Not authorized' });
+          return;
+        }
+
+        const call = await transitionCall(callId, 'rejected', { endReason: 'rejected' });
         if (!call) {
-          socket.emit('simple_call_error', { error: 'Call not found' });
+          socket.emit('simple_call_error', { callId, error: 'Call is no longer ringing' });
           return;
         }
-        
+
         // Send rejection to caller
         io.to(getUserRoom(call.caller)).emit('simple_call_rejected', {
           callId,
           reason: 'rejected'
         });
-        
-        // Remove call
-        activeCalls.delete(callId);
-        
-        // Confirm to rejecter
-        socket.emit('simple_call_ended', { callId });
-        
+
+        // Confirm to rejecter and stop ringing on the target's other devices
+        io.to(getUserRoom(call.target)).emit('simple_call_ended', { callId, reason: 'rejected' });
+
+        await persistCall(call);
+
       } catch (error) {
         console.error('Error handling call reject:', error);
         socket.emit('simple_call_error', { error: 'Failed to reject call' });
       }
     },
 
-    // Handle call end
-    handleCallEnd: (socket, data) => {
+    // Handle call end (hang up, or cancel while ringing)
+    handleCallEnd: async (socket, data) => {
       try {
         const { callId } = data;
-        const userId = socket.userId || socket.id; // Fallback for testing
-        
+        const userId = socket.userId;
+
         logCall('CALL_END', { callId, userId });
-        
-        const call = activeCalls.get(callId);
+
+        const silenced = silencedCalls.get(callId);
+        if (silenced && isSameUser(silenced.caller, userId)) {
+          clearTimeout(silenced.timer);
+          silencedCalls.delete(callId);
+          io.to(getUserRoom(userId)).emit('simple_call_ended', { callId, duration: 0, reason: 'cancelled', endedBy: userId });
+          return;
+        }
+
+        const current = await activeCalls.get(callId);
+        if (!current) {
+          socket.emit('simple_call_error', { callId, error: 'Call not found' });
+          return;
+        }
+
+        const isCaller = isSameUser(current.caller, userId);
+        if (!isCaller && !isSameUser(current.target, userId)) {
+          socket.emit('simple_call_error', { callId, error: 'Not authorized' });
+          return;
+        }
+
+        // Ending a ringing call: caller cancel -> missed, target hang-up -> rejected
+        let nextStatus = 'ended';
+        let reason = 'ended';
+        if (current.status === 'ringing') {
+          nextStatus = isCaller ? 'missed' : 'rejected';
+          reason = isCaller ? 'cancelled' : 'rejected';
+        }
+
+        const call = await transitionCall(callId, nextStatus, { endReason: reason, endedBy: userId });
         if (!call) {
-          socket.emit('simple_call_error', { error: 'Call not found' });
+          socket.emit('simple_call_error', { callId, error: 'Call not found' });
           return;
         }
-        
-        // Calculate call duration
-        const duration = call.connectTime ? 
-          Math.round((Date.now() - call.connectTime) / 1000) : 0;
-        
-        logCall('CALL_DURATION', { callId, duration: `${duration}s` });
-        
+
+        const duration = getCallDuration(call);
+        logCall('CALL_DURATION', { callId, status: call.status, duration: `${duration}s` });
+
         // Notify both parties
-        const participants = [call.caller, call.target];
-        participants.forEach(participantId => {
+        [call.caller, call.target].forEach(participantId => {
           io.to(getUserRoom(participantId)).emit('simple_call_ended', {
             callId,
             duration,
+            reason,
             endedBy: userId
           });
         });
-        
-        // Remove call
-        activeCalls.delete(callId);
-        
+
+        await persistCall(call);
+
       } catch (error) {
         console.error('Error handling call end:', error);
         socket.emit('simple_call_error', { error: 'Failed to end call' });
@@ -177,54 +444,71 @@ const simpleCallHandlers = (io) => {
     },
 
     // Handle ICE candidate exchange
-    handleIceCandidate: (socket, data) => {
+    handleIceCandidate: async (socket, data) => {
       try {
         const { callId, candidate } = data;
-        const userId = socket.userId || socket.id; // Fallback for testing
-        
-        const call = activeCalls.get(callId);
+        const userId = socket.userId;
+
+        const call = await activeCalls.get(callId);
         if (!call) {
           return; // Silently ignore unknown calls
         }
-        
-        // Forward ICE candidate to the other party
-        const otherParty = userId === call.caller ? call.target : call.caller;
-        io.to(getUserRoom(otherParty)).emit('simple_ice_candidate', {
-          callId,
-          candidate
-        });
-        
+
+        // Forward ICE candidate to the other party's active device
+        let destination = null;
+        if (isSameUser(userId, call.caller)) {
+          destination = call.targetSocketId || getUserRoom(call.target);
+        } else if (isSameUser(userId, call.target)) {
+          destination = call.callerSocketId;
+        }
+
+        if (destination) {
+          io.to(destination).emit('simple_ice_candidate', {
+            callId,
+            candidate
+          });
+        }
+
       } catch (error) {
         console.error('Error handling ICE candidate:', error);
       }
     },
 
     // Get active calls (for debugging)
-    getActiveCalls: () => {
-      return Array.from(activeCalls.values());
+    getActiveCalls: async () => {
+      return (await activeCalls.values()).map(({ token, ...call }) => call);
     },
 
-    // Clean up calls for disconnected user
-    cleanupUserCalls: (userId) => {
-      const userCalls = Array.from(activeCalls.entries())
-        .filter(([_, call]) => call.caller === userId || call.target === userId);
-      
-      userCalls.forEach(([callId, call]) => {
-        logCall('CLEANUP_CALL', { callId, disconnectedUser: userId });
-        
+    // Clean up calls when a device disconnects
+    // Only calls held by that device end; other devices of the same user keep ringing
+    cleanupUserCalls: async (userId, socketId = null) => {
+      const userCalls = (await activeCalls.values()).filter(call => {
+        if (!socketId) {
+          return isSameUser(call.caller, userId) || isSameUser(call.target, userId);
+        }
+        return call.callerSocketId === socketId || call.targetSocketId === socketId;
+      });
+
+      for (const activeCall of userCalls) {
+        const nextStatus = activeCall.status === 'ringing' ? 'missed' : 'ended';
+        const call = await transitionCall(activeCall.id, nextStatus, { endReason: 'disconnect', endedBy: userId });
+        if (!call) continue;
+
+        logCall('CLEANUP_CALL', { callId: call.id, disconnectedUser: userId, status: call.status });
+
         // Notify the other party
-        const otherParty = userId === call.caller ? call.target : call.caller;
+        const otherParty = isSameUser(userId, call.caller) ? call.target : call.caller;
         io.to(getUserRoom(otherParty)).emit('simple_call_ended', {
-          callId,
+          callId: call.id,
+          duration: getCallDuration(call),
           reason: 'disconnect',
           endedBy: userId
         });
-        
-        // Remove call
-        activeCalls.delete(callId);
-      });
+
+        await persistCall(call);
+      }
     }
   };
 };
 
-module.exports = simpleCallHandlers;
\ No newline at end of file
+module.exports = simpleCallHandlers;
@@ -3,10 +3,54 @@
  * Extends existing socket system without breaking 1-1 calls
  */
 
+const sharedStateService = require('../services/sharedStateService');
+const chatService = require('../services/chatService');
+const attendanceService = require('../services/attendanceService');
+const auditLogService = require('../services/auditLogService');
+
+// Typed error codes sent with video_room_error
+const VIDEO_ROOM_ERRORS = {
+  NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',
+  INVALID_ROOM_DATA: 'INVALID_ROOM_DATA',
+  INVALID_INVITE: 'INVALID_INVITE',
+  INVITE_EXPIRED: 'INVITE_EXPIRED',
+  NOT_ENROLLED: 'NOT_ENROLLED',
+  ROOM_FULL: 'ROOM_FULL',
+  ROOM_LOCKED: 'ROOM_LOCKED',
+  ADMIN_REQUIRED: 'ADMIN_REQUIRED',
+  USER_NOT_IN_ROOM: 'USER_NOT_IN_ROOM',
+  INVALID_POLL: 'INVALID_POLL',
+  POLL_NOT_FOUND: 'POLL_NOT_FOUND',
+  POLL_CLOSED: 'POLL_CLOSED',
+  INVALID_VOTE: 'INVALID_VOTE',
+  INVALID_BREAKOUTS: 'INVALID_BREAKOUTS',
+  BREAKOUTS_ACTIVE: 'BREAKOUTS_ACTIVE',
+  BREAKOUT_NOT_FOUND: 'BREAKOUT_NOT_FOUND',
+  JOIN_FAILED: 'JOIN_FAILED'
+};
+
+class VideoRoomError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'VideoRoomError';
+    this.code = code;
+  }
+}
+
 const videoRoomHandlers = (io) => {
-  // Track active video rooms
-  const activeRooms = new Map();
-  const userSockets = new Map(); // Track which socket belongs to which user
+  // Track active video rooms (shared between server instances)
+  const activeRooms = sharedStateService.collection('video_rooms');
+  const activePolls = sharedStateService.collection('video_room_polls');
+  const pollTimers = new Map(); // Poll timers live on the node that created the poll
+  const POLL_TTL = 24 * 60 * 60; // seconds
+  const MAX_POLL_OPTIONS = 10;
+  const breakoutTimers = new Map(); // Breakout countdowns live on the node that started them
+  const MAX_BREAKOUTS = 20;
+  const userSockets = new Map(); // Track which socket belongs to which user (per-connection, local to this node)
+
+  // Room entries expire unless a node with participants in the room keeps refreshing them;
+  // participants of a crashed node are dropped once their heartbeat is older than this
+  const ROOM_STATE_TTL = parseInt(process.env.VIDEO_ROOM_STATE_TTL) || 90; // seconds
   
   // Helper functions
   const logRoom = (event, data) => {
@@ -14,20 +58,74 @@ const videoRoomHandlers = (io) => {
   };
   
   const getUserRoom = (inviteCode) => `video_room_${inviteCode}`;
+
+  // Signalling scope: the main room or one breakout (every participant is in exactly one)
+  const getScopeRoom = (inviteCode, breakoutId = null) => breakoutId
+    ? `video_room_${inviteCode}_breakout_${breakoutId}`
+    : `video_room_${inviteCode}_main`;
+
+  const emitRoomError = (socket, code, message) => {
+    socket.emit('video_room_error', { code, message });
+  };
   
   class VideoRoom {
     constructor(inviteCode) {
       this.inviteCode = inviteCode;
       this.participants = new Map();
+      this.classInfo = {};
+      this.handQueue = []; // Ordered raised hands: { userId, userName, raisedAt }
+      this.spotlightUserId = null;
+      this.floorUserId = null;
+      this.isLocked = false;
+      this.breakouts = []; // [{ id, name }]
+      this.breakoutAssignments = {}; // userId -> breakoutId
+      this.breakoutEndsAt = null;
+      this.scheduledClass = null; // Set while the scheduler keeps the room open: { classId, teacherId, startsAt, endsAt }
       this.createdAt = new Date();
       this.isActive = true;
     }
 
+    static fromJSON(data) {
+      const room = new VideoRoom(data.inviteCode);
+      room.participants = new Map(Object.entries(data.participants || {}));
+      room.classInfo = data.classInfo || {};
+      room.handQueue = data.handQueue || [];
+      room.spotlightUserId = data.spotlightUserId || null;
+      room.floorUserId = data.floorUserId || null;
+      room.isLocked = !!data.isLocked;
+      room.breakouts = data.breakouts || [];
+      room.breakoutAssignments = data.breakoutAssignments || {};
+      room.breakoutEndsAt = data.breakoutEndsAt || null;
+      room.scheduledClass = data.scheduledClass || null;
+      room.createdAt = new Date(data.createdAt);
+      room.isActive = data.isActive;
+      return room;
+    }
+
+    toJSON() {
+      return {
+        inviteCode: this.inviteCode,
+        participants: Object.fromEntries(this.participants),
+        classInfo: this.classInfo,
+        handQueue: this.handQueue,
+        spotlightUserId: this.spotlightUserId,
+        floorUserId: this.floorUserId,
+        isLocked: this.isLocked,
+        breakouts: this.breakouts,
+        breakoutAssignments: this.breakoutAssignments,
+        breakoutEndsAt: this.breakoutEndsAt,
+        scheduledClass: this.scheduledClass,
+        createdAt: this.createdAt,
+        isActive: this.isActive
+      };
+    }
+
     addParticipant(socketId, userData) {
       this.participants.set(socketId, {
         ...userData,
         socketId,
-        joinedAt: new Date()
+        joinedAt: new Date(),
+        heartbeatAt: new Date()
       });
       logRoom('USER_JOINED', { room: this.inviteCode, user: userData.userName, total: this.participants.size });
     }
@@ -53,83 +151,685 @@ const videoRoomHandlers = (io) => {
     isEmpty() {
       return this.participants.size === 0;
     }
+
+    // Other users in the room (a rejoining user's stale sockets don't count)
+    countOtherUsers(userId) {
+      const userIds = new Set(
+        this.getParticipants()
+          .filter(p => String(p.userId) !== String(userId))
+          .map(p => String(p.userId))
+      );
+      return userIds.size;
+    }
+
+    hasUser(userId) {
+      return this.getParticipants().some(p => String(p.userId) === String(userId));
+    }
+
+    getAdminSocketIds() {
+      return this.getParticipants().filter(p => p.isAdmin).map(p => p.socketId);
+    }
+
+    raiseHand(userId, userName) {
+      if (this.handQueue.some(hand => String(hand.userId) === String(userId))) return false;
+      this.handQueue.push({ userId, userName, raisedAt: new Date() });
+      return true;
+    }
+
+    lowerHand(userId) {
+      const before = this.handQueue.length;
+      this.handQueue = this.handQueue.filter(hand => String(hand.userId) !== String(userId));
+      return this.handQueue.length !== before;
+    }
+
+    getHandQueue() {
+      return this.handQueue.map((hand, index) => ({ ...hand, position: index + 1 }));
+    }
+
+    // Drop hand, floor and spotlight of a user who has no sockets left in the room
+    releaseUser(userId) {
+      this.lowerHand(userId);
+      if (String(this.floorUserId) === String(userId)) this.floorUserId = null;
+      if (String(this.spotlightUserId) === String(userId)) this.spotlightUserId = null;
+    }
+
+    getBreakout(breakoutId) {
+      return this.breakouts.find(breakout => breakout.id === breakoutId) || null;
+    }
+
+    // Participants sharing a signalling scope (null = main room)
+    getScopeParticipants(breakoutId = null) {
+      return this.getParticipants().filter(p => (p.breakoutId || null) === (breakoutId || null));
+    }
+
+    getBreakoutSummary() {
+      return this.breakouts.map(breakout => ({
+        id: breakout.id,
+        name: breakout.name,
+        participantCount: this.getScopeParticipants(breakout.id).length
+      }));
+    }
+
+    getClassroomState() {
+      return {
+        isLocked: this.isLocked,
+        spotlightUserId: this.spotlightUserId,
+        floorUserId: this.floorUserId
+      };
+    }
   }
 
-  // Find user's socket in a specific room
-  const findUserSocket = (userId, inviteCode) => {
-    const room = activeRooms.get(inviteCode);
+  // Resolve the invite and the user's rights in the class; throws VideoRoomError
+  const authorizeJoin = async (inviteCode, userId, token) => {
+    let result;
+    try {
+      result = await chatService.joinLiveClassViaInvite(inviteCode, userId, token);
+    } catch (error) {
+      throw new VideoRoomError(VIDEO_ROOM_ERRORS.INVALID_INVITE, 'Invite code is invalid');
+    }
+
+    const invite = result?.data || result;
+    if (!invite || result?.success === false || !invite.group_id) {
+      throw new VideoRoomError(VIDEO_ROOM_ERRORS.INVALID_INVITE, result?.message || 'Invite code is invalid');
+    }
+
+    if (invite.expires_at && new Date(invite.expires_at).getTime() < Date.now()) {
+      throw new VideoRoomError(VIDEO_ROOM_ERRORS.INVITE_EXPIRED, 'Invite code has expired');
+    }
+
+    const classInfo = {
+      groupId: invite.group_id,
+      classId: invite.class_id || invite.id || null,
+      classTitle: invite.class_title || null,
+      courseId: invite.course_id || null,
+      bundleId: invite.bundle_id || null,
+      maxParticipants: parseInt(invite.max_participants) || null
+    };
+
+    // The teacher of a scheduled class is always admin of its room
+    const scheduledRoom = await getRoom(inviteCode);
+    const isTeacher = !!scheduledRoom?.scheduledClass?.teacherId
+      && String(scheduledRoom.scheduledClass.teacherId) === String(userId);
+    const isAdmin = isTeacher || await chatService.verifyGroupAdmin(classInfo.groupId, userId, token);
+
+    // Admins (teachers) always get in; students must be enrolled in the class course/bundle
+    if (!isAdmin && (classInfo.courseId || classInfo.bundleId)) {
+      const isEnrolled = await chatService.checkUserEnrollment(userId, classInfo.courseId, classInfo.bundleId, token);
+      if (!isEnrolled) {
+        throw new VideoRoomError(VIDEO_ROOM_ERRORS.NOT_ENROLLED, 'You are not enrolled in this class');
+      }
+    }
+
+    return { classInfo, isAdmin };
+  };
+
+  // Attendance is best-effort and never blocks signalling
+  const recordAttendance = async (label, work) => {
+    try {
+      await work();
+    } catch (error) {
+      console.warn(`⚠️ Attendance ${label} not recorded:`, error.message);
+    }
+  };
+
+  // Load a room from shared state
+  const getRoom = async (inviteCode) => {
+    const data = await activeRooms.get(inviteCode);
+    return data ? VideoRoom.fromJSON(data) : null;
+  };
+
+  // Scheduled rooms are kept until the class ends even when nobody is in them to refresh the entry
+  const getRoomTtl = (data) => {
+    const endsAt = data?.scheduledClass?.endsAt ? new Date(data.scheduledClass.endsAt).getTime() : 0;
+    return Math.max(ROOM_STATE_TTL, Math.ceil((endsAt - Date.now()) / 1000) + ROOM_STATE_TTL);
+  };
+
+  // Apply a change to a room atomically; empty rooms are removed unless a scheduled class keeps them open
+  const updateRoom = async (inviteCode, change) => {
+    const data = await activeRooms.update(inviteCode, (current) => {
+      const room = current ? VideoRoom.fromJSON(current) : null;
+      const updated = change(room);
+      return updated && (!updated.isEmpty() || updated.scheduledClass) ? updated.toJSON() : null;
+    }, getRoomTtl);
+    return data ? VideoRoom.fromJSON(data) : null;
+  };
+
+  // Find user's socket id in a specific room (the socket may live on another node)
+  const findUserSocketId = async (userId, inviteCode) => {
+    const room = await getRoom(inviteCode);
     if (!room) return null;
 
     for (const [socketId, participant] of room.participants) {
-      if (participant.userId === userId) {
-        return io.sockets.sockets.get(socketId);
+      if (String(participant.userId) === String(userId)) {
+        return socketId;
       }
     }
     return null;
   };
 
+  // Find a signalling peer: the target must share the sender's scope (main room or breakout)
+  const findPeerSocketId = async (socketId, inviteCode, targetUserId) => {
+    const room = await getRoom(inviteCode);
+    const sender = room?.participants.get(socketId);
+    if (!sender) return null;
+
+    const peer = room.getScopeParticipants(sender.breakoutId)
+      .find(p => String(p.userId) === String(targetUserId));
+    return peer ? peer.socketId : null;
+  };
+
+  // Move sockets into a scope room, leaving every other scope of the room (works across nodes)
+  const moveSocketsToScope = (room, socketIds, breakoutId = null) => {
+    if (socketIds.length === 0) return;
+
+    const target = getScopeRoom(room.inviteCode, breakoutId);
+    const others = [null, ...room.breakouts.map(breakout => breakout.id)]
+      .map(id => getScopeRoom(room.inviteCode, id))
+      .filter(scopeRoom => scopeRoom !== target);
+
+    io.in(socketIds).socketsLeave(others);
+    io.in(socketIds).socketsJoin(target);
+  };
+
+  // Tell every scope who is in it now (after breakouts start or end)
+  const emitScopeParticipants = (room) => {
+    [null, ...room.breakouts.map(breakout => breakout.id)].forEach(breakoutId => {
+      const breakout = room.getBreakout(breakoutId);
+      io.to(getScopeRoom(room.inviteCode, breakoutId)).emit('video_room_breakout_moved', {
+        breakoutId,
+        breakoutName: breakout ? breakout.name : null,
+        endsAt: breakoutId ? room.breakoutEndsAt : null,
+        participants: room.getScopeParticipants(breakoutId)
+      });
+    });
+  };
+
+  // Close all breakouts and bring everyone back to the main room
+  const recallBreakouts = async (inviteCode, recalledBy = null) => {
+    const timer = breakoutTimers.get(inviteCode);
+    if (timer) {
+      clearTimeout(timer);
+      breakoutTimers.delete(inviteCode);
+    }
+
+    let previousBreakouts = [];
+    const room = await updateRoom(inviteCode, (current) => {
+      if (!current || current.breakouts.length === 0) return current;
+      previousBreakouts = current.breakouts;
+      current.breakouts = [];
+      current.breakoutAssignments = {};
+      current.breakoutEndsAt = null;
+      current.participants.forEach(participant => { participant.breakoutId = null; });
+      return current;
+    });
+
+    if (!room || previousBreakouts.length === 0) return false;
+
+    // Leave rooms are computed from the breakouts that existed before the recall
+    moveSocketsToScope({ inviteCode, breakouts: previousBreakouts }, Array.from(room.participants.keys()), null);
+    emitScopeParticipants(room);
+    io.to(getUserRoom(inviteCode)).emit('video_room_breakouts_ended', { recalledBy });
+
+    logRoom('BREAKOUTS_ENDED', { inviteCode, recalledBy });
+    return true;
+  };
+
+  const scheduleBreakoutRecall = (inviteCode, delayMs) => {
+    clearTimeout(breakoutTimers.get(inviteCode));
+    breakoutTimers.set(inviteCode, setTimeout(() => {
+      breakoutTimers.delete(inviteCode);
+      recallBreakouts(inviteCode).catch(error => console.error('📹 Video Room Breakout Timer Error:', error));
+    }, delayMs));
+  };
+
+  // Ordered hand queue goes to admins only; students just see hand raised/lowered broadcasts
+  const emitHandQueue = (room) => {
+    const adminSocketIds = room.getAdminSocketIds();
+    if (adminSocketIds.length > 0) {
+      io.to(adminSocketIds).emit('video_room_hand_queue', { queue: room.getHandQueue() });
+    }
+  };
+
+  // Resolve the caller's room and require admin rights; emits ADMIN_REQUIRED otherwise
+  const requireRoomAdmin = async (socket) => {
+    const userInfo = userSockets.get(socket.id);
+    if (!userInfo || !userInfo.isVideoRoom) return null;
+
+    const room = await getRoom(userInfo.inviteCode);
+    const participant = room?.participants.get(socket.id);
+    if (!participant?.isAdmin) {
+      emitRoomError(socket, VIDEO_ROOM_ERRORS.ADMIN_REQUIRED, 'Admin permissions required');
+      return null;
+    }
+
+    return { userInfo, room };
+  };
+
+  // Admin: Mute user
+  const handleMuteUser = async (inviteCode, targetUserId, shouldMute, actorId = null) => {
+    const room = await getRoom(inviteCode);
+    const targetSocketId = await findUserSocketId(targetUserId, inviteCode);
+    if (room && targetSocketId) {
+      io.to(targetSocketId).emit('video_room_admin_mute', { shouldMute });
+      
+      // Notify other participants
+      io.to(getUserRoom(inviteCode)).except(targetSocketId).emit('video_room_participant_muted', {
+        userId: targetUserId,
+        isMuted: shouldMute
+      });
+      
+      logRoom('ADMIN_MUTE', { targetUserId, shouldMute });
+
+      await recordAttendance('mute', () => attendanceService.recordEvent(inviteCode, room.classInfo, shouldMute ? 'mute' : 'unmute', {
+        userId: targetUserId,
+        actorId
+      }));
+    }
+    return !!targetSocketId;
+  };
+
+  // Admin: Kick user (actorSocket is the admin's socket, for the audit log)
+  const handleKickUser = async (inviteCode, targetUserId, reason, actorId = null, actorSocket = null) => {
+    const room = await getRoom(inviteCode);
+    const targetSocketId = await findUserSocketId(targetUserId, inviteCode);
+    if (room && targetSocketId) {
+      const target = room.participants.get(targetSocketId);
+      await auditLogService.record({
+        actor: actorId ? { id: actorId, displayName: actorSocket?.userName } : null,
+        action: 'video_room.kick',
+        resourceType: 'video_room',
+        resourceId: inviteCode,
+        targetUserId,
+        before: { userName: target?.userName || null, isAdmin: !!target?.isAdmin },
+        after: { kicked: true },
+        context: {
+          reason: reason || null,
+          groupId: room.classInfo.groupId ?? null,
+          classId: room.classInfo.classId ?? null
+        },
+        ip: actorSocket?.handshake?.address || null,
+        userAgent: actorSocket?.handshake?.headers?.['user-agent'] || null
+      });
+
+      // Close the interval as kicked before the disconnect closes it as a plain disconnect
+      await recordAttendance('kick', async () => {
+        await attendanceService.recordEvent(inviteCode, room.classInfo, 'kick', {
+          userId: targetUserId,
+          actorId,
+          data: { reason: reason || null }
+        });
+        await attendanceService.recordLeave(inviteCode, targetSocketId, 'kicked');
+      });
+
+      io.to(targetSocketId).emit('video_room_admin_kick', { reason: reason || 'Kicked by admin' });
+      io.in(targetSocketId).disconnectSockets();
+      
+      logRoom('ADMIN_KICK', { targetUserId, reason });
+    }
+    return !!targetSocketId;
+  };
+
+  // Admin: Give a student the floor (auto-unmute and take their hand down)
+  const handleGrantFloor = async (inviteCode, targetUserId, actorId) => {
+    let previousFloorUserId = null;
+    const room = await updateRoom(inviteCode, (current) => {
+      if (!current || !current.hasUser(targetUserId)) return current;
+      previousFloorUserId = current.floorUserId;
+      current.floorUserId = targetUserId;
+      current.lowerHand(targetUserId);
+      return current;
+    });
+
+    if (!room || String(room.floorUserId) !== String(targetUserId)) return false;
+
+    // Only one student holds the floor at a time
+    if (previousFloorUserId && String(previousFloorUserId) !== String(targetUserId)) {
+      await handleMuteUser(inviteCode, previousFloorUserId, true, actorId);
+    }
+    await handleMuteUser(inviteCode, targetUserId, false, actorId);
+
+    io.to(getUserRoom(inviteCode)).emit('video_room_floor_granted', { userId: targetUserId, grantedBy: actorId });
+    emitHandQueue(room);
+
+    logRoom('FLOOR_GRANTED', { inviteCode, targetUserId, actorId });
+    await recordAttendance('floor', () => attendanceService.recordEvent(inviteCode, room.classInfo, 'floor_granted', {
+      userId: targetUserId,
+      actorId
+    }));
+    return true;
+  };
+
+  // Admin: Take the floor back (mutes the holder)
+  const handleRevokeFloor = async (inviteCode, actorId) => {
+    let floorUserId = null;
+    const room = await updateRoom(inviteCode, (current) => {
+      if (!current) return current;
+      floorUserId = current.floorUserId;
+      current.floorUserId = null;
+      return current;
+    });
+
+    if (!room || !floorUserId) return false;
+
+    await handleMuteUser(inviteCode, floorUserId, true, actorId);
+    io.to(getUserRoom(inviteCode)).emit('video_room_floor_revoked', { userId: floorUserId, revokedBy: actorId });
+
+    logRoom('FLOOR_REVOKED', { inviteCode, floorUserId, actorId });
+    return true;
+  };
+
+  // Admin: Spotlight a participant for everyone (null clears it)
+  const handleSpotlight = async (inviteCode, targetUserId, actorId) => {
+    const room = await updateRoom(inviteCode, (current) => {
+      if (!current) return current;
+      if (targetUserId && !current.hasUser(targetUserId)) return current;
+      current.spotlightUserId = targetUserId || null;
+      return current;
+    });
+
+    if (!room || String(room.spotlightUserId) !== String(targetUserId || null)) return false;
+
+    io.to(getUserRoom(inviteCode)).emit('video_room_spotlight_changed', { userId: room.spotlightUserId, changedBy: actorId });
+
+    logRoom('SPOTLIGHT', { inviteCode, targetUserId, actorId });
+    return true;
+  };
+
+  // Admin: Mute every non-admin participant
+  const handleMuteAll = async (inviteCode, actorId) => {
+    const room = await updateRoom(inviteCode, (current) => {
+      if (!current) return current;
+      current.floorUserId = null;
+      return current;
+    });
+    if (!room) return false;
+
+    const roomName = getUserRoom(inviteCode);
+    io.to(roomName).except(room.getAdminSocketIds()).emit('video_room_admin_mute', { shouldMute: true });
+    io.to(roomName).emit('video_room_all_muted', { mutedBy: actorId });
+
+    logRoom('MUTE_ALL', { inviteCode, actorId });
+    await recordAttendance('mute_all', () => attendanceService.recordEvent(inviteCode, room.classInfo, 'mute_all', { actorId }));
+    return true;
+  };
+
+  // Admin: Lock or unlock the room for new joins
+  const handleLockRoom = async (inviteCode, locked, actorId) => {
+    const room = await updateRoom(inviteCode, (current) => {
+      if (!current) return current;
+      current.isLocked = !!locked;
+      return current;
+    });
+    if (!room) return false;
+
+    io.to(getUserRoom(inviteCode)).emit('video_room_lock_changed', { isLocked: room.isLocked, changedBy: actorId });
+
+    logRoom(room.isLocked ? 'ROOM_LOCKED' : 'ROOM_UNLOCKED', { inviteCode, actorId });
+    return true;
+  };
+
+  // Poll view sent to clients (answers stay hidden until the poll closes)
+  const getPollView = (poll) => ({
+    pollId: poll.id,
+    question: poll.question,
+    options: poll.options,
+    type: poll.type,
+    isQuiz: poll.correctOptionIds.length > 0,
+    durationSeconds: poll.durationSeconds,
+    closesAt: poll.closesAt,
+    status: poll.status,
+    createdBy: poll.createdBy,
+    createdAt: poll.createdAt
+  });
+
+  // Aggregated counts per option
+  const getPollResults = (poll) => {
+    const counts = poll.options.map(option => ({ optionId: option.id, text: option.text, votes: 0 }));
+    const votes = Object.values(poll.votes);
+    votes.forEach(optionIds => optionIds.forEach(optionId => { counts[optionId].votes++; }));
+
+    return {
+      pollId: poll.id,
+      totalVoters: votes.length,
+      counts
+    };
+  };
+
+  // Final results with correct answers and per-user scoring for quizzes
+  const getFinalPollResults = (poll) => {
+    const results = getPollResults(poll);
+    if (poll.correctOptionIds.length === 0) return results;
+
+    const correct = [...poll.correctOptionIds].sort().join(',');
+    const answers = Object.entries(poll.votes).map(([userId, optionIds]) => ({
+      userId,
+      optionIds,
+      isCorrect: [...optionIds].sort().join(',') === correct
+    }));
+
+    return {
+      ...results,
+      correctOptionIds: poll.correctOptionIds,
+      correctCount: answers.filter(answer => answer.isCorrect).length,
+      answers
+    };
+  };
+
+  const getRoomPolls = async (inviteCode) => {
+    return (await activePolls.values()).filter(poll => poll.inviteCode === inviteCode && poll.status === 'open');
+  };
+
+  // Close a poll once (timer or teacher), broadcast final results and save them with the class metadata
+  const closePoll = async (pollId, closedBy = null) => {
+    const timer = pollTimers.get(pollId);
+    if (timer) {
+      clearTimeout(timer);
+      pollTimers.delete(pollId);
+    }
+
+    let closed = false;
+    const poll = await activePolls.update(pollId, (current) => {
+      closed = false;
+      if (!current || current.status !== 'open') return current;
+      closed = true;
+      return { ...current, status: 'closed', closedAt: new Date(), closedBy };
+    });
+
+    if (!closed) return null;
+
+    const results = getFinalPollResults(poll);
+    const { answers, ...publicResults } = results; // Individual answers are only saved, never broadcast
+    io.to(getUserRoom(poll.inviteCode)).emit('video_room_poll_closed', {
+      ...getPollView(poll),
+      results: publicResults,
+      closedBy
+    });
+
+    logRoom('POLL_CLOSED', { pollId, inviteCode: poll.inviteCode, voters: results.totalVoters });
+
+    const metadata = await chatService.addClassMetadata(poll.groupId, {
+      type: 'live_class_poll',
+      invite_code: poll.inviteCode,
+      class_id: poll.classId,
+      poll: {
+        id: poll.id,
+        question: poll.question,
+        type: poll.type,
+        options: poll.options,
+        created_by: poll.createdBy,
+        created_at: poll.createdAt,
+        closed_at: poll.closedAt,
+        results
+      }
+    }, poll.token);
+
+    if (metadata?.metadata_skipped) {
+      console.warn(`⚠️ Poll ${pollId} results not saved to class metadata:`, metadata.error);
+    }
+
+    await activePolls.delete(pollId);
+    return results;
+  };
+
   // Handle user disconnect from video room
-  const handleUserDisconnect = (socket) => {
+  const handleUserDisconnect = async (socket, reason = 'left') => {
     const userInfo = userSockets.get(socket.id);
     if (!userInfo || !userInfo.isVideoRoom) return; // Not in a video room
 
-    const room = activeRooms.get(userInfo.inviteCode);
-    if (!room) return;
+    userSockets.delete(socket.id);
 
     // Remove participant from room
-    const participant = room.removeParticipant(socket.id);
-    userSockets.delete(socket.id);
+    let participant = null;
+    let previousState = null;
+    const room = await updateRoom(userInfo.inviteCode, (current) => {
+      if (!current) return null;
+      previousState = { ...current.getClassroomState(), hands: current.handQueue.length };
+      participant = current.removeParticipant(socket.id);
+      if (participant && !current.hasUser(participant.userId)) {
+        current.releaseUser(participant.userId);
+      }
+      return current;
+    });
 
-    // Notify other participants
+    // Notify other participants and close the attendance interval
     if (participant) {
-      socket.to(getUserRoom(userInfo.inviteCode)).emit('video_room_user_left', {
+      socket.to(getScopeRoom(userInfo.inviteCode, participant.breakoutId)).emit('video_room_user_left', {
         userId: participant.userId,
         socketId: socket.id
       });
+
+      if (room) {
+        if (previousState.spotlightUserId && !room.spotlightUserId) {
+          io.to(getUserRoom(userInfo.inviteCode)).emit('video_room_spotlight_changed', { userId: null, changedBy: null });
+        }
+        if (previousState.floorUserId && !room.floorUserId) {
+          io.to(getUserRoom(userInfo.inviteCode)).emit('video_room_floor_revoked', { userId: previousState.floorUserId, revokedBy: null });
+        }
+        if (previousState.hands !== room.handQueue.length) {
+          emitHandQueue(room);
+        }
+      }
+
+      await recordAttendance('leave', () => attendanceService.recordLeave(userInfo.inviteCode, socket.id, reason));
     }
 
-    // Clean up empty room
-    if (room.isEmpty()) {
-      activeRooms.delete(userInfo.inviteCode);
+    // Empty rooms are dropped by updateRoom; their open polls are closed and saved
+    if (!room) {
       logRoom('ROOM_CLEANED', { inviteCode: userInfo.inviteCode });
+
+      clearTimeout(breakoutTimers.get(userInfo.inviteCode));
+      breakoutTimers.delete(userInfo.inviteCode);
+
+      for (const poll of await getRoomPolls(userInfo.inviteCode)) {
+        await closePoll(poll.id);
+      }
     }
   };
 
+  // Heartbeat: refresh rooms with participants on this node and drop participants
+  // whose node stopped refreshing them (crashed instance)
+  const refreshRooms = async () => {
+    for (const [inviteCode, data] of await activeRooms.entries()) {
+      const socketIds = Object.keys(data.participants || {});
+      if (!socketIds.some(socketId => io.sockets.sockets.has(socketId))) continue;
+
+      const cutoff = Date.now() - ROOM_STATE_TTL * 1000;
+      const dropped = [];
+      const room = await updateRoom(inviteCode, (current) => {
+        if (!current) return null;
+        for (const participant of current.getParticipants()) {
+          if (io.sockets.sockets.has(participant.socketId)) {
+            participant.heartbeatAt = new Date();
+          } else if (new Date(participant.heartbeatAt || participant.joinedAt).getTime() <= cutoff) {
+            dropped.push(current.removeParticipant(participant.socketId));
+          }
+        }
+        for (const participant of dropped) {
+          if (!current.hasUser(participant.userId)) current.releaseUser(participant.userId);
+        }
+        return current;
+      });
+
+      for (const participant of dropped) {
+        io.to(getScopeRoom(inviteCode, participant.breakoutId)).emit('video_room_user_left', {
+          userId: participant.userId,
+          socketId: participant.socketId
+        });
+        await recordAttendance('leave', () => attendanceService.recordLeave(inviteCode, participant.socketId, 'disconnect'));
+      }
+      if (room && dropped.length > 0) {
+        emitHandQueue(room);
+      }
+    }
+  };
+
+  const heartbeatTimer = setInterval(() => {
+    refreshRooms().catch(error => console.warn('⚠️ Video room heartbeat failed:', error.message));
+  }, ROOM_STATE_TTL * 1000 / 3);
+  heartbeatTimer.unref();
+
   return {
     // Handle video room join
-    handleVideoRoomJoin: (socket, data) => {
+    handleVideoRoomJoin: async (socket, data) => {
       try {
-        const { inviteCode, userId, userName, avatar, isAdmin } = data;
-        
-        if (!inviteCode || !userId || !userName) {
-          socket.emit('video_room_error', { message: 'Invalid room data' });
+        const { inviteCode, avatar } = data || {};
+        const userId = socket.userId;
+
+        if (!userId || !socket.token) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.NOT_AUTHENTICATED, 'Authentication required');
           return;
         }
 
+        if (!inviteCode) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.INVALID_ROOM_DATA, 'Invalid room data');
+          return;
+        }
+
+        const userName = socket.userName || `User ${userId}`;
         logRoom('JOIN_REQUEST', { inviteCode, userId, userName, socketId: socket.id });
 
-        // Get or create room
-        let room = activeRooms.get(inviteCode);
-        if (!room) {
-          room = new VideoRoom(inviteCode);
-          activeRooms.set(inviteCode, room);
-          logRoom('ROOM_CREATED', { inviteCode });
-        }
+        const { classInfo, isAdmin } = await authorizeJoin(inviteCode, userId, socket.token);
 
-        // Join socket to room
-        const roomName = getUserRoom(inviteCode);
-        socket.join(roomName);
-        
-        // Add participant to room
+        // Get or create room, then add participant (capacity checked atomically)
         const userData = { userId, userName, avatar, isAdmin };
-        room.addParticipant(socket.id, userData);
-        userSockets.set(socket.id, { inviteCode, userId, isVideoRoom: true });
+        let breakoutId = null;
+        let isFull = false;
+        let isLocked = false;
+        const room = await updateRoom(inviteCode, (current) => {
+          const target = current || new VideoRoom(inviteCode);
+          if (!current) {
+            target.classInfo = classInfo;
+            logRoom('ROOM_CREATED', { inviteCode, groupId: classInfo.groupId });
+          }
 
-        // Set userId for compatibility with existing handlers
-        socket.userId = userId;
+          // Locked rooms only take admins and devices of users already inside
+          isLocked = target.isLocked && !isAdmin && !target.hasUser(userId);
 
-        // Notify existing participants about new user
-        socket.to(roomName).emit('video_room_user_joined', {
+          const { maxParticipants } = target.classInfo;
+          isFull = !isAdmin && !!maxParticipants && target.countOtherUsers(userId) >= maxParticipants;
+          if (!isFull && !isLocked) {
+            // Users assigned to a breakout go straight back to it
+            breakoutId = target.getBreakout(target.breakoutAssignments[userId]) ? target.breakoutAssignments[userId] : null;
+            target.addParticipant(socket.id, { ...userData, breakoutId });
+          }
+          return target;
+        });
+
+        if (isLocked) {
+          throw new VideoRoomError(VIDEO_ROOM_ERRORS.ROOM_LOCKED, 'Live class is locked');
+        }
+
+        if (isFull) {
+          throw new VideoRoomError(VIDEO_ROOM_ERRORS.ROOM_FULL, 'Live class is full');
+        }
+
+        // Join socket to the room and its signalling scope
+        const scopeRoom = getScopeRoom(inviteCode, breakoutId);
+        socket.join([getUserRoom(inviteCode), scopeRoom]);
+        userSockets.set(socket.id, { inviteCode, userId, isVideoRoom: true });
+
+        // Notify existing participants in the same scope about new user
+        socket.to(scopeRoom).emit('video_room_user_joined', {
           userId,
           userName,
           avatar,
@@ -137,17 +837,26 @@ const videoRoomHandlers = (io) => {
           socketId: socket.id
         });
 
-        // Send current participants to new user
-        const currentParticipants = room.getParticipants()
+        // Send current participants of the scope to new user
+        const currentParticipants = room.getScopeParticipants(breakoutId)
           .filter(p => p.socketId !== socket.id);
+        const breakout = room.getBreakout(breakoutId);
         
         socket.emit('video_room_joined', {
           success: true,
           participants: currentParticipants,
           roomInfo: {
             inviteCode,
-            participantCount: room.getParticipantCount()
-          }
+            participantCount: room.getParticipantCount(),
+            maxParticipants: room.classInfo.maxParticipants,
+            classTitle: room.classInfo.classTitle,
+            isAdmin,
+            ...room.getClassroomState(),
+            handQueue: isAdmin ? room.getHandQueue() : undefined,
+            breakout: breakout ? { ...breakout, endsAt: room.breakoutEndsAt } : null,
+            breakouts: isAdmin ? room.getBreakoutSummary() : undefined
+          },
+          activePolls: (await getRoomPolls(inviteCode)).map(getPollView)
         });
 
         logRoom('JOIN_SUCCESS', { 
@@ -156,14 +865,21 @@ const videoRoomHandlers = (io) => {
           totalParticipants: room.getParticipantCount() 
         });
 
+        await recordAttendance('join', () => attendanceService.recordJoin(inviteCode, room.classInfo, room.participants.get(socket.id)));
+
       } catch (error) {
+        if (error instanceof VideoRoomError) {
+          logRoom('JOIN_REJECTED', { inviteCode: data?.inviteCode, userId: socket.userId, code: error.code });
+          emitRoomError(socket, error.code, error.message);
+          return;
+        }
         console.error('📹 Video Room Join Error:', error);
-        socket.emit('video_room_error', { message: 'Failed to join room' });
+        emitRoomError(socket, VIDEO_ROOM_ERRORS.JOIN_FAILED, 'Failed to join room');
       }
     },
 
     // Handle WebRTC offer for video rooms
-    handleVideoRoomOffer: (socket, data) => {
+    handleVideoRoomOffer: async (socket, data) => {
       try {
         const { offer, targetUserId } = data;
         const userInfo = userSockets.get(socket.id);
@@ -173,10 +889,10 @@ const videoRoomHandlers = (io) => {
           return;
         }
 
-        // Find target user's socket
-        const targetSocket = findUserSocket(targetUserId, userInfo.inviteCode);
-        if (targetSocket) {
-          targetSocket.emit('video_room_offer', {
+        // Find target user's socket in the sender's scope
+        const targetSocketId = await findPeerSocketId(socket.id, userInfo.inviteCode, targetUserId);
+        if (targetSocketId) {
+          io.to(targetSocketId).emit('video_room_offer', {
             offer,
             fromUserId: userInfo.userId,
             fromSocketId: socket.id
@@ -190,7 +906,7 @@ const videoRoomHandlers = (io) => {
     },
 
     // Handle WebRTC answer for video rooms
-    handleVideoRoomAnswer: (socket, data) => {
+    handleVideoRoomAnswer: async (socket, data) => {
       try {
         const { answer, targetUserId } = data;
         const userInfo = userSockets.get(socket.id);
@@ -200,10 +916,10 @@ const videoRoomHandlers = (io) => {
           return;
         }
 
-        // Find target user's socket
-        const targetSocket = findUserSocket(targetUserId, userInfo.inviteCode);
-        if (targetSocket) {
-          targetSocket.emit('video_room_answer', {
+        // Find target user's socket in the sender's scope
+        const targetSocketId = await findPeerSocketId(socket.id, userInfo.inviteCode, targetUserId);
+        if (targetSocketId) {
+          io.to(targetSocketId).emit('video_room_answer', {
             answer,
             fromUserId: userInfo.userId,
             fromSocketId: socket.id
@@ -217,7 +933,7 @@ const videoRoomHandlers = (io) => {
     },
 
     // Handle ICE candidates for video rooms
-    handleVideoRoomIceCandidate: (socket, data) => {
+    handleVideoRoomIceCandidate: async (socket, data) => {
       try {
         const { candidate, targetUserId } = data;
         const userInfo = userSockets.get(socket.id);
@@ -226,10 +942,10 @@ const videoRoomHandlers = (io) => {
           return;
         }
 
-        // Find target user's socket
-        const targetSocket = findUserSocket(targetUserId, userInfo.inviteCode);
-        if (targetSocket) {
-          targetSocket.emit('video_room_ice_candidate', {
+        // Find target user's socket in the sender's scope
+        const targetSocketId = await findPeerSocketId(socket.id, userInfo.inviteCode, targetUserId);
+        if (targetSocketId) {
+          io.to(targetSocketId).emit('video_room_ice_candidate', {
             candidate,
             fromUserId: userInfo.userId,
             fromSocketId: socket.id
@@ -242,7 +958,7 @@ const videoRoomHandlers = (io) => {
     },
 
     // Handle media state changes
-    handleVideoRoomMediaState: (socket, data) => {
+    handleVideoRoomMediaState: async (socket, data) => {
       try {
         const { isAudioEnabled, isVideoEnabled } = data;
         const userInfo = userSockets.get(socket.id);
@@ -251,8 +967,12 @@ const videoRoomHandlers = (io) => {
           return;
         }
 
-        // Broadcast media state to other participants
-        socket.to(getUserRoom(userInfo.inviteCode)).emit('video_room_media_change', {
+        const room = await getRoom(userInfo.inviteCode);
+        const participant = room?.participants.get(socket.id);
+        if (!participant) return;
+
+        // Broadcast media state to other participants in the same scope
+        socket.to(getScopeRoom(userInfo.inviteCode, participant.breakoutId)).emit('video_room_media_change', {
           userId: userInfo.userId,
           socketId: socket.id,
           isAudioEnabled,
@@ -265,97 +985,576 @@ const videoRoomHandlers = (io) => {
           video: isVideoEnabled 
         });
 
+        await recordAttendance('media', () => attendanceService.recordEvent(userInfo.inviteCode, room.classInfo, 'media', {
+          userId: userInfo.userId,
+          data: { isAudioEnabled, isVideoEnabled }
+        }));
+
       } catch (error) {
         console.error('📹 Video Room Media State Error:', error);
       }
     },
 
     // Handle admin actions
-    handleVideoRoomAdminAction: (socket, data) => {
+    handleVideoRoomAdminAction: async (socket, data) => {
       try {
         const { action, targetUserId, reason } = data;
-        const userInfo = userSockets.get(socket.id);
-        
-        if (!userInfo || !userInfo.isVideoRoom) {
-          return;
-        }
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
 
-        const room = activeRooms.get(userInfo.inviteCode);
-        const participant = room?.participants.get(socket.id);
-        
-        // Verify admin permissions
-        if (!participant?.isAdmin) {
-          socket.emit('video_room_error', { message: 'Admin permissions required' });
-          return;
-        }
+        const { inviteCode, userId } = admin.userInfo;
+        let handled = true;
 
         switch (action) {
           case 'mute-user':
-            this.handleMuteUser(userInfo.inviteCode, targetUserId, true);
+            handled = await handleMuteUser(inviteCode, targetUserId, true, userId);
             break;
           case 'unmute-user':
-            this.handleMuteUser(userInfo.inviteCode, targetUserId, false);
+            handled = await handleMuteUser(inviteCode, targetUserId, false, userId);
             break;
           case 'kick-user':
-            this.handleKickUser(userInfo.inviteCode, targetUserId, reason);
+            handled = await handleKickUser(inviteCode, targetUserId, reason, userId, socket);
+            break;
+          case 'grant-floor':
+            handled = await handleGrantFloor(inviteCode, targetUserId, userId);
+            break;
+          case 'revoke-floor':
+            handled = await handleRevokeFloor(inviteCode, userId);
+            break;
+          case 'spotlight':
+            handled = await handleSpotlight(inviteCode, targetUserId, userId);
+            break;
+          case 'mute-all':
+            handled = await handleMuteAll(inviteCode, userId);
+            break;
+          case 'lock-room':
+          case 'unlock-room':
+            handled = await handleLockRoom(inviteCode, action === 'lock-room', userId);
             break;
           default:
             console.error('📹 Unknown admin action:', action);
         }
 
+        if (!handled) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.USER_NOT_IN_ROOM, 'User is not in this room');
+        }
+
       } catch (error) {
         console.error('📹 Video Room Admin Action Error:', error);
       }
     },
 
-    // Handle room leave
-    handleVideoRoomLeave: (socket) => {
-      handleUserDisconnect(socket);
+    // Student: raise hand (joins the ordered queue)
+    handleVideoRoomRaiseHand: async (socket) => {
+      try {
+        const userInfo = userSockets.get(socket.id);
+        if (!userInfo || !userInfo.isVideoRoom) return;
+
+        let raised = false;
+        const room = await updateRoom(userInfo.inviteCode, (current) => {
+          if (!current) return current;
+          const participant = current.participants.get(socket.id);
+          raised = !!participant && current.raiseHand(userInfo.userId, participant.userName);
+          return current;
+        });
+
+        if (!room || !raised) return;
+
+        const hand = room.getHandQueue().find(entry => String(entry.userId) === String(userInfo.userId));
+        io.to(getUserRoom(userInfo.inviteCode)).emit('video_room_hand_raised', {
+          userId: userInfo.userId,
+          userName: hand.userName,
+          position: hand.position
+        });
+        emitHandQueue(room);
+
+        logRoom('HAND_RAISED', { inviteCode: userInfo.inviteCode, userId: userInfo.userId, position: hand.position });
+
+      } catch (error) {
+        console.error('📹 Video Room Raise Hand Error:', error);
+      }
     },
 
-    // Admin: Mute user
-    handleMuteUser: (inviteCode, targetUserId, shouldMute) => {
-      const targetSocket = findUserSocket(targetUserId, inviteCode);
-      if (targetSocket) {
-        targetSocket.emit('video_room_admin_mute', { shouldMute });
-        
-        // Notify other participants
-        targetSocket.to(getUserRoom(inviteCode)).emit('video_room_participant_muted', {
+    // Student lowers own hand, or admin lowers someone else's (targetUserId)
+    handleVideoRoomLowerHand: async (socket, data = {}) => {
+      try {
+        const userInfo = userSockets.get(socket.id);
+        if (!userInfo || !userInfo.isVideoRoom) return;
+
+        let targetUserId = userInfo.userId;
+        if (data?.targetUserId && String(data.targetUserId) !== String(userInfo.userId)) {
+          if (!await requireRoomAdmin(socket)) return;
+          targetUserId = data.targetUserId;
+        }
+
+        let lowered = false;
+        const room = await updateRoom(userInfo.inviteCode, (current) => {
+          if (!current) return current;
+          lowered = current.lowerHand(targetUserId);
+          return current;
+        });
+
+        if (!room || !lowered) return;
+
+        io.to(getUserRoom(userInfo.inviteCode)).emit('video_room_hand_lowered', {
           userId: targetUserId,
-          isMuted: shouldMute
+          loweredBy: userInfo.userId
         });
-        
-        logRoom('ADMIN_MUTE', { targetUserId, shouldMute });
+        emitHandQueue(room);
+
+        logRoom('HAND_LOWERED', { inviteCode: userInfo.inviteCode, targetUserId, by: userInfo.userId });
+
+      } catch (error) {
+        console.error('📹 Video Room Lower Hand Error:', error);
       }
     },
 
-    // Admin: Kick user
-    handleKickUser: (inviteCode, targetUserId, reason) => {
-      const targetSocket = findUserSocket(targetUserId, inviteCode);
-      if (targetSocket) {
-        targetSocket.emit('video_room_admin_kick', { reason: reason || 'Kicked by admin' });
-        targetSocket.disconnect();
-        
-        logRoom('ADMIN_KICK', { targetUserId, reason });
+    // Admin: grant the floor to a student ({ targetUserId }), or take it back ({ targetUserId: null })
+    handleVideoRoomGrantFloor: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        const { inviteCode, userId } = admin.userInfo;
+        const handled = data?.targetUserId
+          ? await handleGrantFloor(inviteCode, data.targetUserId, userId)
+          : await handleRevokeFloor(inviteCode, userId);
+
+        if (!handled && data?.targetUserId) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.USER_NOT_IN_ROOM, 'User is not in this room');
+        }
+
+      } catch (error) {
+        console.error('📹 Video Room Grant Floor Error:', error);
       }
     },
 
+    // Admin: spotlight a participant ({ targetUserId }, null clears)
+    handleVideoRoomSpotlight: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        const handled = await handleSpotlight(admin.userInfo.inviteCode, data?.targetUserId || null, admin.userInfo.userId);
+        if (!handled) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.USER_NOT_IN_ROOM, 'User is not in this room');
+        }
+
+      } catch (error) {
+        console.error('📹 Video Room Spotlight Error:', error);
+      }
+    },
+
+    // Admin: mute everyone except admins
+    handleVideoRoomMuteAll: async (socket) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        await handleMuteAll(admin.userInfo.inviteCode, admin.userInfo.userId);
+
+      } catch (error) {
+        console.error('📹 Video Room Mute All Error:', error);
+      }
+    },
+
+    // Admin: lock or unlock the room ({ locked })
+    handleVideoRoomLock: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        await handleLockRoom(admin.userInfo.inviteCode, data?.locked !== false, admin.userInfo.userId);
+
+      } catch (error) {
+        console.error('📹 Video Room Lock Error:', error);
+      }
+    },
+
+    // Admin: create a poll or quiz
+    // { question, options: [text], type: 'single' | 'multiple', correctOptionIds?: [index], durationSeconds? }
+    handleVideoRoomPollCreate: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        const { question, options, type = 'single', correctOptionIds = [], durationSeconds } = data || {};
+        const texts = Array.isArray(options) ? options.map(option => String(option || '').trim()) : [];
+        const correct = Array.isArray(correctOptionIds) ? [...new Set(correctOptionIds.map(Number))] : [];
+
+        const isValid = typeof question === 'string' && question.trim().length > 0
+          && texts.length >= 2 && texts.length <= MAX_POLL_OPTIONS && texts.every(Boolean)
+          && ['single', 'multiple'].includes(type)
+          && correct.every(id => Number.isInteger(id) && id >= 0 && id < texts.length)
+          && !(type === 'single' && correct.length > 1);
+
+        if (!isValid) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.INVALID_POLL, 'Invalid poll data');
+          return;
+        }
+
+        const { inviteCode, userId } = admin.userInfo;
+        const duration = parseInt(durationSeconds) > 0 ? parseInt(durationSeconds) : null;
+        const poll = {
+          id: `poll_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          inviteCode,
+          groupId: admin.room.classInfo.groupId,
+          classId: admin.room.classInfo.classId || inviteCode,
+          question: question.trim(),
+          options: texts.map((text, index) => ({ id: index, text })),
+          type,
+          correctOptionIds: correct,
+          durationSeconds: duration,
+          closesAt: duration ? new Date(Date.now() + duration * 1000) : null,
+          status: 'open',
+          votes: {},
+          createdBy: userId,
+          createdAt: new Date(),
+          token: socket.token
+        };
+
+        await activePolls.set(poll.id, poll, POLL_TTL);
+        if (duration) {
+          pollTimers.set(poll.id, setTimeout(() => {
+            closePoll(poll.id).catch(error => console.error('📹 Video Room Poll Timer Error:', error));
+          }, duration * 1000));
+        }
+
+        io.to(getUserRoom(inviteCode)).emit('video_room_poll_started', getPollView(poll));
+        logRoom('POLL_CREATED', { inviteCode, pollId: poll.id, options: texts.length, duration });
+
+      } catch (error) {
+        console.error('📹 Video Room Poll Create Error:', error);
+      }
+    },
+
+    // Participant: vote on an open poll ({ pollId, optionIds }); a new vote replaces the previous one
+    handleVideoRoomPollVote: async (socket, data = {}) => {
+      try {
+        const userInfo = userSockets.get(socket.id);
+        if (!userInfo || !userInfo.isVideoRoom) return;
+
+        const { pollId } = data || {};
+        const optionIds = [...new Set((Array.isArray(data?.optionIds) ? data.optionIds : [data?.optionId]).map(Number))];
+
+        let error = null;
+        const poll = await activePolls.update(pollId, (current) => {
+          error = null;
+          if (!current || current.inviteCode !== userInfo.inviteCode) {
+            error = [VIDEO_ROOM_ERRORS.POLL_NOT_FOUND, 'Poll not found'];
+            return current;
+          }
+          if (current.status !== 'open') {
+            error = [VIDEO_ROOM_ERRORS.POLL_CLOSED, 'Poll is closed'];
+            return current;
+          }
+
+          const validOptions = optionIds.length > 0
+            && optionIds.every(id => Number.isInteger(id) && id >= 0 && id < current.options.length)
+            && (current.type === 'multiple' || optionIds.length === 1);
+          if (!validOptions) {
+            error = [VIDEO_ROOM_ERRORS.INVALID_VOTE, 'Invalid vote'];
+            return current;
+          }
+
+          return { ...current, votes: { ...current.votes, [userInfo.userId]: optionIds } };
+        });
+
+        if (error) {
+          emitRoomError(socket, error[0], error[1]);
+          return;
+        }
+
+        socket.emit('video_room_poll_vote_accepted', { pollId, optionIds });
+        io.to(getUserRoom(userInfo.inviteCode)).emit('video_room_poll_results', getPollResults(poll));
+
+      } catch (error) {
+        console.error('📹 Video Room Poll Vote Error:', error);
+      }
+    },
+
+    // Admin: close a poll early ({ pollId })
+    handleVideoRoomPollClose: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        const poll = await activePolls.get(data?.pollId);
+        if (!poll || poll.inviteCode !== admin.userInfo.inviteCode) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.POLL_NOT_FOUND, 'Poll not found');
+          return;
+        }
+
+        await closePoll(poll.id, admin.userInfo.userId);
+
+      } catch (error) {
+        console.error('📹 Video Room Poll Close Error:', error);
+      }
+    },
+
+    // Admin: split participants into breakouts
+    // { mode: 'random', count, names?, durationSeconds? } or { mode: 'manual', rooms: [{ name, userIds }], durationSeconds? }
+    handleVideoRoomBreakoutStart: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        const { inviteCode, userId } = admin.userInfo;
+        const { mode = 'random', count, names = [], rooms = [], durationSeconds } = data || {};
+        const duration = parseInt(durationSeconds) > 0 ? parseInt(durationSeconds) : null;
+
+        let error = null;
+        const room = await updateRoom(inviteCode, (current) => {
+          error = null;
+          if (!current) return current;
+          if (current.breakouts.length > 0) {
+            error = [VIDEO_ROOM_ERRORS.BREAKOUTS_ACTIVE, 'Breakout rooms are already running'];
+            return current;
+          }
+
+          const assignments = {};
+          let breakouts = [];
+
+          if (mode === 'manual') {
+            if (!Array.isArray(rooms) || rooms.length === 0 || rooms.length > MAX_BREAKOUTS) {
+              error = [VIDEO_ROOM_ERRORS.INVALID_BREAKOUTS, 'Invalid breakout rooms'];
+              return current;
+            }
+            breakouts = rooms.map((entry, index) => ({ id: `b${index + 1}`, name: entry?.name || `Room ${index + 1}` }));
+            rooms.forEach((entry, index) => {
+              (Array.isArray(entry?.userIds) ? entry.userIds : []).forEach(assignedUserId => {
+                assignments[assignedUserId] = assignments[assignedUserId] || breakouts[index].id;
+              });
+            });
+          } else {
+            // Random: shuffle students (admins stay in the main room) and deal them round-robin
+            const students = [...new Set(current.getParticipants().filter(p => !p.isAdmin).map(p => String(p.userId)))];
+            const total = parseInt(count);
+            if (!(total >= 2) || total > MAX_BREAKOUTS || total > students.length) {
+              error = [VIDEO_ROOM_ERRORS.INVALID_BREAKOUTS, 'Invalid number of breakout rooms'];
+              return current;
+            }
+            breakouts = Array.from({ length: total }, (_, index) => ({ id: `b${index + 1}`, name: names[index] || `Room ${index + 1}` }));
+            for (let i = students.length - 1; i > 0; i--) {
+              const j = Math.floor(Math.random() * (i + 1));
+              [students[i], students[j]] = [students[j], students[i]];
+            }
+            students.forEach((studentId, index) => { assignments[studentId] = breakouts[index % total].id; });
+          }
+
+          current.breakouts = breakouts;
+          current.breakoutAssignments = assignments;
+          current.breakoutEndsAt = duration ? new Date(Date.now() + duration * 1000) : null;
+          current.participants.forEach(participant => {
+            participant.breakoutId = assignments[participant.userId] || null;
+          });
+          return current;
+        });
+
+        if (error) {
+          emitRoomError(socket, error[0], error[1]);
+          return;
+        }
+        if (!room) return;
+
+        // Move every socket into its scope, then tell each scope who is in it
+        [null, ...room.breakouts.map(breakout => breakout.id)].forEach(breakoutId => {
+          moveSocketsToScope(room, room.getScopeParticipants(breakoutId).map(p => p.socketId), breakoutId);
+        });
+        emitScopeParticipants(room);
+
+        io.to(getUserRoom(inviteCode)).emit('video_room_breakouts_started', {
+          breakouts: room.getBreakoutSummary(),
+          endsAt: room.breakoutEndsAt,
+          startedBy: userId
+        });
+
+        if (duration) {
+          scheduleBreakoutRecall(inviteCode, duration * 1000);
+        }
+
+        logRoom('BREAKOUTS_STARTED', { inviteCode, mode, breakouts: room.breakouts.length, duration });
+
+      } catch (error) {
+        console.error('📹 Video Room Breakout Start Error:', error);
+      }
+    },
+
+    // Admin: message every breakout ({ message })
+    handleVideoRoomBreakoutBroadcast: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        const message = String(data?.message || '').trim();
+        if (!message) return;
+
+        const sender = admin.room.participants.get(socket.id);
+        io.to(getUserRoom(admin.userInfo.inviteCode)).emit('video_room_breakout_message', {
+          message,
+          fromUserId: sender.userId,
+          fromUserName: sender.userName,
+          timestamp: new Date()
+        });
+
+      } catch (error) {
+        console.error('📹 Video Room Breakout Broadcast Error:', error);
+      }
+    },
+
+    // Admin: visit a breakout ({ breakoutId }), or go back to the main room ({ breakoutId: null })
+    handleVideoRoomBreakoutVisit: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        const { inviteCode } = admin.userInfo;
+        const breakoutId = data?.breakoutId || null;
+        if (breakoutId && !admin.room.getBreakout(breakoutId)) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.BREAKOUT_NOT_FOUND, 'Breakout room not found');
+          return;
+        }
+
+        let previousBreakoutId = null;
+        const room = await updateRoom(inviteCode, (current) => {
+          const participant = current?.participants.get(socket.id);
+          if (!participant) return current;
+          previousBreakoutId = participant.breakoutId || null;
+          participant.breakoutId = breakoutId;
+          return current;
+        });
+
+        const participant = room?.participants.get(socket.id);
+        if (!participant || previousBreakoutId === breakoutId) return;
+
+        // Peers in the old scope drop the admin, peers in the new scope connect
+        socket.to(getScopeRoom(inviteCode, previousBreakoutId)).emit('video_room_user_left', {
+          userId: participant.userId,
+          socketId: socket.id
+        });
+        moveSocketsToScope(room, [socket.id], breakoutId);
+        socket.to(getScopeRoom(inviteCode, breakoutId)).emit('video_room_user_joined', {
+          userId: participant.userId,
+          userName: participant.userName,
+          avatar: participant.avatar,
+          isAdmin: participant.isAdmin,
+          socketId: socket.id
+        });
+
+        const breakout = room.getBreakout(breakoutId);
+        socket.emit('video_room_breakout_moved', {
+          breakoutId,
+          breakoutName: breakout ? breakout.name : null,
+          endsAt: breakoutId ? room.breakoutEndsAt : null,
+          participants: room.getScopeParticipants(breakoutId).filter(p => p.socketId !== socket.id)
+        });
+
+        logRoom('BREAKOUT_VISIT', { inviteCode, userId: participant.userId, breakoutId });
+
+      } catch (error) {
+        console.error('📹 Video Room Breakout Visit Error:', error);
+      }
+    },
+
+    // Admin: recall everyone to the main room, optionally after a countdown ({ countdownSeconds })
+    handleVideoRoomBreakoutRecall: async (socket, data = {}) => {
+      try {
+        const admin = await requireRoomAdmin(socket);
+        if (!admin) return;
+
+        const { inviteCode, userId } = admin.userInfo;
+        if (admin.room.breakouts.length === 0) {
+          emitRoomError(socket, VIDEO_ROOM_ERRORS.BREAKOUT_NOT_FOUND, 'No breakout rooms are running');
+          return;
+        }
+
+        const countdown = parseInt(data?.countdownSeconds) > 0 ? parseInt(data.countdownSeconds) : 0;
+        if (countdown === 0) {
+          await recallBreakouts(inviteCode, userId);
+          return;
+        }
+
+        const closesAt = new Date(Date.now() + countdown * 1000);
+        await updateRoom(inviteCode, (current) => {
+          if (current) current.breakoutEndsAt = closesAt;
+          return current;
+        });
+        io.to(getUserRoom(inviteCode)).emit('video_room_breakouts_closing', { closesAt, recalledBy: userId });
+        scheduleBreakoutRecall(inviteCode, countdown * 1000);
+
+        logRoom('BREAKOUTS_CLOSING', { inviteCode, countdown });
+
+      } catch (error) {
+        console.error('📹 Video Room Breakout Recall Error:', error);
+      }
+    },
+
+    // Handle room leave
+    handleVideoRoomLeave: async (socket) => {
+      await handleUserDisconnect(socket);
+    },
+
+    handleMuteUser,
+    handleKickUser,
+
     // Cleanup user from video rooms on disconnect
-    cleanupVideoRoomUser: (socket) => {
-      handleUserDisconnect(socket);
+    cleanupVideoRoomUser: async (socket) => {
+      await handleUserDisconnect(socket, 'disconnect');
+    },
+
+    // Scheduler: open a class room before anyone joins (kept open until endScheduledRoom)
+    openScheduledRoom: async (inviteCode, classInfo, scheduledClass) => {
+      const room = await updateRoom(inviteCode, (current) => {
+        const target = current || new VideoRoom(inviteCode);
+        if (!current) {
+          target.classInfo = classInfo;
+        }
+        target.scheduledClass = scheduledClass;
+        return target;
+      });
+
+      logRoom('SCHEDULED_ROOM_OPENED', { inviteCode, classId: scheduledClass.classId });
+      return room;
+    },
+
+    // Scheduler: class time is over; the room closes once the last participant leaves
+    endScheduledRoom: async (inviteCode) => {
+      const room = await updateRoom(inviteCode, (current) => {
+        if (current) current.scheduledClass = null;
+        return current;
+      });
+
+      io.to(getUserRoom(inviteCode)).emit('video_room_class_ended', { inviteCode });
+
+      if (!room) {
+        clearTimeout(breakoutTimers.get(inviteCode));
+        breakoutTimers.delete(inviteCode);
+        for (const poll of await getRoomPolls(inviteCode)) {
+          await closePoll(poll.id);
+        }
+      }
+
+      logRoom('SCHEDULED_ROOM_ENDED', { inviteCode, participants: room ? room.getParticipantCount() : 0 });
+      return room;
     },
 
     // Get video room statistics
-    getVideoRoomStats: () => {
+    getVideoRoomStats: async () => {
+      const rooms = (await activeRooms.values()).map(data => VideoRoom.fromJSON(data));
       const stats = {
-        totalRooms: activeRooms.size,
+        totalRooms: rooms.length,
         rooms: []
       };
 
-      activeRooms.forEach((room, inviteCode) => {
+      rooms.forEach((room) => {
+        const { inviteCode } = room;
         stats.rooms.push({
           inviteCode: inviteCode.substring(0, 8) + '***', // Partially hidden for privacy
           participantCount: room.getParticipantCount(),
+          mainParticipantCount: room.getScopeParticipants(null).length,
+          breakouts: room.getBreakoutSummary(),
+          breakoutEndsAt: room.breakoutEndsAt,
+          isScheduled: !!room.scheduledClass,
           createdAt: room.createdAt,
           isActive: room.isActive
         });